@@ -0,0 +1,109 @@
+// public/js/examples/buildExample.js
+import { apiCall } from '../api.js';
+import { isAuthenticated } from '../clientAuth.js';
+import { getSelectedDocument, getDocumentName, getSelectedPartStudio } from '../ui.js';
+import { logInfo, logError, logDebug, logToTerminal } from '../utils/logging.js';
+import { getWorkspaces, fetchElementsForDocument } from '../api.js';
+
+/**
+ * Build an example from its model spec
+ *
+ * Fetches the spec of the example from the server and posts it to the part
+ * studio build route, which validates it and creates its features in
+ * dependency order. Features are keyed by name, so running the example again
+ * updates the features it created before instead of adding more.
+ *
+ * @param {string} name Name of the example spec, e.g. 'cup'
+ * @param {string} title Title used in log messages and new document names
+ * @param {string} source Script name used in terminal logs
+ */
+export async function buildExample(name, title, source) {
+  logDebug(`${title} example clicked - starting execution`);
+  logToTerminal(source, `${title} - execution started`, 'info');
+
+  // Additional log data for API tracking
+  const requestId = Math.random().toString(36).substring(2, 8);
+
+  if (!isAuthenticated()) {
+    logError('Please authenticate first');
+    logToTerminal(source, 'Authentication check failed - user not authenticated', 'error');
+    return;
+  }
+
+  logInfo(`Running example: ${title}`);
+
+  try {
+    logToTerminal(source, `Starting document selection/creation (requestId: ${requestId})`, 'debug');
+
+    // Step 1: Get or create a document
+    let onshapeDocument;
+    const selectedDocument = getSelectedDocument();
+    if (selectedDocument) {
+      onshapeDocument = selectedDocument;
+      logInfo(`Using existing document: ${onshapeDocument.name}`);
+    } else {
+      const newName = getDocumentName() || `${title} Example`;
+      onshapeDocument = await apiCall('documents', 'POST', { name: newName });
+      logInfo(`Created new document: ${newName}`);
+    }
+
+    // Step 2: Get the default workspace
+    logInfo('Accessing part studio...');
+    const workspaces = await getWorkspaces(onshapeDocument.id);
+    const defaultWorkspace = workspaces[0];
+
+    if (!defaultWorkspace) {
+      throw new Error('No workspaces found for document');
+    }
+
+    // Step 3: Get or create a part studio element
+    let partStudioId;
+    const selectedPartStudio = getSelectedPartStudio();
+
+    if (selectedPartStudio && selectedPartStudio.documentId === onshapeDocument.id) {
+      partStudioId = selectedPartStudio.id;
+      logInfo(`Using selected part studio: ${selectedPartStudio.name}`);
+    } else {
+      const elements = await fetchElementsForDocument(onshapeDocument.id);
+      partStudioId = elements.find(el => el.type === 'PARTSTUDIO')?.id;
+
+      if (!partStudioId) {
+        logInfo('Creating new part studio...');
+        const newElement = await apiCall(
+          `documents/d/${onshapeDocument.id}/w/${defaultWorkspace.id}/elements`,
+          'POST',
+          { name: 'Part Studio', elementType: 'PARTSTUDIO' }
+        );
+        partStudioId = newElement.id;
+      }
+    }
+
+    // Step 4: Build the example spec in the part studio
+    const spec = await apiCall(`examples/specs/${name}`);
+    logInfo(`Building ${spec.features.length} features from the ${name} spec...`);
+
+    const result = await apiCall(
+      `partstudios/d/${onshapeDocument.id}/w/${defaultWorkspace.id}/e/${partStudioId}/build?ensure=true`,
+      'POST',
+      spec
+    );
+
+    for (const feature of result.features) {
+      logInfo(`Built ${feature.type} '${feature.name}' (ID: ${feature.featureId})`);
+    }
+
+    logInfo(`Successfully created ${title.toLowerCase()} in Onshape!`);
+
+    const onshapeLink = `https://cad.onshape.com/documents/${onshapeDocument.id}`;
+    const linkDiv = document.createElement('div');
+    linkDiv.innerHTML = `<a href="${onshapeLink}" target="_blank" class="btn btn-sm btn-outline-primary mt-2">Open in Onshape</a>`;
+    document.getElementById('logOutput').appendChild(linkDiv);
+
+  } catch (error) {
+    logError(`Error: ${error.message}`);
+    logToTerminal(source, `Error in ${name} example: ${error.message}`, 'error', {
+      stack: error.stack,
+      requestId
+    });
+  }
+}
@@ -3,6 +3,7 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const { ApiError } = require('../utils/errors');
 const config = require('../../config');
+const { UnitSystem } = require('../utils/misc');
 
 /**
  * Client for making authenticated requests to the Onshape API
@@ -15,12 +16,15 @@ class OnshapeClient {
    * @param {string} options.apiUrl - API URL including version
    * @param {AuthManager} options.authManager - Authentication manager
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {string} [options.unitSystem='inch'] - Unit of plain numbers given as lengths,
+   *   inches for 'inch' or meters for 'metric'
    */
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || config.onshape.baseUrl;
     this.apiUrl = options.apiUrl || config.onshape.apiUrl;
     this.authManager = options.authManager;
     this.debug = options.debug || false;
+    this.unitSystem = options.unitSystem === UnitSystem.METRIC ? UnitSystem.METRIC : UnitSystem.INCH;
     this.logger = logger.scope('OnshapeClient');
     
     if (!this.authManager) {
@@ -0,0 +1,106 @@
+// src/api/endpoints/configurations.js
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * API endpoints for element configurations
+ */
+class ConfigurationsApi {
+  /**
+   * Create a new ConfigurationsApi
+   * @param {OnshapeClient} client - The Onshape client instance
+   */
+  constructor(client) {
+    if (!client) {
+      throw new Error('OnshapeClient is required for ConfigurationsApi');
+    }
+
+    this.client = client;
+    this.logger = require('../../utils/logger').scope('Configurations');
+  }
+
+  /**
+   * Get the configuration inputs and current configuration of an element
+   *
+   * @param {string} documentId - Document ID
+   * @param {Object} wvm - Workspace/version/microversion identifier
+   * @param {string} elementId - Element ID (part studio)
+   * @returns {Promise<Object>} - Configuration as { configurationParameters, currentConfiguration, ... }
+   */
+  async getConfiguration(documentId, wvm, elementId) {
+    if (!documentId || !wvm || !wvm.wvm || !wvm.wvmid || !elementId) {
+      throw new ValidationError('Document ID, workspace/version/microversion, and element ID are required');
+    }
+
+    try {
+      const path = `/elements/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}/configuration`;
+
+      this.logger.debug(`Fetching configuration of element ${elementId}`);
+      return await this.client.get(path);
+    } catch (error) {
+      this.logger.error(`Failed to get configuration: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the configuration inputs of an element
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} elementId - Element ID (part studio)
+   * @param {Object} configuration - Configuration as returned by getConfiguration, with updated
+   *   configurationParameters and currentConfiguration
+   * @returns {Promise<Object>} - The updated configuration
+   */
+  async updateConfiguration(documentId, workspaceId, elementId, configuration) {
+    if (!documentId || !workspaceId || !elementId) {
+      throw new ValidationError('Document ID, workspace ID, and element ID are required');
+    }
+
+    if (!configuration || !Array.isArray(configuration.configurationParameters)) {
+      throw new ValidationError('Configuration parameters are required');
+    }
+
+    try {
+      const path = `/elements/d/${documentId}/w/${workspaceId}/e/${elementId}/configuration`;
+
+      this.logger.debug(`Updating configuration of element ${elementId}`, {
+        inputs: configuration.configurationParameters.length
+      });
+      return await this.client.post(path, configuration);
+    } catch (error) {
+      this.logger.error(`Failed to update configuration: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encode configuration values into the string used by the `configuration` query parameter
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} elementId - Element ID (part studio)
+   * @param {Array<Object>} parameters - Values as { parameterId, parameterValue }
+   * @returns {Promise<Object>} - Encoding as { encodedId, queryParam }
+   */
+  async encodeConfiguration(documentId, elementId, parameters) {
+    if (!documentId || !elementId) {
+      throw new ValidationError('Document ID and element ID are required');
+    }
+
+    if (!Array.isArray(parameters)) {
+      throw new ValidationError('Configuration parameters must be an array');
+    }
+
+    try {
+      const path = `/elements/d/${documentId}/e/${elementId}/configurationencodings`;
+
+      this.logger.debug(`Encoding configuration of element ${elementId}`);
+      return await this.client.post(path, { parameters });
+    } catch (error) {
+      this.logger.error(`Failed to encode configuration: ${error.message}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConfigurationsApi;
@@ -1,6 +1,7 @@
 // src/api/endpoints/features.js
 const logger = require('../../utils/logger');
 const { NotFoundError, ValidationError } = require('../../utils/errors');
+const { decodeEvaluation } = require('../featurescript');
 
 /**
  * API endpoints for Onshape features
@@ -155,16 +156,162 @@ class FeaturesApi {
     }
   }
 
+  /**
+   * Update an existing feature in a part studio
+   * @param {string} documentId Document ID
+   * @param {object} wvm Workspace/version/microversion object
+   * @param {string} elementId Element ID
+   * @param {string} featureId ID of the feature to update
+   * @param {object} featureData Feature data
+   * @returns {Promise<object>} Feature update response
+   */
+  async updateFeature(documentId, wvm, elementId, featureId, featureData) {
+    if (!documentId) {
+      throw new ValidationError('Document ID is required');
+    }
+
+    if (!wvm || !wvm.wvm || !wvm.wvmid) {
+      throw new ValidationError('Workspace/version/microversion is required');
+    }
+
+    if (!elementId) {
+      throw new ValidationError('Element ID is required');
+    }
+
+    if (!featureId) {
+      throw new ValidationError('Feature ID is required');
+    }
+
+    if (!featureData) {
+      throw new ValidationError('Feature data is required');
+    }
+
+    try {
+      const path = `/partstudios/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}/features/featureid/${featureId}`;
+
+      // Onshape expects the same wrapped structure as for adding a feature,
+      // and the feature ID in the body must match the one in the path
+      const requestData = featureData.feature ? featureData : { feature: featureData };
+      requestData.feature.featureId = featureId;
+
+      this.logger.debug(`Updating feature ${featureId} at ${path}`, {
+        featureType: requestData.feature.featureType || 'unknown'
+      });
+
+      const response = await this.client.post(path, requestData);
+
+      this.logger.debug('Feature updated successfully');
+      return response;
+    } catch (error) {
+      const errorDetails = {
+        message: error.message || 'Unknown error',
+        hasResponse: !!error.response,
+        statusCode: error.response?.status || 'N/A',
+        responseData: error.response?.data || null,
+        stack: error.stack
+      };
+
+      this.logger.error(`Failed to update feature: ${errorDetails.message}`, errorDetails);
+
+      const enhancedError = new Error(`Failed to update feature: ${errorDetails.message}`);
+      enhancedError.details = errorDetails;
+      enhancedError.originalError = error;
+      enhancedError.statusCode = errorDetails.statusCode !== 'N/A' ? errorDetails.statusCode : 500;
+
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Delete a feature from a part studio
+   * @param {string} documentId Document ID
+   * @param {object} wvm Workspace/version/microversion object
+   * @param {string} elementId Element ID
+   * @param {string} featureId ID of the feature to delete
+   * @returns {Promise<object>} Feature deletion response
+   */
+  async deleteFeature(documentId, wvm, elementId, featureId) {
+    if (!documentId) {
+      throw new ValidationError('Document ID is required');
+    }
+
+    if (!wvm || !wvm.wvm || !wvm.wvmid) {
+      throw new ValidationError('Workspace/version/microversion is required');
+    }
+
+    if (!elementId) {
+      throw new ValidationError('Element ID is required');
+    }
+
+    if (!featureId) {
+      throw new ValidationError('Feature ID is required');
+    }
+
+    try {
+      const path = `/partstudios/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}/features/featureid/${featureId}`;
+
+      this.logger.debug(`Deleting feature ${featureId} at ${path}`);
+      const response = await this.client.delete(path);
+
+      this.logger.debug('Feature deleted successfully');
+      return response;
+    } catch (error) {
+      this.logger.error(`Failed to delete feature: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move the rollback bar of a part studio. Features added while the bar is
+   * rolled back are inserted at its position.
+   * @param {string} documentId Document ID
+   * @param {object} wvm Workspace/version/microversion object
+   * @param {string} elementId Element ID
+   * @param {number} rollbackIndex Number of features above the bar
+   * @returns {Promise<object>} Rollback response with the new rollbackIndex
+   */
+  async updateRollback(documentId, wvm, elementId, rollbackIndex) {
+    if (!documentId) {
+      throw new ValidationError('Document ID is required');
+    }
+
+    if (!wvm || !wvm.wvm || !wvm.wvmid) {
+      throw new ValidationError('Workspace/version/microversion is required');
+    }
+
+    if (!elementId) {
+      throw new ValidationError('Element ID is required');
+    }
+
+    if (!Number.isInteger(rollbackIndex) || rollbackIndex < 0) {
+      throw new ValidationError('Rollback index must be a non-negative integer');
+    }
+
+    try {
+      const path = `/partstudios/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}/features/rollback`;
+
+      this.logger.debug(`Moving rollback bar of part studio ${elementId} to ${rollbackIndex}`);
+      return await this.client.post(path, { rollbackIndex });
+    } catch (error) {
+      this.logger.error(`Failed to update rollback bar: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Evaluate FeatureScript in a part studio
    * 
    * @param {string} documentId - Document ID
-   * @param {Object} wvm - Workspace/version/microversion identifier
+   * @param {Object} wvm - Workspace/version/microversion identifier, with an optional
+   *   `configuration` string to evaluate a specific configuration
    * @param {string} elementId - Element ID (part studio)
    * @param {string} script - FeatureScript code to evaluate
-   * @returns {Promise<Object>} - Evaluation result
+   * @param {Object} [options] - Additional options
+   * @param {boolean} [options.decode=false] - Decode the result into plain values and
+   *   Quantity objects, see decodeEvaluation
+   * @returns {Promise<Object>} - Evaluation result, or `{ result, warnings }` when decoded
    */
-  async evalFeaturescript(documentId, wvm, elementId, script) {
+  async evalFeaturescript(documentId, wvm, elementId, script, options = {}) {
     if (!documentId || !wvm || !elementId) {
       throw new ValidationError('Document ID, workspace/version/microversion, and element ID are required');
     }
@@ -192,9 +339,11 @@ class FeaturesApi {
       };
       
       this.logger.debug(`Evaluating FeatureScript in part studio ${elementId}`);
-      const response = await this.client.post(path, requestBody);
+      const response = await this.client.post(path, requestBody, wvm.configuration
+        ? { params: { configuration: wvm.configuration } }
+        : {});
       
-      return response;
+      return options.decode ? decodeEvaluation(response) : response;
     } catch (error) {
       this.logger.error(`Failed to evaluate FeatureScript: ${error.message}`, error);
       throw error;
@@ -0,0 +1,86 @@
+// src/api/endpoints/metadata.js
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * API endpoints for the metadata (properties) of parts
+ */
+class MetadataApi {
+  /**
+   * Create a new MetadataApi
+   * @param {OnshapeClient} client - The Onshape client instance
+   */
+  constructor(client) {
+    if (!client) {
+      throw new Error('OnshapeClient is required for MetadataApi');
+    }
+
+    this.client = client;
+    this.logger = require('../../utils/logger').scope('Metadata');
+  }
+
+  /**
+   * Get the metadata properties of a part
+   *
+   * @param {string} documentId - Document ID
+   * @param {Object} wvm - Workspace/version/microversion identifier, with an optional
+   *   `configuration` string for the part in a specific configuration
+   * @param {string} elementId - Element ID (part studio)
+   * @param {string} partId - Part ID
+   * @returns {Promise<Object>} - Metadata as { properties: [{ propertyId, name, value, editable, ... }] }
+   */
+  async getPartMetadata(documentId, wvm, elementId, partId) {
+    if (!documentId || !wvm || !wvm.wvm || !wvm.wvmid || !elementId || !partId) {
+      throw new ValidationError('Document ID, workspace/version/microversion, element ID, and part ID are required');
+    }
+
+    try {
+      const path = `/metadata/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}/p/${encodeURIComponent(partId)}`;
+
+      this.logger.debug(`Fetching metadata of part ${partId}`);
+      return await this.client.get(path, wvm.configuration
+        ? { params: { configuration: wvm.configuration } }
+        : {});
+    } catch (error) {
+      this.logger.error(`Failed to get part metadata: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update metadata properties of a part
+   *
+   * @param {string} documentId - Document ID
+   * @param {Object} wvm - Workspace identifier, with an optional `configuration` string
+   * @param {string} elementId - Element ID (part studio)
+   * @param {string} partId - Part ID
+   * @param {Array<Object>} properties - Properties to change, each as { propertyId, value }
+   * @returns {Promise<Object>} - API response
+   */
+  async updatePartMetadata(documentId, wvm, elementId, partId, properties) {
+    if (!documentId || !wvm || !wvm.wvmid || !elementId || !partId) {
+      throw new ValidationError('Document ID, workspace ID, element ID, and part ID are required');
+    }
+
+    if (wvm.wvm && wvm.wvm !== 'w') {
+      throw new ValidationError('Part metadata can only be changed in a workspace');
+    }
+
+    if (!Array.isArray(properties) || properties.length === 0) {
+      throw new ValidationError('At least one property is required');
+    }
+
+    try {
+      const path = `/metadata/d/${documentId}/w/${wvm.wvmid}/e/${elementId}/p/${encodeURIComponent(partId)}`;
+
+      this.logger.debug(`Updating ${properties.length} metadata properties of part ${partId}`);
+      return await this.client.post(path, { properties }, wvm.configuration
+        ? { params: { configuration: wvm.configuration } }
+        : {});
+    } catch (error) {
+      this.logger.error(`Failed to update part metadata: ${error.message}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MetadataApi;
@@ -0,0 +1,49 @@
+// src/api/endpoints/parts.js
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * API endpoints for the parts of a part studio
+ */
+class PartsApi {
+  /**
+   * Create a new PartsApi
+   * @param {OnshapeClient} client - The Onshape client instance
+   */
+  constructor(client) {
+    if (!client) {
+      throw new Error('OnshapeClient is required for PartsApi');
+    }
+
+    this.client = client;
+    this.logger = require('../../utils/logger').scope('Parts');
+  }
+
+  /**
+   * List the parts of a part studio
+   *
+   * @param {string} documentId - Document ID
+   * @param {Object} wvm - Workspace/version/microversion identifier, with an optional
+   *   `configuration` string to list the parts of a specific configuration
+   * @param {string} elementId - Element ID (part studio)
+   * @returns {Promise<Array>} - Parts as { partId, name, partNumber, description, material, appearance, ... }
+   */
+  async listParts(documentId, wvm, elementId) {
+    if (!documentId || !wvm || !wvm.wvm || !wvm.wvmid || !elementId) {
+      throw new ValidationError('Document ID, workspace/version/microversion, and element ID are required');
+    }
+
+    try {
+      const path = `/parts/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}`;
+
+      this.logger.debug(`Fetching parts of element ${elementId}`);
+      return await this.client.get(path, wvm.configuration
+        ? { params: { configuration: wvm.configuration } }
+        : {});
+    } catch (error) {
+      this.logger.error(`Failed to list parts: ${error.message}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PartsApi;
@@ -0,0 +1,103 @@
+// src/api/endpoints/variables.js
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * API endpoints for Onshape variables and Variable Studios
+ */
+class VariablesApi {
+  /**
+   * Create a new VariablesApi
+   * @param {OnshapeClient} client - The Onshape client instance
+   */
+  constructor(client) {
+    if (!client) {
+      throw new Error('OnshapeClient is required for VariablesApi');
+    }
+
+    this.client = client;
+    this.logger = require('../../utils/logger').scope('Variables');
+  }
+
+  /**
+   * Create a Variable Studio element in a document
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} name - Name of the Variable Studio
+   * @returns {Promise<Object>} - The created element, including its id
+   */
+  async createVariableStudio(documentId, workspaceId, name) {
+    if (!documentId || !workspaceId || !name) {
+      throw new ValidationError('Document ID, workspace ID, and name are required');
+    }
+
+    try {
+      const path = `/variables/d/${documentId}/w/${workspaceId}/variablestudio`;
+
+      this.logger.debug(`Creating Variable Studio '${name}' in document ${documentId}`);
+      const response = await this.client.post(path, { name });
+
+      this.logger.debug(`Created Variable Studio ${response.id}`);
+      return response;
+    } catch (error) {
+      this.logger.error(`Failed to create Variable Studio: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the variables of a Variable Studio, or the variables in effect at the
+   * end of a part studio's feature list
+   *
+   * @param {string} documentId - Document ID
+   * @param {Object} wvm - Workspace/version/microversion identifier
+   * @param {string} elementId - Element ID (Variable Studio or part studio)
+   * @returns {Promise<Array>} - Variable tables, each as { variableStudioReference, variables }
+   */
+  async getVariables(documentId, wvm, elementId) {
+    if (!documentId || !wvm || !wvm.wvm || !wvm.wvmid || !elementId) {
+      throw new ValidationError('Document ID, workspace/version/microversion, and element ID are required');
+    }
+
+    try {
+      const path = `/variables/d/${documentId}/${wvm.wvm}/${wvm.wvmid}/e/${elementId}/variables`;
+
+      this.logger.debug(`Fetching variables of element ${elementId}`);
+      return await this.client.get(path);
+    } catch (error) {
+      this.logger.error(`Failed to get variables: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the variables of a Variable Studio
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} elementId - Element ID of the Variable Studio
+   * @param {Array<Object>} variables - The full variable list, each as { name, type, expression, description }
+   * @returns {Promise<Object>} - API response
+   */
+  async setVariables(documentId, workspaceId, elementId, variables) {
+    if (!documentId || !workspaceId || !elementId) {
+      throw new ValidationError('Document ID, workspace ID, and element ID are required');
+    }
+
+    if (!Array.isArray(variables)) {
+      throw new ValidationError('Variables must be an array');
+    }
+
+    try {
+      const path = `/variables/d/${documentId}/w/${workspaceId}/e/${elementId}/variables`;
+
+      this.logger.debug(`Setting ${variables.length} variables on element ${elementId}`);
+      return await this.client.post(path, variables);
+    } catch (error) {
+      this.logger.error(`Failed to set variables: ${error.message}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = VariablesApi;
@@ -0,0 +1,276 @@
+// src/api/featurescript.js
+/**
+ * Decoding of FeatureScript evaluation results
+ *
+ * Onshape serializes the value a FeatureScript function returns as nested
+ * BTFSValue* objects. decodeEvaluation turns them into plain JS values:
+ * arrays, objects, strings, booleans and numbers, with values that have
+ * units as Quantity objects. Notices and console output of the evaluation
+ * come back as warnings.
+ */
+
+const { ValidationError, FeatureError } = require('../utils/errors');
+
+/**
+ * Units a Quantity can be converted to, by FeatureScript base unit, as the
+ * size of the unit in the base unit
+ */
+const UNIT_FACTORS = {
+  METER: {
+    meter: 1, m: 1,
+    centimeter: 0.01, cm: 0.01,
+    millimeter: 0.001, mm: 0.001,
+    inch: 0.0254, in: 0.0254,
+    foot: 0.3048, ft: 0.3048
+  },
+  RADIAN: {
+    radian: 1, rad: 1,
+    degree: Math.PI / 180, deg: Math.PI / 180
+  }
+};
+
+/**
+ * A FeatureScript value with units, e.g. a length, an area or an angle
+ *
+ * The value is in SI base units, as FeatureScript stores it. Vectors with
+ * units, such as the origin of a plane, are quantities with an array value.
+ */
+class Quantity {
+  /**
+   * @param {number|Array<number>} value Value in base units
+   * @param {Object} units Powers of the base units, e.g. `{ METER: 2 }` for an area
+   */
+  constructor(value, units) {
+    this.value = value;
+    this.units = units;
+  }
+
+  /**
+   * Whether the quantity is a length
+   *
+   * @returns {boolean}
+   */
+  get isLength() {
+    return this._hasUnits({ METER: 1 });
+  }
+
+  /**
+   * Whether the quantity is an angle
+   *
+   * @returns {boolean}
+   */
+  get isAngle() {
+    return this._hasUnits({ RADIAN: 1 });
+  }
+
+  /**
+   * Get the value in a unit. Powers of a length convert with the length
+   * unit, so an area in square millimeters is `area.to('mm')`.
+   *
+   * @param {string} unit Unit name, e.g. 'mm', 'inch' or 'deg'
+   * @returns {number|Array<number>} The value in the unit
+   */
+  to(unit) {
+    const bases = Object.keys(this.units);
+    const factors = bases.length === 1 ? UNIT_FACTORS[bases[0]] : null;
+
+    if (!factors || !(unit in factors)) {
+      throw new ValidationError(`Cannot convert ${this} to ${unit}`);
+    }
+
+    const scale = Math.pow(factors[unit], this.units[bases[0]]);
+    return Array.isArray(this.value) ? this.value.map(value => value / scale) : this.value / scale;
+  }
+
+  /**
+   * Check the quantity has exactly the given units
+   *
+   * @param {Object} units Powers of the base units
+   * @returns {boolean}
+   * @private
+   */
+  _hasUnits(units) {
+    const bases = Object.keys(this.units);
+    return bases.length === Object.keys(units).length && bases.every(base => this.units[base] === units[base]);
+  }
+
+  toString() {
+    const units = Object.entries(this.units)
+      .map(([base, power]) => power === 1 ? base.toLowerCase() : `${base.toLowerCase()}^${power}`)
+      .join('*');
+    const value = Array.isArray(this.value) ? `[${this.value.join(', ')}]` : this.value;
+    return `${value} ${units}`;
+  }
+
+  toJSON() {
+    return { value: this.value, units: this.units };
+  }
+}
+
+/**
+ * Get the type of a serialized value without its type number,
+ * e.g. 'BTFSValueArray' for 'BTFSValueArray-1499'
+ *
+ * @param {Object} value Serialized value
+ * @returns {string} The type name, or '' when the value has none
+ */
+function getValueType(value) {
+  const type = value.btType || value.typeName || '';
+  return type.split('.').pop().replace(/-\d+$/, '');
+}
+
+/**
+ * Get the fields of a serialized value, which older serializations wrap
+ * in a message next to the type name
+ *
+ * @param {Object} value Serialized value
+ * @returns {Object} The fields of the value
+ */
+function getFields(value) {
+  return value.typeName && value.message ? value.message : value;
+}
+
+/**
+ * Get the base unit powers of a value with units
+ *
+ * @param {Array<Object>|Object} unitToPower `[{ key, value }]` entries or a map of powers
+ * @returns {Object} Powers by base unit, without zero powers
+ */
+function decodeUnits(unitToPower) {
+  const entries = Array.isArray(unitToPower)
+    ? unitToPower.map(entry => [entry.key, entry.value])
+    : Object.entries(unitToPower || {});
+
+  return Object.fromEntries(entries.filter(([, power]) => power !== 0));
+}
+
+/**
+ * Decode a serialized map. Maps with string keys become objects, other maps
+ * become Maps, and transient queries become their transient ID.
+ *
+ * @param {Object} fields Fields of the BTFSValueMap
+ * @returns {Object|Map|string} The decoded map
+ */
+function decodeMap(fields) {
+  const entries = (fields.value || []).map(entry => {
+    const entryFields = getFields(entry);
+    return [decodeValue(entryFields.key), decodeValue(entryFields.value)];
+  });
+
+  if (!entries.every(([key]) => typeof key === 'string')) {
+    return new Map(entries);
+  }
+
+  const map = Object.fromEntries(entries);
+  if (fields.typeTag === 'Query' && map.queryType === 'TRANSIENT') {
+    return map.transientId;
+  }
+
+  return map;
+}
+
+/**
+ * Decode a serialized array. Vectors whose components have the same units
+ * become a single Quantity with an array value.
+ *
+ * @param {Object} fields Fields of the BTFSValueArray
+ * @returns {Array|Quantity} The decoded array
+ */
+function decodeArray(fields) {
+  const items = (fields.value || []).map(decodeValue);
+
+  if (fields.typeTag === 'Vector' && items.length > 0 && items.every(item => item instanceof Quantity)) {
+    const units = items[0].units;
+    if (items.every(item => item._hasUnits(units))) {
+      return new Quantity(items.map(item => item.value), units);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Decode a serialized FeatureScript value
+ *
+ * @param {Object} value Serialized BTFSValue
+ * @returns {*} The plain JS value
+ */
+function decodeValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const fields = getFields(value);
+
+  switch (getValueType(value)) {
+    case 'BTFSValueArray':
+      return decodeArray(fields);
+    case 'BTFSValueMap':
+      return decodeMap(fields);
+    case 'BTFSValueWithUnits': {
+      const units = decodeUnits(fields.unitToPower);
+      return Object.keys(units).length > 0 ? new Quantity(fields.value, units) : fields.value;
+    }
+    case 'BTFSValueUndefined':
+      return undefined;
+    case 'BTFSValueString':
+    case 'BTFSValueBoolean':
+    case 'BTFSValueNumber':
+      return fields.value;
+    default:
+      // Untyped values, decoded by their shape
+      return Array.isArray(fields.value) ? fields.value.map(decodeValue) : fields.value;
+  }
+}
+
+/**
+ * Get the warnings of an evaluation from its notices and console output
+ *
+ * @param {Object} response FeatureScript evaluation response
+ * @returns {Array<Object>} `{ level, type, message }` warnings, console lines with type 'CONSOLE'
+ */
+function decodeWarnings(response) {
+  const notices = (response.notices || []).map(notice => {
+    const fields = notice.message && typeof notice.message === 'object' ? notice.message : notice;
+    return {
+      level: fields.level || 'INFO',
+      type: fields.type || 'NOTICE',
+      message: fields.message || ''
+    };
+  });
+
+  const consoleLines = (response.console || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => ({ level: 'INFO', type: 'CONSOLE', message: line }));
+
+  return [...notices, ...consoleLines];
+}
+
+/**
+ * Decode a FeatureScript evaluation response
+ *
+ * @param {Object} response FeatureScript evaluation response
+ * @returns {Object} `{ result, warnings }`, with the result decoded by decodeValue
+ * @throws {FeatureError} If the evaluation failed with an error notice
+ */
+function decodeEvaluation(response) {
+  const warnings = decodeWarnings(response);
+  const error = warnings.find(warning => warning.level === 'ERROR');
+
+  if (!response.result && error) {
+    throw new FeatureError(`FeatureScript evaluation failed: ${error.message}`);
+  }
+
+  return {
+    result: decodeValue(response.result),
+    warnings
+  };
+}
+
+module.exports = {
+  Quantity,
+  decodeValue,
+  decodeWarnings,
+  decodeEvaluation
+};
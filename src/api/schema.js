@@ -3,6 +3,15 @@
  * Schema definitions for Onshape API requests
  */
 
+const {
+  solveCenterPointArc,
+  solveThreePointArc,
+  solveTangentArc,
+  toLengthExpression,
+  toAngleExpression
+} = require('../utils/misc');
+const { ValidationError } = require('../utils/errors');
+
 /**
  * Generate a random ID
  * 
@@ -28,25 +37,28 @@ function createWorkspaceVersion(workspaceId) {
 /**
  * Create a sketch feature definition
  * 
+ * Sketches are BTMSketch-151 features with their entities and constraints in
+ * lists of their own. Entities carry BTCurveGeometry, and their points are
+ * named after the entity ID (`<id>.start`, `<id>.end`, `<id>.center`), so
+ * constraints and regions can refer to them.
+ * 
  * @param {Object} options Sketch options
  * @param {string} options.name Sketch name
  * @param {string} [options.featureId=null] Optional feature ID for updates
  * @param {Array} [options.entities=[]] Sketch entities
+ * @param {Array} [options.constraints=[]] Sketch constraints and dimensions
  * @returns {Object} Sketch feature definition
  */
-function createSketch({ name, featureId = null, entities = [] }) {
+function createSketch({ name, featureId = null, entities = [], constraints = [] }) {
   return {
-    btType: "BTMFeature-134",
-    featureType: "sketch",
+    btType: "BTMSketch-151",
+    featureType: "newSketch",
     featureId: featureId || generateId(),
     name: name,
     suppressed: false,
+    entities: entities,
+    constraints: constraints,
     parameters: [
-      {
-        btType: "BTMParameterFeatureList-1469",
-        parameterId: "entities",
-        features: entities
-      },
       {
         btType: "BTMParameterBoolean-144",
         value: true,
@@ -67,22 +79,26 @@ function createSketch({ name, featureId = null, entities = [] }) {
  * @returns {Object} Circle entity definition
  */
 function createCircle({ radius, xCenter, yCenter, entityId = null }) {
+  const id = entityId || generateId();
   return {
-    btType: "BTMSketchCurveCircle-144",
-    radius: radius,
-    xCenter: xCenter,
-    yCenter: yCenter,
-    xDirCenter: 0,
-    yDirCenter: 0,
-    xAxis: 1,
-    yAxis: 0,
-    clockwise: false,
-    entityId: entityId || generateId()
+    btType: "BTMSketchCurve-4",
+    entityId: id,
+    centerId: `${id}.center`,
+    geometry: {
+      btType: "BTCurveGeometryCircle-115",
+      radius: radius,
+      xCenter: xCenter,
+      yCenter: yCenter,
+      xDir: 1,
+      yDir: 0,
+      clockwise: false
+    }
   };
 }
 
 /**
- * Create a line entity definition
+ * Create a line entity definition. Line geometry is a point and a unit
+ * direction, so the two points must differ.
  * 
  * @param {Object} options Line options
  * @param {number} options.x1 X coordinate of start point
@@ -90,95 +106,1445 @@ function createCircle({ radius, xCenter, yCenter, entityId = null }) {
  * @param {number} options.x2 X coordinate of end point
  * @param {number} options.y2 Y coordinate of end point
  * @param {string} [options.entityId=null] Optional entity ID
+ * @param {boolean} [options.isConstruction=false] Whether the line is construction geometry
  * @returns {Object} Line entity definition
  */
-function createLine({ x1, y1, x2, y2, entityId = null }) {
+function createLine({ x1, y1, x2, y2, entityId = null, isConstruction = false }) {
+  const id = entityId || generateId();
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  
+  if (length === 0) {
+    throw new ValidationError("Cannot create a line with zero length");
+  }
+  
+  return {
+    btType: "BTMSketchCurveSegment-155",
+    entityId: id,
+    isConstruction: isConstruction,
+    startPointId: `${id}.start`,
+    endPointId: `${id}.end`,
+    startParam: 0,
+    endParam: length,
+    geometry: {
+      btType: "BTCurveGeometryLine-117",
+      pntX: x1,
+      pntY: y1,
+      dirX: (x2 - x1) / length,
+      dirY: (y2 - y1) / length
+    }
+  };
+}
+
+/**
+ * Create an arc entity definition from its circle and parameter interval.
+ * The arc always runs counter-clockwise from startAngle to endAngle.
+ * 
+ * @param {Object} options Arc options
+ * @param {number} options.radius Arc radius
+ * @param {number} options.xCenter X coordinate of center
+ * @param {number} options.yCenter Y coordinate of center
+ * @param {number} options.startAngle Start angle in radians, measured from +X
+ * @param {number} options.endAngle End angle in radians, greater than startAngle
+ * @param {string} [options.entityId=null] Optional entity ID
+ * @returns {Object} Arc entity definition
+ */
+function createArc({ radius, xCenter, yCenter, startAngle, endAngle, entityId = null }) {
+  const id = entityId || generateId();
+  return {
+    btType: "BTMSketchCurveSegment-155",
+    entityId: id,
+    startPointId: `${id}.start`,
+    endPointId: `${id}.end`,
+    centerId: `${id}.center`,
+    startParam: startAngle,
+    endParam: endAngle,
+    geometry: {
+      btType: "BTCurveGeometryCircle-115",
+      radius: radius,
+      xCenter: xCenter,
+      yCenter: yCenter,
+      xDir: 1,
+      yDir: 0,
+      clockwise: false
+    }
+  };
+}
+
+/**
+ * Create an arc entity definition from a center, start and end point.
+ * The radius is taken from the start point; the end point only sets the angle.
+ * 
+ * @param {Object} options Arc options
+ * @param {number} options.xCenter X coordinate of center
+ * @param {number} options.yCenter Y coordinate of center
+ * @param {number} options.x1 X coordinate of start point
+ * @param {number} options.y1 Y coordinate of start point
+ * @param {number} options.x2 X coordinate of end point
+ * @param {number} options.y2 Y coordinate of end point
+ * @param {boolean} [options.clockwise=false] Sweep clockwise from start to end
+ * @param {string} [options.entityId=null] Optional entity ID
+ * @returns {Object} Arc entity definition
+ */
+function createCenterPointArc({ entityId = null, ...geometry }) {
+  return createArc({ ...solveCenterPointArc(geometry), entityId });
+}
+
+/**
+ * Create an arc entity definition through three points
+ * 
+ * @param {Object} options Arc options
+ * @param {number} options.x1 X coordinate of start point
+ * @param {number} options.y1 Y coordinate of start point
+ * @param {number} options.xMid X coordinate of a point on the arc
+ * @param {number} options.yMid Y coordinate of a point on the arc
+ * @param {number} options.x2 X coordinate of end point
+ * @param {number} options.y2 Y coordinate of end point
+ * @param {string} [options.entityId=null] Optional entity ID
+ * @returns {Object} Arc entity definition
+ */
+function createThreePointArc({ entityId = null, ...geometry }) {
+  return createArc({ ...solveThreePointArc(geometry), entityId });
+}
+
+/**
+ * Create an arc entity definition that leaves its start point along a tangent
+ * 
+ * @param {Object} options Arc options
+ * @param {number} options.x1 X coordinate of start point
+ * @param {number} options.y1 Y coordinate of start point
+ * @param {number} options.xDir X component of the tangent direction at the start
+ * @param {number} options.yDir Y component of the tangent direction at the start
+ * @param {number} options.x2 X coordinate of end point
+ * @param {number} options.y2 Y coordinate of end point
+ * @param {string} [options.entityId=null] Optional entity ID
+ * @returns {Object} Arc entity definition
+ */
+function createTangentArc({ entityId = null, ...geometry }) {
+  return createArc({ ...solveTangentArc(geometry), entityId });
+}
+
+/**
+ * Create a control point spline entity definition. The spline is clamped
+ * to its first and last control points; with exactly degree + 1 control
+ * points it is a single Bezier span.
+ * 
+ * @param {Object} options Spline options
+ * @param {Array<Array<number>>} options.controlPoints Control points as [x, y] pairs
+ * @param {number} [options.degree=3] Polynomial degree of the spline
+ * @param {string} [options.entityId=null] Optional entity ID
+ * @returns {Object} Spline entity definition
+ */
+function createSpline({ controlPoints, degree = 3, entityId = null }) {
+  if (!Number.isInteger(degree) || degree < 1) {
+    throw new ValidationError(`Invalid spline degree: ${degree}`);
+  }
+  
+  if (!Array.isArray(controlPoints) || controlPoints.length < degree + 1) {
+    throw new ValidationError(`A degree ${degree} spline needs at least ${degree + 1} control points`);
+  }
+  
+  const id = entityId || generateId();
+  const count = controlPoints.length;
+  
+  // Clamped knot vector: degree + 1 repeated knots at each end and
+  // uniformly spaced interior knots in between
+  const interior = count - degree - 1;
+  const knots = [
+    ...Array(degree + 1).fill(0),
+    ...Array.from({ length: interior }, (_, i) => (i + 1) / (interior + 1)),
+    ...Array(degree + 1).fill(1)
+  ];
+  
   return {
     btType: "BTMSketchCurveSegment-155",
-    startPointId: generateId(),
-    endPointId: generateId(),
+    entityId: id,
+    startPointId: `${id}.start`,
+    endPointId: `${id}.end`,
     startParam: 0,
     endParam: 1,
-    parameters: [
-      {
-        btType: "BTMParameterPoint-25",
-        parameterId: "start",
-        expression: `point(${x1}, ${y1}, 0)`
-      },
-      {
-        btType: "BTMParameterPoint-25",
-        parameterId: "end",
-        expression: `point(${x2}, ${y2}, 0)`
-      }
-    ],
-    centerId: generateId(),
-    entityId: entityId || generateId()
+    geometry: {
+      btType: "BTCurveGeometryControlPointSpline-2197",
+      degree: degree,
+      isBezier: interior === 0,
+      isPeriodic: false,
+      isRational: false,
+      controlPointCount: count,
+      controlPoints: controlPoints.flatMap(([x, y]) => [x, y]),
+      knots: knots
+    }
+  };
+}
+
+/**
+ * Create a sketch constraint definition
+ * 
+ * @param {Object} options Constraint options
+ * @param {string} options.constraintType Onshape constraint type (COINCIDENT, HORIZONTAL, RADIUS, etc.)
+ * @param {string} options.first Entity or vertex ID of the first reference
+ * @param {string} [options.second=null] Entity or vertex ID of the second reference
+ * @param {string} [options.expression=null] Value expression for dimensions (e.g. "5 mm")
+ * @param {string} [options.valueParameterId="length"] Parameter ID that holds the dimension value
+ * @param {string} [options.entityId=null] Optional constraint ID
+ * @returns {Object} Constraint definition
+ */
+function createConstraint({
+  constraintType,
+  first,
+  second = null,
+  expression = null,
+  valueParameterId = "length",
+  entityId = null
+}) {
+  const parameters = [
+    {
+      btType: "BTMParameterString-149",
+      value: first,
+      parameterId: "localFirst"
+    }
+  ];
+  
+  if (second) {
+    parameters.push({
+      btType: "BTMParameterString-149",
+      value: second,
+      parameterId: "localSecond"
+    });
+  }
+  
+  if (expression !== null) {
+    parameters.push({
+      btType: "BTMParameterQuantity-147",
+      isInteger: false,
+      expression: expression,
+      parameterId: valueParameterId
+    });
+  }
+  
+  return {
+    btType: "BTMSketchConstraint-2",
+    constraintType: constraintType,
+    entityId: entityId || generateId(),
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a query list parameter from deterministic/transient IDs
+ * 
+ * @param {string} parameterId Parameter ID
+ * @param {Array<string|Object>} ids Entity IDs, or queries and entities with toIndividualQuery()
+ * @returns {Object} Query list parameter
+ */
+function createQueryListParameter(parameterId, ids) {
+  return {
+    btType: "BTMParameterQueryList-148",
+    queries: ids.map(id => typeof id === 'string' ? {
+      btType: "BTMIndividualQuery-138",
+      deterministicIds: [id]
+    } : id.toIndividualQuery()),
+    parameterId: parameterId
+  };
+}
+
+/**
+ * Create an enum parameter
+ * 
+ * @param {string} parameterId Parameter ID
+ * @param {string} enumName FeatureScript enum name
+ * @param {string} value Enum value
+ * @returns {Object} Enum parameter
+ */
+function createEnumParameter(parameterId, enumName, value) {
+  return {
+    btType: "BTMParameterEnum-145",
+    namespace: "",
+    enumName: enumName,
+    value: value,
+    parameterId: parameterId
+  };
+}
+
+/**
+ * Create a boolean parameter
+ * 
+ * @param {string} parameterId Parameter ID
+ * @param {boolean} value Parameter value
+ * @returns {Object} Boolean parameter
+ */
+function createBooleanParameter(parameterId, value) {
+  return {
+    btType: "BTMParameterBoolean-144",
+    value: !!value,
+    parameterId: parameterId
   };
 }
 
+/**
+ * Create a quantity parameter
+ * 
+ * @param {string} parameterId Parameter ID
+ * @param {string} expression Onshape expression, e.g. "10 mm"
+ * @returns {Object} Quantity parameter
+ */
+function createQuantityParameter(parameterId, expression) {
+  return {
+    btType: "BTMParameterQuantity-147",
+    isInteger: false,
+    expression: expression,
+    parameterId: parameterId
+  };
+}
+
+/**
+ * Create a string parameter
+ * 
+ * @param {string} parameterId Parameter ID
+ * @param {string} value Parameter value
+ * @returns {Object} String parameter
+ */
+function createStringParameter(parameterId, value) {
+  return {
+    btType: "BTMParameterString-149",
+    value: value,
+    parameterId: parameterId
+  };
+}
+
+/**
+ * Create an integer quantity parameter, such as an instance count
+ * 
+ * @param {string} parameterId Parameter ID
+ * @param {number|string} value Parameter value, or an expression such as "#count"
+ * @returns {Object} Quantity parameter
+ */
+function createIntegerParameter(parameterId, value) {
+  if (typeof value === 'string') {
+    return {
+      btType: "BTMParameterQuantity-147",
+      isInteger: true,
+      expression: value,
+      parameterId: parameterId
+    };
+  }
+  
+  return {
+    btType: "BTMParameterQuantity-147",
+    isInteger: true,
+    value: value,
+    expression: `${value}`,
+    parameterId: parameterId
+  };
+}
+
+/**
+ * Create the operation type and boolean scope parameters of a body-creating feature
+ * 
+ * @param {string} operationType Operation type (NEW, ADD, REMOVE, INTERSECT)
+ * @param {Array<string>} booleanScope IDs of bodies to operate on, or all touching bodies if empty
+ * @returns {Array<Object>} Feature parameters
+ */
+function createBooleanScopeParameters(operationType, booleanScope) {
+  const parameters = [
+    createEnumParameter("operationType", "NewBodyOperationType", operationType)
+  ];
+  
+  if (operationType !== "NEW") {
+    parameters.push(createBooleanParameter("defaultScope", booleanScope.length === 0));
+    
+    if (booleanScope.length > 0) {
+      parameters.push(createQueryListParameter("booleanScope", booleanScope));
+    }
+  }
+  
+  return parameters;
+}
+
+/**
+ * Onshape bounding types and up-to entity parameters for each extrude end type
+ */
+const EXTRUDE_BOUNDS = {
+  BLIND: { value: "BLIND" },
+  THROUGH_ALL: { value: "THROUGH_ALL" },
+  UP_TO_NEXT: { value: "UP_TO_NEXT" },
+  UP_TO_FACE: { value: "UP_TO_SURFACE", entitySuffix: "EntityFace" },
+  UP_TO_PART: { value: "UP_TO_BODY", entitySuffix: "EntityBody" },
+  UP_TO_VERTEX: { value: "UP_TO_VERTEX", entitySuffix: "EntityVertex" }
+};
+
+/**
+ * Parameter IDs of the first and second extrude directions
+ */
+const EXTRUDE_DIRECTION_PARAMETERS = {
+  first: {
+    bound: "endBound",
+    boundEnum: "BoundingType",
+    boundEntity: "endBound",
+    depth: "depth",
+    oppositeDirection: "oppositeDirection",
+    hasOffset: "hasOffset",
+    offsetDistance: "offsetDistance",
+    offsetOppositeDirection: "offsetOppositeDirection",
+    hasDraft: "hasDraft",
+    draftAngle: "draftAngle",
+    draftPullDirection: "draftPullDirection"
+  },
+  second: {
+    bound: "secondDirectionBound",
+    boundEnum: "SecondDirectionBoundingType",
+    boundEntity: "secondDirectionBound",
+    depth: "secondDirectionDepth",
+    oppositeDirection: "secondDirectionOppositeDirection",
+    hasOffset: "hasSecondDirectionOffset",
+    offsetDistance: "secondDirectionOffsetDistance",
+    offsetOppositeDirection: "secondDirectionOffsetOppositeDirection",
+    hasDraft: "hasSecondDirectionDraft",
+    draftAngle: "secondDirectionDraftAngle",
+    draftPullDirection: "secondDirectionDraftPullDirection"
+  }
+};
+
+/**
+ * Create the parameters for one direction of an extrude
+ * 
+ * @param {Object} ids Parameter IDs from EXTRUDE_DIRECTION_PARAMETERS
+ * @param {Object} bound Direction options
+ * @param {string} bound.endType End type (BLIND, THROUGH_ALL, UP_TO_NEXT, UP_TO_FACE, UP_TO_PART, UP_TO_VERTEX)
+ * @param {number|string} [bound.distance] Depth for blind extrudes
+ * @param {boolean} [bound.oppositeDirection=false] Whether to flip the direction
+ * @param {Array<string>} [bound.upToIds=[]] IDs of the face, part or vertex to extrude up to
+ * @param {Object} [bound.offset=null] Offset from the up-to entity { distance, oppositeDirection }
+ * @param {Object} [bound.draft=null] Draft { angle, pullDirection }
+ * @param {string} unitSystem Unit system for numeric lengths
+ * @returns {Array<Object>} Feature parameters
+ */
+function createExtrudeBoundParameters(ids, { 
+  endType, 
+  distance, 
+  oppositeDirection = false, 
+  upToIds = [], 
+  offset = null, 
+  draft = null 
+}, unitSystem) {
+  const bound = EXTRUDE_BOUNDS[endType];
+  if (!bound) {
+    throw new ValidationError(`Invalid extrude end type: ${endType}`);
+  }
+  
+  const parameters = [
+    createEnumParameter(ids.bound, ids.boundEnum, bound.value),
+    createBooleanParameter(ids.oppositeDirection, oppositeDirection)
+  ];
+  
+  if (endType === "BLIND") {
+    parameters.push(createQuantityParameter(ids.depth, toLengthExpression(distance, unitSystem)));
+  }
+  
+  if (bound.entitySuffix) {
+    parameters.push(createQueryListParameter(`${ids.boundEntity}${bound.entitySuffix}`, upToIds));
+  }
+  
+  if (offset) {
+    parameters.push(
+      createBooleanParameter(ids.hasOffset, true),
+      createQuantityParameter(ids.offsetDistance, toLengthExpression(offset.distance, unitSystem)),
+      createBooleanParameter(ids.offsetOppositeDirection, offset.oppositeDirection)
+    );
+  }
+  
+  if (draft) {
+    parameters.push(
+      createBooleanParameter(ids.hasDraft, true),
+      createQuantityParameter(ids.draftAngle, toAngleExpression(draft.angle)),
+      createBooleanParameter(ids.draftPullDirection, draft.pullDirection)
+    );
+  }
+  
+  return parameters;
+}
+
 /**
  * Create an extrude feature definition
  * 
  * @param {Object} options Extrude options
  * @param {string} options.name Extrude name
  * @param {Array<string>} options.facesIds IDs of faces to extrude
- * @param {number} options.distance Extrusion distance
- * @param {string} [options.operationType="NEW"] Operation type (NEW, ADD, REMOVE, etc.)
- * @param {Array<string>} [options.booleanScope=[]] IDs of bodies for boolean operations
+ * @param {number|string} [options.distance] Extrusion depth for blind extrudes
+ * @param {string} [options.operationType="NEW"] Operation type (NEW, ADD, REMOVE, INTERSECT)
+ * @param {Array<string>} [options.booleanScope=[]] IDs of bodies for boolean operations, or all touching bodies if empty
+ * @param {string} [options.endType="BLIND"] End type of the first direction
+ * @param {boolean} [options.symmetric=false] Whether to extrude symmetrically about the sketch plane
+ * @param {boolean} [options.oppositeDirection=false] Whether to flip the first direction
+ * @param {Array<string>} [options.upToIds=[]] IDs of the face, part or vertex to extrude up to
+ * @param {Object} [options.offset=null] Offset from the up-to entity { distance, oppositeDirection }
+ * @param {Object} [options.draft=null] Draft { angle, pullDirection }
+ * @param {Object} [options.secondDirection=null] Second direction, with the same options as the first
+ * @param {Object} [options.thin=null] Thin extrude { thickness, secondThickness, midplane, flipWall }
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
  * @returns {Object} Extrude feature definition
  */
-function createExtrude({ name, facesIds, distance, operationType = "NEW", booleanScope = [] }) {
-  const feature = {
+function createExtrude({ 
+  name, 
+  facesIds, 
+  distance, 
+  operationType = "NEW", 
+  booleanScope = [],
+  endType = "BLIND",
+  symmetric = false,
+  oppositeDirection = false,
+  upToIds = [],
+  offset = null,
+  draft = null,
+  secondDirection = null,
+  thin = null,
+  unitSystem = "inch"
+}) {
+  const parameters = [
+    createEnumParameter("bodyType", "ExtendedToolBodyType", thin ? "THIN" : "SOLID"),
+    ...createBooleanScopeParameters(operationType, booleanScope),
+    // Thin extrudes take their profile from the wall shape
+    createQueryListParameter(thin ? "wallShape" : "entities", facesIds),
+    ...createExtrudeBoundParameters(EXTRUDE_DIRECTION_PARAMETERS.first, {
+      endType,
+      distance,
+      oppositeDirection,
+      upToIds,
+      offset,
+      draft
+    }, unitSystem)
+  ];
+  
+  if (symmetric) {
+    parameters.push(createBooleanParameter("symmetric", true));
+  }
+  
+  if (secondDirection) {
+    parameters.push(
+      createBooleanParameter("hasSecondDirection", true),
+      ...createExtrudeBoundParameters(EXTRUDE_DIRECTION_PARAMETERS.second, {
+        // The second direction runs opposite to the first by default
+        oppositeDirection: true,
+        ...secondDirection
+      }, unitSystem)
+    );
+  }
+  
+  if (thin) {
+    if (thin.midplane) {
+      parameters.push(
+        createBooleanParameter("midplane", true),
+        createQuantityParameter("thickness", toLengthExpression(thin.thickness, unitSystem))
+      );
+    } else {
+      parameters.push(
+        createBooleanParameter("midplane", false),
+        createQuantityParameter("thickness1", toLengthExpression(thin.thickness, unitSystem)),
+        createBooleanParameter("flipWall", thin.flipWall),
+        createQuantityParameter("thickness2", toLengthExpression(thin.secondThickness || 0, unitSystem))
+      );
+    }
+  }
+  
+  return {
     btType: "BTMFeature-134",
     featureType: "extrude",
     name: name,
     suppressed: false,
-    parameters: [
-      {
-        btType: "BTMParameterQueryList-148",
-        queries: facesIds.map(id => ({
-          btType: "BTMIndividualQuery-138",
-          deterministicIds: [id]
-        })),
-        parameterId: "entities"
-      },
-      {
-        btType: "BTMParameterEnum-145",
-        namespace: "",
-        enumName: "ExtrudeOperationType",
-        value: operationType,
-        parameterId: "operationType"
-      },
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a revolve feature definition
+ * 
+ * @param {Object} options Revolve options
+ * @param {string} options.name Revolve name
+ * @param {Array<string>} options.facesIds IDs of faces to revolve
+ * @param {Array<string>} options.axisIds IDs of the axis edge
+ * @param {string} [options.revolveType="FULL"] Revolve type (FULL, ONE_DIRECTION, SYMMETRIC, TWO_DIRECTIONS)
+ * @param {number|string} [options.angle] Revolve angle, in degrees if a number
+ * @param {number|string} [options.secondAngle] Angle of the second direction for TWO_DIRECTIONS
+ * @param {boolean} [options.oppositeDirection=false] Whether to flip the revolve direction
+ * @param {string} [options.operationType="NEW"] Operation type (NEW, ADD, REMOVE, INTERSECT)
+ * @param {Array<string>} [options.booleanScope=[]] IDs of bodies for boolean operations, or all touching bodies if empty
+ * @returns {Object} Revolve feature definition
+ */
+function createRevolve({
+  name,
+  facesIds,
+  axisIds,
+  revolveType = "FULL",
+  angle,
+  secondAngle,
+  oppositeDirection = false,
+  operationType = "NEW",
+  booleanScope = []
+}) {
+  const parameters = [
+    createEnumParameter("bodyType", "ExtendedToolBodyType", "SOLID"),
+    ...createBooleanScopeParameters(operationType, booleanScope),
+    createQueryListParameter("entities", facesIds),
+    createQueryListParameter("axis", axisIds),
+    createEnumParameter("revolveType", "RevolveType", revolveType)
+  ];
+  
+  if (revolveType !== "FULL") {
+    parameters.push(
+      createQuantityParameter("angle", toAngleExpression(angle)),
+      createBooleanParameter("oppositeDirection", oppositeDirection)
+    );
+  }
+  
+  if (revolveType === "TWO_DIRECTIONS") {
+    parameters.push(createQuantityParameter("angleBack", toAngleExpression(secondAngle)));
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "revolve",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a fillet feature definition
+ * 
+ * @param {Object} options Fillet options
+ * @param {string} options.name Fillet name
+ * @param {Array<string>} options.edgeIds IDs of edges (or faces) to fillet
+ * @param {number|string} options.radius Fillet radius
+ * @param {boolean} [options.tangentPropagation=true] Whether to propagate along tangent edges
+ * @param {Array<Object>} [options.variableRadii=[]] Radii at vertices { vertexIds, radius } for a variable fillet
+ * @param {boolean} [options.smoothTransition=false] Whether variable radii blend smoothly
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} Fillet feature definition
+ */
+function createFillet({
+  name,
+  edgeIds,
+  radius,
+  tangentPropagation = true,
+  variableRadii = [],
+  smoothTransition = false,
+  unitSystem = "inch"
+}) {
+  const parameters = [
+    createQueryListParameter("entities", edgeIds),
+    createEnumParameter("crossSection", "FilletCrossSection", "CIRCULAR"),
+    createQuantityParameter("radius", toLengthExpression(radius, unitSystem)),
+    createBooleanParameter("tangentPropagation", tangentPropagation),
+    createBooleanParameter("isVariable", variableRadii.length > 0)
+  ];
+  
+  if (variableRadii.length > 0) {
+    parameters.push(
       {
-        btType: "BTMParameterQuantity-147",
-        isInteger: false,
-        value: distance,
-        expression: `${distance} in`,
-        parameterId: "depth"
+        btType: "BTMParameterArray-2025",
+        parameterId: "vertexSettings",
+        items: variableRadii.map(({ vertexIds, radius: vertexRadius }) => ({
+          btType: "BTMArrayParameterItem-1843",
+          parameters: [
+            createQueryListParameter("vertexQuery", vertexIds),
+            createQuantityParameter("vertexRadius", toLengthExpression(vertexRadius, unitSystem))
+          ]
+        }))
       },
-      {
-        btType: "BTMParameterEnum-145",
-        namespace: "",
-        enumName: "ExtrudeEndType",
-        value: "Blind",
-        parameterId: "endType"
-      }
-    ]
+      createBooleanParameter("smoothTransition", smoothTransition)
+    );
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "fillet",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a chamfer feature definition
+ * 
+ * @param {Object} options Chamfer options
+ * @param {string} options.name Chamfer name
+ * @param {Array<string>} options.edgeIds IDs of edges (or faces) to chamfer
+ * @param {string} [options.chamferType="EQUAL_OFFSETS"] Chamfer type (EQUAL_OFFSETS, TWO_OFFSETS, OFFSET_ANGLE)
+ * @param {number|string} options.distance Chamfer distance, or the first distance for TWO_OFFSETS
+ * @param {number|string} [options.secondDistance] Second distance for TWO_OFFSETS
+ * @param {number|string} [options.angle] Angle for OFFSET_ANGLE, in degrees if a number
+ * @param {boolean} [options.oppositeDirection=false] Whether to swap the sides of an asymmetric chamfer
+ * @param {boolean} [options.tangentPropagation=true] Whether to propagate along tangent edges
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} Chamfer feature definition
+ */
+function createChamfer({
+  name,
+  edgeIds,
+  chamferType = "EQUAL_OFFSETS",
+  distance,
+  secondDistance,
+  angle,
+  oppositeDirection = false,
+  tangentPropagation = true,
+  unitSystem = "inch"
+}) {
+  const parameters = [
+    createQueryListParameter("entities", edgeIds),
+    createEnumParameter("chamferType", "ChamferType", chamferType),
+    createBooleanParameter("tangentPropagation", tangentPropagation)
+  ];
+  
+  if (chamferType === "TWO_OFFSETS") {
+    parameters.push(
+      createQuantityParameter("width1", toLengthExpression(distance, unitSystem)),
+      createQuantityParameter("width2", toLengthExpression(secondDistance, unitSystem)),
+      createBooleanParameter("oppositeDirection", oppositeDirection)
+    );
+  } else {
+    parameters.push(createQuantityParameter("width", toLengthExpression(distance, unitSystem)));
+  }
+  
+  if (chamferType === "OFFSET_ANGLE") {
+    parameters.push(
+      createQuantityParameter("angle", toAngleExpression(angle)),
+      createBooleanParameter("oppositeDirection", oppositeDirection)
+    );
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "chamfer",
+    name: name,
+    suppressed: false,
+    parameters: parameters
   };
+}
+
+/**
+ * Create the parameters selecting what a pattern or mirror copies
+ * 
+ * @param {string} patternType What is copied (PART, FACE, FEATURE)
+ * @param {Array<string>} ids Part or face IDs, or feature IDs for FEATURE
+ * @param {string} [enumName="PatternType"] Enum of the patternType parameter (PatternType or MirrorType)
+ * @returns {Array<Object>} Feature parameters
+ */
+function createPatternTargetParameters(patternType, ids, enumName = "PatternType") {
+  const parameters = [
+    createEnumParameter("patternType", enumName, patternType)
+  ];
+  
+  if (patternType === "FEATURE") {
+    parameters.push({
+      btType: "BTMParameterFeatureList-1749",
+      featureIds: ids,
+      parameterId: "instanceFunction"
+    });
+  } else {
+    parameters.push(createQueryListParameter(patternType === "FACE" ? "faces" : "entities", ids));
+  }
+  
+  return parameters;
+}
+
+/**
+ * Create the skipped instances parameter of a pattern
+ * 
+ * @param {Array<Array<number>>} skippedInstances Instance indices [first, second] to skip
+ * @returns {Object} Array parameter
+ */
+function createSkippedInstancesParameter(skippedInstances) {
+  return {
+    btType: "BTMParameterArray-2025",
+    parameterId: "skippedInstances",
+    items: skippedInstances.map(([first, second = 0]) => ({
+      btType: "BTMArrayParameterItem-1843",
+      parameters: [
+        createIntegerParameter("instanceIndex", first),
+        createIntegerParameter("instanceIndexTwo", second)
+      ]
+    }))
+  };
+}
+
+/**
+ * Create a linear pattern feature definition
+ * 
+ * @param {Object} options Linear pattern options
+ * @param {string} options.name Pattern name
+ * @param {string} [options.patternType="PART"] What is patterned (PART, FACE, FEATURE)
+ * @param {Array<string>} options.targetIds Part or face IDs, or feature IDs for FEATURE
+ * @param {Array<string>} options.directionIds IDs of the edge or plane giving the direction
+ * @param {number|string} options.distance Spacing between instances
+ * @param {number|string} options.count Number of instances, including the original
+ * @param {boolean} [options.oppositeDirection=false] Whether to flip the direction
+ * @param {Object} [options.secondDirection=null] Second direction { directionIds, distance, count, oppositeDirection }
+ * @param {Array<Array<number>>} [options.skippedInstances=[]] Instance indices to skip
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} Linear pattern feature definition
+ */
+function createLinearPattern({
+  name,
+  patternType = "PART",
+  targetIds,
+  directionIds,
+  distance,
+  count,
+  oppositeDirection = false,
+  secondDirection = null,
+  skippedInstances = [],
+  unitSystem = "inch"
+}) {
+  const parameters = [
+    ...createPatternTargetParameters(patternType, targetIds),
+    createQueryListParameter("directionOne", directionIds),
+    createQuantityParameter("distance", toLengthExpression(distance, unitSystem)),
+    createIntegerParameter("instanceCount", count),
+    createBooleanParameter("oppositeDirection", oppositeDirection),
+    createBooleanParameter("hasSecondDir", !!secondDirection)
+  ];
+  
+  if (secondDirection) {
+    parameters.push(
+      createQueryListParameter("directionTwo", secondDirection.directionIds),
+      createQuantityParameter("distanceTwo", toLengthExpression(secondDirection.distance, unitSystem)),
+      createIntegerParameter("instanceCountTwo", secondDirection.count),
+      createBooleanParameter("oppositeDirectionTwo", secondDirection.oppositeDirection)
+    );
+  }
+  
+  if (skippedInstances.length > 0) {
+    parameters.push(createSkippedInstancesParameter(skippedInstances));
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "linearPattern",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a circular pattern feature definition
+ * 
+ * @param {Object} options Circular pattern options
+ * @param {string} options.name Pattern name
+ * @param {string} [options.patternType="PART"] What is patterned (PART, FACE, FEATURE)
+ * @param {Array<string>} options.targetIds Part or face IDs, or feature IDs for FEATURE
+ * @param {Array<string>} options.axisIds IDs of the axis edge
+ * @param {number|string} [options.angle=360] Total angle, or the angle between instances if not equally spaced
+ * @param {number|string} options.count Number of instances, including the original
+ * @param {boolean} [options.equalSpacing=true] Whether instances are spread equally over the angle
+ * @param {boolean} [options.oppositeDirection=false] Whether to flip the direction
+ * @param {Array<Array<number>>} [options.skippedInstances=[]] Instance indices to skip
+ * @returns {Object} Circular pattern feature definition
+ */
+function createCircularPattern({
+  name,
+  patternType = "PART",
+  targetIds,
+  axisIds,
+  angle = 360,
+  count,
+  equalSpacing = true,
+  oppositeDirection = false,
+  skippedInstances = []
+}) {
+  const parameters = [
+    ...createPatternTargetParameters(patternType, targetIds),
+    createQueryListParameter("axis", axisIds),
+    createQuantityParameter("angle", toAngleExpression(angle)),
+    createIntegerParameter("instanceCount", count),
+    createBooleanParameter("equalSpace", equalSpacing),
+    createBooleanParameter("oppositeDirection", oppositeDirection)
+  ];
+  
+  if (skippedInstances.length > 0) {
+    parameters.push(createSkippedInstancesParameter(skippedInstances));
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "circularPattern",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a curve pattern feature definition
+ * 
+ * @param {Object} options Curve pattern options
+ * @param {string} options.name Pattern name
+ * @param {string} [options.patternType="PART"] What is patterned (PART, FACE, FEATURE)
+ * @param {Array<string>} options.targetIds Part or face IDs, or feature IDs for FEATURE
+ * @param {Array<string>} options.pathIds IDs of the edges the instances follow
+ * @param {number|string} options.count Number of instances, including the original
+ * @param {Array<Array<number>>} [options.skippedInstances=[]] Instance indices to skip
+ * @returns {Object} Curve pattern feature definition
+ */
+function createCurvePattern({
+  name,
+  patternType = "PART",
+  targetIds,
+  pathIds,
+  count,
+  skippedInstances = []
+}) {
+  const parameters = [
+    ...createPatternTargetParameters(patternType, targetIds),
+    createQueryListParameter("edges", pathIds),
+    createIntegerParameter("instanceCount", count)
+  ];
+  
+  if (skippedInstances.length > 0) {
+    parameters.push(createSkippedInstancesParameter(skippedInstances));
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "curvePattern",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a mirror feature definition
+ * 
+ * @param {Object} options Mirror options
+ * @param {string} options.name Mirror name
+ * @param {string} [options.patternType="PART"] What is mirrored (PART, FACE, FEATURE)
+ * @param {Array<string>} options.targetIds Part or face IDs, or feature IDs for FEATURE
+ * @param {Array<string>} options.planeIds IDs of the mirror plane or planar face
+ * @param {string} [options.operationType="NEW"] Operation type for part mirrors (NEW, ADD)
+ * @param {Array<string>} [options.booleanScope=[]] IDs of bodies to merge with, or all touching bodies if empty
+ * @returns {Object} Mirror feature definition
+ */
+function createMirror({
+  name,
+  patternType = "PART",
+  targetIds,
+  planeIds,
+  operationType = "NEW",
+  booleanScope = []
+}) {
+  const parameters = [
+    ...createPatternTargetParameters(patternType, targetIds, "MirrorType"),
+    createQueryListParameter("mirrorPlane", planeIds)
+  ];
+  
+  if (patternType === "PART") {
+    parameters.push(...createBooleanScopeParameters(operationType, booleanScope));
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "mirror",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a loft feature definition
+ * 
+ * @param {Object} options Loft options
+ * @param {string} options.name Loft name
+ * @param {Array<Array<string>>} options.profileIds IDs of each profile's faces, in loft order
+ * @param {Array<Array<string>>} [options.guideIds=[]] IDs of each guide curve's edges
+ * @param {string} [options.startCondition="DEFAULT"] Condition at the first profile (LoftEndDerivativeType)
+ * @param {number} [options.startMagnitude=1] Strength of the start condition
+ * @param {string} [options.endCondition="DEFAULT"] Condition at the last profile (LoftEndDerivativeType)
+ * @param {number} [options.endMagnitude=1] Strength of the end condition
+ * @param {string} [options.operationType="NEW"] Operation type (NEW, ADD, REMOVE)
+ * @param {Array<string>} [options.booleanScope=[]] IDs of bodies for boolean operations
+ * @returns {Object} Loft feature definition
+ */
+function createLoft({
+  name,
+  profileIds,
+  guideIds = [],
+  startCondition = "DEFAULT",
+  startMagnitude = 1,
+  endCondition = "DEFAULT",
+  endMagnitude = 1,
+  operationType = "NEW",
+  booleanScope = []
+}) {
+  const parameters = [
+    createEnumParameter("bodyType", "ToolBodyType", "SOLID"),
+    ...createBooleanScopeParameters(operationType, booleanScope),
+    {
+      btType: "BTMParameterArray-2025",
+      parameterId: "sheetProfilesArray",
+      items: profileIds.map(ids => ({
+        btType: "BTMArrayParameterItem-1843",
+        parameters: [createQueryListParameter("sheetProfileEntities", ids)]
+      }))
+    },
+    createEnumParameter("startCondition", "LoftEndDerivativeType", startCondition),
+    createEnumParameter("endCondition", "LoftEndDerivativeType", endCondition),
+    createBooleanParameter("addGuides", guideIds.length > 0)
+  ];
+  
+  if (startCondition !== "DEFAULT") {
+    parameters.push(createQuantityParameter("startMagnitude", `${startMagnitude}`));
+  }
+  
+  if (endCondition !== "DEFAULT") {
+    parameters.push(createQuantityParameter("endMagnitude", `${endMagnitude}`));
+  }
   
-  // Add boolean scope if provided
-  if (booleanScope.length > 0 && operationType !== "NEW") {
-    feature.parameters.push({
-      btType: "BTMParameterQueryList-148",
-      queries: booleanScope.map(id => ({
-        btType: "BTMIndividualQuery-138",
-        deterministicIds: [id]
-      })),
-      parameterId: "booleanScope"
+  if (guideIds.length > 0) {
+    parameters.push({
+      btType: "BTMParameterArray-2025",
+      parameterId: "guidesArray",
+      items: guideIds.map(ids => ({
+        btType: "BTMArrayParameterItem-1843",
+        parameters: [createQueryListParameter("guideEntities", ids)]
+      }))
     });
   }
   
-  return feature;
+  return {
+    btType: "BTMFeature-134",
+    featureType: "loft",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a sweep feature definition
+ * 
+ * @param {Object} options Sweep options
+ * @param {string} options.name Sweep name
+ * @param {Array<string>} options.profileIds IDs of the profile faces
+ * @param {Array<string>} options.pathIds IDs of the path edges
+ * @param {string} [options.profileControl="NONE"] How the profile turns along the path (NONE, KEEP_ORIENTATION)
+ * @param {string} [options.operationType="NEW"] Operation type (NEW, ADD, REMOVE)
+ * @param {Array<string>} [options.booleanScope=[]] IDs of bodies for boolean operations
+ * @returns {Object} Sweep feature definition
+ */
+function createSweep({
+  name,
+  profileIds,
+  pathIds,
+  profileControl = "NONE",
+  operationType = "NEW",
+  booleanScope = []
+}) {
+  return {
+    btType: "BTMFeature-134",
+    featureType: "sweep",
+    name: name,
+    suppressed: false,
+    parameters: [
+      createEnumParameter("bodyType", "ToolBodyType", "SOLID"),
+      ...createBooleanScopeParameters(operationType, booleanScope),
+      createQueryListParameter("profiles", profileIds),
+      createQueryListParameter("path", pathIds),
+      createEnumParameter("profileControl", "ProfileControlMode", profileControl)
+    ]
+  };
+}
+
+/**
+ * Create a shell feature definition
+ * 
+ * @param {Object} options Shell options
+ * @param {string} options.name Shell name
+ * @param {Array<string>} options.faceIds IDs of the faces to remove
+ * @param {number|string} options.thickness Wall thickness
+ * @param {boolean} [options.oppositeDirection=false] Whether to add the wall outside the part
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} Shell feature definition
+ */
+function createShell({
+  name,
+  faceIds,
+  thickness,
+  oppositeDirection = false,
+  unitSystem = "inch"
+}) {
+  return {
+    btType: "BTMFeature-134",
+    featureType: "shell",
+    name: name,
+    suppressed: false,
+    parameters: [
+      createQueryListParameter("entities", faceIds),
+      createBooleanParameter("isHollow", false),
+      createQuantityParameter("thickness", toLengthExpression(thickness, unitSystem)),
+      createBooleanParameter("oppositeDirection", oppositeDirection)
+    ]
+  };
+}
+
+/**
+ * Create a thicken feature definition
+ * 
+ * @param {Object} options Thicken options
+ * @param {string} options.name Thicken name
+ * @param {Array<string>} options.faceIds IDs of the surfaces or faces to thicken
+ * @param {number|string} options.thickness Thickness in the first direction
+ * @param {number|string} [options.secondThickness=0] Thickness in the second direction
+ * @param {boolean} [options.oppositeDirection=false] Whether to swap the directions
+ * @param {string} [options.operationType="NEW"] Operation type (NEW, ADD, REMOVE)
+ * @param {Array<string>} [options.booleanScope=[]] IDs of bodies for boolean operations
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} Thicken feature definition
+ */
+function createThicken({
+  name,
+  faceIds,
+  thickness,
+  secondThickness = 0,
+  oppositeDirection = false,
+  operationType = "NEW",
+  booleanScope = [],
+  unitSystem = "inch"
+}) {
+  return {
+    btType: "BTMFeature-134",
+    featureType: "thicken",
+    name: name,
+    suppressed: false,
+    parameters: [
+      ...createBooleanScopeParameters(operationType, booleanScope),
+      createQueryListParameter("entities", faceIds),
+      createQuantityParameter("thickness1", toLengthExpression(thickness, unitSystem)),
+      createQuantityParameter("thickness2", toLengthExpression(secondThickness, unitSystem)),
+      createBooleanParameter("oppositeDirection", oppositeDirection)
+    ]
+  };
+}
+
+/**
+ * Create a neutral plane draft feature definition
+ * 
+ * @param {Object} options Draft options
+ * @param {string} options.name Draft name
+ * @param {Array<string>} options.neutralPlaneIds IDs of the neutral plane or planar face
+ * @param {Array<string>} options.faceIds IDs of the faces to draft
+ * @param {number|string} options.angle Draft angle, in degrees if a number
+ * @param {boolean} [options.pullDirection=false] Whether to flip the pull direction
+ * @param {boolean} [options.tangentPropagation=true] Whether to propagate along tangent faces
+ * @returns {Object} Draft feature definition
+ */
+function createDraft({
+  name,
+  neutralPlaneIds,
+  faceIds,
+  angle,
+  pullDirection = false,
+  tangentPropagation = true
+}) {
+  return {
+    btType: "BTMFeature-134",
+    featureType: "draft",
+    name: name,
+    suppressed: false,
+    parameters: [
+      createEnumParameter("draftFeatureType", "DraftFeatureType", "NEUTRAL_PLANE"),
+      createQueryListParameter("neutralPlane", neutralPlaneIds),
+      createQueryListParameter("draftFaces", faceIds),
+      createQuantityParameter("angle", toAngleExpression(angle)),
+      createBooleanParameter("pullDirection", pullDirection),
+      createBooleanParameter("tangentPropagation", tangentPropagation)
+    ]
+  };
+}
+
+/**
+ * Create a construction plane feature definition
+ * 
+ * @param {Object} options Construction plane options
+ * @param {string} options.name Plane name
+ * @param {string} options.cplaneType Plane type (OFFSET, PLANE_POINT, LINE_ANGLE, LINE_POINT,
+ *   THREE_POINT, MID_PLANE, CURVE_POINT, TANGENT_PLANE)
+ * @param {Array<string>} options.entityIds IDs of the planes, lines, points or faces defining the plane
+ * @param {number|string} [options.offset] Offset distance for OFFSET planes
+ * @param {number|string} [options.angle] Angle for LINE_ANGLE and TANGENT_PLANE planes, in degrees if a number
+ * @param {boolean} [options.oppositeDirection=false] Whether to flip the offset or angle
+ * @param {string} [options.unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} Construction plane feature definition
+ */
+function createConstructionPlane({
+  name,
+  cplaneType,
+  entityIds,
+  offset,
+  angle,
+  oppositeDirection = false,
+  unitSystem = "inch"
+}) {
+  const parameters = [
+    createQueryListParameter("entities", entityIds),
+    createEnumParameter("cplaneType", "CPlaneType", cplaneType)
+  ];
+  
+  if (offset !== undefined) {
+    parameters.push(createQuantityParameter("offset", toLengthExpression(offset, unitSystem)));
+  }
+  
+  if (angle !== undefined) {
+    parameters.push(createQuantityParameter("angle", toAngleExpression(angle)));
+  }
+  
+  parameters.push(createBooleanParameter("oppositeDirection", oppositeDirection));
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "cPlane",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a boolean feature definition
+ * 
+ * @param {Object} options Boolean options
+ * @param {string} options.name Boolean name
+ * @param {string} [options.operationType="UNION"] Boolean operation (UNION, SUBTRACTION, INTERSECTION)
+ * @param {Array<string>} options.toolIds IDs of the tool bodies
+ * @param {Array<string>} [options.targetIds=[]] IDs of the bodies to subtract from, for SUBTRACTION
+ * @param {boolean} [options.keepTools=false] Whether to keep the tool bodies of a subtraction
+ * @returns {Object} Boolean feature definition
+ */
+function createBoolean({
+  name,
+  operationType = "UNION",
+  toolIds,
+  targetIds = [],
+  keepTools = false
+}) {
+  const parameters = [
+    createEnumParameter("operationType", "BooleanOperationType", operationType),
+    createQueryListParameter("tools", toolIds)
+  ];
+  
+  if (operationType === "SUBTRACTION") {
+    parameters.push(
+      createQueryListParameter("targets", targetIds),
+      createBooleanParameter("keepTools", keepTools)
+    );
+  }
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "booleanBodies",
+    name: name,
+    suppressed: false,
+    parameters: parameters
+  };
+}
+
+/**
+ * Create a variable feature definition
+ * 
+ * @param {Object} options Variable options
+ * @param {string} options.name Variable name, without the leading '#'
+ * @param {string} [options.variableType="LENGTH"] Variable type (LENGTH, ANGLE, NUMBER, ANY)
+ * @param {string} options.expression Onshape expression for the value, e.g. "2 mm" or "#width / 2"
+ * @param {string} [options.description=""] Description shown in the variable table
+ * @returns {Object} Variable feature definition
+ */
+function createVariable({
+  name,
+  variableType = "LENGTH",
+  expression,
+  description = ""
+}) {
+  const valueParameterIds = {
+    LENGTH: "lengthValue",
+    ANGLE: "angleValue",
+    NUMBER: "numberValue",
+    ANY: "anyValue"
+  };
+  
+  return {
+    btType: "BTMFeature-134",
+    featureType: "assignVariable",
+    name: `#${name}`,
+    suppressed: false,
+    parameters: [
+      createEnumParameter("variableType", "VariableType", variableType),
+      createStringParameter("name", name),
+      createQuantityParameter(valueParameterIds[variableType], expression),
+      createStringParameter("description", description)
+    ]
+  };
+}
+
+/**
+ * Make a copy of a feature parameter holding another value. Numbers given to
+ * non-integer quantities are lengths in the unit system; strings are expressions.
+ * 
+ * @param {Object} parameter The feature parameter, as returned by the features API
+ * @param {*} value The new value
+ * @param {string} [unitSystem="inch"] Unit system for numeric lengths
+ * @returns {Object} The updated parameter
+ */
+function withParameterValue(parameter, value, unitSystem = "inch") {
+  if (parameter.btType === "BTMParameterQuantity-147") {
+    let expression = value;
+    if (typeof value === 'number') {
+      expression = parameter.isInteger ? `${value}` : toLengthExpression(value, unitSystem);
+    }
+    return { ...parameter, expression, value: undefined };
+  }
+  
+  if (parameter.btType === "BTMParameterBoolean-144") {
+    return { ...parameter, value: !!value };
+  }
+  
+  return { ...parameter, value };
+}
+
+/**
+ * Create a list configuration input definition
+ * 
+ * @param {Object} options List input options
+ * @param {string} options.parameterId Input ID
+ * @param {string} options.name Input name shown in the configuration panel
+ * @param {Array<Object>} options.options Options as { option, optionName }
+ * @param {string} [options.defaultOption] Option ID of the default, the first option if omitted
+ * @returns {Object} Configuration parameter definition
+ */
+function createConfigurationListInput({ parameterId, name, options, defaultOption }) {
+  return {
+    btType: "BTMConfigurationParameterEnum-105",
+    parameterId: parameterId,
+    parameterName: name,
+    enumName: `${parameterId}_conf`,
+    namespace: "",
+    defaultValue: defaultOption || options[0].option,
+    options: options.map(({ option, optionName }) => ({
+      btType: "BTMEnumOption-592",
+      option: option,
+      optionName: optionName
+    }))
+  };
+}
+
+/**
+ * Create a checkbox configuration input definition
+ * 
+ * @param {Object} options Boolean input options
+ * @param {string} options.parameterId Input ID
+ * @param {string} options.name Input name shown in the configuration panel
+ * @param {boolean} [options.defaultValue=false] Default value
+ * @returns {Object} Configuration parameter definition
+ */
+function createConfigurationBooleanInput({ parameterId, name, defaultValue = false }) {
+  return {
+    btType: "BTMConfigurationParameterBoolean-2550",
+    parameterId: parameterId,
+    parameterName: name,
+    defaultValue: !!defaultValue
+  };
+}
+
+/**
+ * Create a quantity configuration input definition, referenced in expressions as #parameterId
+ * 
+ * @param {Object} options Quantity input options
+ * @param {string} options.parameterId Input ID
+ * @param {string} options.name Input name shown in the configuration panel
+ * @param {string} [options.quantityType="LENGTH"] Quantity type (LENGTH, ANGLE, INTEGER, REAL)
+ * @param {string} [options.units=""] Units of the range, e.g. "millimeter", "inch" or "degree"
+ * @param {number} options.minValue Smallest allowed value
+ * @param {number} options.maxValue Largest allowed value
+ * @param {number} options.defaultValue Default value
+ * @returns {Object} Configuration parameter definition
+ */
+function createConfigurationQuantityInput({
+  parameterId,
+  name,
+  quantityType = "LENGTH",
+  units = "",
+  minValue,
+  maxValue,
+  defaultValue
+}) {
+  return {
+    btType: "BTMConfigurationParameterQuantity-1826",
+    parameterId: parameterId,
+    parameterName: name,
+    quantityType: quantityType,
+    rangeAndDefault: {
+      btType: "BTQuantityRange-181",
+      units: units,
+      minValue: minValue,
+      maxValue: maxValue,
+      defaultValue: defaultValue
+    }
+  };
+}
+
+/**
+ * Create the current configuration value of a configuration input, set to its default
+ * 
+ * @param {Object} input Configuration parameter definition
+ * @returns {Object} Configuration value parameter
+ */
+function createConfigurationValue(input) {
+  switch (input.btType) {
+    case "BTMConfigurationParameterEnum-105":
+      return createEnumParameter(input.parameterId, input.enumName, input.defaultValue);
+    case "BTMConfigurationParameterBoolean-2550":
+      return createBooleanParameter(input.parameterId, input.defaultValue);
+    default: {
+      const { units, defaultValue } = input.rangeAndDefault;
+      const unitNames = { millimeter: "mm", centimeter: "cm", meter: "m", inch: "in", foot: "ft", degree: "deg", radian: "rad" };
+      return {
+        ...createQuantityParameter(input.parameterId, units ? `${defaultValue} ${unitNames[units] || units}` : `${defaultValue}`),
+        isInteger: input.quantityType === "INTEGER"
+      };
+    }
+  }
+}
+
+/**
+ * Create a feature parameter whose value depends on a configuration input
+ * 
+ * @param {string} parameterId Feature parameter ID
+ * @param {Object} input Configuration parameter definition of a list or checkbox input
+ * @param {Array<Object>} values Values as { key, parameter }, where key is the option ID of a
+ *   list input or true/false for a checkbox, and parameter the feature parameter for that key
+ * @returns {Object} Configured parameter
+ */
+function createConfiguredParameter(parameterId, input, values) {
+  const isList = input.btType === "BTMConfigurationParameterEnum-105";
+  
+  return {
+    btType: "BTMParameterConfigured-2222",
+    parameterId: parameterId,
+    configurationParameterId: input.parameterId,
+    values: values.map(({ key, parameter }) => isList
+      ? {
+        btType: "BTMConfiguredValueByEnum-1508",
+        namespace: "",
+        enumName: input.enumName,
+        enumValue: key,
+        value: { ...parameter, parameterId: parameterId }
+      }
+      : {
+        btType: "BTMConfiguredValueByBoolean-1501",
+        booleanValue: key,
+        value: { ...parameter, parameterId: parameterId }
+      })
+  };
 }
 
 module.exports = {
@@ -187,5 +1553,32 @@ module.exports = {
   createSketch,
   createCircle,
   createLine,
-  createExtrude
+  createArc,
+  createCenterPointArc,
+  createThreePointArc,
+  createTangentArc,
+  createSpline,
+  createConstraint,
+  createExtrude,
+  createRevolve,
+  createFillet,
+  createChamfer,
+  createLinearPattern,
+  createCircularPattern,
+  createCurvePattern,
+  createMirror,
+  createLoft,
+  createSweep,
+  createShell,
+  createThicken,
+  createDraft,
+  createBoolean,
+  createConstructionPlane,
+  createVariable,
+  createConfigurationListInput,
+  createConfigurationBooleanInput,
+  createConfigurationQuantityInput,
+  createConfigurationValue,
+  createConfiguredParameter,
+  withParameterValue
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+// src/entities/edgeFilters.js
+/**
+ * Edge selection helpers for edge-based features such as fillets and chamfers.
+ *
+ * Each helper takes a body source and returns an edge Query, which the
+ * feature evaluates in its part studio when it is uploaded:
+ *
+ *   await Fillet.create({ partStudio, edges: topFaceEdges(part), radius: 0.002 });
+ *
+ * A body source is a Part, a feature that created bodies (e.g. an Extrude),
+ * a body ID, or an array of body IDs.
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { Q, EntityType } = require('./query');
+
+/**
+ * Build a query for the bodies of a body source
+ *
+ * @param {Object|Array<string>|string} source Part, feature, body ID or array of body IDs
+ * @returns {Query} The body query
+ */
+function bodyQuery(source) {
+  if (typeof source === 'string' || Array.isArray(source)) {
+    return Q.transient(source, EntityType.BODY);
+  } else if (source && source.featureId) {
+    return Q.createdBy(source, EntityType.BODY);
+  } else if (source && source.id) {
+    return Q.part(source);
+  }
+
+  throw new ValidationError("Invalid body source for edge filter");
+}
+
+/**
+ * All edges of the bodies
+ *
+ * @param {Object|Array<string>|string} source Body source
+ * @returns {Query} The edge query
+ */
+function allEdges(source) {
+  return bodyQuery(source).edges();
+}
+
+/**
+ * Edges bounding the face furthest along a direction, e.g. the top face
+ *
+ * @param {Object|Array<string>|string} source Body source
+ * @param {string|Array<number>} [direction='Z'] Direction the face is furthest along
+ * @returns {Query} The edge query
+ */
+function topFaceEdges(source, direction = 'Z') {
+  return bodyQuery(source).faces().farthestAlong(direction).edges();
+}
+
+/**
+ * Straight edges parallel to a direction, e.g. the vertical edges of a box
+ *
+ * @param {Object|Array<string>|string} source Body source
+ * @param {string|Array<number>} [direction='Z'] Edge direction
+ * @returns {Query} The edge query
+ */
+function edgesParallelTo(source, direction = 'Z') {
+  return allEdges(source).parallelTo(direction);
+}
+
+module.exports = {
+  allEdges,
+  topFaceEdges,
+  edgesParallelTo
+};
@@ -1,5 +1,69 @@
 // src\entities\parts.js
-const { FeatureError } = require('../utils/errors');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { Q } = require('./query');
+const MetadataApi = require('../api/endpoints/metadata');
+const logger = require('../utils/logger');
+
+// Create scoped logger
+const log = logger.scope('Parts');
+
+/**
+ * Part metadata properties, by the name Onshape gives them
+ */
+const METADATA_PROPERTIES = {
+  name: 'Name',
+  partNumber: 'Part number',
+  description: 'Description',
+  material: 'Material',
+  appearance: 'Appearance'
+};
+
+// Library materials given by name are looked up in
+const DEFAULT_MATERIAL_LIBRARY = 'Onshape Material Library';
+
+/**
+ * Convert a material to a Material property value
+ *
+ * @param {string|Object} material Material name in the Onshape Material Library,
+ *   or a material as { id, displayName, libraryName }
+ * @returns {Object} The property value
+ */
+function toMaterialValue(material) {
+  if (typeof material === 'string' && material) {
+    return { id: material, displayName: material, libraryName: DEFAULT_MATERIAL_LIBRARY };
+  }
+
+  if (material && typeof material === 'object' && material.id) {
+    return { displayName: material.id, libraryName: DEFAULT_MATERIAL_LIBRARY, ...material };
+  }
+
+  throw new ValidationError('Material must be a material name or { id, libraryName }');
+}
+
+/**
+ * Convert an appearance to an Appearance property value
+ *
+ * @param {string|Object} appearance Hex color such as '#ff8800', or
+ *   { color: { red, green, blue }, opacity } with components from 0 to 255
+ * @returns {Object} The property value
+ */
+function toAppearanceValue(appearance) {
+  if (typeof appearance === 'string') {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(appearance);
+    if (!match) {
+      throw new ValidationError(`Invalid appearance color: ${appearance}`);
+    }
+
+    const [red, green, blue] = match.slice(1).map(hex => parseInt(hex, 16));
+    return { color: { red, green, blue }, opacity: 255 };
+  }
+
+  if (appearance && typeof appearance === 'object' && appearance.color) {
+    return { opacity: 255, ...appearance };
+  }
+
+  throw new ValidationError('Appearance must be a hex color or { color: { red, green, blue }, opacity }');
+}
 
 /**
  * Represents a part in an Onshape part studio
@@ -14,6 +78,33 @@ class Part {
     this._model = model;
     this._api = partStudio._api;
     this._client = partStudio._client;
+    
+    // Encoded configuration the part is looked up in, null for the current one
+    this.configuration = model.configuration || null;
+  }
+  
+  /**
+   * Get this part in a specific configuration of its part studio
+   * 
+   * @param {string} configuration Encoded configuration, see Configuration.encode
+   * @returns {Part} The part, looked up in that configuration
+   */
+  inConfiguration(configuration) {
+    return new Part(this.partStudio, { ...this._model, configuration });
+  }
+  
+  /**
+   * Get the workspace and configuration that lookups on this part evaluate in
+   * 
+   * @returns {Object} Workspace/version/microversion identifier
+   * @private
+   */
+  _getWvm() {
+    const wvm = { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id };
+    if (this.configuration) {
+      wvm.configuration = this.configuration;
+    }
+    return wvm;
   }
   
   /**
@@ -33,34 +124,207 @@ class Part {
   }
   
   /**
-   * Get entities of a specific type that are owned by this part
+   * Get the part number
+   * @returns {string|null} Part number, null if not set
+   */
+  get partNumber() {
+    return this._model.partNumber || null;
+  }
+  
+  /**
+   * Get the part description
+   * @returns {string|null} Description, null if not set
+   */
+  get description() {
+    return this._model.description || null;
+  }
+  
+  /**
+   * Get the part material
+   * @returns {Object|null} Material as { id, displayName, libraryName, ... }, null if not set
+   */
+  get material() {
+    return this._model.material || null;
+  }
+  
+  /**
+   * Get the part appearance
+   * @returns {Object|null} Appearance as { color: { red, green, blue }, opacity }
+   */
+  get appearance() {
+    return this._model.appearance || null;
+  }
+  
+  /**
+   * Read the metadata of this part, refreshing the values of its getters
    * 
-   * @param {string} entityType Type of entity ('VERTEX', 'EDGE', 'FACE', 'BODY')
-   * @returns {Promise<Array<string>>} Array of transient IDs of the entities
-   * @private
+   * @returns {Promise<Object>} Metadata as { name, partNumber, description, material, appearance }
    */
-  async _getEntitiesByType(entityType) {
-    const script = `
-      function(context is Context, queries) {
-        var part = { "queryType" : QueryType.TRANSIENT, "transientId" : "${this.id}" } as Query;
-        var part_entities = qOwnedByBody(part, EntityType.${entityType.toUpperCase()});
-        return transientQueriesToStrings(evaluateQuery(context, part_entities));
+  async getMetadata() {
+    try {
+      const properties = await this._getMetadataProperties();
+      
+      for (const [key, propertyName] of Object.entries(METADATA_PROPERTIES)) {
+        const property = properties.get(propertyName.toLowerCase());
+        if (property) {
+          this._model[key] = property.value;
+        }
       }
-    `;
+      
+      return this._describeMetadata();
+    } catch (error) {
+      throw new FeatureError(`Failed to get metadata of part ${this.id}`, error);
+    }
+  }
+  
+  /**
+   * Change the metadata of this part. Only the given values are changed.
+   * 
+   * @param {Object} values Metadata to change
+   * @param {string} [values.name] Part name
+   * @param {string} [values.partNumber] Part number
+   * @param {string} [values.description] Description
+   * @param {string|Object} [values.material] Material name in the Onshape Material Library,
+   *   or a material as { id, displayName, libraryName }
+   * @param {string|Object} [values.appearance] Hex color such as '#ff8800', or
+   *   { color: { red, green, blue }, opacity }
+   * @returns {Promise<Object>} The metadata, as returned by getMetadata
+   */
+  async setMetadata(values) {
+    const changes = this._toPropertyValues(values);
     
     try {
-      const response = await this._api.endpoints.evalFeaturescript(
+      const properties = await this._getMetadataProperties();
+      
+      const updates = Object.entries(changes).map(([key, value]) => {
+        const property = properties.get(METADATA_PROPERTIES[key].toLowerCase());
+        
+        if (!property) {
+          throw new FeatureError(`Part ${this.id} has no ${METADATA_PROPERTIES[key]} property`);
+        }
+        if (property.editable === false) {
+          throw new FeatureError(`The ${METADATA_PROPERTIES[key]} of part ${this.id} cannot be changed`);
+        }
+        
+        return { propertyId: property.propertyId, value };
+      });
+      
+      await this._getMetadataApi().updatePartMetadata(
         this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this._getWvm(),
         this.partStudio.id,
-        script
+        this.id,
+        updates
       );
       
-      if (!response.result || !response.result.value) {
-        return [];
+      Object.assign(this._model, changes);
+      log.debug(`Updated ${updates.length} metadata properties of part ${this.id}`);
+      
+      return this._describeMetadata();
+    } catch (error) {
+      if (error instanceof FeatureError) {
+        throw error;
+      }
+      throw new FeatureError(`Failed to set metadata of part ${this.id}`, error);
+    }
+  }
+  
+  /**
+   * Validate metadata values and convert them to property values
+   * 
+   * @param {Object} values Metadata to change, as accepted by setMetadata
+   * @returns {Object} Property values by metadata key
+   * @private
+   */
+  _toPropertyValues(values) {
+    if (!values || typeof values !== 'object' || Object.keys(values).length === 0) {
+      throw new ValidationError('At least one metadata value is required');
+    }
+    
+    const changes = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in METADATA_PROPERTIES)) {
+        throw new ValidationError(
+          `Unknown part metadata '${key}', expected one of: ${Object.keys(METADATA_PROPERTIES).join(', ')}`
+        );
       }
       
-      return response.result.value.map(item => item.value);
+      if (key === 'material') {
+        changes[key] = toMaterialValue(value);
+      } else if (key === 'appearance') {
+        changes[key] = toAppearanceValue(value);
+      } else if (typeof value !== 'string' || (key === 'name' && !value.trim())) {
+        throw new ValidationError(`Part ${key} must be a${key === 'name' ? ' non-empty' : ''} string`);
+      } else {
+        changes[key] = value;
+      }
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Fetch the metadata properties of this part
+   * 
+   * @returns {Promise<Map<string, Object>>} Properties by lower case name
+   * @private
+   */
+  async _getMetadataProperties() {
+    const response = await this._getMetadataApi().getPartMetadata(
+      this.partStudio.document.id,
+      this._getWvm(),
+      this.partStudio.id,
+      this.id
+    );
+    
+    return new Map((response.properties || []).map(property => [property.name.toLowerCase(), property]));
+  }
+  
+  /**
+   * Get the metadata API, created on first use
+   * 
+   * @returns {MetadataApi} The metadata API
+   * @private
+   */
+  _getMetadataApi() {
+    if (!this._metadataApi) {
+      this._metadataApi = new MetadataApi(this._client);
+    }
+    return this._metadataApi;
+  }
+  
+  /**
+   * Get the metadata values of this part
+   * 
+   * @returns {Object} Metadata as { name, partNumber, description, material, appearance }
+   * @private
+   */
+  _describeMetadata() {
+    return {
+      name: this.name,
+      partNumber: this.partNumber,
+      description: this.description,
+      material: this.material,
+      appearance: this.appearance
+    };
+  }
+  
+  toJSON() {
+    return { partId: this.id, ...this._describeMetadata(), configuration: this.configuration };
+  }
+  
+  /**
+   * Get entities of a specific type that are owned by this part
+   * 
+   * @param {string} entityType Type of entity ('VERTEX', 'EDGE', 'FACE', 'BODY')
+   * @returns {Promise<Array<string>>} Array of transient IDs of the entities
+   * @private
+   */
+  async _getEntitiesByType(entityType) {
+    try {
+      return await Q.part(this).ofType(entityType.toUpperCase()).evaluateIds(this.partStudio, {
+        configuration: this.configuration
+      });
     } catch (error) {
       console.error(`Error getting ${entityType} entities:`, error);
       throw new FeatureError(`Failed to get ${entityType} entities`, error);
@@ -110,33 +374,17 @@ class Part {
    * @returns {Promise<string>} ID of the closest face
    */
   async findClosestFace(point) {
-    const script = `
-      function(context is Context, queries) {
-        var part = { "queryType" : QueryType.TRANSIENT, "transientId" : "${this.id}" } as Query;
-        var faces = qOwnedByBody(part, EntityType.FACE);
-        var closestFace = qClosestTo(faces, vector([${point[0]}, ${point[1]}, ${point[2]}]) * ${
-          this._client.unitSystem === 'inch' ? 'inch' : 'meter'
-        });
-        return transientQueriesToStrings(evaluateQuery(context, closestFace));
-      }
-    `;
-    
     try {
-      const response = await this._api.endpoints.evalFeaturescript(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        script
+      const faceIds = await Q.part(this).faces().closestTo(point, this._client.unitSystem).evaluateIds(
+        this.partStudio,
+        { configuration: this.configuration }
       );
       
-      if (!response.result || 
-          !response.result.value || 
-          !response.result.value[0] ||
-          !response.result.value[0].value) {
+      if (faceIds.length === 0) {
         throw new FeatureError("Could not find closest face");
       }
       
-      return response.result.value[0].value;
+      return faceIds[0];
     } catch (error) {
       console.error("Error finding closest face:", error);
       throw new FeatureError("Failed to find closest face", error);
@@ -220,6 +468,15 @@ class PartList {
     return this.parts.map(p => p.name);
   }
   
+  /**
+   * Get the body IDs of all parts
+   * 
+   * @returns {Promise<Array<string>>} Array of body IDs
+   */
+  async getBodyIds() {
+    return this.getIds();
+  }
+  
   /**
    * Get the number of parts
    * 
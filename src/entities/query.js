@@ -0,0 +1,1078 @@
+// src/entities/query.js
+/**
+ * Composable entity queries that compile to FeatureScript.
+ *
+ * Queries are built from Q and refined by chaining:
+ *
+ *   const face = await Q.createdBy(extrude).faces().closestTo([0, 0, 0.1]).largest().evaluate(partStudio);
+ *
+ * Every value is checked and quoted as the query is built, so IDs and points
+ * from requests cannot change the script. A query evaluates in a single
+ * FeatureScript call, and queries that don't pick entities in FeatureScript
+ * statements, as largest() does, can also be passed to features directly, as
+ * a BTMIndividualQuery with a query string.
+ */
+
+const { ValidationError, FeatureError } = require('../utils/errors');
+const { UnitSystem } = require('../utils/misc');
+
+/**
+ * Entity types a query can select
+ */
+const EntityType = {
+  BODY: 'BODY',
+  FACE: 'FACE',
+  EDGE: 'EDGE',
+  VERTEX: 'VERTEX'
+};
+
+/**
+ * Geometry types of faces and edges, for Query.geometry
+ */
+const GeometryType = {
+  PLANE: 'PLANE',
+  CYLINDER: 'CYLINDER',
+  CONE: 'CONE',
+  SPHERE: 'SPHERE',
+  TORUS: 'TORUS',
+  EXTRUDED: 'EXTRUDED',
+  REVOLVED: 'REVOLVED',
+  OTHER_SURFACE: 'OTHER_SURFACE',
+  LINE: 'LINE',
+  CIRCLE: 'CIRCLE',
+  ARC: 'ARC',
+  OTHER_CURVE: 'OTHER_CURVE'
+};
+
+/**
+ * Body types, for Query.bodyType
+ */
+const BodyType = {
+  SOLID: 'SOLID',
+  SHEET: 'SHEET',
+  WIRE: 'WIRE',
+  POINT: 'POINT',
+  MATE_CONNECTOR: 'MATE_CONNECTOR'
+};
+
+/**
+ * FeatureScript functions that measure the size of an entity, by entity type
+ */
+const MEASURES = {
+  [EntityType.FACE]: 'evArea',
+  [EntityType.EDGE]: 'evLength',
+  [EntityType.BODY]: 'evVolume'
+};
+
+/**
+ * Geometry types Query.classify checks faces and edges for, in order;
+ * anything else is OTHER_SURFACE or OTHER_CURVE
+ */
+const CLASSIFIED_GEOMETRY_TYPES = [
+  'PLANE', 'CYLINDER', 'CONE', 'SPHERE', 'TORUS', 'EXTRUDED', 'REVOLVED',
+  'LINE', 'CIRCLE', 'ARC'
+];
+
+/**
+ * Named region selectors, see Q.region
+ */
+const RegionSelector = {
+  LARGEST: 'largest',
+  SMALLEST: 'smallest'
+};
+
+/**
+ * Named axis directions
+ */
+const AXIS_DIRECTIONS = {
+  X: [1, 0, 0],
+  Y: [0, 1, 0],
+  Z: [0, 0, 1]
+};
+
+/**
+ * Quote a string as a FeatureScript string literal. Only printable ASCII is
+ * accepted, which JSON quotes the same way FeatureScript does.
+ *
+ * @param {string} value The string
+ * @param {string} label Name used in the error message
+ * @returns {string} The string literal
+ */
+function toStringLiteral(value, label) {
+  if (typeof value !== 'string' || !/^[\x20-\x7E]+$/.test(value)) {
+    throw new ValidationError(`Invalid ${label}: ${value}`);
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a number as a FeatureScript number literal
+ *
+ * @param {number} value The number
+ * @param {string} label Name used in the error message
+ * @returns {string} The number literal
+ */
+function toNumberLiteral(value, label) {
+  if (typeof value !== 'number' || !isFinite(value)) {
+    throw new ValidationError(`Invalid ${label}: ${value}`);
+  }
+
+  return String(value);
+}
+
+/**
+ * Format an [x, y, z] point or direction as a FeatureScript vector
+ *
+ * @param {Array<number>|string} vector The vector, or 'X', 'Y' or 'Z'
+ * @param {string} label Name used in the error message
+ * @returns {string} The vector expression
+ */
+function toVectorLiteral(vector, label) {
+  const values = typeof vector === 'string' ? AXIS_DIRECTIONS[vector.toUpperCase()] : vector;
+
+  if (!Array.isArray(values) || values.length !== 3) {
+    throw new ValidationError(`Invalid ${label}: expected 'X', 'Y', 'Z' or [x, y, z]`);
+  }
+
+  return `vector(${values.map(value => toNumberLiteral(value, label)).join(', ')})`;
+}
+
+/**
+ * Check an entity type
+ *
+ * @param {string} entityType The entity type
+ * @returns {string} The entity type
+ */
+function assertEntityType(entityType) {
+  if (!Object.values(EntityType).includes(entityType)) {
+    throw new ValidationError(`Invalid entity type: ${entityType}`);
+  }
+
+  return entityType;
+}
+
+/**
+ * Get the feature ID of a feature or feature ID
+ *
+ * @param {Object|string} feature An uploaded feature, or a feature ID
+ * @returns {string} The feature ID
+ */
+function getFeatureId(feature) {
+  const featureId = typeof feature === 'string' ? feature : feature && feature.featureId;
+
+  if (!featureId) {
+    throw new ValidationError("Features must be uploaded before they can be queried");
+  }
+
+  return featureId;
+}
+
+/**
+ * Get the FeatureScript statements that set `type` to the entity type of
+ * `entity`, for queries whose entity type is not known
+ *
+ * @returns {Array<string>} FeatureScript statements
+ */
+function detectEntityType() {
+  return [
+    `var type = "BODY";`,
+    ...[EntityType.FACE, EntityType.EDGE, EntityType.VERTEX].map((type, i) =>
+      `${i ? 'else if' : 'if'} (!isQueryEmpty(context, qEntityFilter(entity, EntityType.${type}))) type = "${type}";`
+    )
+  ];
+}
+
+/**
+ * Get the FeatureScript statements that set `geometry` to the first of
+ * some enum values whose query function matches `entity`
+ *
+ * @param {string} fn qGeometry or qBodyType
+ * @param {string} enumName GeometryType or BodyType
+ * @param {Array<string>} values The values to check
+ * @returns {Array<string>} FeatureScript statements
+ */
+function detectGeometry(fn, enumName, values) {
+  return [
+    `for (var value in [${values.map(value => `${enumName}.${value}`).join(', ')}])`,
+    `{`,
+    `    if (!isQueryEmpty(context, ${fn}(entity, value)))`,
+    `    {`,
+    `        geometry = value;`,
+    `        break;`,
+    `    }`,
+    `}`
+  ];
+}
+
+/**
+ * An entity a query evaluated to
+ */
+class Entity {
+  /**
+   * @param {string} transientId Transient ID of the entity
+   * @param {string} type The EntityType
+   * @param {Object} [classification] What Query.classify found out about the entity
+   * @param {string} [classification.geometry] GeometryType of a face or edge, or BodyType of a body
+   * @param {Quantity} [classification.size] Area of a face, length of an edge or volume of a solid body
+   * @param {Quantity} [classification.centroid] Approximate centroid, or the point of a vertex
+   */
+  constructor(transientId, type, { geometry = null, size = null, centroid = null } = {}) {
+    this.transientId = transientId;
+    this.type = type;
+    this.geometry = geometry;
+    this.size = size;
+    this.centroid = centroid;
+  }
+
+  /**
+   * Area of a classified face
+   *
+   * @returns {Quantity|null}
+   */
+  get area() {
+    return this.type === EntityType.FACE ? this.size : null;
+  }
+
+  /**
+   * Length of a classified edge
+   *
+   * @returns {Quantity|null}
+   */
+  get length() {
+    return this.type === EntityType.EDGE ? this.size : null;
+  }
+
+  /**
+   * Volume of a classified solid body
+   *
+   * @returns {Quantity|null}
+   */
+  get volume() {
+    return this.type === EntityType.BODY ? this.size : null;
+  }
+
+  /**
+   * Group entities by entity type
+   *
+   * @param {Array<Entity>} entities The entities
+   * @returns {Object} `{ faces, edges, vertices, bodies }` arrays of entities
+   */
+  static group(entities) {
+    const ofType = type => entities.filter(entity => entity.type === type);
+
+    return {
+      faces: ofType(EntityType.FACE),
+      edges: ofType(EntityType.EDGE),
+      vertices: ofType(EntityType.VERTEX),
+      bodies: ofType(EntityType.BODY)
+    };
+  }
+
+  /**
+   * Get a query for this entity
+   *
+   * @returns {Query} The query
+   */
+  toQuery() {
+    return Q.transient(this.transientId, this.type);
+  }
+
+  /**
+   * Get the BTMIndividualQuery for this entity in a feature parameter
+   *
+   * @returns {Object} The individual query
+   */
+  toIndividualQuery() {
+    return {
+      btType: "BTMIndividualQuery-138",
+      deterministicIds: [this.transientId]
+    };
+  }
+}
+
+/**
+ * A composable entity query. Each step is a function from the FeatureScript
+ * expression of the previous steps to a new expression, or a script step
+ * whose FeatureScript statements pick the entities, such as largest(). Script
+ * steps end a query expression, so the query has to be evaluated.
+ */
+class Query {
+  /**
+   * @param {Array<Object>} steps Query steps, each { expression } or { script }
+   * @param {string|null} entityType The EntityType of the results, if known
+   */
+  constructor(steps, entityType = null) {
+    this._steps = steps;
+    this.entityType = entityType;
+  }
+
+  /**
+   * Add an expression step
+   *
+   * @param {Function} expression Maps the previous expression to the new one
+   * @param {string|null} [entityType=this.entityType] Entity type of the results
+   * @returns {Query} The new query
+   * @private
+   */
+  _then(expression, entityType = this.entityType) {
+    return new Query([...this._steps, { expression }], entityType);
+  }
+
+  /**
+   * Whether the query compiles to a single query expression, so it can be
+   * passed to features without evaluating it first
+   *
+   * @returns {boolean}
+   */
+  get isStatic() {
+    return this._steps.every(step => step.expression);
+  }
+
+  /**
+   * Select entities of a type: the entities owned by bodies, the entities
+   * adjacent to faces, edges or vertices, or the matching entities of an
+   * untyped query
+   *
+   * @param {string} entityType The EntityType
+   * @returns {Query} The new query
+   */
+  ofType(entityType) {
+    assertEntityType(entityType);
+    const from = this.entityType;
+
+    if (from === entityType) {
+      return this;
+    }
+
+    if (from === null) {
+      return this._then(q => `qEntityFilter(${q}, EntityType.${entityType})`, entityType);
+    }
+
+    if (from === EntityType.BODY) {
+      return this._then(q => `qOwnedByBody(${q}, EntityType.${entityType})`, entityType);
+    }
+
+    if (entityType === EntityType.BODY) {
+      return this._then(q => `qOwnerBody(${q})`, entityType);
+    }
+
+    const adjacency = from === EntityType.VERTEX || entityType === EntityType.VERTEX ? 'VERTEX' : 'EDGE';
+    return this._then(q => `qAdjacent(${q}, AdjacencyType.${adjacency}, EntityType.${entityType})`, entityType);
+  }
+
+  /**
+   * Select faces, see ofType
+   * @returns {Query} The new query
+   */
+  faces() {
+    return this.ofType(EntityType.FACE);
+  }
+
+  /**
+   * Select edges, see ofType
+   * @returns {Query} The new query
+   */
+  edges() {
+    return this.ofType(EntityType.EDGE);
+  }
+
+  /**
+   * Select vertices, see ofType
+   * @returns {Query} The new query
+   */
+  vertices() {
+    return this.ofType(EntityType.VERTEX);
+  }
+
+  /**
+   * Select bodies, see ofType
+   * @returns {Query} The new query
+   */
+  bodies() {
+    return this.ofType(EntityType.BODY);
+  }
+
+  /**
+   * Keep the faces or edges with a geometry type, e.g. GeometryType.PLANE
+   *
+   * @param {string} geometryType The GeometryType
+   * @returns {Query} The new query
+   */
+  geometry(geometryType) {
+    if (!Object.values(GeometryType).includes(geometryType)) {
+      throw new ValidationError(`Invalid geometry type: ${geometryType}`);
+    }
+
+    return this._then(q => `qGeometry(${q}, GeometryType.${geometryType})`);
+  }
+
+  /**
+   * Keep the bodies of a body type, e.g. BodyType.SOLID
+   *
+   * @param {string} bodyType The BodyType
+   * @returns {Query} The new query
+   */
+  bodyType(bodyType) {
+    if (!Object.values(BodyType).includes(bodyType)) {
+      throw new ValidationError(`Invalid body type: ${bodyType}`);
+    }
+
+    return this._then(q => `qBodyType(${q}, BodyType.${bodyType})`, EntityType.BODY);
+  }
+
+  /**
+   * Add a script step
+   *
+   * @param {Function} script Maps the previous expression and a variable name to
+   *   FeatureScript statements that set the variable to the new query
+   * @returns {Query} The new query
+   * @private
+   */
+  _thenScript(script) {
+    return new Query([...this._steps, { script }], this.entityType);
+  }
+
+  /**
+   * Keep the entities that contain a point, e.g. the sketch region around it
+   *
+   * @param {Array<number>} point [x, y, z] world coordinates, or [x, y] coordinates in
+   *   the sketch plane of the entities
+   * @param {string} [unitSystem=UnitSystem.METRIC] Unit system of the coordinates
+   * @returns {Query} The new query
+   */
+  containsPoint(point, unitSystem = UnitSystem.METRIC) {
+    const unit = unitSystem === UnitSystem.INCH ? 'inch' : 'meter';
+
+    if (Array.isArray(point) && point.length === 2) {
+      const vector = `vector(${point.map(value => toNumberLiteral(value, "point")).join(', ')})`;
+      return this._thenScript((q, name) => [
+        `var ${name}Plane = evOwnerSketchPlane(context, { "entity" : qNthElement(${q}, 0) });`,
+        `var ${name} = qContainsPoint(${q}, planeToWorld(${name}Plane, ${vector} * ${unit}));`
+      ]);
+    }
+
+    const vector = toVectorLiteral(point, "point");
+    return this._then(q => `qContainsPoint(${q}, ${vector} * ${unit})`);
+  }
+
+  /**
+   * Keep the line edges that lie on an axis of the sketch plane they were
+   * drawn in, e.g. the profile edge or construction line a revolve turns about
+   *
+   * @param {string} axis 'X' or 'Y', the axis of the sketch plane
+   * @returns {Query} The new query
+   */
+  alongSketchAxis(axis) {
+    const upper = typeof axis === 'string' ? axis.toUpperCase() : axis;
+    if (upper !== 'X' && upper !== 'Y') {
+      throw new ValidationError(`Invalid sketch axis: expected 'X' or 'Y', got ${axis}`);
+    }
+
+    return this._thenScript((q, name) => [
+      `var ${name} = qNothing();`,
+      `var ${name}Plane = evOwnerSketchPlane(context, { "entity" : qNthElement(${q}, 0) });`,
+      `var ${name}Direction = ${upper === 'X' ? `${name}Plane.x` : `yAxis(${name}Plane)`};`,
+      `for (var entity in evaluateQuery(context, qGeometry(${q}, GeometryType.LINE)))`,
+      `{`,
+      `    var line = evLine(context, { "edge" : entity });`,
+      `    if (parallelVectors(line.direction, ${name}Direction) &&`,
+      `        norm(cross(${name}Plane.origin - line.origin, line.direction)) < TOLERANCE.zeroLength * meter)`,
+      `    {`,
+      `        ${name} = qUnion([${name}, entity]);`,
+      `    }`,
+      `}`
+    ]);
+  }
+
+  /**
+   * Keep the faces enclosed by a closed loop of edges that touch it, e.g. the
+   * sketch regions inside a closed path but outside the paths within it. A
+   * face is enclosed when its bounding box is inside the box of the edges.
+   *
+   * @param {Query|Entity|Object|string} edges The edges, see Q.from
+   * @returns {Query} The new query
+   */
+  enclosedBy(edges) {
+    const edgesQuery = Q.from(edges).toQueryString();
+
+    return this._thenScript((q, name) => [
+      `var ${name} = qNothing();`,
+      `var ${name}Edges = ${edgesQuery};`,
+      `var ${name}Box = extendBox3d(evBox3d(context, { "topology" : ${name}Edges, "tight" : true }), TOLERANCE.zeroLength * meter, 0);`,
+      `for (var entity in evaluateQuery(context, ${q}))`,
+      `{`,
+      `    var box = evBox3d(context, { "topology" : entity, "tight" : true });`,
+      `    if (insideBox3d(box.minCorner, ${name}Box) && insideBox3d(box.maxCorner, ${name}Box) &&`,
+      `        evDistance(context, { "side0" : entity, "side1" : ${name}Edges }).distance < TOLERANCE.zeroLength * meter)`,
+      `    {`,
+      `        ${name} = qUnion([${name}, entity]);`,
+      `    }`,
+      `}`
+    ]);
+  }
+
+  /**
+   * Keep the entities closest to a point
+   *
+   * @param {Array<number>} point [x, y, z] coordinates
+   * @param {string} [unitSystem=UnitSystem.METRIC] Unit system of the coordinates
+   * @returns {Query} The new query
+   */
+  closestTo(point, unitSystem = UnitSystem.METRIC) {
+    const vector = toVectorLiteral(point, "point");
+    const unit = unitSystem === UnitSystem.INCH ? 'inch' : 'meter';
+    return this._then(q => `qClosestTo(${q}, ${vector} * ${unit})`);
+  }
+
+  /**
+   * Keep the entities furthest along a direction, e.g. the top faces for 'Z'
+   *
+   * @param {string|Array<number>} direction 'X', 'Y', 'Z' or [x, y, z]
+   * @returns {Query} The new query
+   */
+  farthestAlong(direction) {
+    const vector = toVectorLiteral(direction, "direction");
+    return this._then(q => `qFarthestAlong(${q}, ${vector})`);
+  }
+
+  /**
+   * Keep the straight edges parallel to a direction
+   *
+   * @param {string|Array<number>} direction 'X', 'Y', 'Z' or [x, y, z]
+   * @returns {Query} The new query
+   */
+  parallelTo(direction) {
+    const vector = toVectorLiteral(direction, "direction");
+    return this._then(q => `qParallelEdges(${q}, ${vector})`);
+  }
+
+  /**
+   * Keep the largest entity: the face with the most area, the longest edge
+   * or the body with the most volume
+   *
+   * @returns {Query} The new query
+   */
+  largest() {
+    return this._pick(true);
+  }
+
+  /**
+   * Keep the smallest entity, see largest
+   *
+   * @returns {Query} The new query
+   */
+  smallest() {
+    return this._pick(false);
+  }
+
+  /**
+   * Keep the entity at an index when ordered by size, largest first, e.g.
+   * rank(1) for the second largest sketch region. Negative indexes count
+   * from the smallest, so rank(-1) is the smallest.
+   *
+   * @param {number} index The index
+   * @returns {Query} The new query
+   */
+  rank(index) {
+    if (!Number.isInteger(index)) {
+      throw new ValidationError(`Invalid rank: ${index}`);
+    }
+
+    const measure = this._getMeasure("rank()");
+    return this._thenScript((q, name) => [
+      `var ${name} = qNothing();`,
+      `var ${name}Entities = evaluateQuery(context, ${q});`,
+      `var ${name}Sizes = [];`,
+      `for (var entity in ${name}Entities)`,
+      `{`,
+      `    ${name}Sizes = append(${name}Sizes, ${measure}(context, { "entities" : entity }));`,
+      `}`,
+      `var ${name}Index = ${index < 0 ? `size(${name}Entities) - ${-index}` : index};`,
+      `for (var i = 0; i < size(${name}Entities); i += 1)`,
+      `{`,
+      `    var rank = 0;`,
+      `    for (var j = 0; j < size(${name}Entities); j += 1)`,
+      `    {`,
+      `        if (${name}Sizes[j] > ${name}Sizes[i] || (${name}Sizes[j] == ${name}Sizes[i] && j < i))`,
+      `        {`,
+      `            rank += 1;`,
+      `        }`,
+      `    }`,
+      `    if (rank == ${name}Index)`,
+      `    {`,
+      `        ${name} = ${name}Entities[i];`,
+      `    }`,
+      `}`
+    ]);
+  }
+
+  /**
+   * Get the FeatureScript function that measures the entities of the query
+   *
+   * @param {string} method Name of the query method, for the error message
+   * @returns {string} evArea, evLength or evVolume
+   * @private
+   */
+  _getMeasure(method) {
+    const measure = MEASURES[this.entityType];
+
+    if (!measure) {
+      throw new ValidationError(`${method} needs a query for faces, edges or bodies`);
+    }
+
+    return measure;
+  }
+
+  /**
+   * Add a step that keeps the largest or smallest entity
+   * @private
+   */
+  _pick(largest) {
+    const measure = this._getMeasure(largest ? "largest()" : "smallest()");
+
+    return this._thenScript((q, name) => [
+      `var ${name} = qNothing();`,
+      `var ${name}Size;`,
+      `for (var entity in evaluateQuery(context, ${q}))`,
+      `{`,
+      `    var entitySize = ${measure}(context, { "entities" : entity });`,
+      `    if (${name}Size == undefined || entitySize ${largest ? '>' : '<'} ${name}Size)`,
+      `    {`,
+      `        ${name}Size = entitySize;`,
+      `        ${name} = entity;`,
+      `    }`,
+      `}`
+    ]);
+  }
+
+  /**
+   * Add the entities of other queries
+   *
+   * @param {...(Query|Entity|Object|string)} others The other queries, see Q.from
+   * @returns {Query} The new query
+   */
+  union(...others) {
+    return Q.union(this, ...others);
+  }
+
+  /**
+   * Remove the entities of another query
+   *
+   * @param {Query|Entity|Object|string} other The other query, see Q.from
+   * @returns {Query} The new query
+   */
+  subtract(other) {
+    return Q._combine('qSubtraction', [this, Q.from(other)], this.entityType);
+  }
+
+  /**
+   * Keep the entities also in another query
+   *
+   * @param {Query|Entity|Object|string} other The other query, see Q.from
+   * @returns {Query} The new query
+   */
+  intersect(other) {
+    return Q._combine('qIntersection', [this, Q.from(other)], this.entityType);
+  }
+
+  /**
+   * Compile the query into FeatureScript statements
+   *
+   * @returns {Object} { statements, expression } where expression is the final query
+   * @private
+   */
+  _compile() {
+    const statements = [];
+    let expression = null;
+
+    this._steps.forEach((step, i) => {
+      if (step.expression) {
+        expression = step.expression(expression);
+        return;
+      }
+
+      const name = `q${i}`;
+      statements.push(...step.script(expression, name));
+      expression = name;
+    });
+
+    return { statements, expression };
+  }
+
+  /**
+   * Get the FeatureScript query expression
+   *
+   * @returns {string} The query expression
+   */
+  toQueryString() {
+    if (!this.isStatic) {
+      throw new ValidationError("Queries that pick entities in FeatureScript, such as largest(), must be evaluated, see Query.evaluate");
+    }
+
+    return this._compile().expression;
+  }
+
+  /**
+   * Get the BTMIndividualQuery for this query in a feature parameter
+   *
+   * @returns {Object} The individual query
+   */
+  toIndividualQuery() {
+    return {
+      btType: "BTMIndividualQuery-138",
+      queryString: `query = ${this.toQueryString()};`
+    };
+  }
+
+  /**
+   * Get the FeatureScript function that evaluates the query. Results are
+   * transient IDs, or [transientId, entityType] pairs if the entity type of
+   * the query is not known.
+   *
+   * @returns {string} The FeatureScript function
+   */
+  toScript() {
+    const { statements, expression } = this._compile();
+    const body = this.entityType
+      ? [...statements, `return transientQueriesToStrings(evaluateQuery(context, ${expression}));`]
+      : [
+          ...statements,
+          `var results = [];`,
+          `for (var entity in evaluateQuery(context, ${expression}))`,
+          `{`,
+          ...detectEntityType().map(line => `    ${line}`),
+          `    results = append(results, [transientQueriesToStrings(entity), type]);`,
+          `}`,
+          `return results;`
+        ];
+
+    return `
+      function(context is Context, queries) {
+        ${body.join('\n        ')}
+      }
+    `;
+  }
+
+  /**
+   * Get the FeatureScript function that classifies the entities of the
+   * query: their type, geometry, size and centroid
+   *
+   * @returns {string} The FeatureScript function
+   */
+  toClassificationScript() {
+    const { statements, expression } = this._compile();
+    const classify = [
+      ...(this.entityType ? [`var type = "${this.entityType}";`] : detectEntityType()),
+      `var geometry = undefined;`,
+      `var entitySize = undefined;`,
+      `var centroid = undefined;`,
+      `if (type == "VERTEX")`,
+      `{`,
+      `    centroid = evVertexPoint(context, { "vertex" : entity });`,
+      `}`,
+      `else if (type == "BODY")`,
+      `{`,
+      ...detectGeometry('qBodyType', 'BodyType', Object.keys(BodyType)).map(line => `    ${line}`),
+      `    if (geometry == BodyType.SOLID) entitySize = evVolume(context, { "entities" : entity });`,
+      `    centroid = evApproximateCentroid(context, { "entities" : entity });`,
+      `}`,
+      `else`,
+      `{`,
+      ...detectGeometry('qGeometry', 'GeometryType', CLASSIFIED_GEOMETRY_TYPES).map(line => `    ${line}`),
+      `    if (geometry == undefined) geometry = type == "FACE" ? GeometryType.OTHER_SURFACE : GeometryType.OTHER_CURVE;`,
+      `    entitySize = type == "FACE" ? evArea(context, { "entities" : entity }) : evLength(context, { "entities" : entity });`,
+      `    centroid = evApproximateCentroid(context, { "entities" : entity });`,
+      `}`,
+      `results = append(results, { "id" : transientQueriesToStrings(entity), "type" : type,`,
+      `    "geometry" : geometry, "size" : entitySize, "centroid" : centroid });`
+    ];
+    const body = [
+      ...statements,
+      `var results = [];`,
+      `for (var entity in evaluateQuery(context, ${expression}))`,
+      `{`,
+      ...classify.map(line => `    ${line}`),
+      `}`,
+      `return results;`
+    ];
+
+    return `
+      function(context is Context, queries) {
+        ${body.join('\n        ')}
+      }
+    `;
+  }
+
+  /**
+   * Evaluate a script of the query in a part studio
+   *
+   * @param {Object} partStudio The part studio to evaluate in
+   * @param {string} script The FeatureScript function
+   * @param {Object} options Evaluation options, see evaluate
+   * @returns {Promise<*>} The decoded result
+   * @private
+   */
+  async _evaluateScript(partStudio, script, { configuration = null, endpoints = partStudio._api.endpoints } = {}) {
+    const wvm = { wvm: 'w', wvmid: partStudio.document.defaultWorkspace.id };
+    if (configuration) {
+      wvm.configuration = configuration;
+    }
+
+    const { result } = await endpoints.evalFeaturescript(
+      partStudio.document.id,
+      wvm,
+      partStudio.id,
+      script,
+      { decode: true }
+    );
+
+    return result || [];
+  }
+
+  /**
+   * Evaluate the query in a part studio
+   *
+   * @param {Object} partStudio The part studio to evaluate in
+   * @param {Object} [options] Evaluation options
+   * @param {string} [options.configuration] Encoded configuration to evaluate in
+   * @param {Object} [options.endpoints] Features API to use, defaults to the part studio's
+   * @returns {Promise<Array<Entity>>} The matching entities
+   */
+  async evaluate(partStudio, options) {
+    try {
+      const result = await this._evaluateScript(partStudio, this.toScript(), options);
+
+      return result.map(item => Array.isArray(item)
+        ? new Entity(item[0], item[1])
+        : new Entity(item, this.entityType));
+    } catch (error) {
+      throw new FeatureError("Failed to evaluate query", error);
+    }
+  }
+
+  /**
+   * Evaluate the query and classify the matching entities, in a single
+   * FeatureScript evaluation. Each entity comes with its geometry type,
+   * its area, length or volume and its centroid.
+   *
+   * @param {Object} partStudio The part studio to evaluate in
+   * @param {Object} [options] Evaluation options, see evaluate
+   * @returns {Promise<Array<Entity>>} The classified entities
+   */
+  async classify(partStudio, options) {
+    try {
+      const result = await this._evaluateScript(partStudio, this.toClassificationScript(), options);
+
+      return result.map(({ id, type, geometry, size, centroid }) =>
+        new Entity(id, type, { geometry, size, centroid }));
+    } catch (error) {
+      throw new FeatureError("Failed to classify query", error);
+    }
+  }
+
+  /**
+   * Evaluate the query and get the transient IDs of the matching entities
+   *
+   * @param {Object} partStudio The part studio to evaluate in
+   * @param {Object} [options] Evaluation options, see evaluate
+   * @returns {Promise<Array<string>>} Transient IDs
+   */
+  async evaluateIds(partStudio, options) {
+    const entities = await this.evaluate(partStudio, options);
+    return entities.map(entity => entity.transientId);
+  }
+}
+
+/**
+ * Starting points of queries
+ */
+const Q = {
+  /**
+   * Entities created by a feature
+   *
+   * @param {Object|string} feature An uploaded feature, or a feature ID
+   * @param {string} [entityType] Only entities of this EntityType
+   * @returns {Query} The query
+   */
+  createdBy(feature, entityType = null) {
+    const id = toStringLiteral(getFeatureId(feature), "feature ID");
+
+    if (entityType === null) {
+      return new Query([{ expression: () => `qCreatedBy(makeId(${id}))` }]);
+    }
+
+    assertEntityType(entityType);
+    return new Query([{ expression: () => `qCreatedBy(makeId(${id}), EntityType.${entityType})` }], entityType);
+  },
+
+  /**
+   * Entities by transient ID
+   *
+   * @param {string|Array<string>} ids Transient IDs
+   * @param {string} [entityType] EntityType of the entities, if known
+   * @returns {Query} The query
+   */
+  transient(ids, entityType = null) {
+    const literals = (Array.isArray(ids) ? ids : [ids]).map(id => toStringLiteral(id, "transient ID"));
+    const queries = literals.map(id => `{ "queryType" : QueryType.TRANSIENT, "transientId" : ${id} } as Query`);
+
+    if (entityType !== null) {
+      assertEntityType(entityType);
+    }
+
+    const expression = queries.length === 1 ? queries[0] : `qUnion([${queries.join(', ')}])`;
+    return new Query([{ expression: () => expression }], entityType);
+  },
+
+  /**
+   * The body of a part
+   *
+   * @param {Object} part A part, or its part ID
+   * @returns {Query} The query
+   */
+  part(part) {
+    return Q.transient(typeof part === 'string' ? part : part.id, EntityType.BODY);
+  },
+
+  /**
+   * The faces of the regions of a sketch
+   *
+   * @param {Object|string} sketch An uploaded sketch, or its feature ID
+   * @returns {Query} The query
+   */
+  sketchRegion(sketch) {
+    const id = toStringLiteral(getFeatureId(sketch), "feature ID");
+    return new Query([{ expression: () => `qSketchRegion(makeId(${id}))` }], EntityType.FACE);
+  },
+
+  /**
+   * The edges of a sketch entity, e.g. a line used as an axis
+   *
+   * @param {Object|string} sketch An uploaded sketch, or its feature ID
+   * @param {Object|string} item The sketch item, or its entity ID
+   * @returns {Query} The query
+   */
+  sketchEntity(sketch, item) {
+    const id = toStringLiteral(getFeatureId(sketch), "feature ID");
+    const entityId = toStringLiteral(typeof item === 'string' ? item : item && item.entityId, "sketch entity ID");
+    return new Query(
+      [{ expression: () => `sketchEntityQuery(makeId(${id}), EntityType.EDGE, ${entityId})` }],
+      EntityType.EDGE
+    );
+  },
+
+  /**
+   * Select regions of a sketch, for features that take faces
+   *
+   * @param {Object|string} sketch An uploaded sketch, or its feature ID
+   * @param {string|Object} selector 'largest', 'smallest', or
+   *   - `{ index }` the region at an index ordered by area, largest first, see Query.rank
+   *   - `{ containing: [x, y] }` the region around a point in sketch coordinates,
+   *     or [x, y, z] in world coordinates, with an optional `unitSystem`
+   *   - `{ path }` the regions inside a closed path but outside the paths within it, where
+   *     the path is a sketch item, an entity ID or an array of them, e.g. the items of a
+   *     rectangle or the entity IDs of an SVG path
+   * @returns {Query} The query
+   */
+  region(sketch, selector) {
+    const regions = Q.sketchRegion(sketch);
+
+    if (selector === RegionSelector.LARGEST) {
+      return regions.largest();
+    } else if (selector === RegionSelector.SMALLEST) {
+      return regions.smallest();
+    } else if (selector && selector.index !== undefined) {
+      return regions.rank(selector.index);
+    } else if (selector && selector.containing) {
+      return regions.containsPoint(selector.containing, selector.unitSystem);
+    } else if (selector && selector.path) {
+      const items = [selector.path].flat(Infinity);
+      return regions.enclosedBy(Q.union(...items.map(item => Q.sketchEntity(sketch, item))));
+    }
+
+    throw new ValidationError(
+      "Invalid region selector: expected 'largest', 'smallest', { index }, { containing } or { path }"
+    );
+  },
+
+  /**
+   * Every entity in the part studio
+   *
+   * @param {string} [entityType] Only entities of this EntityType
+   * @returns {Query} The query
+   */
+  everything(entityType = null) {
+    if (entityType === null) {
+      return new Query([{ expression: () => 'qEverything()' }]);
+    }
+
+    assertEntityType(entityType);
+    return new Query([{ expression: () => `qEverything(EntityType.${entityType})` }], entityType);
+  },
+
+  /**
+   * Convert a query source into a query: queries, entities, parts, uploaded
+   * features (their bodies) and transient IDs
+   *
+   * @param {Query|Entity|Object|string|Array<string>} source The source
+   * @returns {Query} The query
+   */
+  from(source) {
+    if (source instanceof Query) {
+      return source;
+    } else if (source instanceof Entity) {
+      return source.toQuery();
+    } else if (typeof source === 'string' || Array.isArray(source)) {
+      return Q.transient(source);
+    } else if (source && source.featureId) {
+      return Q.createdBy(source, EntityType.BODY);
+    } else if (source && source.partStudio && source.id) {
+      return Q.part(source);
+    }
+
+    throw new ValidationError("Invalid query source");
+  },
+
+  /**
+   * The entities of any of several queries
+   *
+   * @param {...(Query|Entity|Object|string)} sources The queries, see Q.from
+   * @returns {Query} The query
+   */
+  union(...sources) {
+    const queries = sources.map(source => Q.from(source));
+    const types = new Set(queries.map(query => query.entityType));
+    return Q._combine('qUnion', queries, types.size === 1 ? queries[0].entityType : null, true);
+  },
+
+  /**
+   * Combine queries with a FeatureScript query function
+   *
+   * @param {string} fn qUnion, qSubtraction or qIntersection
+   * @param {Array<Query>} queries The queries
+   * @param {string|null} entityType EntityType of the result
+   * @param {boolean} [asArray=false] Whether fn takes an array of queries
+   * @returns {Query} The query
+   * @private
+   */
+  _combine(fn, queries, entityType, asArray = false) {
+    if (!queries.every(query => query.isStatic)) {
+      throw new ValidationError("Queries that pick entities in FeatureScript, such as largest(), cannot be combined");
+    }
+
+    const expressions = queries.map(query => query.toQueryString());
+    const expression = asArray ? `${fn}([${expressions.join(', ')}])` : `${fn}(${expressions.join(', ')})`;
+    return new Query([{ expression: () => expression }], entityType);
+  }
+};
+
+module.exports = {
+  Q,
+  Query,
+  Entity,
+  EntityType,
+  GeometryType,
+  BodyType,
+  RegionSelector
+};
@@ -0,0 +1,201 @@
+// src/features/boolean.js
+/**
+ * Interface to the Boolean Feature
+ */
+
+const { createBoolean } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getBodyIds } = require('./references');
+const { Q, BodyType } = require('../entities/query');
+const { Part, PartList } = require('../entities/parts');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Boolean class
+const log = logger.scope('Boolean');
+
+/**
+ * Boolean operations
+ */
+const BooleanOperation = {
+  UNION: 'UNION',
+  SUBTRACT: 'SUBTRACTION',
+  INTERSECT: 'INTERSECTION'
+};
+
+/**
+ * Collect the Part objects in a body source, so surviving parts keep their names
+ *
+ * @param {Object|Array} source Part, PartList, feature, body ID or an array of them
+ * @returns {Array<Part>} The parts found
+ */
+function collectParts(source) {
+  if (source instanceof Part) {
+    return [source];
+  } else if (source instanceof PartList) {
+    return source.parts;
+  } else if (Array.isArray(source)) {
+    return source.flatMap(collectParts);
+  }
+
+  return [];
+}
+
+/**
+ * Represents a boolean feature in Onshape, combining bodies that already exist
+ */
+class Boolean {
+  /**
+   * @param {Object} options Boolean properties
+   * @param {Object} options.partStudio The part studio that owns the boolean
+   * @param {string} options.operation Union, subtract or intersect
+   * @param {Object|Array} options.tools Tool bodies: parts, a PartList, features that created bodies, or body IDs
+   * @param {Object|Array} [options.targets] Bodies to subtract the tools from, required for subtract
+   * @param {boolean} [options.keepTools=false] Keep the tool bodies of a subtraction
+   * @param {string} [options.name="Boolean"] Name of the boolean
+   */
+  constructor({
+    partStudio,
+    operation,
+    tools,
+    targets = null,
+    keepTools = false,
+    name = "Boolean"
+  }) {
+    this.partStudio = partStudio;
+    this.operation = operation;
+    this.tools = tools;
+    this.targets = targets;
+    this.keepTools = keepTools;
+    this.name = name;
+    this.featureId = null;
+    this.survivingParts = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new boolean with proper async initialization
+   *
+   * @param {Object} options Boolean properties, see the constructor
+   * @returns {Promise<Boolean>} The uploaded boolean
+   */
+  static async create(options) {
+    const booleanFeature = new Boolean(options);
+    await booleanFeature._uploadFeature();
+    return booleanFeature;
+  }
+
+  /**
+   * Check the boolean options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!Object.values(BooleanOperation).includes(this.operation)) {
+      throw new ValidationError(`Invalid boolean operation: ${this.operation}`);
+    }
+
+    if (!this.tools) {
+      throw new ValidationError("Tools are required for a boolean");
+    }
+
+    if (this.operation === BooleanOperation.SUBTRACT) {
+      if (!this.targets) {
+        throw new ValidationError("Targets are required to subtract");
+      }
+    } else {
+      if (this.targets) {
+        throw new ValidationError("Only subtract takes targets; union and intersect combine the tools");
+      }
+
+      if (this.keepTools) {
+        throw new ValidationError("Tools can only be kept when subtracting");
+      }
+    }
+  }
+
+  /**
+   * Upload the boolean feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const toolIds = await getBodyIds(this.tools);
+      const targetIds = this.targets ? await getBodyIds(this.targets) : [];
+
+      if (toolIds.length === 0) {
+        throw new ValidationError("No tool bodies found for the boolean");
+      }
+
+      if (this.operation !== BooleanOperation.SUBTRACT && toolIds.length < 2) {
+        throw new ValidationError("Union and intersect need at least two tool bodies");
+      }
+
+      const booleanModel = createBoolean({
+        name: this.name,
+        operationType: this.operation,
+        toolIds,
+        targetIds,
+        keepTools: this.keepTools
+      });
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        booleanModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded boolean '${this.name}'`);
+
+      // Add this boolean to the part studio's features
+      this.partStudio._features.push(this);
+
+      this.survivingParts = await this._findSurvivingParts([...targetIds, ...toolIds]);
+      log.debug(`Parts surviving boolean '${this.name}': ${this.survivingParts.getIds().join(', ')}`);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating boolean:", error);
+      throw new FeatureError("Failed to create boolean", error);
+    }
+  }
+
+  /**
+   * Find which of the input bodies still exist after the boolean
+   *
+   * @param {Array<string>} bodyIds IDs of the bodies that went into the boolean
+   * @returns {Promise<PartList>} The surviving parts
+   * @private
+   */
+  async _findSurvivingParts(bodyIds) {
+    const survivingIds = await Q.union(...new Set(bodyIds)).bodyType(BodyType.SOLID).evaluateIds(this.partStudio);
+
+    const knownParts = [...collectParts(this.targets), ...collectParts(this.tools)];
+
+    return new PartList(survivingIds.map(id =>
+      knownParts.find(part => part.id === id) || new Part(this.partStudio, { partId: id })
+    ));
+  }
+
+  /**
+   * Get the parts that survived the boolean
+   *
+   * @returns {PartList} The surviving parts
+   */
+  getSurvivingParts() {
+    if (!this.survivingParts) {
+      throw new FeatureError("Boolean has not been uploaded yet");
+    }
+
+    return this.survivingParts;
+  }
+}
+
+module.exports = Boolean;
+module.exports.BooleanOperation = BooleanOperation;
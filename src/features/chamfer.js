@@ -0,0 +1,160 @@
+// src/features/chamfer.js
+/**
+ * Interface to the Chamfer Feature
+ */
+
+const { createChamfer } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getEdgeIds } = require('./references');
+const { assertLength } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Chamfer class
+const log = logger.scope('Chamfer');
+
+/**
+ * Chamfer types
+ */
+const ChamferType = {
+  EQUAL_DISTANCE: 'EQUAL_OFFSETS',
+  TWO_DISTANCES: 'TWO_OFFSETS',
+  DISTANCE_ANGLE: 'OFFSET_ANGLE'
+};
+
+/**
+ * Represents a chamfer feature in Onshape
+ */
+class Chamfer {
+  /**
+   * @param {Object} options Chamfer properties
+   * @param {Object} options.partStudio The part studio that owns the chamfer
+   * @param {Object|Array<string>} options.edges Edge IDs, a part, a feature that created bodies, an edge filter or a query
+   * @param {number|string} options.distance Chamfer distance, or the first distance for two-distance chamfers
+   * @param {string} [options.name="Chamfer"] Name of the chamfer
+   * @param {string} [options.chamferType=ChamferType.EQUAL_DISTANCE] Equal distance, two distances or distance and angle
+   * @param {number|string} [options.secondDistance] Second distance for two-distance chamfers
+   * @param {number|string} [options.angle] Angle in degrees for distance-angle chamfers
+   * @param {boolean} [options.flip=false] Swap the sides of a two-distance or distance-angle chamfer
+   * @param {boolean} [options.tangentPropagation=true] Propagate along tangent edges
+   * @param {string} [options.key=null] Stable key; with a key the chamfer updates the keyed chamfer
+   *   already in the part studio instead of adding another, see PartStudio.ensure
+   */
+  constructor({
+    partStudio,
+    edges,
+    distance,
+    name = "Chamfer",
+    chamferType = ChamferType.EQUAL_DISTANCE,
+    secondDistance,
+    angle,
+    flip = false,
+    tangentPropagation = true,
+    key = null
+  }) {
+    this.partStudio = partStudio;
+    this.edges = edges;
+    this.distance = distance;
+    this.name = name;
+    this.chamferType = chamferType;
+    this.secondDistance = secondDistance;
+    this.angle = angle;
+    this.flip = flip;
+    this.tangentPropagation = tangentPropagation;
+    this.key = key;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new chamfer with proper async initialization
+   *
+   * @param {Object} options Chamfer properties, see the constructor
+   * @returns {Promise<Chamfer>} The uploaded chamfer
+   */
+  static async create(options) {
+    const chamfer = new Chamfer(options);
+    await chamfer._uploadFeature();
+    return chamfer;
+  }
+
+  /**
+   * Check the chamfer options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.edges) {
+      throw new ValidationError("Edges are required for a chamfer");
+    }
+
+    if (!Object.values(ChamferType).includes(this.chamferType)) {
+      throw new ValidationError(`Invalid chamfer type: ${this.chamferType}`);
+    }
+
+    assertLength(this.distance, "Chamfer distance");
+
+    if (this.chamferType === ChamferType.TWO_DISTANCES) {
+      assertLength(this.secondDistance, "Second chamfer distance");
+    }
+
+    if (this.chamferType === ChamferType.DISTANCE_ANGLE) {
+      if (typeof this.angle === 'number') {
+        if (!isFinite(this.angle) || this.angle <= 0 || this.angle >= 90) {
+          throw new ValidationError("Chamfer angle must be between 0 and 90 degrees");
+        }
+      } else if (typeof this.angle !== 'string' || !this.angle.trim()) {
+        throw new ValidationError("Chamfer angle must be a number of degrees or an expression");
+      }
+    }
+  }
+
+  /**
+   * Upload the chamfer feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const edgeIds = await getEdgeIds(this.partStudio, this.edges);
+
+      const chamferModel = createChamfer({
+        name: this.name,
+        edgeIds,
+        chamferType: this.chamferType,
+        distance: this.distance,
+        secondDistance: this.secondDistance,
+        angle: this.angle,
+        oppositeDirection: this.flip,
+        tangentPropagation: this.tangentPropagation,
+        unitSystem: this._client.unitSystem
+      });
+
+      // Upload to Onshape, reusing the keyed chamfer if there is one
+      const response = this.key
+        ? await this.partStudio.ensureFeature(this.key, chamferModel)
+        : await this._api.endpoints.addFeature(
+            this.partStudio.document.id,
+            { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+            this.partStudio.id,
+            chamferModel
+          );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded chamfer '${this.name}'`);
+
+      // Add this chamfer to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating chamfer:", error);
+      throw new FeatureError("Failed to create chamfer", error);
+    }
+  }
+}
+
+module.exports = Chamfer;
+module.exports.ChamferType = ChamferType;
@@ -0,0 +1,754 @@
+// src/features/configuration.js
+/**
+ * Interface to Part Studio configurations
+ */
+
+const {
+  createVariable,
+  createConfigurationListInput,
+  createConfigurationBooleanInput,
+  createConfigurationQuantityInput,
+  createConfigurationValue,
+  createConfiguredParameter,
+  withParameterValue
+} = require('../api/schema');
+const ConfigurationsApi = require('../api/endpoints/configurations');
+const Variables = require('./variables');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { isVariableName } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Configuration class
+const log = logger.scope('Configuration');
+
+/**
+ * Kinds of configuration input
+ */
+const ConfigurationInputType = {
+  LIST: 'LIST',
+  BOOLEAN: 'BOOLEAN',
+  QUANTITY: 'QUANTITY'
+};
+
+/**
+ * Kinds of value a quantity input can hold
+ */
+const ConfigurationQuantityType = {
+  LENGTH: 'LENGTH',
+  ANGLE: 'ANGLE',
+  INTEGER: 'INTEGER',
+  REAL: 'REAL'
+};
+
+/**
+ * Input types by the btType of their definition
+ */
+const INPUT_TYPES = {
+  "BTMConfigurationParameterEnum-105": ConfigurationInputType.LIST,
+  "BTMConfigurationParameterBoolean-2550": ConfigurationInputType.BOOLEAN,
+  "BTMConfigurationParameterQuantity-1826": ConfigurationInputType.QUANTITY
+};
+
+/**
+ * Turn an option name into an option ID, e.g. "10 mm" into "_10_mm"
+ *
+ * @param {string} name The option name
+ * @param {Set<string>} taken Option IDs already used by the input
+ * @returns {string} A unique option ID
+ */
+function toOptionId(name, taken) {
+  let base = String(name).trim().replace(/[^A-Za-z0-9_]/g, '_');
+  if (!/^[A-Za-z_]/.test(base)) {
+    base = `_${base}`;
+  }
+
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}_${n}`;
+  }
+
+  taken.add(id);
+  return id;
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ *
+ * @param {string} text CSV text
+ * @returns {Array<Array<string>>} Rows of cells, without blank lines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError("Design table has an unterminated quoted cell");
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Read a design table into rows. Numeric CSV cells become numbers, so they
+ * are taken in the client's unit system like any other numeric value.
+ *
+ * @param {string|Array<Object>} table CSV text with a header row, JSON text, or an array of rows
+ * @returns {Array<Object>} Rows as objects keyed by column
+ */
+function parseDesignTable(table) {
+  if (Array.isArray(table)) {
+    return table;
+  }
+
+  if (typeof table !== 'string' || !table.trim()) {
+    throw new ValidationError("A design table must be CSV, JSON or an array of rows");
+  }
+
+  if (/^\s*\[/.test(table)) {
+    try {
+      return JSON.parse(table);
+    } catch (error) {
+      throw new ValidationError(`Design table is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const [header, ...lines] = parseCsv(table);
+
+  return lines.map(cells => Object.fromEntries(header.map((column, index) => {
+    const value = cells[index] === undefined ? '' : cells[index];
+    const isNumber = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value);
+    return [column, isNumber ? Number(value) : value];
+  })));
+}
+
+/**
+ * The configuration of a part studio: its inputs, the feature parameters bound
+ * to them, and the table of values each list option drives. Quantity inputs are
+ * referenced in expressions as `#id`, like variables.
+ */
+class Configuration {
+  /**
+   * @param {Object} partStudio The part studio that owns the configuration
+   */
+  constructor(partStudio) {
+    this.partStudio = partStudio;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+    this._configurationsApi = new ConfigurationsApi(this._client);
+  }
+
+  /**
+   * Get the configuration inputs
+   *
+   * @returns {Promise<Array<Object>>} Inputs as { id, name, type, defaultValue, ... }; list inputs
+   *   include options as { id, name }, quantity inputs their quantityType, units, min and max
+   */
+  async getInputs() {
+    const configuration = await this._load();
+    return configuration.configurationParameters.map(input => this._describeInput(input));
+  }
+
+  /**
+   * Add a list input, or replace the input with the same ID
+   *
+   * @param {Object} options List input properties
+   * @param {string} options.id Input ID
+   * @param {string} [options.name] Name shown in the configuration panel, the ID if omitted
+   * @param {Array<string>} options.options Option names, in order
+   * @param {string} [options.defaultOption] Name of the default option, the first if omitted
+   * @returns {Promise<Object>} The input, as returned by getInputs
+   */
+  async addListInput({ id, name = id, options, defaultOption }) {
+    this._validateInputId(id);
+
+    if (!Array.isArray(options) || options.length === 0) {
+      throw new ValidationError("A list input needs at least one option");
+    }
+
+    const names = options.map(option => String(option));
+    if (new Set(names).size !== names.length) {
+      throw new ValidationError(`List input '${id}' has duplicate options`);
+    }
+
+    if (defaultOption !== undefined && !names.includes(String(defaultOption))) {
+      throw new ValidationError(`Default option '${defaultOption}' is not an option of '${id}'`);
+    }
+
+    const taken = new Set();
+    const optionDefinitions = names.map(optionName => ({ option: toOptionId(optionName, taken), optionName }));
+
+    return await this._setInput(createConfigurationListInput({
+      parameterId: id,
+      name,
+      options: optionDefinitions,
+      defaultOption: defaultOption === undefined
+        ? undefined
+        : optionDefinitions[names.indexOf(String(defaultOption))].option
+    }));
+  }
+
+  /**
+   * Add a checkbox input, or replace the input with the same ID
+   *
+   * @param {Object} options Boolean input properties
+   * @param {string} options.id Input ID
+   * @param {string} [options.name] Name shown in the configuration panel, the ID if omitted
+   * @param {boolean} [options.defaultValue=false] Default value
+   * @returns {Promise<Object>} The input, as returned by getInputs
+   */
+  async addBooleanInput({ id, name = id, defaultValue = false }) {
+    this._validateInputId(id);
+
+    return await this._setInput(createConfigurationBooleanInput({ parameterId: id, name, defaultValue }));
+  }
+
+  /**
+   * Add a quantity input, or replace the input with the same ID. Feature
+   * parameters use it by referencing `#id` in their expressions.
+   *
+   * @param {Object} options Quantity input properties
+   * @param {string} options.id Input ID
+   * @param {string} [options.name] Name shown in the configuration panel, the ID if omitted
+   * @param {string} [options.quantityType=ConfigurationQuantityType.LENGTH] The kind of quantity
+   * @param {number} [options.min=0] Smallest allowed value
+   * @param {number} options.max Largest allowed value
+   * @param {number} options.defaultValue Default value
+   * @param {string} [options.units] Units of min, max and defaultValue, e.g. "millimeter"; lengths
+   *   default to the client's unit system and angles to degrees
+   * @returns {Promise<Object>} The input, as returned by getInputs
+   */
+  async addQuantityInput({
+    id,
+    name = id,
+    quantityType = ConfigurationQuantityType.LENGTH,
+    min = 0,
+    max,
+    defaultValue,
+    units
+  }) {
+    this._validateInputId(id);
+
+    if (!Object.values(ConfigurationQuantityType).includes(quantityType)) {
+      throw new ValidationError(`Invalid quantity type: ${quantityType}`);
+    }
+
+    if (![min, max, defaultValue].every(value => typeof value === 'number' && isFinite(value))) {
+      throw new ValidationError(`Quantity input '${id}' needs numeric min, max and default values`);
+    }
+
+    if (min > defaultValue || defaultValue > max) {
+      throw new ValidationError(`Default value of '${id}' must be between its min and max`);
+    }
+
+    if (quantityType === ConfigurationQuantityType.INTEGER &&
+        ![min, max, defaultValue].every(Number.isInteger)) {
+      throw new ValidationError(`Integer input '${id}' needs integer min, max and default values`);
+    }
+
+    const defaultUnits = {
+      [ConfigurationQuantityType.LENGTH]: this._client.unitSystem === 'inch' ? 'inch' : 'meter',
+      [ConfigurationQuantityType.ANGLE]: 'degree'
+    };
+
+    return await this._setInput(createConfigurationQuantityInput({
+      parameterId: id,
+      name,
+      quantityType,
+      units: units || defaultUnits[quantityType] || '',
+      minValue: min,
+      maxValue: max,
+      defaultValue
+    }));
+  }
+
+  /**
+   * Remove a configuration input. Parameters bound to it must be unbound first.
+   *
+   * @param {string} id Input ID
+   */
+  async removeInput(id) {
+    const configuration = await this._load();
+
+    if (!configuration.configurationParameters.some(input => input.parameterId === id)) {
+      throw new ValidationError(`Unknown configuration input: ${id}`);
+    }
+
+    await this._save({
+      ...configuration,
+      configurationParameters: configuration.configurationParameters.filter(input => input.parameterId !== id),
+      currentConfiguration: configuration.currentConfiguration.filter(value => value.parameterId !== id)
+    });
+
+    log.info(`Removed configuration input '${id}'`);
+  }
+
+  /**
+   * Bind a feature parameter to a configuration input
+   *
+   * @param {Object} options Binding properties
+   * @param {Object|string} options.feature The feature, or its feature ID
+   * @param {string} options.parameterId ID of the feature parameter, e.g. "depth"
+   * @param {string} options.input ID of the configuration input
+   * @param {Object} [options.values] Values of the parameter by list option name, or by
+   *   "true"/"false" for a checkbox input; options left out keep the current value. Ignored for
+   *   quantity inputs, which the parameter follows through a `#input` expression.
+   */
+  async bindParameter({ feature, parameterId, input, values = {} }) {
+    const featureId = typeof feature === 'string' ? feature : feature && feature.featureId;
+    if (!featureId) {
+      throw new ValidationError("Features must be uploaded before their parameters can be configured");
+    }
+
+    try {
+      const inputDefinition = await this._getInput(input);
+      const definition = (await this._getFeatureDefinitions()).find(item => item.featureId === featureId);
+
+      if (!definition) {
+        throw new ValidationError(`Feature ${featureId} is not in the part studio`);
+      }
+
+      const index = (definition.parameters || []).findIndex(parameter => parameter.parameterId === parameterId);
+      if (index < 0) {
+        throw new ValidationError(`Feature '${definition.name}' has no parameter '${parameterId}'`);
+      }
+
+      const parameter = this._getBaseParameter(definition.parameters[index]);
+      definition.parameters[index] = this._configureParameter(parameter, inputDefinition, values);
+
+      await this._api.endpoints.updateFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        featureId,
+        { feature: definition }
+      );
+
+      log.info(`Bound '${definition.name}.${parameterId}' to configuration input '${input}'`);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      log.error("Error binding parameter:", error);
+      throw new FeatureError(`Failed to bind parameter '${parameterId}' to '${input}'`, error);
+    }
+  }
+
+  /**
+   * Read the table of a list input: one row per option, one column per
+   * configured variable (by variable name) or feature parameter ("Feature.parameterId")
+   *
+   * @param {string} [input="Configuration"] ID of the list input
+   * @returns {Promise<Array<Object>>} Rows as { name, ...columns }, in the shape importDesignTable accepts
+   */
+  async getTable(input = "Configuration") {
+    const inputDefinition = await this._getInput(input, ConfigurationInputType.LIST);
+    const rows = new Map(inputDefinition.options.map(option => [option.option, { name: option.optionName }]));
+
+    for (const feature of await this._getFeatureDefinitions()) {
+      for (const parameter of feature.parameters || []) {
+        if (parameter.btType !== "BTMParameterConfigured-2222" || parameter.configurationParameterId !== input) {
+          continue;
+        }
+
+        const column = feature.featureType === 'assignVariable'
+          ? this._getVariableName(feature)
+          : `${feature.name}.${parameter.parameterId}`;
+
+        for (const configured of parameter.values || []) {
+          const row = rows.get(configured.enumValue);
+          if (row) {
+            row[column] = configured.value.expression !== undefined ? configured.value.expression : configured.value.value;
+          }
+        }
+      }
+    }
+
+    return [...rows.values()];
+  }
+
+  /**
+   * Build a list input from a design table: each row becomes an option, and
+   * each other column a variable whose value the option drives. Features then
+   * use the columns as `#column`. Importing again updates the same variables.
+   *
+   * @param {string|Array<Object>} table CSV text with a header row, JSON text, or an array of rows
+   * @param {Object} [options] Import options
+   * @param {string} [options.input="Configuration"] ID of the list input to create or replace
+   * @param {string} [options.name] Name of the list input, the ID if omitted
+   * @param {string} [options.nameColumn="name"] Column holding the option names
+   * @param {Object} [options.types={}] Variable types by column, LENGTH if omitted
+   * @returns {Promise<Object>} { input, options, variables } with references by column, e.g. { width: "#width" }
+   */
+  async importDesignTable(table, { input = "Configuration", name = input, nameColumn = "name", types = {} } = {}) {
+    const rows = parseDesignTable(table);
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError("A design table needs at least one row");
+    }
+
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object' || row[nameColumn] === undefined || row[nameColumn] === '') {
+        throw new ValidationError(`Design table row ${index + 1} has no '${nameColumn}'`);
+      }
+    });
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => column !== nameColumn);
+
+    for (const column of columns) {
+      if (!isVariableName(column)) {
+        throw new ValidationError(`Design table column '${column}' is not a valid variable name`);
+      }
+
+      const type = types[column] || Variables.VariableType.LENGTH;
+      if (!Object.values(Variables.VariableType).includes(type)) {
+        throw new ValidationError(`Invalid variable type for column '${column}': ${type}`);
+      }
+    }
+
+    // Convert every cell up front so a bad value fails before anything is uploaded
+    const expressions = Object.fromEntries(columns.map(column => [column, rows.map((row, index) => {
+      if (row[column] === undefined || row[column] === '') {
+        throw new ValidationError(`Design table row ${index + 1} has no value for '${column}'`);
+      }
+      return Variables.toExpression(row[column], types[column], this._client.unitSystem);
+    })]));
+
+    await this.addListInput({ id: input, name, options: rows.map(row => row[nameColumn]) });
+
+    try {
+      const inputDefinition = await this._getInput(input);
+      const features = await this._getFeatureDefinitions();
+      const variables = {};
+
+      for (const column of columns) {
+        await this._setConfiguredVariable(
+          features,
+          column,
+          types[column] || Variables.VariableType.LENGTH,
+          inputDefinition,
+          expressions[column]
+        );
+        variables[column] = `#${column}`;
+      }
+
+      log.info(`Imported design table with ${rows.length} rows into '${input}'`);
+
+      return { input, options: rows.map(row => String(row[nameColumn])), variables };
+    } catch (error) {
+      log.error("Error importing design table:", error);
+      throw new FeatureError("Failed to import design table", error);
+    }
+  }
+
+  /**
+   * Encode configuration values into a configuration string, for looking up
+   * parts and entities in that configuration
+   *
+   * @param {Object} values Values by input ID: option names for list inputs, booleans for
+   *   checkboxes, and numbers or expressions such as "12 mm" for quantities
+   * @returns {Promise<string>} The encoded configuration
+   */
+  async encode(values) {
+    const parameters = [];
+
+    for (const [id, value] of Object.entries(values)) {
+      const input = await this._getInput(id);
+      let parameterValue;
+
+      switch (INPUT_TYPES[input.btType]) {
+        case ConfigurationInputType.LIST: {
+          const option = input.options.find(item => item.optionName === String(value) || item.option === value);
+          if (!option) {
+            throw new ValidationError(`'${value}' is not an option of '${id}'`);
+          }
+          parameterValue = option.option;
+          break;
+        }
+        case ConfigurationInputType.BOOLEAN:
+          parameterValue = String(!!value);
+          break;
+        default:
+          // Numbers are in the input's units, written the way its current value would be
+          parameterValue = typeof value === 'number'
+            ? createConfigurationValue({ ...input, rangeAndDefault: { ...input.rangeAndDefault, defaultValue: value } }).expression
+            : value;
+      }
+
+      parameters.push({ parameterId: id, parameterValue });
+    }
+
+    try {
+      const encoding = await this._configurationsApi.encodeConfiguration(
+        this.partStudio.document.id,
+        this.partStudio.id,
+        parameters
+      );
+      return encoding.encodedId;
+    } catch (error) {
+      throw new FeatureError("Failed to encode configuration", error);
+    }
+  }
+
+  /**
+   * Fetch the configuration of the part studio
+   * @private
+   */
+  async _load() {
+    try {
+      const configuration = await this._configurationsApi.getConfiguration(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id
+      );
+
+      return {
+        ...configuration,
+        configurationParameters: configuration.configurationParameters || [],
+        currentConfiguration: configuration.currentConfiguration || []
+      };
+    } catch (error) {
+      throw new FeatureError("Failed to get configuration", error);
+    }
+  }
+
+  /**
+   * Upload the configuration of the part studio
+   * @private
+   */
+  async _save(configuration) {
+    try {
+      return await this._configurationsApi.updateConfiguration(
+        this.partStudio.document.id,
+        this.partStudio.document.defaultWorkspace.id,
+        this.partStudio.id,
+        configuration
+      );
+    } catch (error) {
+      log.error("Error updating configuration:", error);
+      throw new FeatureError("Failed to update configuration", error);
+    }
+  }
+
+  /**
+   * Add an input definition, replacing any input with the same ID
+   * @private
+   */
+  async _setInput(definition) {
+    const configuration = await this._load();
+    const id = definition.parameterId;
+
+    const configurationParameters = configuration.configurationParameters.filter(input => input.parameterId !== id);
+    const currentConfiguration = configuration.currentConfiguration.filter(value => value.parameterId !== id);
+
+    await this._save({
+      ...configuration,
+      configurationParameters: [...configurationParameters, definition],
+      currentConfiguration: [...currentConfiguration, createConfigurationValue(definition)]
+    });
+
+    log.info(`Set configuration input '${id}'`);
+
+    return this._describeInput(definition);
+  }
+
+  /**
+   * Find an input definition by ID
+   * @private
+   */
+  async _getInput(id, type = null) {
+    const configuration = await this._load();
+    const input = configuration.configurationParameters.find(item => item.parameterId === id);
+
+    if (!input) {
+      throw new ValidationError(`Unknown configuration input: ${id}`);
+    }
+
+    if (type && INPUT_TYPES[input.btType] !== type) {
+      throw new ValidationError(`Configuration input '${id}' is not a ${type.toLowerCase()} input`);
+    }
+
+    return input;
+  }
+
+  /**
+   * Summarize an input definition
+   * @private
+   */
+  _describeInput(input) {
+    const type = INPUT_TYPES[input.btType];
+    const description = { id: input.parameterId, name: input.parameterName, type };
+
+    if (type === ConfigurationInputType.LIST) {
+      const options = input.options.map(option => ({ id: option.option, name: option.optionName }));
+      return { ...description, options, defaultValue: input.defaultValue };
+    }
+
+    if (type === ConfigurationInputType.QUANTITY) {
+      const { units, minValue, maxValue, defaultValue } = input.rangeAndDefault;
+      return { ...description, quantityType: input.quantityType, units, min: minValue, max: maxValue, defaultValue };
+    }
+
+    return { ...description, defaultValue: input.defaultValue };
+  }
+
+  /**
+   * Check that an input ID can be referenced as a variable
+   * @private
+   */
+  _validateInputId(id) {
+    if (!isVariableName(id)) {
+      throw new ValidationError(`Invalid configuration input ID: ${id}`);
+    }
+  }
+
+  /**
+   * Fetch the definitions of the features in the part studio
+   * @private
+   */
+  async _getFeatureDefinitions() {
+    const response = await this._api.endpoints.getFeatures(
+      this.partStudio.document.id,
+      this.partStudio.document.defaultWorkspace.id,
+      this.partStudio.id
+    );
+
+    return response.features || [];
+  }
+
+  /**
+   * Get the plain parameter behind a parameter that may already be configured
+   * @private
+   */
+  _getBaseParameter(parameter) {
+    if (parameter.btType === "BTMParameterConfigured-2222") {
+      return parameter.values[0].value;
+    }
+
+    return parameter;
+  }
+
+  /**
+   * Get the variable name of a variable feature
+   * @private
+   */
+  _getVariableName(feature) {
+    const nameParameter = (feature.parameters || []).find(parameter => parameter.parameterId === 'name');
+    return nameParameter ? nameParameter.value : feature.name;
+  }
+
+  /**
+   * Build the configured form of a parameter for an input
+   * @private
+   */
+  _configureParameter(parameter, input, values) {
+    const type = INPUT_TYPES[input.btType];
+
+    if (type === ConfigurationInputType.QUANTITY) {
+      if (parameter.btType !== "BTMParameterQuantity-147") {
+        throw new ValidationError(`Only quantity parameters can follow quantity input '${input.parameterId}'`);
+      }
+      return { ...parameter, expression: `#${input.parameterId}`, value: undefined };
+    }
+
+    const keys = type === ConfigurationInputType.LIST
+      ? input.options.map(option => ({ key: option.option, names: [option.option, option.optionName] }))
+      : [true, false].map(key => ({ key, names: [String(key)] }));
+
+    const knownNames = keys.flatMap(({ names }) => names);
+    const unknown = Object.keys(values).filter(name => !knownNames.includes(name));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown values for '${input.parameterId}': ${unknown.join(', ')}`);
+    }
+
+    return createConfiguredParameter(parameter.parameterId, input, keys.map(({ key, names }) => {
+      const name = names.find(item => values[item] !== undefined);
+      return {
+        key,
+        parameter: name === undefined
+          ? parameter
+          : withParameterValue(parameter, values[name], this._client.unitSystem)
+      };
+    }));
+  }
+
+  /**
+   * Add or update a variable feature whose value each option of a list input drives
+   * @private
+   */
+  async _setConfiguredVariable(features, name, type, input, expressions) {
+    const variableModel = createVariable({ name, variableType: type, expression: expressions[0] });
+    const index = variableModel.parameters.findIndex(parameter => parameter.btType === "BTMParameterQuantity-147");
+    const valueParameter = variableModel.parameters[index];
+
+    variableModel.parameters[index] = createConfiguredParameter(
+      valueParameter.parameterId,
+      input,
+      input.options.map((option, optionIndex) => ({
+        key: option.option,
+        parameter: { ...valueParameter, expression: expressions[optionIndex] }
+      }))
+    );
+
+    const existing = features.find(feature => feature.featureType === 'assignVariable' && this._getVariableName(feature) === name);
+    const wvm = { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id };
+
+    if (existing) {
+      await this._api.endpoints.updateFeature(
+        this.partStudio.document.id,
+        wvm,
+        this.partStudio.id,
+        existing.featureId,
+        variableModel
+      );
+    } else {
+      await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        wvm,
+        this.partStudio.id,
+        variableModel
+      );
+    }
+  }
+}
+
+module.exports = Configuration;
+module.exports.ConfigurationInputType = ConfigurationInputType;
+module.exports.ConfigurationQuantityType = ConfigurationQuantityType;
+module.exports.parseDesignTable = parseDesignTable;
@@ -0,0 +1,133 @@
+// src/features/draft.js
+/**
+ * Interface to the Draft Feature
+ */
+
+const { createDraft } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getPartFaceIds, getPlaneIds } = require('./references');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Draft class
+const log = logger.scope('Draft');
+
+/**
+ * Represents a neutral plane draft feature in Onshape, tapering faces for molding
+ */
+class Draft {
+  /**
+   * @param {Object} options Draft properties
+   * @param {Object} options.partStudio The part studio that owns the draft
+   * @param {Object|string} options.neutralPlane The plane the faces pivot about: a plane reference
+   *   accepted by Mirror, or `{ closestTo: [x, y, z] }` for the face of the part nearest a point
+   * @param {Object|Array|string} options.faces Faces to draft: face IDs, or `{ closestTo: [x, y, z] }`
+   * @param {number|string} options.angle Draft angle in degrees
+   * @param {Part} [options.part] The part being drafted, needed to find faces with closestTo
+   * @param {boolean} [options.flip=false] Flip the pull direction
+   * @param {boolean} [options.tangentPropagation=true] Propagate along tangent faces
+   * @param {string} [options.name="Draft"] Name of the draft
+   */
+  constructor({
+    partStudio,
+    neutralPlane,
+    faces,
+    angle,
+    part = null,
+    flip = false,
+    tangentPropagation = true,
+    name = "Draft"
+  }) {
+    this.partStudio = partStudio;
+    this.neutralPlane = neutralPlane;
+    this.faces = faces;
+    this.angle = angle;
+    this.part = part;
+    this.flip = flip;
+    this.tangentPropagation = tangentPropagation;
+    this.name = name;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new draft with proper async initialization
+   *
+   * @param {Object} options Draft properties, see the constructor
+   * @returns {Promise<Draft>} The uploaded draft
+   */
+  static async create(options) {
+    const draft = new Draft(options);
+    await draft._uploadFeature();
+    return draft;
+  }
+
+  /**
+   * Check the draft options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.neutralPlane) {
+      throw new ValidationError("A neutral plane is required for a draft");
+    }
+
+    if (!this.faces) {
+      throw new ValidationError("Faces are required for a draft");
+    }
+
+    if (typeof this.angle === 'number') {
+      if (!isFinite(this.angle) || this.angle <= 0 || this.angle >= 90) {
+        throw new ValidationError("Draft angle must be between 0 and 90 degrees");
+      }
+    } else if (typeof this.angle !== 'string' || !this.angle.trim()) {
+      throw new ValidationError("Draft angle must be a number of degrees or an expression");
+    }
+  }
+
+  /**
+   * Upload the draft feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const neutralPlaneIds = this.neutralPlane.closestTo
+        ? await getPartFaceIds(this.part, this.neutralPlane)
+        : await getPlaneIds(this.partStudio, this.neutralPlane);
+      const faceIds = await getPartFaceIds(this.part, this.faces);
+
+      const draftModel = createDraft({
+        name: this.name,
+        neutralPlaneIds,
+        faceIds,
+        angle: this.angle,
+        pullDirection: this.flip,
+        tangentPropagation: this.tangentPropagation
+      });
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        draftModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded draft '${this.name}'`);
+
+      // Add this draft to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating draft:", error);
+      throw new FeatureError("Failed to create draft", error);
+    }
+  }
+}
+
+module.exports = Draft;
@@ -4,7 +4,103 @@
  */
 
 const { createExtrude } = require('../api/schema');
-const { FeatureError } = require('../utils/errors');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getFaceIds, getBodyIds, getEntityIds } = require('./references');
+const { assertLength } = require('../utils/misc');
+const { Q, EntityType } = require('../entities/query');
+const { PartList } = require('../entities/parts');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Extrude class
+const log = logger.scope('Extrude');
+
+/**
+ * Extrude end types
+ */
+const ExtrudeEndType = {
+  BLIND: 'BLIND',
+  THROUGH_ALL: 'THROUGH_ALL',
+  UP_TO_NEXT: 'UP_TO_NEXT',
+  UP_TO_FACE: 'UP_TO_FACE',
+  UP_TO_PART: 'UP_TO_PART',
+  UP_TO_VERTEX: 'UP_TO_VERTEX'
+};
+
+/**
+ * End types that extrude up to a chosen entity
+ */
+const UP_TO_ENTITY_TYPES = [
+  ExtrudeEndType.UP_TO_FACE,
+  ExtrudeEndType.UP_TO_PART,
+  ExtrudeEndType.UP_TO_VERTEX
+];
+
+/**
+ * Normalize a draft option to { angle, pullDirection }
+ *
+ * @param {number|string|Object} draft Draft angle in degrees, or { angle, flip }
+ * @param {string} label Name used in the error message
+ * @returns {Object|null} The normalized draft
+ */
+function normalizeDraft(draft, label) {
+  if (draft === null || draft === undefined) {
+    return null;
+  }
+
+  const { angle, flip = false } = typeof draft === 'object' ? draft : { angle: draft };
+
+  if (typeof angle === 'number') {
+    if (!isFinite(angle) || angle <= 0 || angle >= 90) {
+      throw new ValidationError(`${label} angle must be between 0 and 90 degrees`);
+    }
+  } else if (typeof angle !== 'string' || !angle.trim()) {
+    throw new ValidationError(`${label} angle must be a number of degrees or an expression`);
+  }
+
+  return { angle, pullDirection: !!flip };
+}
+
+/**
+ * Normalize an offset option to { distance, oppositeDirection }
+ *
+ * @param {number|string|Object} offset Offset distance, or { distance, flip }
+ * @param {string} label Name used in the error message
+ * @returns {Object|null} The normalized offset
+ */
+function normalizeOffset(offset, label) {
+  if (offset === null || offset === undefined) {
+    return null;
+  }
+
+  const { distance, flip = false } = typeof offset === 'object' ? offset : { distance: offset };
+  assertLength(distance, `${label} offset`);
+
+  return { distance, oppositeDirection: !!flip };
+}
+
+/**
+ * Validate the end condition of one extrude direction
+ *
+ * @param {Object} bound Direction options
+ * @param {string} label Name used in error messages
+ */
+function validateBound({ endType, distance, upTo, offset }, label) {
+  if (!Object.values(ExtrudeEndType).includes(endType)) {
+    throw new ValidationError(`${label} has an invalid end type: ${endType}`);
+  }
+
+  if (endType === ExtrudeEndType.BLIND) {
+    assertLength(distance, `${label} distance`);
+  }
+
+  if (UP_TO_ENTITY_TYPES.includes(endType) && !upTo) {
+    throw new ValidationError(`${label} needs an upTo entity for end type ${endType}`);
+  }
+
+  if (offset !== null && offset !== undefined && !UP_TO_ENTITY_TYPES.includes(endType)) {
+    throw new ValidationError(`${label} offset is only supported for up to face, part or vertex`);
+  }
+}
 
 /**
  * Represents an extrusion feature in Onshape
@@ -13,19 +109,39 @@ class Extrude {
   /**
    * @param {Object} options Extrude properties
    * @param {Object} options.partStudio The part studio that owns the extrude
-   * @param {Object} options.faces The faces to extrude (usually from a sketch)
-   * @param {number} options.distance The distance to extrude
+   * @param {Object} options.faces The faces to extrude (usually from a sketch), a query,
+   *   or `{ sketch, region }` to extrude only some regions of a sketch, see Q.region
+   * @param {number|string} [options.distance] The distance to extrude, required for blind extrudes
    * @param {string} [options.name="Extrusion"] Name of the extrude
    * @param {Object} [options.mergeWith=null] Optional body to merge with
    * @param {Object} [options.subtractFrom=null] Optional body to subtract from
+   * @param {string} [options.endType=ExtrudeEndType.BLIND] How the extrude ends
+   * @param {boolean} [options.symmetric=false] Extrude equally on both sides of the sketch plane
+   * @param {boolean} [options.oppositeDirection=false] Flip the extrude direction
+   * @param {Object|Array<string>|string} [options.upTo=null] Face, part or vertex for the up-to end types
+   * @param {number|string|Object} [options.offset=null] Offset from the up-to entity, or { distance, flip }
+   * @param {number|string|Object} [options.draft=null] Draft angle in degrees, or { angle, flip }
+   * @param {Object} [options.secondDirection=null] Second direction { endType, distance, upTo, offset, draft }
+   * @param {Object} [options.thin=null] Thin extrude { thickness, secondThickness, midplane, flipWall }
+   * @param {string} [options.key=null] Stable key; with a key the extrude updates the keyed extrude
+   *   already in the part studio instead of adding another, see PartStudio.ensure
    */
-  constructor({ 
-    partStudio, 
-    faces, 
-    distance, 
-    name = "Extrusion", 
-    mergeWith = null, 
-    subtractFrom = null 
+  constructor({
+    partStudio,
+    faces,
+    distance,
+    name = "Extrusion",
+    mergeWith = null,
+    subtractFrom = null,
+    endType = ExtrudeEndType.BLIND,
+    symmetric = false,
+    oppositeDirection = false,
+    upTo = null,
+    offset = null,
+    draft = null,
+    secondDirection = null,
+    thin = null,
+    key = null
   }) {
     this.partStudio = partStudio;
     this.faces = faces;
@@ -33,14 +149,88 @@ class Extrude {
     this.name = name;
     this.mergeWith = mergeWith;
     this.subtractFrom = subtractFrom;
+    this.endType = endType;
+    this.symmetric = symmetric;
+    this.oppositeDirection = oppositeDirection;
+    this.upTo = upTo;
+    this.offset = offset;
+    this.draft = draft;
+    this.secondDirection = secondDirection;
+    this.thin = thin;
+    this.key = key;
     this.featureId = null;
     
     // Access APIs via part studio
     this._api = partStudio._api;
     this._client = partStudio._client;
     
-    // Create the extrude in Onshape
-    this._uploadFeature();
+    this._validate();
+  }
+
+  /**
+   * Create a new extrude with proper async initialization
+   * 
+   * @param {Object} options Extrude properties, see the constructor
+   * @returns {Promise<Extrude>} The uploaded extrude
+   */
+  static async create(options) {
+    const extrude = new Extrude(options);
+    await extrude._uploadFeature();
+    return extrude;
+  }
+
+  /**
+   * Check the extrude options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.faces) {
+      throw new ValidationError("Faces are required for an extrude");
+    }
+    
+    if (this.mergeWith && this.subtractFrom) {
+      throw new ValidationError("An extrude cannot both merge with and subtract from bodies");
+    }
+    
+    validateBound(this, "Extrude");
+    this._draft = normalizeDraft(this.draft, "Draft");
+    this._offset = normalizeOffset(this.offset, "Extrude");
+    
+    if (this.symmetric) {
+      if (![ExtrudeEndType.BLIND, ExtrudeEndType.THROUGH_ALL].includes(this.endType)) {
+        throw new ValidationError("Symmetric extrudes must be blind or through all");
+      }
+      
+      if (this.secondDirection) {
+        throw new ValidationError("A symmetric extrude cannot have a second direction");
+      }
+    }
+    
+    if (this.secondDirection) {
+      const second = { endType: ExtrudeEndType.BLIND, ...this.secondDirection };
+      validateBound(second, "Second direction");
+      
+      this._secondDirection = {
+        endType: second.endType,
+        distance: second.distance,
+        upTo: second.upTo || null,
+        offset: normalizeOffset(second.offset, "Second direction"),
+        draft: normalizeDraft(second.draft, "Second direction draft")
+      };
+    } else {
+      this._secondDirection = null;
+    }
+    
+    if (this.thin) {
+      assertLength(this.thin.thickness, "Thin extrude thickness");
+      
+      if (this.thin.secondThickness !== undefined) {
+        if (this.thin.midplane) {
+          throw new ValidationError("Midplane thin extrudes take a single thickness");
+        }
+        assertLength(this.thin.secondThickness, "Thin extrude second thickness", true);
+      }
+    }
   }
 
   /**
@@ -50,17 +240,7 @@ class Extrude {
   async _uploadFeature() {
     try {
       // Get face IDs
-      let faceIds;
-      if (Array.isArray(this.faces)) {
-        faceIds = this.faces; // Already array of IDs
-      } else if (this.faces.getEntities) {
-        const entities = await this.faces.getEntities();
-        faceIds = entities.faceIds;
-      } else if (this.faces.faceIds) {
-        faceIds = this.faces.faceIds;
-      } else {
-        throw new OnshapeFeatureError("Invalid faces provided for extrusion");
-      }
+      const faceIds = await getFaceIds(this.faces, this.partStudio);
       
       // Determine operation type
       let operationType = "NEW";
@@ -68,10 +248,19 @@ class Extrude {
       
       if (this.subtractFrom) {
         operationType = "REMOVE";
-        booleanScope = await this._getBodyIds(this.subtractFrom);
+        booleanScope = await getBodyIds(this.subtractFrom);
       } else if (this.mergeWith) {
         operationType = "ADD";
-        booleanScope = await this._getBodyIds(this.mergeWith);
+        booleanScope = await getBodyIds(this.mergeWith);
+      }
+      
+      let secondDirection = null;
+      if (this._secondDirection) {
+        const { upTo, ...second } = this._secondDirection;
+        secondDirection = {
+          ...second,
+          upToIds: await this._getUpToIds(second.endType, upTo)
+        };
       }
       
       // Create the extrude model
@@ -80,94 +269,83 @@ class Extrude {
         facesIds: faceIds,
         distance: this.distance,
         operationType,
-        booleanScope
+        booleanScope,
+        endType: this.endType,
+        symmetric: this.symmetric,
+        oppositeDirection: this.oppositeDirection,
+        upToIds: await this._getUpToIds(this.endType, this.upTo),
+        offset: this._offset,
+        draft: this._draft,
+        secondDirection,
+        thin: this.thin,
+        unitSystem: this._client.unitSystem
       });
       
-      // Upload to Onshape
-      const response = await this._api.endpoints.addFeature(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        extrudeModel
-      );
+      // Upload to Onshape, reusing the keyed extrude if there is one
+      const response = this.key
+        ? await this.partStudio.ensureFeature(this.key, extrudeModel)
+        : await this._api.endpoints.addFeature(
+            this.partStudio.document.id,
+            { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+            this.partStudio.id,
+            extrudeModel
+          );
       
       this.featureId = response.feature.featureId;
-      console.log(`Successfully uploaded extrude '${this.name}'`);
+      log.info(`Successfully uploaded extrude '${this.name}'`);
       
       // Add this extrude to the part studio's features
       this.partStudio._features.push(this);
       
       return response;
     } catch (error) {
-      console.error("Error creating extrude:", error);
-      throw new OnshapeFeatureError("Failed to create extrude", error);
+      log.error("Error creating extrude:", error);
+      throw new FeatureError("Failed to create extrude", error);
     }
   }
 
   /**
-   * Get body IDs from a body or part
+   * Get the IDs of the entity an up-to end type extrudes to
    * 
-   * @param {Object} body The body or part to get IDs from
-   * @returns {Promise<Array<string>>} Array of body IDs
+   * @param {string} endType The end type
+   * @param {Object|Array<string>|string} upTo The face, part or vertex
+   * @returns {Promise<Array<string>>} Array of entity IDs
    * @private
    */
-  async _getBodyIds(body) {
-    if (Array.isArray(body)) {
-      return body; // Already array of IDs
-    } else if (body.getBodyIds) {
-      return await body.getBodyIds();
-    } else if (body.id) {
-      return [body.id];
-    } else {
-      throw new OnshapeFeatureError("Invalid body provided for boolean operation");
+  async _getUpToIds(endType, upTo) {
+    if (!UP_TO_ENTITY_TYPES.includes(endType)) {
+      return [];
     }
+    
+    if (endType === ExtrudeEndType.UP_TO_PART && typeof upTo !== 'string') {
+      return await getBodyIds(upTo);
+    }
+    
+    return await getEntityIds(upTo, "upTo entity");
   }
 
   /**
    * Get the parts created by this extrude
    * 
-   * @returns {Promise<Array<Object>>} Array of created parts
+   * @returns {Promise<PartList>} The created parts
    */
   async getCreatedParts() {
     if (!this.featureId) {
-      throw new OnshapeFeatureError("Cannot get parts for extrude without a feature ID");
+      throw new FeatureError("Cannot get parts for extrude without a feature ID");
     }
     
-    const script = `
-      function(context is Context, queries) {
-        var query = qCreatedBy(makeId("${this.featureId}"), EntityType.BODY);
-        return transientQueriesToStrings(evaluateQuery(context, query));
-      }
-    `;
-    
     try {
-      const response = await this._api.endpoints.evalFeaturescript(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        script
-      );
-      
-      if (!response.result || !response.result.value) {
-        return [];
-      }
-      
-      const partIds = response.result.value.map(item => item.value);
-      
-      // Fetch actual part data
-      const parts = await this._api.endpoints.listParts(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id
-      );
+      const partIds = await Q.createdBy(this, EntityType.BODY).evaluateIds(this.partStudio);
+      const parts = await this.partStudio.getParts();
       
-      // Filter parts that match our created IDs
-      return parts.filter(part => partIds.includes(part.partId));
+      // Keep the parts that match our created IDs
+      return new PartList(parts.parts.filter(part => partIds.includes(part.id)));
     } catch (error) {
-      console.error("Error getting created parts:", error);
-      throw new OnshapeFeatureError("Failed to get created parts", error);
+      log.error("Error getting created parts:", error);
+      throw new FeatureError("Failed to get created parts", error);
     }
   }
 }
 
-module.exports = Extrude;
\ No newline at end of file
+module.exports = Extrude;
+module.exports.ExtrudeEndType = ExtrudeEndType;
@@ -0,0 +1,143 @@
+// src/features/fillet.js
+/**
+ * Interface to the Fillet Feature
+ */
+
+const { createFillet } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getEdgeIds, getEntityIds } = require('./references');
+const { assertLength } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Fillet class
+const log = logger.scope('Fillet');
+
+/**
+ * Represents a fillet feature in Onshape
+ */
+class Fillet {
+  /**
+   * @param {Object} options Fillet properties
+   * @param {Object} options.partStudio The part studio that owns the fillet
+   * @param {Object|Array<string>} options.edges Edge IDs, a part, a feature that created bodies, an edge filter or a query
+   * @param {number|string} options.radius Fillet radius
+   * @param {string} [options.name="Fillet"] Name of the fillet
+   * @param {boolean} [options.tangentPropagation=true] Propagate along tangent edges
+   * @param {Array<Object>} [options.variableRadii=[]] Radii at vertices `{ vertex, radius }` for a variable radius fillet
+   * @param {boolean} [options.smoothTransition=false] Blend smoothly between variable radii
+   * @param {string} [options.key=null] Stable key; with a key the fillet updates the keyed fillet
+   *   already in the part studio instead of adding another, see PartStudio.ensure
+   */
+  constructor({
+    partStudio,
+    edges,
+    radius,
+    name = "Fillet",
+    tangentPropagation = true,
+    variableRadii = [],
+    smoothTransition = false,
+    key = null
+  }) {
+    this.partStudio = partStudio;
+    this.edges = edges;
+    this.radius = radius;
+    this.name = name;
+    this.tangentPropagation = tangentPropagation;
+    this.variableRadii = variableRadii;
+    this.smoothTransition = smoothTransition;
+    this.key = key;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new fillet with proper async initialization
+   *
+   * @param {Object} options Fillet properties, see the constructor
+   * @returns {Promise<Fillet>} The uploaded fillet
+   */
+  static async create(options) {
+    const fillet = new Fillet(options);
+    await fillet._uploadFeature();
+    return fillet;
+  }
+
+  /**
+   * Check the fillet options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.edges) {
+      throw new ValidationError("Edges are required for a fillet");
+    }
+
+    assertLength(this.radius, "Fillet radius");
+
+    if (!Array.isArray(this.variableRadii)) {
+      throw new ValidationError("Variable radii must be an array of { vertex, radius }");
+    }
+
+    this.variableRadii.forEach(({ vertex, radius }, index) => {
+      if (!vertex) {
+        throw new ValidationError(`Variable radius ${index + 1} needs a vertex`);
+      }
+      assertLength(radius, `Variable radius ${index + 1}`);
+    });
+  }
+
+  /**
+   * Upload the fillet feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const edgeIds = await getEdgeIds(this.partStudio, this.edges);
+
+      const variableRadii = [];
+      for (const { vertex, radius } of this.variableRadii) {
+        variableRadii.push({
+          vertexIds: await getEntityIds(vertex, "vertex"),
+          radius
+        });
+      }
+
+      const filletModel = createFillet({
+        name: this.name,
+        edgeIds,
+        radius: this.radius,
+        tangentPropagation: this.tangentPropagation,
+        variableRadii,
+        smoothTransition: this.smoothTransition,
+        unitSystem: this._client.unitSystem
+      });
+
+      // Upload to Onshape, reusing the keyed fillet if there is one
+      const response = this.key
+        ? await this.partStudio.ensureFeature(this.key, filletModel)
+        : await this._api.endpoints.addFeature(
+            this.partStudio.document.id,
+            { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+            this.partStudio.id,
+            filletModel
+          );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded fillet '${this.name}'`);
+
+      // Add this fillet to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating fillet:", error);
+      throw new FeatureError("Failed to create fillet", error);
+    }
+  }
+}
+
+module.exports = Fillet;
@@ -0,0 +1,189 @@
+// src/features/loft.js
+/**
+ * Interface to the Loft Feature
+ */
+
+const { createLoft } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getFaceIds, getBodyIds, getEdgeIds } = require('./references');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Loft class
+const log = logger.scope('Loft');
+
+/**
+ * Conditions at the first and last profile of a loft
+ */
+const LoftCondition = {
+  DEFAULT: 'DEFAULT',
+  NORMAL_TO_PROFILE: 'NORMAL_TO_PROFILE',
+  TANGENT_TO_PROFILE: 'TANGENT_TO_PROFILE',
+  MATCH_TANGENT: 'MATCH_TANGENT',
+  MATCH_CURVATURE: 'MATCH_CURVATURE'
+};
+
+/**
+ * Represents a loft feature in Onshape, blending between two or more profiles
+ */
+class Loft {
+  /**
+   * @param {Object} options Loft properties
+   * @param {Object} options.partStudio The part studio that owns the loft
+   * @param {Array<Object>} options.profiles The profiles in loft order, e.g. sketches on offset planes
+   * @param {Array<Object>} [options.guides=[]] Guide curves: sketches, edge IDs or `{ sketch, items }` chains
+   * @param {string} [options.name="Loft"] Name of the loft
+   * @param {string} [options.startCondition=LoftCondition.DEFAULT] Condition at the first profile
+   * @param {number} [options.startMagnitude=1] Strength of the start condition
+   * @param {string} [options.endCondition=LoftCondition.DEFAULT] Condition at the last profile
+   * @param {number} [options.endMagnitude=1] Strength of the end condition
+   * @param {Object} [options.mergeWith=null] Optional body to merge with
+   * @param {Object} [options.subtractFrom=null] Optional body to subtract from
+   */
+  constructor({
+    partStudio,
+    profiles,
+    guides = [],
+    name = "Loft",
+    startCondition = LoftCondition.DEFAULT,
+    startMagnitude = 1,
+    endCondition = LoftCondition.DEFAULT,
+    endMagnitude = 1,
+    mergeWith = null,
+    subtractFrom = null
+  }) {
+    this.partStudio = partStudio;
+    this.profiles = profiles;
+    this.guides = guides;
+    this.name = name;
+    this.startCondition = startCondition;
+    this.startMagnitude = startMagnitude;
+    this.endCondition = endCondition;
+    this.endMagnitude = endMagnitude;
+    this.mergeWith = mergeWith;
+    this.subtractFrom = subtractFrom;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new loft with proper async initialization
+   *
+   * @param {Object} options Loft properties, see the constructor
+   * @returns {Promise<Loft>} The uploaded loft
+   */
+  static async create(options) {
+    const loft = new Loft(options);
+    await loft._uploadFeature();
+    return loft;
+  }
+
+  /**
+   * Check the loft options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!Array.isArray(this.profiles) || this.profiles.length < 2) {
+      throw new ValidationError("A loft needs at least two profiles");
+    }
+
+    this.profiles.forEach((profile, index) => {
+      if (!profile) {
+        throw new ValidationError(`Loft profile ${index + 1} is missing`);
+      }
+    });
+
+    if (!Array.isArray(this.guides)) {
+      throw new ValidationError("Loft guides must be an array");
+    }
+
+    for (const [label, condition, magnitude] of [
+      ["start", this.startCondition, this.startMagnitude],
+      ["end", this.endCondition, this.endMagnitude]
+    ]) {
+      if (!Object.values(LoftCondition).includes(condition)) {
+        throw new ValidationError(`Invalid loft ${label} condition: ${condition}`);
+      }
+
+      if (typeof magnitude !== 'number' || !isFinite(magnitude) || magnitude <= 0) {
+        throw new ValidationError(`Loft ${label} magnitude must be a positive number`);
+      }
+    }
+
+    if (this.mergeWith && this.subtractFrom) {
+      throw new ValidationError("A loft can either merge with or subtract from bodies, not both");
+    }
+  }
+
+  /**
+   * Upload the loft feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const profileIds = [];
+      for (const [index, profile] of this.profiles.entries()) {
+        const faceIds = await getFaceIds(profile, this.partStudio);
+        if (faceIds.length === 0) {
+          throw new ValidationError(`Loft profile ${index + 1} has no faces`);
+        }
+        profileIds.push(faceIds);
+      }
+
+      const guideIds = [];
+      for (const guide of this.guides) {
+        guideIds.push(await getEdgeIds(this.partStudio, guide));
+      }
+
+      // Determine operation type
+      let operationType = "NEW";
+      let booleanScope = [];
+
+      if (this.subtractFrom) {
+        operationType = "REMOVE";
+        booleanScope = await getBodyIds(this.subtractFrom);
+      } else if (this.mergeWith) {
+        operationType = "ADD";
+        booleanScope = await getBodyIds(this.mergeWith);
+      }
+
+      const loftModel = createLoft({
+        name: this.name,
+        profileIds,
+        guideIds,
+        startCondition: this.startCondition,
+        startMagnitude: this.startMagnitude,
+        endCondition: this.endCondition,
+        endMagnitude: this.endMagnitude,
+        operationType,
+        booleanScope
+      });
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        loftModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded loft '${this.name}'`);
+
+      // Add this loft to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating loft:", error);
+      throw new FeatureError("Failed to create loft", error);
+    }
+  }
+}
+
+module.exports = Loft;
+module.exports.LoftCondition = LoftCondition;
@@ -0,0 +1,158 @@
+// src/features/mirror.js
+/**
+ * Interface to the Mirror Feature
+ */
+
+const { createMirror } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getFaceIds, getBodyIds, getFeatureIds, getPlaneIds } = require('./references');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Mirror class
+const log = logger.scope('Mirror');
+
+/**
+ * What a mirror copies
+ */
+const MirrorType = {
+  PART: 'PART',
+  FACE: 'FACE',
+  FEATURE: 'FEATURE'
+};
+
+/**
+ * Represents a mirror feature in Onshape
+ */
+class Mirror {
+  /**
+   * @param {Object} options Mirror properties
+   * @param {Object} options.partStudio The part studio that owns the mirror
+   * @param {Object|string} options.plane 'X', 'Y' or 'Z' for the default plane normal to that axis,
+   *   'Top', 'Front', 'Right', a DefaultPlane, an OffsetPlane, or a planar face ID
+   * @param {Object|Array} [options.parts] Parts to mirror: parts, features that created bodies, or body IDs
+   * @param {Object|Array<string>} [options.faces] Faces to mirror
+   * @param {Object|Array} [options.features] Features to mirror: feature objects or feature IDs
+   * @param {string} [options.name="Mirror"] Name of the mirror
+   * @param {boolean} [options.merge=false] Merge mirrored parts with every part they touch
+   * @param {Object|Array} [options.mergeWith=null] Merge mirrored parts with these bodies only
+   */
+  constructor({
+    partStudio,
+    plane,
+    parts,
+    faces,
+    features,
+    name = "Mirror",
+    merge = false,
+    mergeWith = null
+  }) {
+    this.partStudio = partStudio;
+    this.plane = plane;
+    this.parts = parts;
+    this.faces = faces;
+    this.features = features;
+    this.name = name;
+    this.merge = merge;
+    this.mergeWith = mergeWith;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new mirror with proper async initialization
+   *
+   * @param {Object} options Mirror properties, see the constructor
+   * @returns {Promise<Mirror>} The uploaded mirror
+   */
+  static async create(options) {
+    const mirror = new Mirror(options);
+    await mirror._uploadFeature();
+    return mirror;
+  }
+
+  /**
+   * Check the mirror options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    const targets = [this.parts, this.faces, this.features].filter(Boolean);
+    if (targets.length !== 1) {
+      throw new ValidationError("A mirror needs exactly one of parts, faces or features");
+    }
+
+    this.mirrorType = this.parts ? MirrorType.PART : this.faces ? MirrorType.FACE : MirrorType.FEATURE;
+
+    if (!this.plane) {
+      throw new ValidationError("A plane is required for a mirror");
+    }
+
+    if ((this.merge || this.mergeWith) && this.mirrorType !== MirrorType.PART) {
+      throw new ValidationError("Only part mirrors can be merged");
+    }
+  }
+
+  /**
+   * Get the IDs of what is being mirrored
+   *
+   * @returns {Promise<Array<string>>} Part or face IDs, or feature IDs
+   * @private
+   */
+  async _getTargetIds() {
+    if (this.mirrorType === MirrorType.FACE) {
+      return await getFaceIds(this.faces, this.partStudio);
+    }
+
+    if (this.mirrorType === MirrorType.FEATURE) {
+      return getFeatureIds(this.features);
+    }
+
+    return await getBodyIds(this.parts);
+  }
+
+  /**
+   * Upload the mirror feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const targetIds = await this._getTargetIds();
+      const planeIds = await getPlaneIds(this.partStudio, this.plane);
+
+      const mirrorModel = createMirror({
+        name: this.name,
+        patternType: this.mirrorType,
+        targetIds,
+        planeIds,
+        operationType: this.merge || this.mergeWith ? "ADD" : "NEW",
+        booleanScope: this.mergeWith ? await getBodyIds(this.mergeWith) : []
+      });
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        mirrorModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded mirror '${this.name}'`);
+
+      // Add this mirror to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating mirror:", error);
+      throw new FeatureError("Failed to create mirror", error);
+    }
+  }
+}
+
+module.exports = Mirror;
+module.exports.MirrorType = MirrorType;
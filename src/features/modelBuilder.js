@@ -0,0 +1,1041 @@
+// src/features/modelBuilder.js
+/**
+ * Builds a part studio from a declarative model specification.
+ *
+ * A spec lists features by name; features refer to each other by those names
+ * and may be listed in any order:
+ *
+ *   {
+ *     units: "inch",
+ *     variables: { wall: 0.1 },
+ *     features: [
+ *       { type: "sketch", name: "profile", plane: "Top",
+ *         entities: [{ type: "circle", center: [0, 0], radius: 2 }] },
+ *       { type: "extrude", name: "body", sketch: "profile", depth: 4 },
+ *       { type: "shell", name: "hollow", faces: "body", thickness: "#wall" },
+ *       { type: "fillet", name: "rim", edges: { of: "hollow", select: "top" }, radius: "#wall / 2" }
+ *     ]
+ *   }
+ *
+ * Lengths are numbers in the spec units or expressions such as "2 mm" or
+ * "#wall * 2"; angles are numbers of degrees or expressions. Sketch
+ * coordinates must be numbers. Extrudes and revolves take every region of
+ * their sketch, or the regions a `region` selector picks, see Q.region.
+ * A shell hollows a solid, removing its face farthest along a direction.
+ */
+
+const Sketch = require('./sketch');
+const Extrude = require('./extrude');
+const Revolve = require('./revolve');
+const Fillet = require('./fillet');
+const Chamfer = require('./chamfer');
+const Shell = require('./shell');
+const Variables = require('./variables');
+const { DefaultPlane, DefaultPlaneOrientation, OffsetPlane } = require('./planes');
+const { ExtrudeEndType } = require('./extrude');
+const { RevolveType, RevolveAxis } = require('./revolve');
+const { VariableType } = require('./variables');
+const { ShellDirection } = require('./shell');
+const { allEdges, topFaceEdges, edgesParallelTo } = require('../entities/edgeFilters');
+const { Q, EntityType, RegionSelector } = require('../entities/query');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { UnitSystem, assertExpression, isFeatureKey } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the ModelBuilder class
+const log = logger.scope('ModelBuilder');
+
+/**
+ * Feature types a spec can contain
+ */
+const SpecFeatureType = {
+  PLANE: 'plane',
+  SKETCH: 'sketch',
+  EXTRUDE: 'extrude',
+  REVOLVE: 'revolve',
+  FILLET: 'fillet',
+  CHAMFER: 'chamfer',
+  SHELL: 'shell'
+};
+
+/**
+ * Sketch entity types a spec can contain
+ */
+const SpecEntityType = {
+  CIRCLE: 'circle',
+  LINE: 'line',
+  ARC: 'arc',
+  RECTANGLE: 'rectangle',
+  POLYGON: 'polygon',
+  SPLINE: 'spline'
+};
+
+/**
+ * How a solid feature combines with the bodies it targets
+ */
+const SpecOperation = {
+  NEW: 'new',
+  ADD: 'add',
+  REMOVE: 'remove',
+  INTERSECT: 'intersect'
+};
+
+/**
+ * Edge selections of fillets and chamfers
+ */
+const SpecEdgeSelection = {
+  ALL: 'all',
+  TOP: 'top',
+  PARALLEL: 'parallel'
+};
+
+/**
+ * Spec units, with their size in meters and expression abbreviation
+ */
+const SPEC_UNITS = {
+  meter: { scale: 1, abbreviation: 'm' },
+  centimeter: { scale: 0.01, abbreviation: 'cm' },
+  millimeter: { scale: 0.001, abbreviation: 'mm' },
+  inch: { scale: 0.0254, abbreviation: 'in' }
+};
+
+/**
+ * Get the spec units of plain numbers for a client unit system. Like the
+ * client, specs are in inches unless the unit system is metric.
+ *
+ * @param {string} [unitSystem] The client unit system
+ * @returns {string} The spec units, "meter" or "inch"
+ */
+function getDefaultUnits(unitSystem) {
+  return unitSystem === UnitSystem.METRIC ? 'meter' : 'inch';
+}
+
+/**
+ * Feature types that create or modify solid bodies other features can target
+ */
+const SOLID_TYPES = [SpecFeatureType.EXTRUDE, SpecFeatureType.REVOLVE, SpecFeatureType.SHELL];
+
+/**
+ * Extrude end types that need no reference entity
+ */
+const SPEC_END_TYPES = [ExtrudeEndType.BLIND, ExtrudeEndType.THROUGH_ALL, ExtrudeEndType.UP_TO_NEXT];
+
+/**
+ * Look up the spec units, by name or abbreviation
+ *
+ * @param {string} units Unit name, e.g. "inch" or "mm"
+ * @returns {Object} The units as { name, scale, abbreviation }
+ */
+function getUnits(units) {
+  for (const [name, unit] of Object.entries(SPEC_UNITS)) {
+    if (units === name || units === unit.abbreviation) {
+      return { name, ...unit };
+    }
+  }
+
+  throw new ValidationError(`Unknown spec units: ${units}`);
+}
+
+/**
+ * Get the default plane orientation a name refers to, e.g. "top" or "Top Plane"
+ *
+ * @param {string} name The name
+ * @returns {string|null} The DefaultPlaneOrientation, or null
+ */
+function getDefaultPlane(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const plane = name.trim().toLowerCase().replace(/\s+plane$/, '');
+  return Object.values(DefaultPlaneOrientation).find(orientation => orientation.toLowerCase() === plane) || null;
+}
+
+/**
+ * Collects the checks made on one spec feature, naming the feature in errors
+ */
+class SpecChecker {
+  /**
+   * @param {Object} feature The spec feature
+   * @param {Object} units The spec units
+   */
+  constructor(feature, units) {
+    this.feature = feature;
+    this.units = units;
+    this.label = `Feature '${feature.name}'`;
+  }
+
+  /**
+   * Throw a ValidationError about the feature
+   *
+   * @param {string} message What is wrong
+   */
+  fail(message) {
+    throw new ValidationError(`${this.label} ${message}`);
+  }
+
+  /**
+   * Convert a length to an expression in the spec units
+   *
+   * @param {string} field Name of the field
+   * @param {boolean} [positive=true] Whether numbers must be greater than zero
+   * @returns {string} The expression
+   */
+  length(field, positive = true) {
+    const value = this.feature[field];
+
+    if (typeof value === 'string') {
+      assertExpression(value, `${this.label} ${field}`);
+      return value;
+    }
+
+    if (typeof value !== 'number' || !isFinite(value) || (positive && value <= 0)) {
+      this.fail(`needs ${field} as ${positive ? 'a positive' : 'a'} number or an expression`);
+    }
+
+    return `${value} ${this.units.abbreviation}`;
+  }
+
+  /**
+   * Check an angle in degrees
+   *
+   * @param {string} field Name of the field
+   * @returns {number|string} The angle
+   */
+  angle(field) {
+    const value = this.feature[field];
+
+    if (typeof value === 'string') {
+      assertExpression(value, `${this.label} ${field}`);
+      return value;
+    }
+
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0 || value > 360) {
+      this.fail(`needs ${field} between 0 and 360 degrees, or an expression`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Convert a sketch point to meters
+   *
+   * @param {*} point The point, [x, y] in spec units
+   * @param {string} label Name of the point in errors
+   * @returns {Array<number>} The point in meters
+   */
+  point(point, label) {
+    if (!Array.isArray(point) || point.length !== 2 ||
+        !point.every(value => typeof value === 'number' && isFinite(value))) {
+      this.fail(`has an invalid ${label}: expected [x, y]`);
+    }
+
+    return point.map(value => value * this.units.scale);
+  }
+
+  /**
+   * Convert a list of sketch points to meters
+   *
+   * @param {*} points The points
+   * @param {number} minimum Fewest points allowed
+   * @param {string} label Name of the points in errors
+   * @returns {Array<Array<number>>} The points in meters
+   */
+  points(points, minimum, label) {
+    if (!Array.isArray(points) || points.length < minimum) {
+      this.fail(`needs at least ${minimum} ${label}`);
+    }
+
+    return points.map((point, i) => this.point(point, `${label} ${i + 1}`));
+  }
+
+  /**
+   * Check a reference to another feature
+   *
+   * @param {string} field Name of the field
+   * @param {Map<string, Object>} features Spec features by name
+   * @param {Array<string>} types Feature types the reference may point to
+   * @returns {string} The referenced name
+   */
+  reference(field, features, types) {
+    const name = this.feature[field];
+
+    if (name === undefined || name === null) {
+      this.fail(`needs ${field}`);
+    }
+
+    const target = features.get(name);
+
+    if (!target) {
+      this.fail(`refers to unknown feature '${name}' in ${field}`);
+    }
+
+    if (!types.includes(target.type)) {
+      this.fail(`has ${field} referring to ${target.type} '${name}', expected ${types.join(' or ')}`);
+    }
+
+    return name;
+  }
+}
+
+/**
+ * Normalize the entities of a sketch feature to meters
+ *
+ * @param {SpecChecker} check Checker of the sketch feature
+ * @returns {Array<Object>} The entities
+ */
+function normalizeEntities(check) {
+  const { entities } = check.feature;
+
+  if (!Array.isArray(entities) || entities.length === 0) {
+    check.fail("needs at least one sketch entity");
+  }
+
+  const ids = new Set();
+
+  return entities.map((entity, i) => {
+    const label = `entity ${i + 1}`;
+
+    if (!entity || !Object.values(SpecEntityType).includes(entity.type)) {
+      check.fail(`has ${label} of unknown type: ${entity && entity.type}`);
+    }
+
+    if (entity.id !== undefined) {
+      if (typeof entity.id !== 'string' || ids.has(entity.id)) {
+        check.fail(`has ${label} with a missing or duplicate id`);
+      }
+      ids.add(entity.id);
+    }
+
+    const normalized = { type: entity.type, id: entity.id };
+
+    switch (entity.type) {
+      case SpecEntityType.CIRCLE:
+        if (typeof entity.radius !== 'number' || !(entity.radius > 0)) {
+          check.fail(`needs a positive radius for ${label}`);
+        }
+        normalized.center = check.point(entity.center, `${label} center`);
+        normalized.radius = entity.radius * check.units.scale;
+        break;
+      case SpecEntityType.LINE:
+        normalized.start = check.point(entity.start, `${label} start`);
+        normalized.end = check.point(entity.end, `${label} end`);
+        normalized.construction = !!entity.construction;
+        break;
+      case SpecEntityType.ARC:
+        normalized.start = check.point(entity.start, `${label} start`);
+        normalized.mid = check.point(entity.mid, `${label} mid point`);
+        normalized.end = check.point(entity.end, `${label} end`);
+        break;
+      case SpecEntityType.RECTANGLE:
+        normalized.corner1 = check.point(entity.corner1, `${label} corner1`);
+        normalized.corner2 = check.point(entity.corner2, `${label} corner2`);
+        break;
+      case SpecEntityType.POLYGON:
+        normalized.closed = entity.closed !== false;
+        normalized.points = check.points(entity.points, normalized.closed ? 3 : 2, `${label} points`);
+        break;
+      case SpecEntityType.SPLINE:
+        normalized.degree = entity.degree === undefined ? 3 : entity.degree;
+        if (!Number.isInteger(normalized.degree) || normalized.degree < 1) {
+          check.fail(`needs a positive integer degree for ${label}`);
+        }
+        normalized.points = check.points(entity.points, normalized.degree + 1, `${label} points`);
+        break;
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Normalize a plane reference: a default plane, a plane feature, or { id } of a face
+ *
+ * @param {SpecChecker} check Checker of the feature
+ * @param {string} field Name of the field
+ * @param {Map<string, Object>} features Spec features by name
+ * @returns {Object} The plane as { orientation }, { feature } or { transientId }
+ */
+function normalizePlane(check, field, features) {
+  const plane = check.feature[field];
+
+  if (plane && typeof plane === 'object' && typeof plane.id === 'string') {
+    return { transientId: plane.id };
+  }
+
+  const orientation = getDefaultPlane(plane);
+  if (orientation) {
+    return { orientation };
+  }
+
+  return { feature: check.reference(field, features, [SpecFeatureType.PLANE]) };
+}
+
+/**
+ * Normalize the operation of a solid feature and the bodies it targets
+ *
+ * @param {SpecChecker} check Checker of the feature
+ * @param {Map<string, Object>} features Spec features by name
+ * @param {Array<string>} operations Operations the feature supports
+ * @returns {Object} { operation, targets }
+ */
+function normalizeOperation(check, features, operations) {
+  const { operation = SpecOperation.NEW, target } = check.feature;
+
+  if (!operations.includes(operation)) {
+    check.fail(`has an unsupported operation: ${operation}`);
+  }
+
+  if (operation === SpecOperation.NEW) {
+    if (target !== undefined) {
+      check.fail("cannot have a target when it creates new bodies");
+    }
+    return { operation, targets: [] };
+  }
+
+  const names = Array.isArray(target) ? target : [target];
+  if (target === undefined || names.length === 0) {
+    check.fail(`needs a target for operation '${operation}'`);
+  }
+
+  const targets = names.map(name =>
+    new SpecChecker({ name: check.feature.name, target: name }, check.units).reference('target', features, SOLID_TYPES)
+  );
+
+  return { operation, targets };
+}
+
+/**
+ * Normalize the axis of a revolve
+ *
+ * @param {SpecChecker} check Checker of the revolve
+ * @param {Map<string, Object>} features Spec features by name
+ * @param {Object} sketch The revolved spec sketch
+ * @returns {Object} The axis as { default }, or { sketch, line } naming a line entity
+ */
+function normalizeAxis(check, features, sketch) {
+  const { axis } = check.feature;
+
+  if (Object.values(RevolveAxis).includes(axis)) {
+    return { default: axis };
+  }
+
+  const { sketch: sketchName, line } = typeof axis === 'string' ? { sketch: sketch.name, line: axis } : (axis || {});
+  const axisSketch = features.get(sketchName);
+
+  if (!axisSketch || axisSketch.type !== SpecFeatureType.SKETCH) {
+    check.fail("needs an axis: SKETCH_X, SKETCH_Y, a line id, or { sketch, line }");
+  }
+
+  const entity = (axisSketch.entities || []).find(item => item && item.id === line);
+  if (!entity || entity.type !== SpecEntityType.LINE) {
+    check.fail(`needs its axis to be a line of sketch '${sketchName}', but there is no line '${line}'`);
+  }
+
+  return { sketch: sketchName, line };
+}
+
+/**
+ * Normalize the region selector of an extrude or revolve, see Q.region.
+ * Points are in the spec units and paths are entity ids of the sketch.
+ *
+ * @param {SpecChecker} check Checker of the feature
+ * @param {Object} sketch The spec sketch the feature uses
+ * @returns {string|Object|undefined} The region selector, or undefined for every region
+ */
+function normalizeRegion(check, sketch) {
+  const { region } = check.feature;
+
+  if (region === undefined) {
+    return undefined;
+  }
+
+  if (Object.values(RegionSelector).includes(region)) {
+    return region;
+  }
+
+  if (region && Number.isInteger(region.index)) {
+    return { index: region.index };
+  }
+
+  if (region && region.containing !== undefined) {
+    return { containing: check.point(region.containing, 'region point') };
+  }
+
+  if (region && region.path !== undefined) {
+    const path = [region.path].flat();
+    const missing = path.find(id => !(sketch.entities || []).some(entity => entity && entity.id === id));
+
+    if (missing !== undefined) {
+      check.fail(`has a region path '${missing}' that is not an entity id of sketch '${sketch.name}'`);
+    }
+
+    return { path };
+  }
+
+  check.fail("has an invalid region: expected 'largest', 'smallest', { index }, { containing: [x, y] } or { path }");
+}
+
+/**
+ * Normalize the edge selection of a fillet or chamfer
+ *
+ * @param {SpecChecker} check Checker of the feature
+ * @param {Map<string, Object>} features Spec features by name
+ * @returns {Object} { of, select, direction }
+ */
+function normalizeEdges(check, features) {
+  const edges = typeof check.feature.edges === 'string' ? { of: check.feature.edges } : check.feature.edges;
+
+  if (!edges || typeof edges !== 'object') {
+    check.fail("needs edges as a feature name or { of, select, direction }");
+  }
+
+  const { of, select = SpecEdgeSelection.ALL, direction = 'Z' } = edges;
+
+  if (!Object.values(SpecEdgeSelection).includes(select)) {
+    check.fail(`has an unknown edge selection: ${select}`);
+  }
+
+  const source = new SpecChecker({ name: check.feature.name, edges: of }, check.units);
+  return { of: source.reference('edges', features, SOLID_TYPES), select, direction };
+}
+
+/**
+ * Normalize the faces a shell removes: the face of a solid farthest along
+ * a direction, Z unless given
+ *
+ * @param {SpecChecker} check Checker of the shell
+ * @param {Map<string, Object>} features Spec features by name
+ * @returns {Object} { of, direction }
+ */
+function normalizeShellFaces(check, features) {
+  const faces = typeof check.feature.faces === 'string' ? { of: check.feature.faces } : check.feature.faces;
+
+  if (!faces || typeof faces !== 'object') {
+    check.fail("needs faces as a feature name or { of, direction }");
+  }
+
+  const { of, direction = 'Z' } = faces;
+  const source = new SpecChecker({ name: check.feature.name, faces: of }, check.units);
+  return { of: source.reference('faces', features, SOLID_TYPES), direction };
+}
+
+/**
+ * Validate a spec feature and normalize it for building
+ *
+ * @param {Object} feature The spec feature
+ * @param {Map<string, Object>} features Spec features by name
+ * @param {Object} units The spec units
+ * @returns {Object} The normalized feature, with the names it depends on
+ */
+function normalizeFeature(feature, features, units) {
+  const check = new SpecChecker(feature, units);
+  const { type, name, label } = feature;
+  const normalized = { type, name, label: label || name };
+
+  switch (type) {
+    case SpecFeatureType.PLANE: {
+      normalized.from = normalizePlane(check, 'from', features);
+      normalized.distance = check.length('distance', false);
+      normalized.flip = !!feature.flip;
+
+      // Negative numbers offset the other way
+      if (typeof feature.distance === 'number' && feature.distance < 0) {
+        normalized.distance = normalized.distance.replace(/^-/, '');
+        normalized.flip = !normalized.flip;
+      }
+      break;
+    }
+    case SpecFeatureType.SKETCH:
+      normalized.plane = normalizePlane(check, 'plane', features);
+      normalized.entities = normalizeEntities(check);
+      break;
+    case SpecFeatureType.EXTRUDE: {
+      normalized.sketch = check.reference('sketch', features, [SpecFeatureType.SKETCH]);
+      normalized.region = normalizeRegion(check, features.get(normalized.sketch));
+      normalized.endType = feature.endType || ExtrudeEndType.BLIND;
+
+      if (!SPEC_END_TYPES.includes(normalized.endType)) {
+        check.fail(`has an unsupported end type: ${normalized.endType}`);
+      }
+
+      if (normalized.endType === ExtrudeEndType.BLIND) {
+        normalized.depth = check.length('depth');
+      }
+
+      normalized.symmetric = !!feature.symmetric;
+      normalized.flip = !!feature.flip;
+      Object.assign(normalized, normalizeOperation(check, features, [
+        SpecOperation.NEW, SpecOperation.ADD, SpecOperation.REMOVE
+      ]));
+      break;
+    }
+    case SpecFeatureType.REVOLVE: {
+      normalized.sketch = check.reference('sketch', features, [SpecFeatureType.SKETCH]);
+      normalized.region = normalizeRegion(check, features.get(normalized.sketch));
+      normalized.axis = normalizeAxis(check, features, features.get(normalized.sketch));
+
+      if (feature.angle !== undefined && feature.angle !== 360) {
+        normalized.angle = check.angle('angle');
+      }
+
+      normalized.symmetric = !!feature.symmetric;
+      normalized.flip = !!feature.flip;
+      Object.assign(normalized, normalizeOperation(check, features, Object.values(SpecOperation)));
+      break;
+    }
+    case SpecFeatureType.FILLET:
+      normalized.edges = normalizeEdges(check, features);
+      normalized.radius = check.length('radius');
+      break;
+    case SpecFeatureType.CHAMFER:
+      normalized.edges = normalizeEdges(check, features);
+      normalized.distance = check.length('distance');
+      break;
+    case SpecFeatureType.SHELL:
+      normalized.faces = normalizeShellFaces(check, features);
+      normalized.thickness = check.length('thickness');
+      normalized.outward = !!feature.outward;
+      break;
+    default:
+      check.fail(`has an unknown type: ${type}`);
+  }
+
+  normalized.dependencies = getDependencies(normalized);
+  return normalized;
+}
+
+/**
+ * Get the names of the features a normalized feature refers to
+ *
+ * @param {Object} feature The normalized feature
+ * @returns {Array<string>} The feature names
+ */
+function getDependencies(feature) {
+  const names = [
+    feature.from && feature.from.feature,
+    feature.plane && feature.plane.feature,
+    feature.sketch,
+    feature.axis && feature.axis.sketch,
+    feature.edges && feature.edges.of,
+    feature.faces && feature.faces.of,
+    ...(feature.targets || [])
+  ];
+
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Order features so each comes after the features it refers to. Features
+ * that do not depend on each other keep their order in the spec.
+ *
+ * @param {Array<Object>} features The normalized features, in spec order
+ * @returns {Array<Object>} The features in build order
+ */
+function sortByDependencies(features) {
+  const ordered = [];
+  const placed = new Set();
+  let remaining = features;
+
+  while (remaining.length > 0) {
+    const ready = remaining.find(feature => feature.dependencies.every(name => placed.has(name)));
+
+    if (!ready) {
+      const names = remaining.map(feature => `'${feature.name}'`).join(', ');
+      throw new ValidationError(`Features refer to each other in a cycle: ${names}`);
+    }
+
+    ordered.push(ready);
+    placed.add(ready.name);
+    remaining = remaining.filter(feature => feature !== ready);
+  }
+
+  return ordered;
+}
+
+/**
+ * Validate a model spec and put its features in build order
+ *
+ * @param {Object} spec The model spec
+ * @param {Object} [options] Validation options
+ * @param {string} [options.defaultUnits] Units when the spec does not give any, those of
+ *   the client's default unit system unless given
+ * @param {boolean} [options.keyed=false] Require names that can be used as feature keys
+ * @returns {Object} The plan as { units, variables, features }
+ */
+function validateModelSpec(spec, { defaultUnits = getDefaultUnits(), keyed = false } = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new ValidationError("A model spec must be an object");
+  }
+
+  if (!Array.isArray(spec.features) || spec.features.length === 0) {
+    throw new ValidationError("A model spec needs a non-empty features array");
+  }
+
+  const units = getUnits(spec.units || defaultUnits);
+  const features = new Map();
+
+  spec.features.forEach((feature, i) => {
+    const name = feature && feature.name;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError(`Feature ${i + 1} needs a name`);
+    }
+
+    if (features.has(name)) {
+      throw new ValidationError(`Feature name '${name}' is used more than once`);
+    }
+
+    if (getDefaultPlane(name)) {
+      throw new ValidationError(`Feature name '${name}' is reserved for a default plane`);
+    }
+
+    if (keyed && !isFeatureKey(name)) {
+      throw new ValidationError(`Feature name '${name}' cannot be used as a feature key`);
+    }
+
+    features.set(name, feature);
+  });
+
+  const normalized = spec.features.map(feature => normalizeFeature(feature, features, units));
+
+  return {
+    units,
+    variables: normalizeVariables(spec.variables, units),
+    features: sortByDependencies(normalized)
+  };
+}
+
+/**
+ * Convert spec variables to the values Variables.setAll takes, with numeric
+ * lengths as expressions in the spec units
+ *
+ * @param {Object} [variables] Values by name, each a value or { value, type, description }
+ * @param {Object} units The spec units
+ * @returns {Object} Variables by name as { value, type, description }
+ */
+function normalizeVariables(variables = {}, units) {
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ValidationError("Spec variables must be an object of values by name");
+  }
+
+  const normalized = {};
+
+  for (const [name, entry] of Object.entries(variables)) {
+    const { value, type = VariableType.LENGTH, description = "" } =
+      entry !== null && typeof entry === 'object' ? entry : { value: entry };
+
+    normalized[name] = {
+      value: type === VariableType.LENGTH && typeof value === 'number' ? `${value} ${units.abbreviation}` : value,
+      type,
+      description
+    };
+  }
+
+  return normalized;
+}
+
+/**
+ * Builds the features of a model spec in a part studio, using the feature classes
+ */
+class ModelBuilder {
+  /**
+   * @param {Object} options Builder properties
+   * @param {Object} options.partStudio The part studio to build in
+   */
+  constructor({ partStudio }) {
+    if (!partStudio) {
+      throw new ValidationError("A part studio is required to build a model");
+    }
+
+    this.partStudio = partStudio;
+
+    // Built features by spec name
+    this.features = new Map();
+
+    // Sketch items by spec entity id, by sketch name
+    this._sketchItems = new Map();
+
+    // Features that created the bodies of shells, by shell name
+    this._shellBodies = new Map();
+  }
+
+  /**
+   * Validate a model spec without building it
+   *
+   * @param {Object} spec The model spec
+   * @param {Object} [options] Validation options, see validateModelSpec
+   * @returns {Object} The plan as { units, variables, features }
+   */
+  static validate(spec, options) {
+    return validateModelSpec(spec, options);
+  }
+
+  /**
+   * Validate a spec and build its features in dependency order. Nothing is
+   * sent to Onshape if the spec is invalid.
+   *
+   * @param {Object} spec The model spec
+   * @param {Object} [options] Build options
+   * @param {boolean} [options.ensure=false] Key each feature by its name and update the keyed
+   *   features from an earlier build instead of adding more, see PartStudio.ensure
+   * @returns {Promise<Object>} The result as { variables, features: [{ name, type, featureId }] }
+   */
+  async build(spec, { ensure = false } = {}) {
+    const plan = validateModelSpec(spec, {
+      defaultUnits: getDefaultUnits(this.partStudio._client.unitSystem),
+      keyed: ensure
+    });
+
+    this.features = new Map();
+    this._sketchItems = new Map();
+    this._shellBodies = new Map();
+    const run = () => this._buildPlan(plan, ensure);
+
+    return ensure ? await this.partStudio.ensure(run) : await run();
+  }
+
+  /**
+   * Get a built feature by its spec name
+   *
+   * @param {string} name The spec name
+   * @returns {Object|null} The feature, or null if it was not built
+   */
+  get(name) {
+    return this.features.get(name) || null;
+  }
+
+  /**
+   * Set the variables and build the features of a plan
+   * @private
+   */
+  async _buildPlan(plan, ensure) {
+    let variables = {};
+
+    if (Object.keys(plan.variables).length > 0) {
+      variables = await new Variables({ partStudio: this.partStudio }).setAll(plan.variables);
+    }
+
+    for (const spec of plan.features) {
+      const options = { partStudio: this.partStudio, name: spec.label, key: ensure ? spec.name : null };
+      let feature;
+
+      try {
+        feature = await this._buildFeature(spec, options);
+      } catch (error) {
+        log.error(`Error building feature '${spec.name}':`, error);
+        throw new FeatureError(`Failed to build feature '${spec.name}'`, error);
+      }
+
+      this.features.set(spec.name, feature);
+      log.info(`Built ${spec.type} '${spec.name}'`);
+    }
+
+    return {
+      variables,
+      features: plan.features.map(({ name, type }) => ({
+        name,
+        type,
+        featureId: this.get(name).featureId
+      }))
+    };
+  }
+
+  /**
+   * Create the feature for one spec feature
+   * @private
+   */
+  async _buildFeature(spec, options) {
+    switch (spec.type) {
+      case SpecFeatureType.PLANE:
+        return await OffsetPlane.create({
+          ...options,
+          ownerPlane: this._getPlane(spec.from),
+          distance: spec.distance,
+          oppositeDirection: spec.flip
+        });
+      case SpecFeatureType.SKETCH:
+        return await this._buildSketch(spec, options);
+      case SpecFeatureType.EXTRUDE:
+        return await Extrude.create({
+          ...options,
+          faces: this._getFaces(spec),
+          distance: spec.depth,
+          endType: spec.endType,
+          symmetric: spec.symmetric,
+          oppositeDirection: spec.flip,
+          ...this._getTargets(spec)
+        });
+      case SpecFeatureType.REVOLVE:
+        return await Revolve.create({
+          ...options,
+          faces: this._getFaces(spec),
+          axis: this._getAxis(spec.axis),
+          revolveType: spec.angle === undefined
+            ? RevolveType.FULL
+            : (spec.symmetric ? RevolveType.SYMMETRIC : RevolveType.ONE_DIRECTION),
+          angle: spec.angle,
+          oppositeDirection: spec.flip,
+          ...this._getTargets(spec)
+        });
+      case SpecFeatureType.FILLET:
+        return await Fillet.create({ ...options, edges: this._getEdges(spec.edges), radius: spec.radius });
+      case SpecFeatureType.CHAMFER:
+        return await Chamfer.create({ ...options, edges: this._getEdges(spec.edges), distance: spec.distance });
+      case SpecFeatureType.SHELL:
+        this._shellBodies.set(spec.name, this._getBody(spec.faces.of));
+        return await Shell.create({
+          ...options,
+          removeFaces: this._getShellFaces(spec.faces),
+          thickness: spec.thickness,
+          direction: spec.outward ? ShellDirection.OUTWARD : ShellDirection.INWARD
+        });
+    }
+  }
+
+  /**
+   * Create a sketch and draw its entities in a single update
+   * @private
+   */
+  async _buildSketch(spec, options) {
+    const sketch = await Sketch.create({ ...options, plane: this._getPlane(spec.plane) });
+    const items = new Map();
+
+    await sketch.edit(async () => {
+      for (const entity of spec.entities) {
+        const item = await this._addEntity(sketch, entity);
+        if (entity.id) {
+          items.set(entity.id, item);
+        }
+      }
+    });
+
+    this._sketchItems.set(spec.name, items);
+    return sketch;
+  }
+
+  /**
+   * Draw one spec entity in a sketch
+   * @private
+   */
+  async _addEntity(sketch, entity) {
+    switch (entity.type) {
+      case SpecEntityType.CIRCLE:
+        return await sketch.addCircle(entity.center, entity.radius);
+      case SpecEntityType.LINE:
+        return await sketch.addLine(entity.start, entity.end, { isConstruction: entity.construction });
+      case SpecEntityType.ARC:
+        return await sketch.addArc(entity.start, entity.mid, entity.end);
+      case SpecEntityType.RECTANGLE:
+        return await sketch.addCornerRectangle(entity.corner1, entity.corner2);
+      case SpecEntityType.POLYGON:
+        return await sketch.tracePoints(entity.points, entity.closed);
+      case SpecEntityType.SPLINE:
+        return await sketch.addSpline(entity.points, entity.degree);
+    }
+  }
+
+  /**
+   * Get the plane object for a normalized plane reference
+   * @private
+   */
+  _getPlane(plane) {
+    if (plane.orientation) {
+      return new DefaultPlane(this.partStudio, plane.orientation);
+    }
+
+    return plane.transientId ? { transientId: plane.transientId } : this.get(plane.feature);
+  }
+
+  /**
+   * Get the faces an extrude or revolve takes: its sketch, or the regions
+   * of the sketch its region selector picks
+   * @private
+   */
+  _getFaces(spec) {
+    const sketch = this.get(spec.sketch);
+
+    if (!spec.region) {
+      return sketch;
+    }
+
+    if (!spec.region.path) {
+      return { sketch, region: spec.region };
+    }
+
+    const items = this._sketchItems.get(spec.sketch);
+    return { sketch, region: { path: spec.region.path.map(id => items.get(id)) } };
+  }
+
+  /**
+   * Get the revolve axis for a normalized axis reference
+   * @private
+   */
+  _getAxis(axis) {
+    if (axis.default) {
+      return axis.default;
+    }
+
+    return { sketch: this.get(axis.sketch), line: this._sketchItems.get(axis.sketch).get(axis.line) };
+  }
+
+  /**
+   * Get the boolean options of a solid feature
+   * @private
+   */
+  _getTargets({ operation, targets }) {
+    const bodies = targets.map(name => this._getBody(name));
+
+    switch (operation) {
+      case SpecOperation.ADD:
+        return { mergeWith: bodies };
+      case SpecOperation.REMOVE:
+        return { subtractFrom: bodies };
+      case SpecOperation.INTERSECT:
+        return { intersectWith: bodies };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Get the edge filter for a normalized edge selection
+   * @private
+   */
+  _getEdges({ of, select, direction }) {
+    const source = this._getBody(of);
+
+    switch (select) {
+      case SpecEdgeSelection.TOP:
+        return topFaceEdges(source, direction);
+      case SpecEdgeSelection.PARALLEL:
+        return edgesParallelTo(source, direction);
+      default:
+        return allEdges(source);
+    }
+  }
+
+  /**
+   * Get the query of the face a shell removes
+   * @private
+   */
+  _getShellFaces({ of, direction }) {
+    return Q.createdBy(this._getBody(of), EntityType.BODY).faces().farthestAlong(direction);
+  }
+
+  /**
+   * Get the feature that created the bodies of a solid. A shell modifies
+   * the bodies of the solid it hollows, so it stands for that solid.
+   * @private
+   */
+  _getBody(name) {
+    return this._shellBodies.get(name) || this.get(name);
+  }
+}
+
+module.exports = ModelBuilder;
+module.exports.SpecFeatureType = SpecFeatureType;
+module.exports.SpecEntityType = SpecEntityType;
+module.exports.SpecOperation = SpecOperation;
+module.exports.SpecEdgeSelection = SpecEdgeSelection;
+module.exports.validateModelSpec = validateModelSpec;
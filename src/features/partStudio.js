@@ -2,9 +2,16 @@
 /**
  * Represents an Onshape Part Studio
  */
-const { FeatureError } = require('../utils/errors');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { withParameterValue } = require('../api/schema');
+const { isFeatureKey, toKeyedName, getFeatureKey } = require('../utils/misc');
 const logger = require('../utils/logger');
 const FeaturesApi = require('../api/endpoints/features');
+const PartsApi = require('../api/endpoints/parts');
+const Extrude = require('./extrude');
+const Configuration = require('./configuration');
+const { Q, EntityType } = require('../entities/query');
+const { Part, PartList } = require('../entities/parts');
 
 // Create scoped logger
 const log = logger.scope('PartStudio');
@@ -33,13 +40,30 @@ class PartStudio {
     
     // Create API endpoints
     this.endpoints = new FeaturesApi(this._client);
+    this._partsApi = new PartsApi(this._client);
     
     // Track features in this part studio
     this._features = [];
+    this._configuration = null;
+    
+    // Keyed features seen during an ensure() run, or null outside one
+    this._ensureSession = null;
     
     log.debug(`Initialized PartStudio: ${id}`);
   }
   
+  /**
+   * Get the configuration of this part studio, to define inputs, bind feature
+   * parameters to them and import design tables
+   * @returns {Configuration} - The part studio configuration
+   */
+  get configuration() {
+    if (!this._configuration) {
+      this._configuration = new Configuration(this);
+    }
+    return this._configuration;
+  }
+  
   /**
    * Get reference planes in this part studio
    * @returns {Promise<Array>} - List of planes
@@ -60,66 +84,471 @@ class PartStudio {
   }
   
   /**
-   * Create an extrusion feature
+   * Get the parts in this part studio
    * 
-   * @param {Object} options - Extrusion options
-   * @param {string} options.sketchId - ID of the sketch to extrude
-   * @param {number} options.depth - Extrusion depth
-   * @param {string} [options.direction='positive'] - Direction ('positive', 'negative', or 'symmetric')
-   * @returns {Promise<Object>} - Created feature
+   * @param {Object} [options] - Options
+   * @param {string} [options.configuration] - Encoded configuration to list the parts of,
+   *   see Configuration.encode; the current configuration if omitted
+   * @returns {Promise<PartList>} - The parts, with their name, part number, description,
+   *   material and appearance
    */
-  async createExtrude({ sketchId, depth, direction = 'positive' }) {
-    if (!sketchId) {
-      throw new Error('sketchId is required for extrusion');
+  async getParts({ configuration = null } = {}) {
+    try {
+      const wvm = { wvm: 'w', wvmid: this.document.defaultWorkspace.id };
+      if (configuration) {
+        wvm.configuration = configuration;
+      }
+      
+      const models = await this._partsApi.listParts(this.document.id, wvm, this.id);
+      
+      log.debug(`Retrieved ${models.length} parts from part studio ${this.id}`);
+      return new PartList(models.map(model => new Part(this, configuration ? { ...model, configuration } : model)));
+    } catch (error) {
+      throw new FeatureError('Failed to get parts', error);
+    }
+  }
+  
+  /**
+   * Get the feature tree of this part studio
+   * 
+   * @returns {Promise<Object>} - { features, rollbackIndex }, with features as
+   *   { index, featureId, name, featureType, suppressed, status } in tree order
+   */
+  async getFeatureTree() {
+    try {
+      const response = await this._getFeatureList();
+      const states = response.featureStates || {};
+      
+      const features = (response.features || []).map((feature, index) => ({
+        index,
+        featureId: feature.featureId,
+        name: feature.name,
+        featureType: feature.featureType,
+        suppressed: !!feature.suppressed,
+        status: states[feature.featureId] ? states[feature.featureId].featureStatus : null
+      }));
+      
+      return {
+        features,
+        rollbackIndex: Number.isInteger(response.rollbackIndex) ? response.rollbackIndex : features.length
+      };
+    } catch (error) {
+      throw new FeatureError('Failed to get feature tree', error);
+    }
+  }
+  
+  /**
+   * Get the full definition of a feature
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   * @returns {Promise<Object>} - The feature definition, as returned by the features API
+   */
+  async getFeature(feature) {
+    const featureId = this._getFeatureId(feature);
+    
+    let response;
+    try {
+      response = await this._getFeatureList();
+    } catch (error) {
+      throw new FeatureError('Failed to get features', error);
     }
     
-    if (typeof depth !== 'number' || depth <= 0) {
-      throw new Error('Depth must be a positive number');
+    const definition = (response.features || []).find(item => item.featureId === featureId);
+    if (!definition) {
+      throw new ValidationError(`Feature ${featureId} is not in the part studio`);
     }
     
-    if (!['positive', 'negative', 'symmetric'].includes(direction)) {
-      direction = 'positive'; // Default to positive direction
+    return definition;
+  }
+  
+  /**
+   * Change the name, suppression or parameter values of a feature
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   * @param {Object} changes - Changes to make
+   * @param {string} [changes.name] - New feature name
+   * @param {boolean} [changes.suppressed] - Whether the feature is suppressed
+   * @param {Object} [changes.parameters] - New values by parameter ID; numbers are lengths in
+   *   the client's unit system, strings are expressions
+   * @returns {Promise<Object>} - The updated feature definition
+   */
+  async updateFeature(feature, changes = {}) {
+    const { name, suppressed, parameters = {} } = changes;
+    const definition = await this.getFeature(feature);
+    
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        throw new ValidationError('Feature name must be a non-empty string');
+      }
+      definition.name = name;
+    }
+    
+    if (suppressed !== undefined) {
+      definition.suppressed = !!suppressed;
+    }
+    
+    for (const [parameterId, value] of Object.entries(parameters)) {
+      const index = (definition.parameters || []).findIndex(parameter => parameter.parameterId === parameterId);
+      
+      if (index < 0) {
+        throw new ValidationError(`Feature '${definition.name}' has no parameter '${parameterId}'`);
+      }
+      
+      if (definition.parameters[index].btType === 'BTMParameterConfigured-2222') {
+        throw new ValidationError(
+          `Parameter '${parameterId}' is bound to configuration input ` +
+          `'${definition.parameters[index].configurationParameterId}'; change it through the configuration`
+        );
+      }
+      
+      definition.parameters[index] = withParameterValue(definition.parameters[index], value, this._client.unitSystem);
     }
     
     try {
-      // Create extrusion feature definition
-      const extrudeFeature = {
-        type: 'extrude',
-        name: 'Extrusion',
-        parameters: {
-          entities: {
-            sketchId: sketchId
-          },
-          direction: {
-            type: direction,
-            distance: depth
-          }
-        }
-      };
+      const response = await this.endpoints.updateFeature(
+        this.document.id,
+        { wvm: 'w', wvmid: this.document.defaultWorkspace.id },
+        this.id,
+        definition.featureId,
+        { feature: definition }
+      );
       
-      // Call the Onshape API to create the extrusion feature
-      const response = await this.endpoints.addFeature(
+      log.info(`Updated feature '${definition.name}' (${definition.featureId})`);
+      return response.feature || definition;
+    } catch (error) {
+      throw new FeatureError(`Failed to update feature '${definition.name}'`, error);
+    }
+  }
+  
+  /**
+   * Delete a feature from this part studio
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   */
+  async deleteFeature(feature) {
+    const featureId = this._getFeatureId(feature);
+    
+    try {
+      await this.endpoints.deleteFeature(
+        this.document.id,
+        { wvm: 'w', wvmid: this.document.defaultWorkspace.id },
+        this.id,
+        featureId
+      );
+    } catch (error) {
+      throw new FeatureError(`Failed to delete feature ${featureId}`, error);
+    }
+    
+    this._features = this._features.filter(item => item.featureId !== featureId);
+    log.info(`Deleted feature ${featureId}`);
+  }
+  
+  /**
+   * Suppress a feature
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   * @returns {Promise<Object>} - The updated feature definition
+   */
+  async suppress(feature) {
+    return await this.updateFeature(feature, { suppressed: true });
+  }
+  
+  /**
+   * Unsuppress a feature
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   * @returns {Promise<Object>} - The updated feature definition
+   */
+  async unsuppress(feature) {
+    return await this.updateFeature(feature, { suppressed: false });
+  }
+  
+  /**
+   * Rename a feature
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   * @param {string} name - New feature name
+   * @returns {Promise<Object>} - The updated feature definition
+   */
+  async rename(feature, name) {
+    return await this.updateFeature(feature, { name });
+  }
+  
+  /**
+   * Move the rollback bar. New features are inserted at the bar, and
+   * features below it are not regenerated.
+   * 
+   * @param {number} index - Number of features to keep above the bar, from 0 to the feature count
+   * @returns {Promise<number>} - The new rollback index
+   */
+  async setRollbackIndex(index) {
+    const { features } = await this.getFeatureTree();
+    
+    if (!Number.isInteger(index) || index < 0 || index > features.length) {
+      throw new ValidationError(`Rollback index must be an integer from 0 to ${features.length}`);
+    }
+    
+    try {
+      const response = await this.endpoints.updateRollback(
         this.document.id,
         { wvm: 'w', wvmid: this.document.defaultWorkspace.id },
         this.id,
-        extrudeFeature
+        index
       );
       
-      // Process response
-      if (!response.feature) {
-        throw new FeatureError('Invalid response when creating extrusion feature');
-      }
+      log.debug(`Moved rollback bar of part studio ${this.id} to ${index}`);
+      return response && Number.isInteger(response.rollbackIndex) ? response.rollbackIndex : index;
+    } catch (error) {
+      throw new FeatureError('Failed to move rollback bar', error);
+    }
+  }
+  
+  /**
+   * Create features at a position in the feature tree: the rollback bar is
+   * moved to the index, the features are built, and the bar is moved back to
+   * the end of the tree even if building fails.
+   * 
+   * @param {number} index - Number of features above the inserted ones
+   * @param {Function} build - Async function that creates the features, e.g.
+   *   `() => Fillet.create({ partStudio, ... })`
+   * @returns {Promise<*>} - What build returned
+   */
+  async insertAt(index, build) {
+    if (typeof build !== 'function') {
+      throw new ValidationError('insertAt needs a function that creates the features');
+    }
+    
+    await this.setRollbackIndex(index);
+    
+    try {
+      return await build();
+    } finally {
+      const { features } = await this.getFeatureTree();
+      await this.setRollbackIndex(features.length);
+    }
+  }
+  
+  /**
+   * Build features in ensure mode. Features created with a `key` inside build
+   * update the keyed feature already in the tree, or are created if missing;
+   * once build succeeds, keyed features it did not touch are deleted. Running
+   * the same build again converges on the same tree instead of adding duplicates.
+   * 
+   * @param {Function} build - Async function that creates the keyed features
+   * @param {Object} [options] - Ensure options
+   * @param {boolean} [options.removeOrphans=true] - Delete keyed features build did not touch
+   * @returns {Promise<*>} - What build returned
+   */
+  async ensure(build, { removeOrphans = true } = {}) {
+    if (typeof build !== 'function') {
+      throw new ValidationError('ensure needs a function that creates the features');
+    }
+    
+    if (this._ensureSession) {
+      throw new ValidationError('ensure runs cannot be nested');
+    }
+    
+    this._ensureSession = { keyed: await this._getKeyedFeatures(), touched: new Set() };
+    
+    try {
+      const result = await build();
       
-      log.info(`Created extrusion feature: ${response.feature.featureId}`);
+      if (removeOrphans) {
+        await this._removeOrphans();
+      }
       
-      return {
-        featureId: response.feature.featureId,
-        featureType: 'extrude',
-        status: response.feature.featureStatus
-      };
+      return result;
+    } finally {
+      this._ensureSession = null;
+    }
+  }
+  
+  /**
+   * Upload a keyed feature: update the feature with the same key in place,
+   * or add it if there is none. Feature classes call this for their `key` option.
+   * 
+   * @param {string} key - Stable key of the feature
+   * @param {Object} model - Feature definition, as built by the schema functions
+   * @returns {Promise<Object>} - Add or update response, with the feature
+   */
+  async ensureFeature(key, model) {
+    if (!isFeatureKey(key)) {
+      throw new ValidationError(`Invalid feature key: ${key}`);
+    }
+    
+    const session = this._ensureSession;
+    if (session && session.touched.has(key)) {
+      throw new ValidationError(`Feature key '${key}' is used more than once`);
+    }
+    
+    const keyed = session ? session.keyed : await this._getKeyedFeatures();
+    const existing = keyed.get(key);
+    const wvm = { wvm: 'w', wvmid: this.document.defaultWorkspace.id };
+    const keyedModel = { ...model, name: toKeyedName(model.name, key) };
+    
+    let response;
+    try {
+      if (existing && existing.featureType === model.featureType) {
+        response = await this._api.endpoints.updateFeature(
+          this.document.id,
+          wvm,
+          this.id,
+          existing.featureId,
+          keyedModel
+        );
+        log.debug(`Updated keyed feature '${key}' (${existing.featureId})`);
+      } else {
+        if (existing) {
+          // A key that now names a different kind of feature replaces the old one
+          await this.deleteFeature(existing.featureId);
+        }
+        response = await this._api.endpoints.addFeature(
+          this.document.id,
+          wvm,
+          this.id,
+          keyedModel
+        );
+        log.debug(`Added keyed feature '${key}' (${response.feature.featureId})`);
+      }
     } catch (error) {
-      throw new FeatureError('Failed to create extrusion feature', error);
+      if (error instanceof FeatureError) {
+        throw error;
+      }
+      throw new FeatureError(`Failed to ensure feature '${key}'`, error);
+    }
+    
+    // Updates may not echo the feature back, in which case the ID is unchanged
+    const featureId = (response.feature && response.feature.featureId) || existing.featureId;
+    keyed.set(key, { featureId, featureType: model.featureType });
+    
+    if (session) {
+      session.touched.add(key);
     }
+    
+    return { ...response, feature: { ...response.feature, featureId } };
+  }
+  
+  /**
+   * Create an extrusion feature from the regions of a sketch
+   * 
+   * @param {Object} options - Extrusion options, plus any Extrude option (endType, upTo, offset, draft, secondDirection, thin, ...)
+   * @param {string} options.sketchId - Feature ID of the sketch to extrude
+   * @param {number|string} [options.depth] - Extrusion depth, required for blind extrudes
+   * @param {string} [options.direction='positive'] - Direction ('positive', 'negative', or 'symmetric')
+   * @param {string} [options.name='Extrusion'] - Feature name
+   * @returns {Promise<Object>} - Created feature as { featureId, featureType, status }; use
+   *   Extrude.create for the Extrude itself
+   */
+  async createExtrude({ sketchId, depth, direction = 'positive', name = 'Extrusion', ...options }) {
+    if (!sketchId) {
+      throw new ValidationError('sketchId is required for extrusion');
+    }
+    
+    if (!['positive', 'negative', 'symmetric'].includes(direction)) {
+      throw new ValidationError(`Invalid extrude direction: ${direction}`);
+    }
+    
+    // Extrude validates its options before anything is uploaded
+    const extrude = new Extrude({
+      ...options,
+      partStudio: this,
+      faces: { getEntities: () => this._getSketchRegions(sketchId) },
+      distance: depth,
+      name,
+      oppositeDirection: direction === 'negative' || !!options.oppositeDirection,
+      symmetric: direction === 'symmetric' || !!options.symmetric
+    });
+    const response = await extrude._uploadFeature();
+    
+    log.info(`Created extrusion feature: ${extrude.featureId}`);
+    
+    return {
+      featureId: extrude.featureId,
+      featureType: 'extrude',
+      status: response.feature.featureStatus
+    };
+  }
+  
+  /**
+   * Get the region faces of a sketch
+   * 
+   * @param {string} sketchId - Feature ID of the sketch
+   * @returns {Promise<Object>} - Sketch entities as { faceIds }
+   * @private
+   */
+  async _getSketchRegions(sketchId) {
+    const faceIds = await Q.createdBy(sketchId, EntityType.FACE).evaluateIds(this, { endpoints: this.endpoints });
+    
+    if (faceIds.length === 0) {
+      throw new FeatureError(`Sketch ${sketchId} has no regions to extrude`);
+    }
+    
+    return { faceIds };
+  }
+  
+  /**
+   * Find the keyed features in the tree
+   * 
+   * @returns {Promise<Map<string, Object>>} - { featureId, featureType, index } by key
+   * @private
+   */
+  async _getKeyedFeatures() {
+    const { features } = await this.getFeatureTree();
+    const keyed = new Map();
+    
+    for (const feature of features) {
+      const key = getFeatureKey(feature.name);
+      if (key) {
+        keyed.set(key, { featureId: feature.featureId, featureType: feature.featureType, index: feature.index });
+      }
+    }
+    
+    return keyed;
+  }
+  
+  /**
+   * Delete the keyed features the current ensure run did not touch, last first
+   * so that features are removed before the features they depend on
+   * 
+   * @private
+   */
+  async _removeOrphans() {
+    const { keyed, touched } = this._ensureSession;
+    const orphans = [...keyed.entries()]
+      .filter(([key]) => !touched.has(key))
+      .sort((a, b) => b[1].index - a[1].index);
+    
+    for (const [key, feature] of orphans) {
+      await this.deleteFeature(feature.featureId);
+      log.info(`Removed orphaned feature '${key}' (${feature.featureId})`);
+    }
+  }
+  
+  /**
+   * Fetch the features of this part studio
+   * 
+   * @returns {Promise<Object>} - Features API response
+   * @private
+   */
+  async _getFeatureList() {
+    return await this.endpoints.getFeatures(this.document.id, this.document.defaultWorkspace.id, this.id);
+  }
+  
+  /**
+   * Get the feature ID of a feature or ID
+   * 
+   * @param {Object|string} feature - The feature, or its feature ID
+   * @returns {string} - The feature ID
+   * @private
+   */
+  _getFeatureId(feature) {
+    const featureId = typeof feature === 'string' ? feature : feature && feature.featureId;
+    
+    if (!featureId) {
+      throw new ValidationError('A feature ID or uploaded feature is required');
+    }
+    
+    return featureId;
   }
   
   // Add other methods as needed...
@@ -0,0 +1,444 @@
+// src/features/pattern.js
+/**
+ * Interface to the Pattern Features
+ */
+
+const {
+  createLinearPattern,
+  createCircularPattern,
+  createCurvePattern
+} = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const {
+  getFaceIds,
+  getBodyIds,
+  getEntityIds,
+  getEdgeIds,
+  getDirectionIds,
+  getFeatureIds,
+  getSketchEdgeIds
+} = require('./references');
+const { assertLength, assertExpression } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the pattern classes
+const log = logger.scope('Pattern');
+
+/**
+ * What a pattern copies
+ */
+const PatternType = {
+  PART: 'PART',
+  FACE: 'FACE',
+  FEATURE: 'FEATURE'
+};
+
+/**
+ * Check that an instance count is a positive integer or an expression such as "#count"
+ *
+ * @param {number|string} count The count to check
+ * @param {string} label Name used in the error message
+ */
+function assertCount(count, label) {
+  if (typeof count === 'string') {
+    assertExpression(count, label);
+    return;
+  }
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ValidationError(`${label} must be a positive integer or an expression`);
+  }
+}
+
+/**
+ * Get the IDs of a line axis: an edge, or `{ sketch, line }` for a sketch line
+ *
+ * @param {Object|Array<string>|string} axis The axis
+ * @returns {Promise<Array<string>>} Array of edge IDs
+ */
+async function getAxisIds(axis) {
+  if (axis && axis.sketch && axis.line) {
+    return await getSketchEdgeIds(axis.sketch, axis.line);
+  }
+
+  return await getEntityIds(axis, "axis");
+}
+
+/**
+ * Base class for pattern features
+ */
+class Pattern {
+  /**
+   * @param {Object} options Pattern properties
+   * @param {Object} options.partStudio The part studio that owns the pattern
+   * @param {string} options.name Name of the pattern
+   * @param {Object|Array} [options.parts] Parts to pattern: parts, features that created bodies, or body IDs
+   * @param {Object|Array<string>} [options.faces] Faces to pattern
+   * @param {Object|Array} [options.features] Features to pattern: feature objects or feature IDs
+   * @param {Array<number|Array<number>>} [options.skippedInstances=[]] Instances to leave out,
+   *   as an index or [index, secondDirectionIndex]. Index 0 is the original.
+   */
+  constructor({ partStudio, name, parts, faces, features, skippedInstances = [] }) {
+    this.partStudio = partStudio;
+    this.name = name;
+    this.parts = parts;
+    this.faces = faces;
+    this.features = features;
+    this.skippedInstances = skippedInstances;
+    this.featureId = null;
+
+    const targets = [parts, faces, features].filter(Boolean);
+    if (targets.length !== 1) {
+      throw new ValidationError("A pattern needs exactly one of parts, faces or features");
+    }
+
+    this.patternType = parts ? PatternType.PART : faces ? PatternType.FACE : PatternType.FEATURE;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+  }
+
+  /**
+   * Create a new pattern with proper async initialization
+   *
+   * @param {Object} options Pattern properties, see the constructor
+   * @returns {Promise<Pattern>} The uploaded pattern
+   */
+  static async create(options) {
+    const pattern = new this(options);
+    await pattern._uploadFeature();
+    return pattern;
+  }
+
+  /**
+   * Get the instance counts in the first and second direction
+   *
+   * @returns {Array<number>} [count, secondCount]
+   * @protected
+   */
+  _getInstanceCounts() {
+    return [this.count, 1];
+  }
+
+  /**
+   * Check the skipped instances and normalize them to [index, secondIndex]
+   * @protected
+   */
+  _validateSkippedInstances() {
+    if (!Array.isArray(this.skippedInstances)) {
+      throw new ValidationError("Skipped instances must be an array");
+    }
+
+    // Counts given as expressions are only known to Onshape, so they bound nothing here
+    const [count, secondCount] = this._getInstanceCounts()
+      .map(value => typeof value === 'number' ? value : Infinity);
+
+    this._skippedInstances = this.skippedInstances.map(instance => {
+      const [index, secondIndex = 0] = Array.isArray(instance) ? instance : [instance];
+
+      if (!Number.isInteger(index) || index < 0 || index >= count ||
+          !Number.isInteger(secondIndex) || secondIndex < 0 || secondIndex >= secondCount) {
+        throw new ValidationError(`Skipped instance ${JSON.stringify(instance)} is outside the pattern`);
+      }
+
+      if (index === 0 && secondIndex === 0) {
+        throw new ValidationError("The original instance cannot be skipped");
+      }
+
+      return [index, secondIndex];
+    });
+  }
+
+  /**
+   * Get the IDs of what is being patterned
+   *
+   * @returns {Promise<Array<string>>} Part or face IDs, or feature IDs
+   * @private
+   */
+  async _getTargetIds() {
+    if (this.patternType === PatternType.FACE) {
+      return await getFaceIds(this.faces, this.partStudio);
+    }
+
+    if (this.patternType === PatternType.FEATURE) {
+      return getFeatureIds(this.features);
+    }
+
+    return await getBodyIds(this.parts);
+  }
+
+  /**
+   * Build the feature definition for this pattern
+   *
+   * @param {Array<string>} targetIds IDs of what is being patterned
+   * @returns {Promise<Object>} The feature definition
+   * @protected
+   */
+  async _createModel(targetIds) {
+    throw new Error('_createModel must be implemented by derived classes');
+  }
+
+  /**
+   * Upload the pattern feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const targetIds = await this._getTargetIds();
+      const patternModel = await this._createModel(targetIds);
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        patternModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded pattern '${this.name}'`);
+
+      // Add this pattern to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating pattern:", error);
+      throw new FeatureError("Failed to create pattern", error);
+    }
+  }
+}
+
+/**
+ * Represents a linear pattern feature in Onshape
+ */
+class LinearPattern extends Pattern {
+  /**
+   * @param {Object} options Linear pattern properties, plus the Pattern options
+   * @param {Object|string} options.direction 'X', 'Y', 'Z', an edge or a plane
+   * @param {number|string} options.distance Spacing between instances
+   * @param {number|string} options.count Number of instances, including the original
+   * @param {boolean} [options.oppositeDirection=false] Flip the direction
+   * @param {Object} [options.secondDirection=null] Second direction { direction, distance, count, oppositeDirection }
+   * @param {string} [options.name="Linear pattern"] Name of the pattern
+   */
+  constructor({
+    direction,
+    distance,
+    count,
+    oppositeDirection = false,
+    secondDirection = null,
+    name = "Linear pattern",
+    ...options
+  }) {
+    super({ ...options, name });
+    this.direction = direction;
+    this.distance = distance;
+    this.count = count;
+    this.oppositeDirection = oppositeDirection;
+    this.secondDirection = secondDirection;
+
+    this._validate();
+  }
+
+  /**
+   * Check the pattern options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.direction) {
+      throw new ValidationError("A direction is required for a linear pattern");
+    }
+
+    assertLength(this.distance, "Pattern distance");
+    assertCount(this.count, "Pattern count");
+
+    if (this.secondDirection) {
+      if (!this.secondDirection.direction) {
+        throw new ValidationError("A direction is required for the second pattern direction");
+      }
+
+      assertLength(this.secondDirection.distance, "Second pattern distance");
+      assertCount(this.secondDirection.count, "Second pattern count");
+    }
+
+    this._validateSkippedInstances();
+  }
+
+  /**
+   * Get the instance counts in both directions
+   *
+   * @returns {Array<number>} [count, secondCount]
+   * @protected
+   */
+  _getInstanceCounts() {
+    return [this.count, this.secondDirection ? this.secondDirection.count : 1];
+  }
+
+  /**
+   * Build the linear pattern feature definition
+   *
+   * @param {Array<string>} targetIds IDs of what is being patterned
+   * @returns {Promise<Object>} The feature definition
+   * @protected
+   */
+  async _createModel(targetIds) {
+    let secondDirection = null;
+    if (this.secondDirection) {
+      secondDirection = {
+        directionIds: await getDirectionIds(this.partStudio, this.secondDirection.direction),
+        distance: this.secondDirection.distance,
+        count: this.secondDirection.count,
+        oppositeDirection: !!this.secondDirection.oppositeDirection
+      };
+    }
+
+    return createLinearPattern({
+      name: this.name,
+      patternType: this.patternType,
+      targetIds,
+      directionIds: await getDirectionIds(this.partStudio, this.direction),
+      distance: this.distance,
+      count: this.count,
+      oppositeDirection: this.oppositeDirection,
+      secondDirection,
+      skippedInstances: this._skippedInstances,
+      unitSystem: this._client.unitSystem
+    });
+  }
+}
+
+/**
+ * Represents a circular pattern feature in Onshape
+ */
+class CircularPattern extends Pattern {
+  /**
+   * @param {Object} options Circular pattern properties, plus the Pattern options
+   * @param {Object|string} options.axis An edge, or `{ sketch, line }` for a sketch line
+   * @param {number|string} options.count Number of instances, including the original
+   * @param {number|string} [options.angle=360] Total angle in degrees, or the angle between instances if not equally spaced
+   * @param {boolean} [options.equalSpacing=true] Spread the instances equally over the angle
+   * @param {boolean} [options.oppositeDirection=false] Flip the direction
+   * @param {string} [options.name="Circular pattern"] Name of the pattern
+   */
+  constructor({
+    axis,
+    count,
+    angle = 360,
+    equalSpacing = true,
+    oppositeDirection = false,
+    name = "Circular pattern",
+    ...options
+  }) {
+    super({ ...options, name });
+    this.axis = axis;
+    this.count = count;
+    this.angle = angle;
+    this.equalSpacing = equalSpacing;
+    this.oppositeDirection = oppositeDirection;
+
+    this._validate();
+  }
+
+  /**
+   * Check the pattern options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.axis) {
+      throw new ValidationError("An axis is required for a circular pattern");
+    }
+
+    assertCount(this.count, "Pattern count");
+
+    if (typeof this.angle === 'number') {
+      if (!isFinite(this.angle) || this.angle <= 0 || this.angle > 360) {
+        throw new ValidationError("Pattern angle must be between 0 and 360 degrees");
+      }
+    } else if (typeof this.angle !== 'string' || !this.angle.trim()) {
+      throw new ValidationError("Pattern angle must be a number of degrees or an expression");
+    }
+
+    this._validateSkippedInstances();
+  }
+
+  /**
+   * Build the circular pattern feature definition
+   *
+   * @param {Array<string>} targetIds IDs of what is being patterned
+   * @returns {Promise<Object>} The feature definition
+   * @protected
+   */
+  async _createModel(targetIds) {
+    return createCircularPattern({
+      name: this.name,
+      patternType: this.patternType,
+      targetIds,
+      axisIds: await getAxisIds(this.axis),
+      angle: this.angle,
+      count: this.count,
+      equalSpacing: this.equalSpacing,
+      oppositeDirection: this.oppositeDirection,
+      skippedInstances: this._skippedInstances
+    });
+  }
+}
+
+/**
+ * Represents a curve pattern feature in Onshape, spacing instances along a path
+ */
+class CurvePattern extends Pattern {
+  /**
+   * @param {Object} options Curve pattern properties, plus the Pattern options
+   * @param {Object|Array<string>} options.path Path edges: edge IDs, a sketch, or an edge filter
+   * @param {number|string} options.count Number of instances, including the original
+   * @param {string} [options.name="Curve pattern"] Name of the pattern
+   */
+  constructor({ path, count, name = "Curve pattern", ...options }) {
+    super({ ...options, name });
+    this.path = path;
+    this.count = count;
+
+    this._validate();
+  }
+
+  /**
+   * Check the pattern options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.path) {
+      throw new ValidationError("A path is required for a curve pattern");
+    }
+
+    assertCount(this.count, "Pattern count");
+    this._validateSkippedInstances();
+  }
+
+  /**
+   * Build the curve pattern feature definition
+   *
+   * @param {Array<string>} targetIds IDs of what is being patterned
+   * @returns {Promise<Object>} The feature definition
+   * @protected
+   */
+  async _createModel(targetIds) {
+    return createCurvePattern({
+      name: this.name,
+      patternType: this.patternType,
+      targetIds,
+      pathIds: await getEdgeIds(this.partStudio, this.path),
+      count: this.count,
+      skippedInstances: this._skippedInstances
+    });
+  }
+}
+
+module.exports = {
+  Pattern,
+  LinearPattern,
+  CircularPattern,
+  CurvePattern,
+  PatternType
+};
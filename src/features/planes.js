@@ -3,7 +3,15 @@
  * Interface to Onshape Planes
  */
 
-const { FeatureError } = require('../utils/errors');
+const { createConstructionPlane } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { UnitSystem, assertExpression } = require('../utils/misc');
+const { Q, EntityType } = require('../entities/query');
+const { Quantity } = require('../api/featurescript');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the plane classes
+const log = logger.scope('Planes');
 
 /**
  * Default plane orientations
@@ -14,6 +22,29 @@ const DefaultPlaneOrientation = {
   RIGHT: 'Right'
 };
 
+/**
+ * Resolve a plane, line or point reference into transient IDs.
+ * References are loaded lazily because they resolve default planes through this module.
+ * 
+ * @param {Object} partStudio The part studio the reference is in
+ * @param {Object|Array<string>|string} reference The reference
+ * @param {string} kind 'plane', 'line' or 'point'
+ * @returns {Promise<Array<string>>} Array of transient IDs
+ */
+async function getReferenceIds(partStudio, reference, kind) {
+  const { getPlaneIds, getEntityIds, getSketchEdgeIds } = require('./references');
+
+  if (kind === 'plane') {
+    return await getPlaneIds(partStudio, reference);
+  }
+
+  if (kind === 'line' && reference && reference.sketch && reference.line) {
+    return await getSketchEdgeIds(reference.sketch, reference.line);
+  }
+
+  return await getEntityIds(reference, kind);
+}
+
 /**
  * Base class for all planes
  */
@@ -36,6 +67,100 @@ class Plane {
   async getTransientIds() {
     throw new Error('getTransientIds must be implemented by derived classes');
   }
+  
+  /**
+   * Get a single transient ID (convenience method)
+   * 
+   * @returns {Promise<string>} Plane's transient ID
+   */
+  async getTransientId() {
+    const ids = await this.getTransientIds();
+    return ids[0];
+  }
+  
+  /**
+   * Get the coordinate system of the plane by evaluating evPlane
+   * 
+   * @param {string} [unitSystem] Unit system of the origin, defaults to the client unit system
+   * @returns {Promise<Object>} `{ origin, normal, xAxis, yAxis }` as [x, y, z] arrays,
+   *   with yAxis = normal x xAxis as in Onshape sketches
+   */
+  async getCoordinateSystem(unitSystem = this._client.unitSystem) {
+    const planeId = await this.getTransientId();
+    
+    const script = `
+      function(context is Context, queries) {
+        var face = ${Q.transient(planeId, EntityType.FACE).toQueryString()};
+        return evPlane(context, { "face" : face });
+      }
+    `;
+    
+    try {
+      const { result: plane } = await this._getEndpoints().evalFeaturescript(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        script,
+        { decode: true }
+      );
+      
+      if (!plane || !(plane.origin instanceof Quantity) || !plane.origin.isLength) {
+        throw new FeatureError(`Could not evaluate plane ${planeId}`);
+      }
+      
+      const normal = plane.normal;
+      const xAxis = plane.x;
+      
+      return {
+        origin: plane.origin.to(unitSystem === UnitSystem.INCH ? 'inch' : 'meter'),
+        normal,
+        xAxis,
+        yAxis: [
+          normal[1] * xAxis[2] - normal[2] * xAxis[1],
+          normal[2] * xAxis[0] - normal[0] * xAxis[2],
+          normal[0] * xAxis[1] - normal[1] * xAxis[0]
+        ]
+      };
+    } catch (error) {
+      log.error(`Error getting coordinate system of plane ${planeId}:`, error);
+      throw new FeatureError("Failed to get plane coordinate system", error);
+    }
+  }
+  
+  /**
+   * Get the features endpoints of the part studio
+   * 
+   * @returns {Object} Features API endpoints
+   * @protected
+   */
+  _getEndpoints() {
+    // Create endpoints if needed
+    if (!this.partStudio.endpoints) {
+      const FeaturesApi = require('../api/endpoints/features');
+      this.partStudio.endpoints = new FeaturesApi(this._client);
+    }
+    
+    return this.partStudio.endpoints;
+  }
+  
+  /**
+   * Get the face IDs created by a feature, e.g. a default or construction plane
+   * 
+   * @param {string} featureId ID of the feature that created the plane
+   * @returns {Promise<Array<string>>} Array of face IDs
+   * @protected
+   */
+  async _getCreatedFaceIds(featureId) {
+    const ids = await Q.createdBy(featureId, EntityType.FACE).evaluateIds(this.partStudio, {
+      endpoints: this._getEndpoints()
+    });
+    
+    if (ids.length === 0) {
+      throw new FeatureError(`Feature ${featureId} did not create a plane`);
+    }
+    
+    return ids;
+  }
 }
 
 /**
@@ -71,148 +196,89 @@ class DefaultPlane extends Plane {
    * @returns {Promise<Array<string>>} Array with the plane's transient ID
    */
   async getTransientIds() {
-    // For the default planes, we'll first try to just return the direct orientation name
-    // since that matches what our frontend is expecting (TOP, FRONT, RIGHT)
-    console.log(`Getting transientIds for default plane: ${this.orientation}`);
-    return [this.orientation];
-    
-    /*
-    // Old implementation that uses FeatureScript to get the IDs
-    const script = `
-      function(context is Context, queries) {
-        return transientQueriesToStrings(evaluateQuery(context, qCreatedBy(makeId("${this.orientation}"), EntityType.FACE)));
-      }
-    `;
-    
     try {
-      const response = await this._api.endpoints.evalFeaturescript(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        script
-      );
-      
-      if (!response.result || 
-          !response.result.value || 
-          !response.result.value[0] ||
-          !response.result.value[0].value) {
-        throw new FeatureError(`Could not find default plane: ${this.orientation}`);
-      }
-      
-      return [response.result.value[0].value];
+      // The default planes are created by features with these IDs
+      return await this._getCreatedFaceIds(this.orientation);
     } catch (error) {
-      console.error(`Error getting ${this.orientation} plane ID:`, error);
+      log.error(`Error getting ${this.orientation} plane ID:`, error);
       throw new FeatureError(`Failed to get ${this.orientation} plane ID`, error);
     }
-    */
-  }
-  
-  /**
-   * Get a single transient ID (convenience method)
-   * 
-   * @returns {Promise<string>} Plane's transient ID
-   */
-  async getTransientId() {
-    const ids = await this.getTransientIds();
-    return ids[0];
   }
 }
 
 /**
- * Represents an offset plane in Onshape
+ * Base class for construction planes, created by an Onshape cPlane feature
  */
-class OffsetPlane extends Plane {
+class ConstructionPlane extends Plane {
   /**
-   * @param {Object} options Offset plane properties
+   * @param {Object} options Construction plane properties
    * @param {Object} options.partStudio The part studio that owns the plane
-   * @param {Object} options.ownerPlane The plane to offset from
-   * @param {number} options.distance The offset distance
-   * @param {string} [options.name="Offset Plane"] Name of the offset plane
+   * @param {string} options.name Name of the plane
+   * @param {string} [options.key=null] Stable key; with a key the plane updates the keyed plane
+   *   already in the part studio instead of adding another, see PartStudio.ensure
    */
-  constructor({ partStudio, ownerPlane, distance, name = "Offset Plane" }) {
+  constructor({ partStudio, name, key = null }) {
     super(partStudio);
-    this.ownerPlane = ownerPlane;
-    this.distance = distance;
     this.name = name;
+    this.key = key;
     this.featureId = null;
-    
-    // Create the offset plane in Onshape
-    this._uploadFeature();
   }
   
   /**
-   * Upload the offset plane feature to Onshape
+   * Create a new construction plane with proper async initialization
+   * 
+   * @param {Object} options Plane properties, see the constructor of the plane type
+   * @returns {Promise<ConstructionPlane>} The uploaded plane
+   */
+  static async create(options) {
+    const plane = new this(options);
+    await plane._uploadFeature();
+    return plane;
+  }
+  
+  /**
+   * Get the plane type and the options of the cPlane feature
+   * This must be implemented by derived classes
+   * 
+   * @returns {Promise<Object>} `{ cplaneType, entityIds }` plus any offset, angle or oppositeDirection
+   * @protected
+   */
+  async _getDefinition() {
+    throw new Error('_getDefinition must be implemented by derived classes');
+  }
+  
+  /**
+   * Upload the construction plane feature to Onshape
    * @private
    */
   async _uploadFeature() {
     try {
-      // Get the owner plane's IDs
-      const ownerIds = await this.ownerPlane.getTransientIds();
-      
-      // Create the offset plane model
-      const planeModel = {
-        btType: "BTMFeature-134",
-        featureType: "cPlane",
+      const planeModel = createConstructionPlane({
         name: this.name,
-        suppressed: false,
-        parameters: [
-          {
-            btType: "BTMParameterQueryList-148",
-            queries: [
-              {
-                btType: "BTMIndividualQuery-138",
-                deterministicIds: ownerIds
-              }
-            ],
-            parameterId: "entities"
-          },
-          {
-            btType: "BTMParameterEnum-145",
-            namespace: "",
-            enumName: "CPlaneType",
-            value: "OFFSET",
-            parameterId: "cplaneType"
-          },
-          {
-            btType: "BTMParameterQuantity-147",
-            isInteger: false,
-            value: 0,
-            units: "",
-            expression: `${Math.abs(this.distance)} ${this._client.unitSystem === 'inch' ? 'in' : 'm'}`,
-            parameterId: "offset"
-          },
-          {
-            btType: "BTMParameterBoolean-144",
-            value: this.distance < 0,
-            parameterId: "oppositeDirection"
-          }
-        ]
-      };
-      
-      // Create endpoints if needed
-      if (!this.partStudio.endpoints) {
-        const FeaturesApi = require('../api/endpoints/features');
-        this.partStudio.endpoints = new FeaturesApi(this._client);
-      }
+        ...await this._getDefinition(),
+        unitSystem: this._client.unitSystem
+      });
       
-      // Upload to Onshape
-      const response = await this.partStudio.endpoints.addFeature(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        planeModel
-      );
+      // Upload to Onshape, reusing the keyed plane if there is one
+      const response = this.key
+        ? await this.partStudio.ensureFeature(this.key, planeModel)
+        : await this._getEndpoints().addFeature(
+            this.partStudio.document.id,
+            { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+            this.partStudio.id,
+            planeModel
+          );
       
       this.featureId = response.feature.featureId;
-      console.log(`Successfully created offset plane '${this.name}'`);
+      log.info(`Successfully created plane '${this.name}'`);
       
       // Add this plane to the part studio's features
       this.partStudio._features.push(this);
       
       return response;
     } catch (error) {
-      console.error("Error creating offset plane:", error);
-      throw new FeatureError("Failed to create offset plane", error);
+      log.error(`Error creating plane '${this.name}':`, error);
+      throw new FeatureError(`Failed to create plane '${this.name}'`, error);
     }
   }
   
@@ -226,53 +292,335 @@ class OffsetPlane extends Plane {
       throw new FeatureError("Cannot get transient ID for plane without a feature ID");
     }
     
-    const script = `
-      function(context is Context, queries) {
-        var feature_id = makeId("${this.featureId}");
-        var face = evaluateQuery(context, qCreatedBy(feature_id, EntityType.FACE))[0];
-        return transientQueriesToStrings(face);
-      }
-    `;
-    
     try {
-      // Create endpoints if needed
-      if (!this.partStudio.endpoints) {
-        const FeaturesApi = require('../api/endpoints/features');
-        this.partStudio.endpoints = new FeaturesApi(this._client);
-      }
-      
-      const response = await this.partStudio.endpoints.evalFeaturescript(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        script
-      );
-      
-      if (!response.result || !response.result.value) {
-        throw new FeatureError("Failed to get transient ID for offset plane");
-      }
-      
-      return [response.result.value];
+      return await this._getCreatedFaceIds(this.featureId);
     } catch (error) {
-      console.error("Error getting offset plane ID:", error);
-      throw new FeatureError("Failed to get offset plane ID", error);
+      log.error(`Error getting ID of plane '${this.name}':`, error);
+      throw new FeatureError(`Failed to get ID of plane '${this.name}'`, error);
+    }
+  }
+}
+
+/**
+ * Represents an offset plane in Onshape
+ */
+class OffsetPlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Offset plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Object} options.ownerPlane The plane to offset from
+   * @param {number|string} options.distance The offset distance, negative to offset the other way,
+   *   or an expression such as "#gap + 2 mm"
+   * @param {boolean} [options.oppositeDirection=false] Offset the other way, for expression distances
+   * @param {string} [options.name="Offset Plane"] Name of the offset plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({ partStudio, ownerPlane, distance, oppositeDirection = false, name = "Offset Plane", key = null }) {
+    super({ partStudio, name, key });
+    this.ownerPlane = ownerPlane;
+    this.distance = distance;
+    this.oppositeDirection = oppositeDirection;
+    
+    if (!ownerPlane) {
+      throw new ValidationError("An owner plane is required for an offset plane");
+    }
+    
+    if (typeof distance === 'string') {
+      assertExpression(distance, "Offset plane distance");
+    } else if (typeof distance !== 'number' || !isFinite(distance)) {
+      throw new ValidationError("Offset plane distance must be a number or an expression");
     }
   }
   
   /**
-   * Get a single transient ID (convenience method)
+   * Get the offset plane definition
    * 
-   * @returns {Promise<string>} Plane's transient ID
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
    */
-  async getTransientId() {
-    const ids = await this.getTransientIds();
-    return ids[0];
+  async _getDefinition() {
+    return {
+      cplaneType: "OFFSET",
+      entityIds: await getReferenceIds(this.partStudio, this.ownerPlane, 'plane'),
+      offset: typeof this.distance === 'string' ? this.distance : Math.abs(this.distance),
+      oppositeDirection: (typeof this.distance === 'number' && this.distance < 0) !== this.oppositeDirection
+    };
+  }
+}
+
+/**
+ * Represents a plane through a point, normal to a line or curve
+ */
+class PointNormalPlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Point normal plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Object|string} options.point The point the plane passes through, a vertex on the curve
+   * @param {Object|string} options.normal The line or curve giving the plane normal, or `{ sketch, line }`
+   * @param {string} [options.name="Point Normal Plane"] Name of the plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({ partStudio, point, normal, name = "Point Normal Plane", key = null }) {
+    super({ partStudio, name, key });
+    this.point = point;
+    this.normal = normal;
+    
+    if (!point || !normal) {
+      throw new ValidationError("A point and a normal curve are required for a point normal plane");
+    }
+  }
+  
+  /**
+   * Get the point normal plane definition
+   * 
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
+   */
+  async _getDefinition() {
+    return {
+      cplaneType: "CURVE_POINT",
+      entityIds: [
+        ...await getReferenceIds(this.partStudio, this.normal, 'line'),
+        ...await getReferenceIds(this.partStudio, this.point, 'point')
+      ]
+    };
+  }
+}
+
+/**
+ * Represents a plane through three points
+ */
+class ThreePointPlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Three point plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Array<Object|string>} options.points The three points (vertices) the plane passes through
+   * @param {string} [options.name="Three Point Plane"] Name of the plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({ partStudio, points, name = "Three Point Plane", key = null }) {
+    super({ partStudio, name, key });
+    this.points = points;
+    
+    if (!Array.isArray(points) || points.length !== 3 || !points.every(point => point)) {
+      throw new ValidationError("Exactly three points are required for a three point plane");
+    }
+  }
+  
+  /**
+   * Get the three point plane definition
+   * 
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
+   */
+  async _getDefinition() {
+    const entityIds = [];
+    for (const point of this.points) {
+      entityIds.push(...await getReferenceIds(this.partStudio, point, 'point'));
+    }
+    
+    return { cplaneType: "THREE_POINT", entityIds };
+  }
+}
+
+/**
+ * Represents a plane through a line, at an angle to a reference plane
+ */
+class LineAnglePlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Line angle plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Object|string} options.line The line the plane rotates about, or `{ sketch, line }`
+   * @param {number|string} options.angle Angle in degrees from the reference plane
+   * @param {Object|string} [options.referencePlane=null] Plane the angle is measured from,
+   *   defaults to the plane the line lies in
+   * @param {boolean} [options.oppositeDirection=false] Rotate the other way
+   * @param {string} [options.name="Line Angle Plane"] Name of the plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({
+    partStudio,
+    line,
+    angle,
+    referencePlane = null,
+    oppositeDirection = false,
+    name = "Line Angle Plane",
+    key = null
+  }) {
+    super({ partStudio, name, key });
+    this.line = line;
+    this.angle = angle;
+    this.referencePlane = referencePlane;
+    this.oppositeDirection = oppositeDirection;
+    
+    if (!line) {
+      throw new ValidationError("A line is required for a line angle plane");
+    }
+    
+    if (typeof angle === 'number' ? !isFinite(angle) : typeof angle !== 'string' || !angle.trim()) {
+      throw new ValidationError("Line angle plane angle must be a number of degrees or an expression");
+    }
+  }
+  
+  /**
+   * Get the line angle plane definition
+   * 
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
+   */
+  async _getDefinition() {
+    const entityIds = await getReferenceIds(this.partStudio, this.line, 'line');
+    
+    if (this.referencePlane) {
+      entityIds.push(...await getReferenceIds(this.partStudio, this.referencePlane, 'plane'));
+    }
+    
+    return {
+      cplaneType: "LINE_ANGLE",
+      entityIds,
+      angle: this.angle,
+      oppositeDirection: this.oppositeDirection
+    };
+  }
+}
+
+/**
+ * Represents a plane midway between two planes, faces or points
+ */
+class MidPlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Mid plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Object|string} options.first The first plane, face or point
+   * @param {Object|string} options.second The second plane, face or point
+   * @param {string} [options.name="Mid Plane"] Name of the plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({ partStudio, first, second, name = "Mid Plane", key = null }) {
+    super({ partStudio, name, key });
+    this.first = first;
+    this.second = second;
+    
+    if (!first || !second) {
+      throw new ValidationError("Two references are required for a mid plane");
+    }
+  }
+  
+  /**
+   * Get the mid plane definition
+   * 
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
+   */
+  async _getDefinition() {
+    return {
+      cplaneType: "MID_PLANE",
+      entityIds: [
+        ...await getReferenceIds(this.partStudio, this.first, 'plane'),
+        ...await getReferenceIds(this.partStudio, this.second, 'plane')
+      ]
+    };
+  }
+}
+
+/**
+ * Represents a plane through a line and a point
+ */
+class LinePointPlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Line point plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Object|string} options.line The line the plane contains, or `{ sketch, line }`
+   * @param {Object|string} options.point A point off the line that the plane passes through
+   * @param {string} [options.name="Line Point Plane"] Name of the plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({ partStudio, line, point, name = "Line Point Plane", key = null }) {
+    super({ partStudio, name, key });
+    this.line = line;
+    this.point = point;
+    
+    if (!line || !point) {
+      throw new ValidationError("A line and a point are required for a line point plane");
+    }
+  }
+  
+  /**
+   * Get the line point plane definition
+   * 
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
+   */
+  async _getDefinition() {
+    return {
+      cplaneType: "LINE_POINT",
+      entityIds: [
+        ...await getReferenceIds(this.partStudio, this.line, 'line'),
+        ...await getReferenceIds(this.partStudio, this.point, 'point')
+      ]
+    };
+  }
+}
+
+/**
+ * Represents a plane tangent to a cylindrical face
+ */
+class TangentPlane extends ConstructionPlane {
+  /**
+   * @param {Object} options Tangent plane properties
+   * @param {Object} options.partStudio The part studio that owns the plane
+   * @param {Object|string} options.cylinder The cylindrical face the plane touches
+   * @param {Object|string} [options.reference=null] A point the plane passes through, or a plane it is parallel to
+   * @param {number|string} [options.angle] Angle in degrees around the cylinder, used without a reference
+   * @param {string} [options.name="Tangent Plane"] Name of the plane
+   * @param {string} [options.key] Stable key, to update the plane in place when it already exists
+   */
+  constructor({ partStudio, cylinder, reference = null, angle, name = "Tangent Plane", key = null }) {
+    super({ partStudio, name, key });
+    this.cylinder = cylinder;
+    this.reference = reference;
+    this.angle = angle;
+    
+    if (!cylinder) {
+      throw new ValidationError("A cylindrical face is required for a tangent plane");
+    }
+    
+    if (!reference && angle === undefined) {
+      throw new ValidationError("A tangent plane needs a reference or an angle");
+    }
+  }
+  
+  /**
+   * Get the tangent plane definition
+   * 
+   * @returns {Promise<Object>} The cPlane options
+   * @protected
+   */
+  async _getDefinition() {
+    const entityIds = await getReferenceIds(this.partStudio, this.cylinder, 'face');
+    
+    if (this.reference) {
+      entityIds.push(...await getReferenceIds(this.partStudio, this.reference, 'plane'));
+    }
+    
+    return {
+      cplaneType: "TANGENT_PLANE",
+      entityIds,
+      angle: this.reference ? undefined : this.angle
+    };
   }
 }
 
 module.exports = {
   Plane,
   DefaultPlane,
+  ConstructionPlane,
   OffsetPlane,
+  PointNormalPlane,
+  ThreePointPlane,
+  LineAnglePlane,
+  MidPlane,
+  LinePointPlane,
+  TangentPlane,
   DefaultPlaneOrientation
-};
\ No newline at end of file
+};
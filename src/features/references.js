@@ -0,0 +1,276 @@
+// src/features/references.js
+/**
+ * Helpers for resolving the entities a feature operates on into the
+ * transient IDs Onshape expects in feature queries
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { DefaultPlane, DefaultPlaneOrientation } = require('./planes');
+const { Q, Query, EntityType } = require('../entities/query');
+
+/**
+ * Get face IDs from an array of IDs, a sketch, an entities object or a query.
+ * Queries are passed on as they are, for the feature to evaluate, unless
+ * they pick entities in FeatureScript, as largest() and most region
+ * selectors do, and have to be evaluated here.
+ *
+ * @param {Object|Array<string>} faces The faces, e.g. a sketch, `{ faceIds }`, a Query
+ *   or `{ sketch, region }` with a region selector, see Q.region
+ * @param {PartStudio} [partStudio] Part studio to evaluate queries in
+ * @returns {Promise<Array<string|Query>>} Array of face IDs
+ */
+async function getFaceIds(faces, partStudio) {
+  if (faces && faces.sketch && faces.region) {
+    return await getFaceIds(Q.region(faces.sketch, faces.region), partStudio);
+  } else if (faces instanceof Query) {
+    return faces.isStatic || !partStudio ? [faces] : await faces.evaluateIds(partStudio);
+  } else if (faces && faces.transientId) {
+    return [faces.transientId];
+  } else if (Array.isArray(faces)) {
+    return faces; // Already array of IDs
+  } else if (faces && faces.getEntities) {
+    const entities = await faces.getEntities();
+    return entities.faceIds;
+  } else if (faces && faces.faceIds) {
+    return faces.faceIds;
+  } else {
+    throw new ValidationError("Invalid faces provided");
+  }
+}
+
+/**
+ * Get face IDs of a part. Besides anything getFaceIds accepts, faces can be
+ * a face ID, a part (all of its faces), or `{ closestTo: [x, y, z] }` for the
+ * part's face nearest a point, e.g. the top face of a cup.
+ *
+ * @param {Part} part The part the faces belong to, needed for closestTo
+ * @param {Object|Array|string} faces The faces, or an array of any of the above
+ * @returns {Promise<Array<string>>} Array of face IDs
+ */
+async function getPartFaceIds(part, faces) {
+  if (typeof faces === 'string') {
+    return [faces];
+  } else if (Array.isArray(faces)) {
+    const ids = [];
+    for (const face of faces) {
+      ids.push(...await getPartFaceIds(part, face));
+    }
+    return ids;
+  } else if (faces && faces.closestTo && !(faces instanceof Query)) {
+    if (!part || !part.findClosestFace) {
+      throw new ValidationError("A part is required to find the closest face");
+    }
+    return [await part.findClosestFace(faces.closestTo)];
+  } else if (faces && faces.getFaceIds) {
+    return await faces.getFaceIds();
+  }
+
+  return await getFaceIds(faces, part && part.partStudio);
+}
+
+/**
+ * Get body IDs from a body, a part or a feature that created bodies
+ *
+ * @param {Object|Array<Object|string>|string} body A body ID, part or feature, or an array of them
+ * @returns {Promise<Array<string>>} Array of body IDs
+ */
+async function getBodyIds(body) {
+  if (typeof body === 'string' || body instanceof Query) {
+    return [body];
+  } else if (body && body.transientId) {
+    return [body.transientId];
+  } else if (Array.isArray(body)) {
+    // Arrays may mix body IDs with parts and features
+    const ids = [];
+    for (const item of body) {
+      ids.push(...await getBodyIds(item));
+    }
+    return ids;
+  } else if (body && body.getBodyIds) {
+    return await body.getBodyIds();
+  } else if (body && body.featureId && body.partStudio) {
+    return await Q.createdBy(body, EntityType.BODY).evaluateIds(body.partStudio);
+  } else if (body && body.id) {
+    return [body.id];
+  } else {
+    throw new ValidationError("Invalid body provided");
+  }
+}
+
+/**
+ * Get transient IDs from an ID, an array of IDs or an entity such as a plane
+ *
+ * @param {Object|Array<string>|string} entity The entity
+ * @param {string} [label="entity"] Name used in the error message
+ * @returns {Promise<Array<string>>} Array of transient IDs
+ */
+async function getEntityIds(entity, label = "entity") {
+  if (typeof entity === 'string' || entity instanceof Query) {
+    return [entity];
+  } else if (Array.isArray(entity)) {
+    return entity;
+  } else if (entity && entity.transientId) {
+    return [entity.transientId];
+  } else if (entity && entity.getTransientIds) {
+    return await entity.getTransientIds();
+  } else {
+    throw new ValidationError(`Invalid ${label} provided`);
+  }
+}
+
+/**
+ * Default planes normal to each world axis
+ */
+const AXIS_PLANES = {
+  X: 'Right',
+  Y: 'Front',
+  Z: 'Top'
+};
+
+/**
+ * Get the name of the default plane a plane reference names, if any
+ *
+ * @param {Object|string} plane 'X', 'Y', 'Z', 'Top', 'Front', 'Right' or a DefaultPlane
+ * @returns {string|null} The default plane name, or null for other references
+ */
+function getDefaultPlaneName(plane) {
+  if (plane instanceof DefaultPlane) {
+    return plane.orientation;
+  }
+
+  if (typeof plane !== 'string') {
+    return null;
+  }
+
+  return AXIS_PLANES[plane.toUpperCase()] ||
+    Object.values(DefaultPlaneOrientation).find(name => name.toUpperCase() === plane.toUpperCase()) ||
+    null;
+}
+
+/**
+ * Get the IDs of a plane reference. Axis names resolve to the default plane
+ * normal to that axis, so mirroring about 'X' flips X coordinates.
+ *
+ * @param {Object} partStudio The part studio the plane is in
+ * @param {Object|Array<string>|string} plane 'X', 'Y', 'Z', a default plane name or DefaultPlane,
+ *   a constructed plane such as an OffsetPlane, or a planar face ID
+ * @returns {Promise<Array<string>>} Array of entity IDs
+ */
+async function getPlaneIds(partStudio, plane) {
+  const defaultPlane = getDefaultPlaneName(plane);
+
+  if (defaultPlane) {
+    return await Q.createdBy(defaultPlane, EntityType.FACE).evaluateIds(partStudio);
+  }
+
+  return await getEntityIds(plane, "plane");
+}
+
+/**
+ * Get the IDs of a direction reference. Axis names resolve to the default
+ * plane normal to that axis; anything else is passed to getEntityIds.
+ *
+ * @param {Object} partStudio The part studio the reference is in
+ * @param {Object|Array<string>|string} direction 'X', 'Y', 'Z', an edge or a plane
+ * @returns {Promise<Array<string>>} Array of entity IDs
+ */
+async function getDirectionIds(partStudio, direction) {
+  if (getDefaultPlaneName(direction)) {
+    return await getPlaneIds(partStudio, direction);
+  }
+
+  return await getEntityIds(direction, "direction");
+}
+
+/**
+ * Get feature IDs from feature IDs or uploaded features
+ *
+ * @param {Object|Array<Object|string>|string} features A feature, a feature ID, or an array of either
+ * @returns {Array<string>} Array of feature IDs
+ */
+function getFeatureIds(features) {
+  return (Array.isArray(features) ? features : [features]).map(feature => {
+    if (typeof feature === 'string') {
+      return feature;
+    } else if (feature && feature.featureId) {
+      return feature.featureId;
+    }
+
+    throw new ValidationError("Features must be uploaded before they can be referenced");
+  });
+}
+
+/**
+ * Get edge IDs from IDs, a part, a feature such as a sketch, a query such
+ * as an edge filter, or `{ sketch, items }` for a chain of sketch entities
+ *
+ * @param {Object} partStudio The part studio the edges are in
+ * @param {Object|Array<string>|string} edges The edges
+ * @returns {Promise<Array<string>>} Array of edge IDs
+ */
+async function getEdgeIds(partStudio, edges) {
+  let edgeIds;
+
+  if (typeof edges === 'string') {
+    edgeIds = [edges];
+  } else if (Array.isArray(edges)) {
+    edgeIds = edges;
+  } else if (edges instanceof Query) {
+    // Queries that pick by size are evaluated here, the rest go to the feature as they are
+    edgeIds = edges.isStatic ? [edges] : await edges.evaluateIds(partStudio);
+  } else if (edges && edges.transientId) {
+    edgeIds = [edges.transientId];
+  } else if (edges && edges.getEdgeIds) {
+    edgeIds = await edges.getEdgeIds();
+  } else if (edges && edges.sketch && edges.items) {
+    edgeIds = [];
+    for (const item of edges.items) {
+      edgeIds.push(...await getSketchEdgeIds(edges.sketch, item));
+    }
+  } else if (edges && edges.featureId) {
+    edgeIds = await Q.createdBy(edges, EntityType.EDGE).evaluateIds(partStudio);
+  } else {
+    throw new ValidationError("Invalid edges provided");
+  }
+
+  if (edgeIds.length === 0) {
+    throw new ValidationError("No edges matched the edge selection");
+  }
+
+  return edgeIds;
+}
+
+/**
+ * Get the edge IDs created by a sketch entity, e.g. a line used as an axis
+ *
+ * @param {Sketch} sketch The sketch that owns the entity
+ * @param {Object|string} item The sketch item or its entity ID
+ * @returns {Promise<Array<string>>} Array of edge IDs
+ */
+async function getSketchEdgeIds(sketch, item) {
+  if (!sketch.featureId) {
+    throw new ValidationError("Sketch has not been uploaded yet");
+  }
+
+  const entityId = typeof item === 'string' ? item : item.entityId;
+
+  const edgeIds = await Q.sketchEntity(sketch, entityId).evaluateIds(sketch.partStudio);
+
+  if (edgeIds.length === 0) {
+    throw new ValidationError(`Sketch entity ${entityId} has no edges`);
+  }
+
+  return edgeIds;
+}
+
+module.exports = {
+  getFaceIds,
+  getPartFaceIds,
+  getBodyIds,
+  getEntityIds,
+  getEdgeIds,
+  getDirectionIds,
+  getPlaneIds,
+  getFeatureIds,
+  getSketchEdgeIds
+};
@@ -0,0 +1,277 @@
+// src/features/revolve.js
+/**
+ * Interface to the Revolve Feature
+ */
+
+const { createRevolve } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getFaceIds, getBodyIds, getEntityIds, getSketchEdgeIds } = require('./references');
+const { Q, Query, Entity, EntityType } = require('../entities/query');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Revolve class
+const log = logger.scope('Revolve');
+
+/**
+ * Revolve types
+ */
+const RevolveType = {
+  FULL: 'FULL',
+  ONE_DIRECTION: 'ONE_DIRECTION',
+  SYMMETRIC: 'SYMMETRIC',
+  TWO_DIRECTIONS: 'TWO_DIRECTIONS'
+};
+
+/**
+ * Default axes of the sketch being revolved, through the sketch origin. The
+ * revolve turns about the line of the sketch that lies on the axis.
+ */
+const RevolveAxis = {
+  SKETCH_X: 'SKETCH_X',
+  SKETCH_Y: 'SKETCH_Y'
+};
+
+/**
+ * Check that an angle is a number of degrees in (0, 360] or an expression
+ *
+ * @param {number|string} angle The angle to check
+ * @param {string} label Name used in the error message
+ */
+function assertAngle(angle, label) {
+  if (typeof angle === 'string' && angle.trim()) {
+    return;
+  }
+
+  if (typeof angle !== 'number' || !isFinite(angle) || angle <= 0 || angle > 360) {
+    throw new ValidationError(`${label} must be between 0 and 360 degrees, or an expression`);
+  }
+}
+
+/**
+ * Represents a revolve feature in Onshape
+ */
+class Revolve {
+  /**
+   * @param {Object} options Revolve properties
+   * @param {Object} options.partStudio The part studio that owns the revolve
+   * @param {Object} options.faces The faces to revolve (usually from a sketch), a query,
+   *   or `{ sketch, region }` to revolve only some regions of a sketch, see Q.region
+   * @param {Object|string} options.axis A line of the revolved sketch, `{ sketch, line }`, an edge, or a RevolveAxis
+   * @param {string} [options.name="Revolve"] Name of the revolve
+   * @param {string} [options.revolveType=RevolveType.FULL] Full, one direction, symmetric or two directions
+   * @param {number|string} [options.angle] Revolve angle in degrees, required unless revolving fully
+   * @param {number|string} [options.secondAngle] Angle of the second direction for two-direction revolves
+   * @param {boolean} [options.oppositeDirection=false] Flip the revolve direction
+   * @param {Object} [options.mergeWith=null] Optional body to merge with
+   * @param {Object} [options.subtractFrom=null] Optional body to subtract from
+   * @param {Object} [options.intersectWith=null] Optional body to intersect with
+   * @param {string} [options.key=null] Stable key; with a key the revolve updates the keyed revolve
+   *   already in the part studio instead of adding another, see PartStudio.ensure
+   */
+  constructor({
+    partStudio,
+    faces,
+    axis,
+    name = "Revolve",
+    revolveType = RevolveType.FULL,
+    angle,
+    secondAngle,
+    oppositeDirection = false,
+    mergeWith = null,
+    subtractFrom = null,
+    intersectWith = null,
+    key = null
+  }) {
+    this.partStudio = partStudio;
+    this.faces = faces;
+    this.axis = axis;
+    this.name = name;
+    this.revolveType = revolveType;
+    this.angle = angle;
+    this.secondAngle = secondAngle;
+    this.oppositeDirection = oppositeDirection;
+    this.mergeWith = mergeWith;
+    this.subtractFrom = subtractFrom;
+    this.intersectWith = intersectWith;
+    this.key = key;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new revolve with proper async initialization
+   *
+   * @param {Object} options Revolve properties, see the constructor
+   * @returns {Promise<Revolve>} The uploaded revolve
+   */
+  static async create(options) {
+    const revolve = new Revolve(options);
+    await revolve._uploadFeature();
+    return revolve;
+  }
+
+  /**
+   * Check the revolve options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.faces) {
+      throw new ValidationError("Faces are required for a revolve");
+    }
+
+    if (!this.axis) {
+      throw new ValidationError("An axis is required for a revolve");
+    }
+
+    if (!Object.values(RevolveType).includes(this.revolveType)) {
+      throw new ValidationError(`Invalid revolve type: ${this.revolveType}`);
+    }
+
+    if (this.revolveType !== RevolveType.FULL) {
+      assertAngle(this.angle, "Revolve angle");
+    }
+
+    if (this.revolveType === RevolveType.TWO_DIRECTIONS) {
+      assertAngle(this.secondAngle, "Second revolve angle");
+    }
+
+    const targets = [this.mergeWith, this.subtractFrom, this.intersectWith].filter(Boolean);
+    if (targets.length > 1) {
+      throw new ValidationError("A revolve can only merge with, subtract from or intersect with bodies");
+    }
+
+    if (Object.values(RevolveAxis).includes(this.axis) && !this._getProfileEdges()) {
+      throw new ValidationError("Default axes can only be used when revolving a sketch, its regions or a query");
+    }
+  }
+
+  /**
+   * Upload the revolve feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const faceIds = await getFaceIds(this.faces, this.partStudio);
+      const axisIds = await this._getAxisIds();
+
+      // Determine operation type
+      let operationType = "NEW";
+      let booleanScope = [];
+
+      if (this.subtractFrom) {
+        operationType = "REMOVE";
+        booleanScope = await getBodyIds(this.subtractFrom);
+      } else if (this.mergeWith) {
+        operationType = "ADD";
+        booleanScope = await getBodyIds(this.mergeWith);
+      } else if (this.intersectWith) {
+        operationType = "INTERSECT";
+        booleanScope = await getBodyIds(this.intersectWith);
+      }
+
+      const revolveModel = createRevolve({
+        name: this.name,
+        facesIds: faceIds,
+        axisIds,
+        revolveType: this.revolveType,
+        angle: this.angle,
+        secondAngle: this.secondAngle,
+        oppositeDirection: this.oppositeDirection,
+        operationType,
+        booleanScope
+      });
+
+      // Upload to Onshape, reusing the keyed revolve if there is one
+      const response = this.key
+        ? await this.partStudio.ensureFeature(this.key, revolveModel)
+        : await this._api.endpoints.addFeature(
+            this.partStudio.document.id,
+            { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+            this.partStudio.id,
+            revolveModel
+          );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded revolve '${this.name}'`);
+
+      // Add this revolve to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating revolve:", error);
+      throw new FeatureError("Failed to create revolve", error);
+    }
+  }
+
+  /**
+   * Get the edge IDs of the revolve axis
+   *
+   * @returns {Promise<Array<string>>} Array of edge IDs
+   * @private
+   */
+  async _getAxisIds() {
+    // Default axes are found among the lines of the revolved sketch
+    if (Object.values(RevolveAxis).includes(this.axis)) {
+      const axis = this.axis === RevolveAxis.SKETCH_X ? 'X' : 'Y';
+      const edgeIds = await this._getProfileEdges().alongSketchAxis(axis).evaluateIds(this.partStudio);
+
+      if (edgeIds.length === 0) {
+        throw new FeatureError(`No line of the revolved sketch lies on its ${axis} axis; draw one or pass an edge as the axis`);
+      }
+
+      return [edgeIds[0]];
+    }
+
+    // A line of the sketch being revolved
+    const sketch = this._getSketch();
+    if (this.axis.type === 'line' && sketch.items && sketch.items.has(this.axis)) {
+      return await getSketchEdgeIds(sketch, this.axis);
+    }
+
+    // A line of another sketch
+    if (this.axis.sketch && this.axis.line) {
+      return await getSketchEdgeIds(this.axis.sketch, this.axis.line);
+    }
+
+    return await getEntityIds(this.axis, "axis");
+  }
+
+  /**
+   * Get the sketch being revolved, when the faces are a sketch or regions of one
+   *
+   * @returns {Object} The sketch, or the faces
+   * @private
+   */
+  _getSketch() {
+    return this.faces.sketch && this.faces.region ? this.faces.sketch : this.faces;
+  }
+
+  /**
+   * Get a query for the edges of the revolved profile, to find default axes in
+   *
+   * @returns {Query|null} The edges of the sketch or faces, or null if the faces
+   *   are neither a sketch nor a query
+   * @private
+   */
+  _getProfileEdges() {
+    const sketch = this._getSketch();
+
+    if (sketch.items) {
+      return Q.createdBy(sketch, EntityType.EDGE);
+    } else if (this.faces instanceof Query || this.faces instanceof Entity) {
+      return Q.from(this.faces).edges();
+    }
+
+    return null;
+  }
+}
+
+module.exports = Revolve;
+module.exports.RevolveType = RevolveType;
+module.exports.RevolveAxis = RevolveAxis;
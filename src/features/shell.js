@@ -0,0 +1,133 @@
+// src/features/shell.js
+/**
+ * Interface to the Shell Feature
+ */
+
+const { createShell } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getPartFaceIds } = require('./references');
+const { assertLength } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Shell class
+const log = logger.scope('Shell');
+
+/**
+ * Side of the part's faces the shell wall is added to
+ */
+const ShellDirection = {
+  INWARD: 'INWARD',
+  OUTWARD: 'OUTWARD'
+};
+
+/**
+ * Represents a shell feature in Onshape, hollowing a part by removing faces
+ */
+class Shell {
+  /**
+   * @param {Object} options Shell properties
+   * @param {Object} options.partStudio The part studio that owns the shell
+   * @param {Object|Array|string} options.removeFaces Faces to remove: face IDs, a query, or
+   *   `{ closestTo: [x, y, z] }` for the face of the part nearest a point
+   * @param {number|string} options.thickness Wall thickness
+   * @param {Part} [options.part] The part being shelled, needed to find faces with closestTo
+   * @param {string} [options.direction=ShellDirection.INWARD] Add the wall inside or outside the part
+   * @param {string} [options.name="Shell"] Name of the shell
+   * @param {string} [options.key=null] Stable key; with a key the shell updates the keyed shell
+   *   already in the part studio instead of adding another, see PartStudio.ensure
+   */
+  constructor({
+    partStudio,
+    removeFaces,
+    thickness,
+    part = null,
+    direction = ShellDirection.INWARD,
+    name = "Shell",
+    key = null
+  }) {
+    this.partStudio = partStudio;
+    this.removeFaces = removeFaces;
+    this.thickness = thickness;
+    this.part = part;
+    this.direction = direction;
+    this.name = name;
+    this.key = key;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new shell with proper async initialization
+   *
+   * @param {Object} options Shell properties, see the constructor
+   * @returns {Promise<Shell>} The uploaded shell
+   */
+  static async create(options) {
+    const shell = new Shell(options);
+    await shell._uploadFeature();
+    return shell;
+  }
+
+  /**
+   * Check the shell options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.removeFaces) {
+      throw new ValidationError("Faces to remove are required for a shell");
+    }
+
+    assertLength(this.thickness, "Shell thickness");
+
+    if (!Object.values(ShellDirection).includes(this.direction)) {
+      throw new ValidationError(`Invalid shell direction: ${this.direction}`);
+    }
+  }
+
+  /**
+   * Upload the shell feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const faceIds = await getPartFaceIds(this.part, this.removeFaces);
+
+      const shellModel = createShell({
+        name: this.name,
+        faceIds,
+        thickness: this.thickness,
+        oppositeDirection: this.direction === ShellDirection.OUTWARD,
+        unitSystem: this._client.unitSystem
+      });
+
+      // Upload to Onshape, reusing the keyed shell if there is one
+      const response = this.key
+        ? await this.partStudio.ensureFeature(this.key, shellModel)
+        : await this._api.endpoints.addFeature(
+            this.partStudio.document.id,
+            { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+            this.partStudio.id,
+            shellModel
+          );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded shell '${this.name}'`);
+
+      // Add this shell to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating shell:", error);
+      throw new FeatureError("Failed to create shell", error);
+    }
+  }
+}
+
+module.exports = Shell;
+module.exports.ShellDirection = ShellDirection;
@@ -3,14 +3,44 @@
  * Interface to the Sketch Feature
  */
 
-const { generateId, createSketch, createCircle, createLine } = require('../api/schema');
-const { FeatureError, OnshapeParameterError } = require('../utils/errors');
-const { Point2D, UnitSystem, inchesToMeters } = require('../utils/misc');
+const {
+  generateId,
+  createSketch,
+  createCircle,
+  createLine,
+  createCenterPointArc,
+  createThreePointArc,
+  createTangentArc,
+  createSpline,
+  createConstraint
+} = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const {
+  Point2D,
+  UnitSystem,
+  inchesToMeters,
+  solveCenterPointArc,
+  solveThreePointArc,
+  solveTangentArc,
+  toKeyedName
+} = require('../utils/misc');
+const { SketchConstraints, SketchDimensions } = require('./sketchConstraints');
+const { Q, Entity } = require('../entities/query');
 const logger = require('../utils/logger');
 
 // Create a scoped logger for the Sketch class
 const log = logger.scope('Sketch');
 
+/**
+ * Convert an [x, y] pair or Point2D into a Point2D
+ * 
+ * @param {Array|Point2D} point The point to convert
+ * @returns {Point2D} The point as a Point2D
+ */
+function toPoint2D(point) {
+  return Array.isArray(point) ? new Point2D(point[0], point[1]) : point;
+}
+
 /**
  * Represents a sketch in Onshape
  */
@@ -20,13 +50,30 @@ class Sketch {
    * @param {Object} options.partStudio The part studio that owns the sketch
    * @param {Object} options.plane The plane to base the sketch on
    * @param {string} [options.name="New Sketch"] Name of the sketch
+   * @param {string} [options.key=null] Stable key; with a key the sketch replaces the contents of
+   *   the keyed sketch already in the part studio instead of adding another, see PartStudio.ensure
    */
-  constructor({ partStudio, plane, name = "New Sketch" }) {
+  constructor({ partStudio, plane, name = "New Sketch", key = null }) {
     this.partStudio = partStudio;
     this.plane = plane;
     this.name = name;
+    this.key = key;
     this.featureId = null;
     this.items = new Set();
+    this.constraints = [];
+    
+    // Plane coordinate system, fetched the first time a world point is mapped
+    this._coordinateSystem = null;
+    
+    // Constraint and dimension builders, e.g. sketch.constrain.horizontal(line)
+    this.constrain = new SketchConstraints(this);
+    this.dimension = new SketchDimensions(this);
+    
+    // Batch editing state - while a batch is open, entity changes are only
+    // collected locally and uploaded once when the outermost batch commits
+    this._batchDirty = false;
+    // One snapshot per open batch level, innermost last
+    this._batchSnapshots = [];
     
     // Access APIs via part studio
     this._api = partStudio._api;
@@ -44,6 +91,7 @@ class Sketch {
    * @param {Object} options.partStudio The part studio that owns the sketch
    * @param {Object} options.plane The plane to base the sketch on
    * @param {string} [options.name="New Sketch"] Name of the sketch
+   * @param {string} [options.key=null] Stable key of the sketch
    * @returns {Promise<Sketch>} The initialized sketch
    */
   static async create(options) {
@@ -59,7 +107,7 @@ class Sketch {
    */
   async _getPlaneIds() {
     if (!this.plane) {
-      throw new OnshapeParameterError("No plane provided for sketch");
+      throw new ValidationError("No plane provided for sketch");
     }
 
     // If plane already has a transientId, use it directly
@@ -72,20 +120,122 @@ class Sketch {
       return await this.plane.getTransientIds();
     }
     
-    throw new OnshapeParameterError("Invalid plane object - must have transientId or getTransientIds() method");
+    throw new ValidationError("Invalid plane object - must have transientId or getTransientIds() method");
   }
   
   /**
-   * Upload the sketch feature to Onshape
+   * Whether a batch edit is currently open
+   * @returns {boolean}
+   */
+  get isBatching() {
+    return this._batchSnapshots.length > 0;
+  }
+  
+  /**
+   * Start collecting entity changes locally instead of uploading each one.
+   * Batches may be nested; only the outermost commit() uploads.
+   */
+  begin() {
+    if (!this.isBatching) {
+      this._batchDirty = false;
+    }
+    this._batchSnapshots.push({
+      items: new Set(this.items),
+      constraints: [...this.constraints],
+      dirty: this._batchDirty
+    });
+  }
+  
+  /**
+   * Close the current batch and upload the sketch once if anything changed
+   * 
+   * @returns {Promise<Object|null>} The API response, or null if nothing was uploaded
+   */
+  async commit() {
+    if (!this.isBatching) {
+      throw new FeatureError("commit() called without a matching begin()");
+    }
+    
+    this._batchSnapshots.pop();
+    if (this.isBatching) {
+      return null;
+    }
+    
+    if (!this._batchDirty) {
+      return null;
+    }
+    
+    this._batchDirty = false;
+    log.debug(`Committing batched changes to sketch '${this.name}' (${this.items.size} items)`);
+    return await this._uploadFeature();
+  }
+  
+  /**
+   * Abandon the current batch and restore the items and constraints
+   * present when it began. Outer batches stay open.
+   */
+  rollback() {
+    if (!this.isBatching) {
+      throw new FeatureError("rollback() called without a matching begin()");
+    }
+    
+    const snapshot = this._batchSnapshots.pop();
+    this.items = snapshot.items;
+    this.constraints = snapshot.constraints;
+    this._batchDirty = snapshot.dirty;
+  }
+  
+  /**
+   * Run a set of edits as a single batch with one upload at the end
+   * 
+   * @example
+   * await sketch.edit(async s => {
+   *   await s.addCircle([0, 0], 0.01);
+   *   await s.tracePoints(points);
+   * });
+   * 
+   * @param {Function} callback Async function receiving this sketch
+   * @returns {Promise<*>} The value returned by the callback
+   */
+  async edit(callback) {
+    this.begin();
+    let result;
+    try {
+      result = await callback(this);
+    } catch (error) {
+      this.rollback();
+      throw error;
+    }
+    await this.commit();
+    return result;
+  }
+  
+  /**
+   * Push local changes to Onshape, or defer them if a batch is open
+   * @private
+   */
+  async _syncFeature() {
+    if (this.isBatching) {
+      this._batchDirty = true;
+      return null;
+    }
+    return await this._uploadFeature();
+  }
+  
+  /**
+   * Upload the sketch feature to Onshape. Creates the feature the first
+   * time and updates it in place by featureId afterwards.
    * @private
    */
   async _uploadFeature() {
     try {
       const planeIds = await this._getPlaneIds();
       const sketchModel = createSketch({
-        name: this.name,
+        // Keyed sketches keep their key in the name through later updates
+        name: this.key ? toKeyedName(this.name, this.key) : this.name,
         featureId: this.featureId,
-        entities: Array.from(this.items).map(item => item.toModel())
+        entities: Array.from(this.items).map(item => item.toModel()),
+        constraints: this.constraints.map(constraint => constraint.toModel())
       });
       
       // Add sketch plane parameter
@@ -100,22 +250,35 @@ class Sketch {
         parameterId: "sketchPlane"
       });
       
-      const response = await this._api.endpoints.addFeature(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        sketchModel
-      );
+      const wvm = { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id };
+      const isUpdate = !!this.featureId;
+      
+      const response = isUpdate
+        ? await this._api.endpoints.updateFeature(
+            this.partStudio.document.id,
+            wvm,
+            this.partStudio.id,
+            this.featureId,
+            sketchModel
+          )
+        : this.key
+          ? await this.partStudio.ensureFeature(this.key, sketchModel)
+          : await this._api.endpoints.addFeature(
+              this.partStudio.document.id,
+              wvm,
+              this.partStudio.id,
+              sketchModel
+            );
       
       // Process response and extract feature ID
       this._loadResponse(response);
       
-      log.info(`Successfully uploaded sketch '${this.name}'`);
+      log.info(`Successfully ${isUpdate ? 'updated' : 'uploaded'} sketch '${this.name}'`);
       
       return response;
     } catch (error) {
-      log.error("Error creating sketch:", error);
-      throw new FeatureError("Failed to create sketch", error);
+      log.error("Error uploading sketch:", error);
+      throw new FeatureError(`Failed to ${this.featureId ? 'update' : 'create'} sketch`, error);
     }
   }
   
@@ -142,19 +305,44 @@ class Sketch {
     return this.featureId;
   }
 
+  /**
+   * Map a point into sketch coordinates. [x, y] pairs and Point2Ds are
+   * already sketch coordinates; [x, y, z] world points, in meters like all
+   * sketch geometry, are projected onto the sketch plane.
+   * 
+   * @param {Array|Point2D} point The point to map
+   * @returns {Promise<Point2D>} The point in sketch coordinates
+   */
+  async toLocal(point) {
+    if (!Array.isArray(point) || point.length !== 3) {
+      return toPoint2D(point);
+    }
+    
+    if (!this._coordinateSystem) {
+      if (!this.plane || typeof this.plane.getCoordinateSystem !== 'function') {
+        throw new ValidationError("World-space points need a sketch plane with getCoordinateSystem()");
+      }
+      this._coordinateSystem = await this.plane.getCoordinateSystem(UnitSystem.METRIC);
+    }
+    
+    const { origin, xAxis, yAxis } = this._coordinateSystem;
+    const offset = point.map((value, i) => value - origin[i]);
+    const dot = axis => offset.reduce((sum, value, i) => sum + value * axis[i], 0);
+    
+    return new Point2D(dot(xAxis), dot(yAxis));
+  }
+  
   /**
    * Add a circle to the sketch
    * 
-   * @param {Array|Point2D} centerPoint Center of circle
+   * @param {Array|Point2D} centerPoint Center of circle, in sketch or world coordinates
    * @param {number} radius Radius of circle
    * @param {string} [unitSystem=UnitSystem.METER] Unit system for dimensions
    * @returns {Promise<Object>} The created circle
    */
   async addCircle(centerPoint, radius, unitSystem = UnitSystem.METER) {
-    // Convert array to Point2D if needed
-    const center = Array.isArray(centerPoint) 
-      ? new Point2D(centerPoint[0], centerPoint[1]) 
-      : centerPoint;
+    // Convert array or world point to Point2D if needed
+    const center = await this.toLocal(centerPoint);
     
     // Convert radius to meters if using inches
     const radiusMeters = unitSystem === UnitSystem.INCH 
@@ -170,8 +358,9 @@ class Sketch {
       radius: radiusMeters,
       toModel: function() {
         return createCircle({
-          id: this.entityId,
-          center: this.center,
+          entityId: this.entityId,
+          xCenter: this.center.x,
+          yCenter: this.center.y,
           radius: this.radius
         });
       }
@@ -180,8 +369,8 @@ class Sketch {
     // Add to sketch items
     this.items.add(circle);
     
-    // Update sketch in Onshape
-    await this._uploadFeature();
+    // Update sketch in Onshape (deferred while batching)
+    await this._syncFeature();
     
     return circle;
   }
@@ -189,19 +378,16 @@ class Sketch {
   /**
    * Add a line to the sketch
    * 
-   * @param {Array|Point2D} startPoint Start point of line
-   * @param {Array|Point2D} endPoint End point of line
+   * @param {Array|Point2D} startPoint Start point of line, in sketch or world coordinates
+   * @param {Array|Point2D} endPoint End point of line, in sketch or world coordinates
+   * @param {Object} [options] Line options
+   * @param {boolean} [options.isConstruction=false] Whether the line is construction geometry
    * @returns {Promise<Object>} The created line
    */
-  async addLine(startPoint, endPoint) {
-    // Convert arrays to Point2D if needed
-    const start = Array.isArray(startPoint)
-      ? new Point2D(startPoint[0], startPoint[1])
-      : startPoint;
-    
-    const end = Array.isArray(endPoint)
-      ? new Point2D(endPoint[0], endPoint[1])
-      : endPoint;
+  async addLine(startPoint, endPoint, { isConstruction = false } = {}) {
+    // Convert arrays or world points to Point2D if needed
+    const start = await this.toLocal(startPoint);
+    const end = await this.toLocal(endPoint);
     
     // Create line entity
     const entityId = generateId();
@@ -210,11 +396,15 @@ class Sketch {
       entityId,
       start,
       end,
+      isConstruction,
       toModel: function() {
         return createLine({
-          id: this.entityId,
-          start: this.start,
-          end: this.end
+          entityId: this.entityId,
+          x1: this.start.x,
+          y1: this.start.y,
+          x2: this.end.x,
+          y2: this.end.y,
+          isConstruction: this.isConstruction
         });
       }
     };
@@ -222,35 +412,328 @@ class Sketch {
     // Add to sketch items
     this.items.add(line);
     
-    // Update sketch in Onshape
-    await this._uploadFeature();
+    // Update sketch in Onshape (deferred while batching)
+    await this._syncFeature();
     
     return line;
   }
   
   /**
-   * Trace a series of points with connected lines
+   * Add a three-point arc to the sketch
    * 
-   * @param {Array<Array<number>>} points Array of points [x,y]
-   * @param {boolean} [closePath=true] Whether to connect last point to first
-   * @returns {Promise<Array>} The created lines
+   * @param {Array|Point2D} startPoint Start point of the arc
+   * @param {Array|Point2D} midPoint Any point on the arc between start and end
+   * @param {Array|Point2D} endPoint End point of the arc
+   * @returns {Promise<Object>} The created arc
    */
-  async tracePoints(points, closePath = true) {
-    const lines = [];
+  async addArc(startPoint, midPoint, endPoint) {
+    const start = await this.toLocal(startPoint);
+    const mid = await this.toLocal(midPoint);
+    const end = await this.toLocal(endPoint);
+    
+    const geometry = {
+      x1: start.x, y1: start.y,
+      xMid: mid.x, yMid: mid.y,
+      x2: end.x, y2: end.y
+    };
+    
+    const arc = this._createArcItem(solveThreePointArc(geometry), start, end, function() {
+      return createThreePointArc({ entityId: this.entityId, ...geometry });
+    });
+    
+    return await this._addArcItem(arc);
+  }
+  
+  /**
+   * Add a center point arc to the sketch. The radius is set by the start
+   * point; the end point only determines where the arc stops.
+   * 
+   * @param {Array|Point2D} centerPoint Center of the arc
+   * @param {Array|Point2D} startPoint Start point of the arc
+   * @param {Array|Point2D} endPoint Point on the ray where the arc ends
+   * @param {boolean} [clockwise=false] Sweep clockwise from start to end
+   * @returns {Promise<Object>} The created arc
+   */
+  async addArcCenterPoint(centerPoint, startPoint, endPoint, clockwise = false) {
+    const center = await this.toLocal(centerPoint);
+    const start = await this.toLocal(startPoint);
+    const endRay = await this.toLocal(endPoint);
+    
+    const geometry = {
+      xCenter: center.x, yCenter: center.y,
+      x1: start.x, y1: start.y,
+      x2: endRay.x, y2: endRay.y,
+      clockwise
+    };
+    
+    const solved = solveCenterPointArc(geometry);
+    
+    // Project the end point onto the circle so the item reports its true end
+    const angle = Math.atan2(endRay.y - center.y, endRay.x - center.x);
+    const end = new Point2D(
+      center.x + solved.radius * Math.cos(angle),
+      center.y + solved.radius * Math.sin(angle)
+    );
+    
+    const arc = this._createArcItem(solved, start, end, function() {
+      return createCenterPointArc({ entityId: this.entityId, ...geometry });
+    });
+    
+    return await this._addArcItem(arc);
+  }
+  
+  /**
+   * Add an arc tangent to an existing line or arc, continuing from its end point
+   * 
+   * @param {Object} tangentTo A line or arc item of this sketch, or
+   *   { point: [x, y], direction: [dx, dy] } to give the start and tangent explicitly
+   * @param {Array|Point2D} endPoint End point of the arc
+   * @returns {Promise<Object>} The created arc
+   */
+  async addArcTangent(tangentTo, endPoint) {
+    const { point: start, direction } = this._getEndTangent(tangentTo);
+    const end = await this.toLocal(endPoint);
+    
+    const geometry = {
+      x1: start.x, y1: start.y,
+      xDir: direction.x, yDir: direction.y,
+      x2: end.x, y2: end.y
+    };
+    
+    const arc = this._createArcItem(solveTangentArc(geometry), start, end, function() {
+      return createTangentArc({ entityId: this.entityId, ...geometry });
+    });
+    
+    return await this._addArcItem(arc);
+  }
+  
+  /**
+   * Add a control point spline to the sketch. The curve starts at the first
+   * control point and ends at the last; with degree + 1 points it is a Bezier.
+   * 
+   * @param {Array<Array|Point2D>} controlPoints Control points of the spline
+   * @param {number} [degree=3] Polynomial degree of the spline
+   * @returns {Promise<Object>} The created spline
+   */
+  async addSpline(controlPoints, degree = 3) {
+    if (!Array.isArray(controlPoints) || controlPoints.length < degree + 1) {
+      throw new ValidationError(`A degree ${degree} spline needs at least ${degree + 1} control points`);
+    }
+    
+    const points = [];
+    for (const point of controlPoints) {
+      points.push(await this.toLocal(point));
+    }
+    
+    const spline = {
+      type: 'spline',
+      entityId: generateId(),
+      controlPoints: points,
+      degree,
+      start: points[0],
+      end: points[points.length - 1],
+      toModel: function() {
+        return createSpline({
+          entityId: this.entityId,
+          controlPoints: this.controlPoints.map(p => [p.x, p.y]),
+          degree: this.degree
+        });
+      }
+    };
+    
+    // Add to sketch items
+    this.items.add(spline);
+    
+    // Update sketch in Onshape (deferred while batching)
+    await this._syncFeature();
     
-    // Create lines between consecutive points
-    for (let i = 0; i < points.length - 1; i++) {
-      const line = await this.addLine(points[i], points[i + 1]);
-      lines.push(line);
+    return spline;
+  }
+  
+  /**
+   * Build an arc sketch item from solved geometry
+   * @private
+   * @param {Object} solved Result of one of the arc solvers
+   * @param {Point2D} start Start point in drawing order
+   * @param {Point2D} end End point in drawing order
+   * @param {Function} toModel Builder for the arc's API model
+   * @returns {Object} The arc item
+   */
+  _createArcItem(solved, start, end, toModel) {
+    return {
+      type: 'arc',
+      entityId: generateId(),
+      center: new Point2D(solved.xCenter, solved.yCenter),
+      radius: solved.radius,
+      startAngle: solved.startAngle,
+      endAngle: solved.endAngle,
+      clockwise: solved.reversed,
+      start,
+      end,
+      toModel
+    };
+  }
+  
+  /**
+   * Add an arc item to the sketch and sync it
+   * @private
+   * @param {Object} arc The arc item
+   * @returns {Promise<Object>} The arc item
+   */
+  async _addArcItem(arc) {
+    this.items.add(arc);
+    
+    // Update sketch in Onshape (deferred while batching)
+    await this._syncFeature();
+    
+    return arc;
+  }
+  
+  /**
+   * Get the end point and outgoing tangent direction of a line or arc
+   * @private
+   * @param {Object} source A line or arc item, or { point, direction }
+   * @returns {Object} { point: Point2D, direction: Point2D }
+   */
+  _getEndTangent(source) {
+    if (!source) {
+      throw new ValidationError("A line, arc or { point, direction } is required for a tangent arc");
+    }
+    
+    if (source.point && source.direction) {
+      return { point: toPoint2D(source.point), direction: toPoint2D(source.direction) };
+    }
+    
+    if (source.type === 'line') {
+      return {
+        point: source.end,
+        direction: source.end.subtract(source.start)
+      };
     }
     
-    // Close the path if requested
-    if (closePath && points.length > 2) {
-      const closingLine = await this.addLine(points[points.length - 1], points[0]);
-      lines.push(closingLine);
+    if (source.type === 'arc') {
+      // The drawing-order end is the model's start vertex when the arc was reversed
+      if (source.clockwise) {
+        const angle = source.startAngle;
+        return { point: source.end, direction: new Point2D(Math.sin(angle), -Math.cos(angle)) };
+      }
+      const angle = source.endAngle;
+      return { point: source.end, direction: new Point2D(-Math.sin(angle), Math.cos(angle)) };
     }
     
-    return lines;
+    throw new ValidationError(`Cannot continue a tangent arc from a '${source.type}' item`);
+  }
+  
+  /**
+   * Reference to the start vertex of a line, arc or spline, for use in constraints
+   * 
+   * @param {Object} item The sketch item
+   * @returns {string} The vertex ID
+   */
+  startOf(item) {
+    return this._vertexOf(item, 'start', ['line', 'arc', 'spline']);
+  }
+  
+  /**
+   * Reference to the end vertex of a line, arc or spline, for use in constraints
+   * 
+   * @param {Object} item The sketch item
+   * @returns {string} The vertex ID
+   */
+  endOf(item) {
+    return this._vertexOf(item, 'end', ['line', 'arc', 'spline']);
+  }
+  
+  /**
+   * Reference to the center of a circle or arc, for use in constraints
+   * 
+   * @param {Object} item The sketch item
+   * @returns {string} The vertex ID
+   */
+  centerOf(item) {
+    return this._vertexOf(item, 'center', ['circle', 'arc']);
+  }
+  
+  /**
+   * Build a vertex reference for a sketch item
+   * @private
+   */
+  _vertexOf(item, vertex, types) {
+    if (!item || !item.entityId || !types.includes(item.type)) {
+      throw new ValidationError(`Cannot reference the ${vertex} of a ${item?.type || 'non-sketch item'}`);
+    }
+    
+    // Arcs are stored counter-clockwise, so a reversed arc's drawing-order
+    // start is the model's end vertex and vice versa
+    if (item.type === 'arc' && item.clockwise && vertex !== 'center') {
+      vertex = vertex === 'start' ? 'end' : 'start';
+    }
+    
+    return `${item.entityId}.${vertex}`;
+  }
+  
+  /**
+   * Add a constraint or dimension to the sketch. Normally reached through
+   * `sketch.constrain` and `sketch.dimension`.
+   * @private
+   * @param {Object} options Options for createConstraint()
+   * @returns {Promise<Object>} The created constraint
+   */
+  async _addConstraint(options) {
+    const constraint = {
+      type: 'constraint',
+      constraintType: options.constraintType,
+      entityId: generateId(),
+      first: options.first,
+      second: options.second || null,
+      expression: options.expression || null,
+      valueParameterId: options.valueParameterId,
+      toModel: function() {
+        return createConstraint({
+          constraintType: this.constraintType,
+          first: this.first,
+          second: this.second,
+          expression: this.expression,
+          valueParameterId: this.valueParameterId,
+          entityId: this.entityId
+        });
+      }
+    };
+    
+    this.constraints.push(constraint);
+    
+    // Update sketch in Onshape (deferred while batching)
+    await this._syncFeature();
+    
+    return constraint;
+  }
+  
+  /**
+   * Trace a series of points with connected lines. All lines are
+   * uploaded together in a single request.
+   * 
+   * @param {Array<Array<number>>} points Array of points [x,y], or world points [x,y,z]
+   * @param {boolean} [closePath=true] Whether to connect last point to first
+   * @returns {Promise<Array>} The created lines
+   */
+  async tracePoints(points, closePath = true) {
+    return await this.edit(async () => {
+      const lines = [];
+      
+      // Create lines between consecutive points
+      for (let i = 0; i < points.length - 1; i++) {
+        const line = await this.addLine(points[i], points[i + 1]);
+        lines.push(line);
+      }
+      
+      // Close the path if requested
+      if (closePath && points.length > 2) {
+        const closingLine = await this.addLine(points[points.length - 1], points[0]);
+        lines.push(closingLine);
+      }
+      
+      return lines;
+    });
   }
   
   /**
@@ -261,10 +744,9 @@ class Sketch {
    * @returns {Promise<Array>} The lines making up the rectangle
    */
   async addCornerRectangle(corner1, corner2) {
-    const x1 = Array.isArray(corner1) ? corner1[0] : corner1.x;
-    const y1 = Array.isArray(corner1) ? corner1[1] : corner1.y;
-    const x2 = Array.isArray(corner2) ? corner2[0] : corner2.x;
-    const y2 = Array.isArray(corner2) ? corner2[1] : corner2.y;
+    // The rectangle is aligned with the sketch axes, so map world corners first
+    const { x: x1, y: y1 } = await this.toLocal(corner1);
+    const { x: x2, y: y2 } = await this.toLocal(corner2);
     
     // Create points for all 4 corners of the rectangle
     const points = [
@@ -279,43 +761,38 @@ class Sketch {
   }
   
   /**
-   * Get entities created by this sketch
-   * @returns {Promise<Object>} Object containing face, edge, and vertex IDs
+   * Select regions of this sketch, to extrude or revolve only some of them
+   * 
+   * @param {string|Object} selector 'largest', 'smallest', `{ index }`, `{ containing: [x, y] }`
+   *   or `{ path }`, see Q.region
+   * @returns {Query} Query for the regions, which features take as faces
    */
-  async getEntities() {
+  region(selector) {
     if (!this.featureId) {
       throw new FeatureError("Sketch has no feature ID - did you call create()?");
     }
     
-    const script = `
-      function(context is Context, queries) {
-        var feature_id = makeId("${this.featureId}");
-        var faces = evaluateQuery(context, qCreatedBy(feature_id));
-        return transientQueriesToStrings(faces);
-      }
-    `;
+    return Q.region(this, selector);
+  }
+  
+  /**
+   * Get the entities created by this sketch, classified in one FeatureScript
+   * evaluation. Faces are the regions of the sketch, with their area and
+   * centroid, so an extrude can take a single region.
+   * 
+   * @returns {Promise<Object>} `{ faceIds, faces, edges, vertices, bodies }`, see Query.classify
+   */
+  async getEntities() {
+    if (!this.featureId) {
+      throw new FeatureError("Sketch has no feature ID - did you call create()?");
+    }
     
     try {
-      const response = await this._api.endpoints.evalFeaturescript(
-        this.partStudio.document.id,
-        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
-        this.partStudio.id,
-        script
-      );
-      
-      if (!response.result || !response.result.value) {
-        return { faces: [], edges: [], vertices: [] };
-      }
-      
-      const transientIds = response.result.value.map(item => item.value);
+      const entities = Entity.group(await Q.createdBy(this).classify(this.partStudio));
       
-      // We would normally categorize these by type (face, edge, vertex)
-      // but for simplicity we'll just return the face IDs which are needed for extrusion
-      return { 
-        faceIds: transientIds,
-        // Optionally categorize other entity types in the future
-        // edges: [], // Uncomment and implement if needed
-        // vertices: [] // Uncomment and implement if needed
+      return {
+        faceIds: entities.faces.map(face => face.transientId),
+        ...entities
       };
     } catch (error) {
       log.error("Error getting sketch entities:", error);
@@ -0,0 +1,296 @@
+// src/features/sketchConstraints.js
+/**
+ * Interface to sketch constraints and dimensions
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { toLengthExpression, toAngleExpression } = require('../utils/misc');
+
+/**
+ * Onshape sketch constraint types
+ */
+const ConstraintType = {
+  COINCIDENT: 'COINCIDENT',
+  HORIZONTAL: 'HORIZONTAL',
+  VERTICAL: 'VERTICAL',
+  PARALLEL: 'PARALLEL',
+  PERPENDICULAR: 'PERPENDICULAR',
+  TANGENT: 'TANGENT',
+  EQUAL: 'EQUAL',
+  CONCENTRIC: 'CONCENTRIC',
+  FIX: 'FIX',
+  DISTANCE: 'DISTANCE',
+  RADIUS: 'RADIUS',
+  DIAMETER: 'DIAMETER',
+  ANGLE: 'ANGLE'
+};
+
+/**
+ * Resolve a constraint reference to the ID Onshape expects
+ *
+ * @param {Object|string} ref A sketch item or an entity/vertex ID such as `sketch.endOf(line)`
+ * @returns {string} The entity or vertex ID
+ */
+function resolveReference(ref) {
+  if (typeof ref === 'string') {
+    return ref;
+  }
+
+  if (ref && ref.entityId) {
+    return ref.entityId;
+  }
+
+  throw new ValidationError('Constraint reference must be a sketch item or an entity ID');
+}
+
+/**
+ * Check that an item reference is one of the allowed item types.
+ * String references (vertex IDs) are passed through unchecked.
+ *
+ * @param {Object|string} ref The reference to check
+ * @param {Array<string>} types Allowed item types
+ * @param {string} constraintName Name used in the error message
+ */
+function assertItemType(ref, types, constraintName) {
+  if (ref && typeof ref === 'object' && ref.type && !types.includes(ref.type)) {
+    throw new ValidationError(`${constraintName} cannot be applied to a ${ref.type}`);
+  }
+}
+
+/**
+ * Geometric constraints for a sketch, available as `sketch.constrain`
+ */
+class SketchConstraints {
+  /**
+   * @param {Sketch} sketch The sketch that owns the constraints
+   */
+  constructor(sketch) {
+    this.sketch = sketch;
+  }
+
+  /**
+   * Make two points coincident, or a point lie on a curve
+   *
+   * @param {Object|string} first First point or item
+   * @param {Object|string} second Second point or item
+   * @returns {Promise<Object>} The created constraint
+   */
+  async coincident(first, second) {
+    return await this._add(ConstraintType.COINCIDENT, first, second);
+  }
+
+  /**
+   * Make a line horizontal, or two points horizontally aligned
+   *
+   * @param {Object|string} first Line or point
+   * @param {Object|string} [second] Second point when aligning two points
+   * @returns {Promise<Object>} The created constraint
+   */
+  async horizontal(first, second = null) {
+    assertItemType(first, ['line'], 'Horizontal');
+    return await this._add(ConstraintType.HORIZONTAL, first, second);
+  }
+
+  /**
+   * Make a line vertical, or two points vertically aligned
+   *
+   * @param {Object|string} first Line or point
+   * @param {Object|string} [second] Second point when aligning two points
+   * @returns {Promise<Object>} The created constraint
+   */
+  async vertical(first, second = null) {
+    assertItemType(first, ['line'], 'Vertical');
+    return await this._add(ConstraintType.VERTICAL, first, second);
+  }
+
+  /**
+   * Make two lines parallel
+   *
+   * @param {Object|string} first First line
+   * @param {Object|string} second Second line
+   * @returns {Promise<Object>} The created constraint
+   */
+  async parallel(first, second) {
+    assertItemType(first, ['line'], 'Parallel');
+    assertItemType(second, ['line'], 'Parallel');
+    return await this._add(ConstraintType.PARALLEL, first, second);
+  }
+
+  /**
+   * Make two lines perpendicular
+   *
+   * @param {Object|string} first First line
+   * @param {Object|string} second Second line
+   * @returns {Promise<Object>} The created constraint
+   */
+  async perpendicular(first, second) {
+    assertItemType(first, ['line'], 'Perpendicular');
+    assertItemType(second, ['line'], 'Perpendicular');
+    return await this._add(ConstraintType.PERPENDICULAR, first, second);
+  }
+
+  /**
+   * Make two curves tangent
+   *
+   * @param {Object|string} first First curve
+   * @param {Object|string} second Second curve
+   * @returns {Promise<Object>} The created constraint
+   */
+  async tangent(first, second) {
+    return await this._add(ConstraintType.TANGENT, first, second);
+  }
+
+  /**
+   * Make two lines equal length, or two circles/arcs equal radius
+   *
+   * @param {Object|string} first First item
+   * @param {Object|string} second Second item
+   * @returns {Promise<Object>} The created constraint
+   */
+  async equal(first, second) {
+    return await this._add(ConstraintType.EQUAL, first, second);
+  }
+
+  /**
+   * Make two circles or arcs share a center
+   *
+   * @param {Object|string} first First circle or arc
+   * @param {Object|string} second Second circle or arc
+   * @returns {Promise<Object>} The created constraint
+   */
+  async concentric(first, second) {
+    assertItemType(first, ['circle', 'arc'], 'Concentric');
+    assertItemType(second, ['circle', 'arc'], 'Concentric');
+    return await this._add(ConstraintType.CONCENTRIC, first, second);
+  }
+
+  /**
+   * Fix an item or point in place
+   *
+   * @param {Object|string} target Item or point to fix
+   * @returns {Promise<Object>} The created constraint
+   */
+  async fixed(target) {
+    return await this._add(ConstraintType.FIX, target);
+  }
+
+  /**
+   * Add a constraint to the owning sketch
+   * @private
+   */
+  async _add(constraintType, first, second = null) {
+    return await this.sketch._addConstraint({
+      constraintType,
+      first: resolveReference(first),
+      second: second ? resolveReference(second) : null
+    });
+  }
+}
+
+/**
+ * Driving dimensions for a sketch, available as `sketch.dimension`
+ */
+class SketchDimensions {
+  /**
+   * @param {Sketch} sketch The sketch that owns the dimensions
+   */
+  constructor(sketch) {
+    this.sketch = sketch;
+  }
+
+  /**
+   * Dimension the distance between two items or points, or the length of a line
+   *
+   * @param {Object|string} first Line, or first item/point
+   * @param {Object|string|null} second Second item/point, or null for a line length
+   * @param {number|string} value Distance, e.g. 0.01 or "10 mm"
+   * @returns {Promise<Object>} The created dimension
+   */
+  async distance(first, second, value) {
+    if (!second) {
+      assertItemType(first, ['line'], 'Length dimension');
+    }
+
+    return await this.sketch._addConstraint({
+      constraintType: ConstraintType.DISTANCE,
+      first: resolveReference(first),
+      second: second ? resolveReference(second) : null,
+      expression: toLengthExpression(value, this.sketch._client?.unitSystem),
+      valueParameterId: 'length'
+    });
+  }
+
+  /**
+   * Dimension the length of a line
+   *
+   * @param {Object|string} line The line
+   * @param {number|string} value Length, e.g. 0.01 or "10 mm"
+   * @returns {Promise<Object>} The created dimension
+   */
+  async length(line, value) {
+    return await this.distance(line, null, value);
+  }
+
+  /**
+   * Dimension the radius of a circle or arc
+   *
+   * @param {Object|string} curve The circle or arc
+   * @param {number|string} value Radius, e.g. 0.005 or "5 mm"
+   * @returns {Promise<Object>} The created dimension
+   */
+  async radius(curve, value) {
+    assertItemType(curve, ['circle', 'arc'], 'Radius dimension');
+
+    return await this.sketch._addConstraint({
+      constraintType: ConstraintType.RADIUS,
+      first: resolveReference(curve),
+      expression: toLengthExpression(value, this.sketch._client?.unitSystem),
+      valueParameterId: 'length'
+    });
+  }
+
+  /**
+   * Dimension the diameter of a circle or arc
+   *
+   * @param {Object|string} curve The circle or arc
+   * @param {number|string} value Diameter, e.g. 0.01 or "10 mm"
+   * @returns {Promise<Object>} The created dimension
+   */
+  async diameter(curve, value) {
+    assertItemType(curve, ['circle', 'arc'], 'Diameter dimension');
+
+    return await this.sketch._addConstraint({
+      constraintType: ConstraintType.DIAMETER,
+      first: resolveReference(curve),
+      expression: toLengthExpression(value, this.sketch._client?.unitSystem),
+      valueParameterId: 'length'
+    });
+  }
+
+  /**
+   * Dimension the angle between two lines
+   *
+   * @param {Object|string} first First line
+   * @param {Object|string} second Second line
+   * @param {number|string} value Angle in degrees, or an expression such as "30 deg"
+   * @returns {Promise<Object>} The created dimension
+   */
+  async angle(first, second, value) {
+    assertItemType(first, ['line'], 'Angle dimension');
+    assertItemType(second, ['line'], 'Angle dimension');
+
+    return await this.sketch._addConstraint({
+      constraintType: ConstraintType.ANGLE,
+      first: resolveReference(first),
+      second: resolveReference(second),
+      expression: toAngleExpression(value),
+      valueParameterId: 'angle'
+    });
+  }
+}
+
+module.exports = {
+  ConstraintType,
+  SketchConstraints,
+  SketchDimensions
+};
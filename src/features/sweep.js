@@ -0,0 +1,150 @@
+// src/features/sweep.js
+/**
+ * Interface to the Sweep Feature
+ */
+
+const { createSweep } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getFaceIds, getBodyIds, getEdgeIds } = require('./references');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Sweep class
+const log = logger.scope('Sweep');
+
+/**
+ * How the profile is oriented as it travels along the path
+ */
+const SweepProfileControl = {
+  NONE: 'NONE',
+  KEEP_ORIENTATION: 'KEEP_ORIENTATION'
+};
+
+/**
+ * Represents a sweep feature in Onshape, moving a profile along a path
+ */
+class Sweep {
+  /**
+   * @param {Object} options Sweep properties
+   * @param {Object} options.partStudio The part studio that owns the sweep
+   * @param {Object} options.profile The faces to sweep (usually from a sketch)
+   * @param {Object|Array<string>} options.path The path edges: a sketch, `{ sketch, items }` for a
+   *   chain of sketch entities, edge IDs, or an edge filter
+   * @param {string} [options.name="Sweep"] Name of the sweep
+   * @param {string} [options.profileControl=SweepProfileControl.NONE] Keep the profile normal to the
+   *   path, or keep its original orientation
+   * @param {Object} [options.mergeWith=null] Optional body to merge with
+   * @param {Object} [options.subtractFrom=null] Optional body to subtract from
+   */
+  constructor({
+    partStudio,
+    profile,
+    path,
+    name = "Sweep",
+    profileControl = SweepProfileControl.NONE,
+    mergeWith = null,
+    subtractFrom = null
+  }) {
+    this.partStudio = partStudio;
+    this.profile = profile;
+    this.path = path;
+    this.name = name;
+    this.profileControl = profileControl;
+    this.mergeWith = mergeWith;
+    this.subtractFrom = subtractFrom;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new sweep with proper async initialization
+   *
+   * @param {Object} options Sweep properties, see the constructor
+   * @returns {Promise<Sweep>} The uploaded sweep
+   */
+  static async create(options) {
+    const sweep = new Sweep(options);
+    await sweep._uploadFeature();
+    return sweep;
+  }
+
+  /**
+   * Check the sweep options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.profile) {
+      throw new ValidationError("A profile is required for a sweep");
+    }
+
+    if (!this.path) {
+      throw new ValidationError("A path is required for a sweep");
+    }
+
+    if (!Object.values(SweepProfileControl).includes(this.profileControl)) {
+      throw new ValidationError(`Invalid sweep profile control: ${this.profileControl}`);
+    }
+
+    if (this.mergeWith && this.subtractFrom) {
+      throw new ValidationError("A sweep can either merge with or subtract from bodies, not both");
+    }
+  }
+
+  /**
+   * Upload the sweep feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const profileIds = await getFaceIds(this.profile, this.partStudio);
+      const pathIds = await getEdgeIds(this.partStudio, this.path);
+
+      // Determine operation type
+      let operationType = "NEW";
+      let booleanScope = [];
+
+      if (this.subtractFrom) {
+        operationType = "REMOVE";
+        booleanScope = await getBodyIds(this.subtractFrom);
+      } else if (this.mergeWith) {
+        operationType = "ADD";
+        booleanScope = await getBodyIds(this.mergeWith);
+      }
+
+      const sweepModel = createSweep({
+        name: this.name,
+        profileIds,
+        pathIds,
+        profileControl: this.profileControl,
+        operationType,
+        booleanScope
+      });
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        sweepModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded sweep '${this.name}'`);
+
+      // Add this sweep to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating sweep:", error);
+      throw new FeatureError("Failed to create sweep", error);
+    }
+  }
+}
+
+module.exports = Sweep;
+module.exports.SweepProfileControl = SweepProfileControl;
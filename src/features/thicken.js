@@ -0,0 +1,143 @@
+// src/features/thicken.js
+/**
+ * Interface to the Thicken Feature
+ */
+
+const { createThicken } = require('../api/schema');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const { getPartFaceIds, getBodyIds } = require('./references');
+const { assertLength } = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Thicken class
+const log = logger.scope('Thicken');
+
+/**
+ * Represents a thicken feature in Onshape, turning surfaces or faces into solids
+ */
+class Thicken {
+  /**
+   * @param {Object} options Thicken properties
+   * @param {Object} options.partStudio The part studio that owns the thicken
+   * @param {Object|Array|string} options.faces Surfaces or faces to thicken: face IDs, a surface part,
+   *   a sketch, or `{ closestTo: [x, y, z] }` for the face of the part nearest a point
+   * @param {number|string} options.thickness Thickness in the first direction
+   * @param {number|string} [options.secondThickness=0] Thickness in the opposite direction
+   * @param {boolean} [options.oppositeDirection=false] Swap the two directions
+   * @param {Part} [options.part] The part the faces belong to, needed to find faces with closestTo
+   * @param {string} [options.name="Thicken"] Name of the thicken
+   * @param {Object} [options.mergeWith=null] Optional body to merge with
+   * @param {Object} [options.subtractFrom=null] Optional body to subtract from
+   */
+  constructor({
+    partStudio,
+    faces,
+    thickness,
+    secondThickness = 0,
+    oppositeDirection = false,
+    part = null,
+    name = "Thicken",
+    mergeWith = null,
+    subtractFrom = null
+  }) {
+    this.partStudio = partStudio;
+    this.faces = faces;
+    this.thickness = thickness;
+    this.secondThickness = secondThickness;
+    this.oppositeDirection = oppositeDirection;
+    this.part = part;
+    this.name = name;
+    this.mergeWith = mergeWith;
+    this.subtractFrom = subtractFrom;
+    this.featureId = null;
+
+    // Access APIs via part studio
+    this._api = partStudio._api;
+    this._client = partStudio._client;
+
+    this._validate();
+  }
+
+  /**
+   * Create a new thicken with proper async initialization
+   *
+   * @param {Object} options Thicken properties, see the constructor
+   * @returns {Promise<Thicken>} The uploaded thicken
+   */
+  static async create(options) {
+    const thicken = new Thicken(options);
+    await thicken._uploadFeature();
+    return thicken;
+  }
+
+  /**
+   * Check the thicken options before anything is sent to Onshape
+   * @private
+   */
+  _validate() {
+    if (!this.faces) {
+      throw new ValidationError("Faces are required for a thicken");
+    }
+
+    assertLength(this.thickness, "Thickness");
+    assertLength(this.secondThickness, "Second thickness", true);
+
+    if (this.mergeWith && this.subtractFrom) {
+      throw new ValidationError("A thicken can either merge with or subtract from bodies, not both");
+    }
+  }
+
+  /**
+   * Upload the thicken feature to Onshape
+   * @private
+   */
+  async _uploadFeature() {
+    try {
+      const faceIds = await getPartFaceIds(this.part, this.faces);
+
+      // Determine operation type
+      let operationType = "NEW";
+      let booleanScope = [];
+
+      if (this.subtractFrom) {
+        operationType = "REMOVE";
+        booleanScope = await getBodyIds(this.subtractFrom);
+      } else if (this.mergeWith) {
+        operationType = "ADD";
+        booleanScope = await getBodyIds(this.mergeWith);
+      }
+
+      const thickenModel = createThicken({
+        name: this.name,
+        faceIds,
+        thickness: this.thickness,
+        secondThickness: this.secondThickness,
+        oppositeDirection: this.oppositeDirection,
+        operationType,
+        booleanScope,
+        unitSystem: this._client.unitSystem
+      });
+
+      // Upload to Onshape
+      const response = await this._api.endpoints.addFeature(
+        this.partStudio.document.id,
+        { wvm: 'w', wvmid: this.partStudio.document.defaultWorkspace.id },
+        this.partStudio.id,
+        thickenModel
+      );
+
+      this.featureId = response.feature.featureId;
+      log.info(`Successfully uploaded thicken '${this.name}'`);
+
+      // Add this thicken to the part studio's features
+      this.partStudio._features.push(this);
+
+      return response;
+    } catch (error) {
+      log.error("Error creating thicken:", error);
+      throw new FeatureError("Failed to create thicken", error);
+    }
+  }
+}
+
+module.exports = Thicken;
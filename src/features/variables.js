@@ -0,0 +1,324 @@
+// src/features/variables.js
+/**
+ * Interface to Onshape variables
+ */
+
+const { createVariable } = require('../api/schema');
+const VariablesApi = require('../api/endpoints/variables');
+const { FeatureError, ValidationError } = require('../utils/errors');
+const {
+  isVariableName,
+  toVariableReference,
+  assertExpression,
+  toLengthExpression,
+  toAngleExpression
+} = require('../utils/misc');
+const logger = require('../utils/logger');
+
+// Create a scoped logger for the Variables class
+const log = logger.scope('Variables');
+
+/**
+ * Kinds of value a variable can hold
+ */
+const VariableType = {
+  LENGTH: 'LENGTH',
+  ANGLE: 'ANGLE',
+  NUMBER: 'NUMBER',
+  ANY: 'ANY'
+};
+
+/**
+ * Convert a variable value to an Onshape expression for its type
+ *
+ * @param {number|string} value The value, a number or an expression
+ * @param {string} type The variable type
+ * @param {string} unitSystem The client unit system, for numeric lengths
+ * @returns {string} The expression
+ */
+function toVariableExpression(value, type, unitSystem) {
+  if (typeof value === 'string') {
+    assertExpression(value, "Variable value");
+    return value;
+  }
+
+  switch (type) {
+    case VariableType.LENGTH:
+      return toLengthExpression(value, unitSystem);
+    case VariableType.ANGLE:
+      return toAngleExpression(value);
+    default:
+      if (typeof value !== 'number' || !isFinite(value)) {
+        throw new ValidationError(`Invalid variable value: ${value}`);
+      }
+      return `${value}`;
+  }
+}
+
+/**
+ * Creates and updates variables that feature parameters can reference as
+ * `#name`, either as variable features in a part studio or in a Variable Studio.
+ * Variable features are appended to the feature list, so set them before the
+ * features that use them.
+ */
+class Variables {
+  /**
+   * @param {Object} options Variables properties
+   * @param {Object} [options.partStudio] The part studio to add variable features to
+   * @param {Object} [options.document] The document owning the Variable Studio, if not a part studio
+   * @param {string} [options.studioId] Element ID of the Variable Studio
+   */
+  constructor({ partStudio = null, document = null, studioId = null }) {
+    if (!partStudio && !(document && studioId)) {
+      throw new ValidationError("Variables need a part studio, or a document and Variable Studio ID");
+    }
+
+    if (partStudio && studioId) {
+      throw new ValidationError("Variables belong to either a part studio or a Variable Studio, not both");
+    }
+
+    this.partStudio = partStudio;
+    this.document = partStudio ? partStudio.document : document;
+    this.studioId = studioId;
+
+    // Access APIs via the part studio or document
+    this._api = partStudio ? partStudio._api : document._api;
+    this._client = partStudio ? partStudio._client : document._client;
+    this._variablesApi = new VariablesApi(this._client);
+
+    // Variable feature IDs by variable name, loaded on first use
+    this._featureIds = null;
+  }
+
+  /**
+   * Create a Variable Studio in a document
+   *
+   * @param {Object} options Variable Studio properties
+   * @param {Object} options.document The document to add the Variable Studio to
+   * @param {string} [options.name="Variables"] Name of the Variable Studio
+   * @returns {Promise<Variables>} Variables bound to the new Variable Studio
+   */
+  static async createStudio({ document, name = "Variables" }) {
+    if (!document) {
+      throw new ValidationError("A document is required to create a Variable Studio");
+    }
+
+    try {
+      const variablesApi = new VariablesApi(document._client);
+      const studio = await variablesApi.createVariableStudio(
+        document.id,
+        document.defaultWorkspace.id,
+        name
+      );
+
+      log.info(`Successfully created Variable Studio '${name}'`);
+
+      return new Variables({ document, studioId: studio.id });
+    } catch (error) {
+      log.error("Error creating Variable Studio:", error);
+      throw new FeatureError("Failed to create Variable Studio", error);
+    }
+  }
+
+  /**
+   * Convert a variable value to an Onshape expression for its type
+   *
+   * @param {number|string} value The value, a number or an expression
+   * @param {string} [type=VariableType.LENGTH] The variable type
+   * @param {string} [unitSystem] The client unit system, for numeric lengths
+   * @returns {string} The expression
+   */
+  static toExpression(value, type = VariableType.LENGTH, unitSystem) {
+    return toVariableExpression(value, type, unitSystem);
+  }
+
+  /**
+   * Get the expression that references a variable, e.g. "#wall_thickness"
+   *
+   * @param {string} name Variable name
+   * @returns {string} The variable reference
+   */
+  ref(name) {
+    return toVariableReference(name);
+  }
+
+  /**
+   * Create a variable, or update it if it already exists
+   *
+   * @param {string} name Variable name, without the leading '#'
+   * @param {number|string} value The value: a number in the client's units (degrees for
+   *   angles), or an expression such as "2 mm" or "#width / 2 + 1 mm"
+   * @param {Object} [options] Variable options
+   * @param {string} [options.type=VariableType.LENGTH] The variable type
+   * @param {string} [options.description=""] Description shown in the variable table
+   * @returns {Promise<string>} The reference to use in feature parameters, e.g. "#width"
+   */
+  async set(name, value, { type = VariableType.LENGTH, description = "" } = {}) {
+    if (!isVariableName(name)) {
+      throw new ValidationError(`Invalid variable name: ${name}`);
+    }
+
+    if (!Object.values(VariableType).includes(type)) {
+      throw new ValidationError(`Invalid variable type: ${type}`);
+    }
+
+    const expression = toVariableExpression(value, type, this._client.unitSystem);
+
+    if (this.studioId) {
+      await this._setStudioVariable({ name, type, expression, description });
+    } else {
+      await this._setVariableFeature({ name, type, expression, description });
+    }
+
+    return toVariableReference(name);
+  }
+
+  /**
+   * Create or update several variables in order
+   *
+   * @param {Object} values Values by variable name, each a value or { value, type, description }
+   * @returns {Promise<Object>} References by variable name
+   */
+  async setAll(values) {
+    const references = {};
+
+    for (const [name, entry] of Object.entries(values)) {
+      const { value, ...options } = entry !== null && typeof entry === 'object' ? entry : { value: entry };
+      references[name] = await this.set(name, value, options);
+    }
+
+    return references;
+  }
+
+  /**
+   * List the variables, with their evaluated values
+   *
+   * @returns {Promise<Array<Object>>} Variables as { name, type, expression, value, description }
+   */
+  async list() {
+    try {
+      const tables = await this._variablesApi.getVariables(
+        this.document.id,
+        { wvm: 'w', wvmid: this.document.defaultWorkspace.id },
+        this.studioId || this.partStudio.id
+      );
+
+      return (tables || []).flatMap(table => table.variables || []);
+    } catch (error) {
+      throw new FeatureError("Failed to list variables", error);
+    }
+  }
+
+  /**
+   * Get a variable by name
+   *
+   * @param {string} name Variable name, without the leading '#'
+   * @returns {Promise<Object|null>} The variable, or null if it does not exist
+   */
+  async get(name) {
+    const variables = await this.list();
+    return variables.find(variable => variable.name === name) || null;
+  }
+
+  /**
+   * Replace or append a variable in the Variable Studio
+   * @private
+   */
+  async _setStudioVariable(variable) {
+    try {
+      const variables = (await this.list()).map(({ name, type, expression, description }) => ({
+        name, type, expression, description
+      }));
+
+      const index = variables.findIndex(existing => existing.name === variable.name);
+      if (index >= 0) {
+        variables[index] = variable;
+      } else {
+        variables.push(variable);
+      }
+
+      await this._variablesApi.setVariables(
+        this.document.id,
+        this.document.defaultWorkspace.id,
+        this.studioId,
+        variables
+      );
+
+      log.info(`Successfully set variable '#${variable.name}' = ${variable.expression}`);
+    } catch (error) {
+      log.error("Error setting variable:", error);
+      throw new FeatureError(`Failed to set variable '${variable.name}'`, error);
+    }
+  }
+
+  /**
+   * Add a variable feature to the part studio, or update the existing one
+   * @private
+   */
+  async _setVariableFeature({ name, type, expression, description }) {
+    try {
+      const featureIds = await this._getVariableFeatureIds();
+      const variableModel = createVariable({ name, variableType: type, expression, description });
+      const wvm = { wvm: 'w', wvmid: this.document.defaultWorkspace.id };
+
+      if (featureIds.has(name)) {
+        await this._api.endpoints.updateFeature(
+          this.document.id,
+          wvm,
+          this.partStudio.id,
+          featureIds.get(name),
+          variableModel
+        );
+      } else {
+        const response = await this._api.endpoints.addFeature(
+          this.document.id,
+          wvm,
+          this.partStudio.id,
+          variableModel
+        );
+        featureIds.set(name, response.feature.featureId);
+      }
+
+      log.info(`Successfully set variable '#${name}' = ${expression}`);
+    } catch (error) {
+      log.error("Error setting variable:", error);
+      throw new FeatureError(`Failed to set variable '${name}'`, error);
+    }
+  }
+
+  /**
+   * Find the variable features already in the part studio
+   *
+   * @returns {Promise<Map<string, string>>} Feature IDs by variable name
+   * @private
+   */
+  async _getVariableFeatureIds() {
+    if (this._featureIds) {
+      return this._featureIds;
+    }
+
+    const response = await this._api.endpoints.getFeatures(
+      this.document.id,
+      this.document.defaultWorkspace.id,
+      this.partStudio.id
+    );
+
+    this._featureIds = new Map();
+
+    for (const feature of response.features || []) {
+      if (feature.featureType !== 'assignVariable') {
+        continue;
+      }
+
+      const nameParameter = (feature.parameters || []).find(parameter => parameter.parameterId === 'name');
+      if (nameParameter && nameParameter.value) {
+        this._featureIds.set(nameParameter.value, feature.featureId);
+      }
+    }
+
+    return this._featureIds;
+  }
+}
+
+module.exports = Variables;
+module.exports.VariableType = VariableType;
@@ -1,5 +1,6 @@
 // src/models/feature.js
 const { FeatureError } = require('../utils/errors');
+const { Q, Entity } = require('../entities/query');
 
 /**
  * Feature model representing an Onshape feature
@@ -36,21 +37,22 @@ class Feature {
   }
   
   /**
-   * Get the sketch entities (for sketch features)
-   * @returns {Promise<Array>} List of sketch entities
+   * Get the entities created by this feature, classified with their geometry
+   * type, size and centroid in one FeatureScript evaluation
+   * @returns {Promise<Object>} `{ faces, edges, vertices, bodies }` arrays of entities, see Query.classify
    */
   async getEntities() {
     if (!this._client) {
       throw new Error('Client not available');
     }
     
-    if (this.type !== 'sketch' && this.featureType !== 'newSketch') {
-      throw new Error('Entities are only available for sketch features');
-    }
+    const partStudio = {
+      id: this.elementId,
+      document: { id: this.documentId, defaultWorkspace: { id: this.workspaceId } }
+    };
     
-    // This requires a custom FeatureScript evaluation that returns all entities in a sketch
-    // This would be implemented in a more comprehensive client
-    throw new Error('Not implemented: getEntities');
+    const entities = await Q.createdBy(this.id).classify(partStudio, { endpoints: this._client.features });
+    return Entity.group(entities);
   }
   
   /**
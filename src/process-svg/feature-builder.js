@@ -1,6 +1,39 @@
 // src/process-svg/feature-builder.js
 const logger = require('../utils/logger');
 const log = logger.scope('Features');
+const { ConstraintType } = require('../features/sketchConstraints');
+const { RevolveType, RevolveAxis } = require('../features/revolve');
+
+/**
+ * Map inferred constraint hints from PathProcessor to sketch constraint types
+ */
+const CONSTRAINT_TYPES = {
+  coincident: ConstraintType.COINCIDENT,
+  horizontal: ConstraintType.HORIZONTAL,
+  vertical: ConstraintType.VERTICAL,
+  tangent: ConstraintType.TANGENT,
+  equal: ConstraintType.EQUAL,
+  concentric: ConstraintType.CONCENTRIC
+};
+
+/**
+ * Conversion units, with their size in meters and expression abbreviation
+ */
+const SVG_UNITS = {
+  mm: { scale: 0.001, abbreviation: 'mm' },
+  cm: { scale: 0.01, abbreviation: 'cm' },
+  in: { scale: 0.0254, abbreviation: 'in' },
+  inch: { scale: 0.0254, abbreviation: 'in' }
+};
+
+/**
+ * Get the conversion units, millimeters unless known
+ * @param {string} units - Units of the conversion, e.g. 'mm' or 'inch'
+ * @returns {Object} - { scale, abbreviation }
+ */
+function getSvgUnits(units) {
+  return SVG_UNITS[units] || SVG_UNITS.mm;
+}
 
 /**
  * FeatureBuilder module that converts processed SVG data into Onshape features
@@ -32,6 +65,8 @@ class FeatureBuilder {
       extrudeOpenPaths: options.extrudeOpenPaths !== false,
       // Width to use when extruding open paths
       openPathWidth: options.openPathWidth || 1, // mm
+      // Spacing between instances of #pattern= tagged paths
+      patternSpacing: options.patternSpacing || 20, // mm
       // Maximum decimal precision for coordinates
       decimalPrecision: options.decimalPrecision || 4
     };
@@ -53,6 +88,12 @@ class FeatureBuilder {
       return { features: [] };
     }
     
+    // Constraints between paths, inferred by PathProcessor
+    this._crossPathConstraints = processedData.constraints || [];
+    
+    // Paths drawn in each sketch, by sketch name
+    this._sketchPaths = new Map();
+    
     // Split paths based on configuration
     const organizedPaths = this._organizePaths(paths);
     
@@ -202,10 +243,11 @@ class FeatureBuilder {
     paths.forEach(path => {
       sketch.entities.push(...this._createEntitiesForPath(path));
     });
+    this._sketchPaths.set(name, paths);
     
     // Add constraints if enabled
     if (this.options.applyConstraints) {
-      sketch.constraints = this._createConstraints(paths);
+      sketch.constraints = this._createConstraints(paths, this._crossPathConstraints);
     }
     
     return sketch;
@@ -221,41 +263,86 @@ class FeatureBuilder {
     const entities = [];
     const segments = path.segments || [];
     
+    // Circle elements become a single circle entity
+    if (path.circle) {
+      const entity = this._createCircleEntity(path.circle, path.isConstruction);
+      entity.id = this._getEntityId(path.id, 0);
+      return [entity];
+    }
+    
     if (segments.length === 0) {
       return entities;
     }
     
-    // Track points to avoid duplication
-    const points = new Map();
-    
     // Create entities for each segment
     segments.forEach((segment, index) => {
+      let entity;
+      
       switch (segment.type) {
         case 'line':
-          entities.push(this._createLineEntity(segment, path.isConstruction));
+          entity = this._createLineEntity(segment, path.isConstruction);
           break;
           
         case 'cubic':
-          entities.push(this._createCubicEntity(segment, path.isConstruction));
+          entity = this._createCubicEntity(segment, path.isConstruction);
           break;
           
         case 'quadratic':
-          entities.push(this._createQuadraticEntity(segment, path.isConstruction));
+          entity = this._createQuadraticEntity(segment, path.isConstruction);
           break;
           
         case 'arc':
-          entities.push(this._createArcEntity(segment, path.isConstruction));
+          entity = this._createArcEntity(segment, path.isConstruction);
           break;
           
         default:
           log.warn(`Unsupported segment type: ${segment.type}`);
-          break;
+          return;
+      }
+      
+      if (!entity) {
+        return;
       }
+      
+      // Stable IDs let inferred constraints reference the entity
+      entity.id = this._getEntityId(path.id, index);
+      entities.push(entity);
     });
     
     return entities;
   }
 
+  /**
+   * Get the sketch entity ID for a path segment
+   * @param {string} pathId - Path ID
+   * @param {number} segmentIndex - Segment index within the path
+   * @returns {string} - Entity ID
+   * @private
+   */
+  _getEntityId(pathId, segmentIndex) {
+    // Onshape uses '.' to separate entity IDs from vertex names
+    return `${String(pathId).replace(/\./g, '_')}-s${segmentIndex}`;
+  }
+
+  /**
+   * Create a circle entity
+   * @param {Object} circle - Circle geometry { cx, cy, r }
+   * @param {boolean} isConstruction - Whether the circle is construction geometry
+   * @returns {Object} - Circle entity
+   * @private
+   */
+  _createCircleEntity(circle, isConstruction) {
+    return {
+      type: 'circle',
+      center: {
+        x: this._formatCoordinate(circle.cx),
+        y: this._formatCoordinate(circle.cy)
+      },
+      radius: this._formatCoordinate(circle.r),
+      isConstruction
+    };
+  }
+
   /**
    * Create a line entity
    * @param {Object} segment - Line segment
@@ -282,96 +369,78 @@ class FeatureBuilder {
    * Create a cubic bezier curve entity
    * @param {Object} segment - Cubic bezier segment
    * @param {boolean} isConstruction - Whether the curve is construction geometry
-   * @returns {Object} - Cubic bezier entity
+   * @returns {Object} - Degree 3 spline entity through the bezier's control points
    * @private
    */
   _createCubicEntity(segment, isConstruction) {
-    return {
-      type: 'cubic',
-      startPoint: {
-        x: this._formatCoordinate(segment.x1),
-        y: this._formatCoordinate(segment.y1)
-      },
-      endPoint: {
-        x: this._formatCoordinate(segment.x2),
-        y: this._formatCoordinate(segment.y2)
-      },
-      controlPoint1: {
-        x: this._formatCoordinate(segment.cx1),
-        y: this._formatCoordinate(segment.cy1)
-      },
-      controlPoint2: {
-        x: this._formatCoordinate(segment.cx2),
-        y: this._formatCoordinate(segment.cy2)
-      },
-      isConstruction
-    };
+    return this._createSplineEntity([
+      [segment.x1, segment.y1],
+      [segment.cx1, segment.cy1],
+      [segment.cx2, segment.cy2],
+      [segment.x2, segment.y2]
+    ], 3, isConstruction);
   }
 
   /**
    * Create a quadratic bezier curve entity
    * @param {Object} segment - Quadratic bezier segment
    * @param {boolean} isConstruction - Whether the curve is construction geometry
-   * @returns {Object} - Quadratic bezier entity converted to cubic
+   * @returns {Object} - Degree 2 spline entity through the bezier's control points
    * @private
    */
   _createQuadraticEntity(segment, isConstruction) {
-    // Convert quadratic to cubic
-    // P0 = start point
-    // P1 = control point
-    // P2 = end point
-    // 
-    // Cubic control points:
-    // CP1 = P0 + 2/3 * (P1 - P0)
-    // CP2 = P2 + 2/3 * (P1 - P2)
-    
-    const p0x = segment.x1;
-    const p0y = segment.y1;
-    const p1x = segment.cx;
-    const p1y = segment.cy;
-    const p2x = segment.x2;
-    const p2y = segment.y2;
-    
-    const cp1x = p0x + (2/3) * (p1x - p0x);
-    const cp1y = p0y + (2/3) * (p1y - p0y);
-    const cp2x = p2x + (2/3) * (p1x - p2x);
-    const cp2y = p2y + (2/3) * (p1y - p2y);
+    return this._createSplineEntity([
+      [segment.x1, segment.y1],
+      [segment.cx, segment.cy],
+      [segment.x2, segment.y2]
+    ], 2, isConstruction);
+  }
+
+  /**
+   * Create a control point spline entity. A bezier maps exactly onto a
+   * single-span spline of the same degree, so no approximation is needed.
+   * @param {Array<Array<number>>} points - Control points as [x, y] pairs
+   * @param {number} degree - Spline degree
+   * @param {boolean} isConstruction - Whether the spline is construction geometry
+   * @returns {Object} - Spline entity
+   * @private
+   */
+  _createSplineEntity(points, degree, isConstruction) {
+    const controlPoints = points.map(([x, y]) => ({
+      x: this._formatCoordinate(x),
+      y: this._formatCoordinate(y)
+    }));
     
     return {
-      type: 'cubic',
-      startPoint: {
-        x: this._formatCoordinate(p0x),
-        y: this._formatCoordinate(p0y)
-      },
-      endPoint: {
-        x: this._formatCoordinate(p2x),
-        y: this._formatCoordinate(p2y)
-      },
-      controlPoint1: {
-        x: this._formatCoordinate(cp1x),
-        y: this._formatCoordinate(cp1y)
-      },
-      controlPoint2: {
-        x: this._formatCoordinate(cp2x),
-        y: this._formatCoordinate(cp2y)
-      },
+      type: 'spline',
+      degree,
+      controlPoints,
+      startPoint: controlPoints[0],
+      endPoint: controlPoints[controlPoints.length - 1],
       isConstruction
     };
   }
 
   /**
-   * Create an arc entity
-   * @param {Object} segment - Arc segment
+   * Create a center point arc entity. With the sweep flag set, an SVG arc
+   * turns toward increasing angles, which is counter-clockwise in the sketch.
+   * @param {Object} segment - Arc segment, with the center PathProcessor found
    * @param {boolean} isConstruction - Whether the arc is construction geometry
-   * @returns {Object} - Arc entity
+   * @returns {Object|null} - Arc entity, or null for an arc without a center
    * @private
    */
   _createArcEntity(segment, isConstruction) {
-    // Note: This is a simplified conversion that doesn't properly handle all arc parameters
-    // A proper implementation would calculate the arc center and angles
+    if (!segment.center) {
+      log.warn('Skipping an elliptical arc: only circular arcs can be sketched');
+      return null;
+    }
     
     return {
       type: 'arc',
+      center: {
+        x: this._formatCoordinate(segment.center.x),
+        y: this._formatCoordinate(segment.center.y)
+      },
       startPoint: {
         x: this._formatCoordinate(segment.x1),
         y: this._formatCoordinate(segment.y1)
@@ -380,7 +449,8 @@ class FeatureBuilder {
         x: this._formatCoordinate(segment.x2),
         y: this._formatCoordinate(segment.y2)
       },
-      radius: this._formatCoordinate(Math.max(segment.rx, segment.ry)),
+      radius: this._formatCoordinate(Math.hypot(segment.x1 - segment.center.x, segment.y1 - segment.center.y)),
+      clockwise: !segment.sweepFlag,
       isConstruction
     };
   }
@@ -402,26 +472,62 @@ class FeatureBuilder {
   }
 
   /**
-   * Create constraints for sketch entities
+   * Create constraints for sketch entities from the constraints inferred
+   * by PathProcessor. Cross-path constraints are only kept when both
+   * paths are in the sketch.
    * @param {Array} paths - Paths to create constraints for
+   * @param {Array} crossPathConstraints - Constraints between paths
    * @returns {Array} - Sketch constraints
    * @private
    */
-  _createConstraints(paths) {
-    const constraints = [];
+  _createConstraints(paths, crossPathConstraints = []) {
+    const pathsById = new Map(paths.map(path => [path.id, path]));
+    
+    const hints = [
+      ...paths.flatMap(path => path.constraints || []),
+      ...crossPathConstraints.filter(hint => 
+        pathsById.has(hint.first.path) && (!hint.second || pathsById.has(hint.second.path))
+      )
+    ];
+    
+    const constraints = hints
+      .filter(hint => CONSTRAINT_TYPES[hint.type])
+      .map(hint => ({
+        constraintType: CONSTRAINT_TYPES[hint.type],
+        first: this._getConstraintReference(hint.first, pathsById),
+        second: hint.second ? this._getConstraintReference(hint.second, pathsById) : null
+      }));
+    
+    log.debug(`Created ${constraints.length} constraints for ${paths.length} paths`);
+    
+    return constraints;
+  }
+
+  /**
+   * Convert an inferred constraint reference to an entity or vertex ID.
+   * Clockwise arcs are sketched counter-clockwise from their end point, so
+   * their start and end vertices swap.
+   * @param {Object} ref - Reference { path, segment, vertex }
+   * @param {Map<string, Object>} pathsById - Paths of the sketch by ID
+   * @returns {string} - Entity ID, or vertex ID such as "path1-s0.end"
+   * @private
+   */
+  _getConstraintReference(ref, pathsById) {
+    const entityId = this._getEntityId(ref.path, ref.segment);
     
-    // This is a placeholder for constraint generation
-    // A proper implementation would detect various geometric constraints:
-    // - Horizontal/vertical lines
-    // - Parallel/perpendicular lines
-    // - Tangent arcs/curves
-    // - Equal length/radius
-    // - Symmetry
-    // - etc.
+    if (!ref.vertex) {
+      return entityId;
+    }
     
-    log.debug('Constraint generation not fully implemented');
+    const path = pathsById.get(ref.path);
+    const segment = path && path.segments && path.segments[ref.segment];
+    const reversed = segment && segment.type === 'arc' && !segment.sweepFlag;
     
-    return constraints;
+    if (reversed && (ref.vertex === 'start' || ref.vertex === 'end')) {
+      return `${entityId}.${ref.vertex === 'start' ? 'end' : 'start'}`;
+    }
+    
+    return `${entityId}.${ref.vertex}`;
   }
 
   /**
@@ -526,17 +632,78 @@ class FeatureBuilder {
    * Create an extrusion feature
    * @param {string} sketchName - Sketch name
    * @param {number} depth - Extrusion depth
-   * @returns {Object} - Extrusion feature
+   * @returns {Object} - Extrusion feature, with `regions` when the sketch has holes
    * @private
    */
   _createExtrusion(sketchName, depth) {
-    return {
+    const extrusion = {
       feature: 'extrude',
       name: `Extrude_${sketchName}`,
       sketchName,
       depth,
       operation: 'new'
     };
+    
+    const regions = this._getProfileRegions(this._sketchPaths.get(sketchName) || []);
+    if (regions) {
+      extrusion.regions = regions;
+    }
+    
+    return extrusion;
+  }
+
+  /**
+   * Get the sketch regions to extrude when closed paths are nested. A path
+   * inside an odd number of other paths is a hole, so only the regions of
+   * paths inside an even number are extruded, as SVG fills them.
+   * @param {Array} paths - Paths drawn in the sketch
+   * @returns {Array|null} - Region selectors `{ path: entityIds }` for Sketch.region,
+   *   or null to extrude every region
+   * @private
+   */
+  _getProfileRegions(paths) {
+    const profiles = paths
+      .filter(path => path.closed && !path.isConstruction && (path.segments || []).length > 0)
+      .map(path => ({
+        path,
+        outline: path.segments.map(segment => [segment.x1, segment.y1])
+      }));
+    
+    const depths = profiles.map(profile => profiles.filter(other =>
+      other !== profile && this._isInsideOutline(profile.outline[0], other.outline)
+    ).length);
+    
+    if (depths.every(depth => depth === 0)) {
+      return null;
+    }
+    
+    return profiles
+      .filter((profile, index) => depths[index] % 2 === 0)
+      .map(({ path }) => ({
+        path: this._createEntitiesForPath(path).map(entity => entity.id)
+      }));
+  }
+
+  /**
+   * Check whether a point is inside a closed outline, by ray casting
+   * @param {Array<number>} point - [x, y] point
+   * @param {Array<Array<number>>} outline - [x, y] vertices of the outline
+   * @returns {boolean} - Whether the point is inside
+   * @private
+   */
+  _isInsideOutline([x, y], outline) {
+    let inside = false;
+    
+    for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+      const [xi, yi] = outline[i];
+      const [xj, yj] = outline[j];
+      
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    
+    return inside;
   }
 
   /**
@@ -591,10 +758,11 @@ class FeatureBuilder {
   }
 
   /**
-   * Create revolution features
+   * Create revolution features. Profiles are revolved about the sketch's
+   * vertical axis, matching how turned parts are usually drawn.
    * @param {Array} sketches - Sketch features
    * @param {Array} paths - Paths with revolution
-   * @returns {Array} - Revolution features
+   * @returns {Array} - Revolution features, with options for the Revolve feature
    * @private
    */
   _createRevolutions(sketches, paths) {
@@ -612,6 +780,8 @@ class FeatureBuilder {
           feature: 'revolve',
           name: `Revolve_${sketch.name}`,
           sketchName: sketch.name,
+          axis: RevolveAxis.SKETCH_Y,
+          revolveType: angle >= 360 ? RevolveType.FULL : RevolveType.ONE_DIRECTION,
           angle,
           operation: 'new'
         });
@@ -622,10 +792,11 @@ class FeatureBuilder {
   }
 
   /**
-   * Create pattern features
+   * Create pattern features. A #pattern=5x3 tag becomes a linear pattern
+   * of the path's sketch, 5 instances along X and 3 along Y.
    * @param {Array} sketches - Sketch features
    * @param {Array} paths - Paths with pattern
-   * @returns {Array} - Pattern features
+   * @returns {Array} - Pattern features, with options for the LinearPattern feature
    * @private
    */
   _createPatterns(sketches, paths) {
@@ -643,14 +814,17 @@ class FeatureBuilder {
       const sketch = this._findSketchForPath(sketches, path);
       
       if (sketch) {
+        const spacing = `${this.options.patternSpacing} ${getSvgUnits(this.options.units).abbreviation}`;
+        
         patterns.push({
           feature: 'pattern',
+          patternType: 'linear',
           name: `Pattern_${sketch.name}`,
           targetName: sketch.name,
           xCount: pattern.x,
           yCount: pattern.y,
-          xSpacing: 20, // Default spacing in mm
-          ySpacing: 20, // Default spacing in mm
+          xSpacing: spacing,
+          ySpacing: spacing,
           operation: 'new'
         });
       }
@@ -660,10 +834,11 @@ class FeatureBuilder {
   }
 
   /**
-   * Create mirror features
+   * Create mirror features. A #mirror tag mirrors the path's sketch about the
+   * Front plane; #mirror=x, y or z (or right, front, top) chooses the plane.
    * @param {Array} sketches - Sketch features
    * @param {Array} paths - Paths with mirror
-   * @returns {Array} - Mirror features
+   * @returns {Array} - Mirror features, with options for the Mirror feature
    * @private
    */
   _createMirrors(sketches, paths) {
@@ -673,12 +848,15 @@ class FeatureBuilder {
       // Find matching feature
       const sketch = this._findSketchForPath(sketches, path);
       
-      if (sketch) {
+      const plane = path.specialProcessing.mirror.plane || 'Front';
+      
+      // Paths sharing a sketch only need one mirror per plane
+      if (sketch && !mirrors.some(mirror => mirror.targetName === sketch.name && mirror.plane === plane)) {
         mirrors.push({
           feature: 'mirror',
-          name: `Mirror_${sketch.name}`,
+          name: `Mirror_${sketch.name}_${plane}`,
           targetName: sketch.name,
-          plane: 'Front', // Default mirror plane
+          plane,
           operation: 'new'
         });
       }
@@ -695,16 +873,17 @@ class FeatureBuilder {
    * @private
    */
   _findSketchForPath(sketches, path) {
-    if (this.options.separateSketches) {
-      // Find sketch with matching name
-      return sketches.find(sketch => sketch.name === path.name);
-    } else if (this.options.separateOpenClosed) {
+    // Check the options in the same order as _createSketches
+    if (this.options.separateOpenClosed) {
       // Find sketch based on path type
       return sketches.find(sketch => 
         (path.closed && sketch.name === 'ClosedPaths') || 
         (!path.closed && sketch.name === 'OpenPaths') ||
         sketch.name === 'AllPaths'
       );
+    } else if (this.options.separateSketches) {
+      // Find sketch with matching name
+      return sketches.find(sketch => sketch.name === path.name);
     } else {
       // Use the first sketch
       return sketches[0];
@@ -722,4 +901,5 @@ class FeatureBuilder {
   }
 }
 
-module.exports = FeatureBuilder;
\ No newline at end of file
+module.exports = FeatureBuilder;
+module.exports.getSvgUnits = getSvgUnits;
\ No newline at end of file
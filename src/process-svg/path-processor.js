@@ -2,6 +2,17 @@
 const logger = require('../utils/logger');
 const log = logger.scope('PathProcessor');
 
+// Default planes a #mirror= tag can name, by axis or plane name.
+// Each axis maps to the plane normal to it.
+const MIRROR_PLANES = {
+  x: 'Right',
+  y: 'Front',
+  z: 'Top',
+  right: 'Right',
+  front: 'Front',
+  top: 'Top'
+};
+
 /**
 * PathProcessor module that processes SVG path data into a format suitable
 * for conversion to Onshape features.
@@ -31,6 +42,8 @@ class PathProcessor {
       applyConstraints: options.applyConstraints !== false,
       // Tolerance for identifying constraints
       constraintTolerance: options.constraintTolerance || 0.01,
+      // Angle tolerance in degrees for identifying tangent joints
+      angleTolerance: options.angleTolerance || 0.5,
       // Whether to detect and process dashed lines as construction lines
       processDashedLines: options.processDashedLines !== false,
       // Whether to extract name processing tags
@@ -735,6 +748,11 @@ class PathProcessor {
       isConstruction,
       specialProcessing: nameInfo.specialProcessing,
       type: 'circle',
+      circle: {
+        cx: circle.cx,
+        cy: circle.cy,
+        r: circle.r
+      },
       data: circle.data || {}
     };
   }
@@ -1043,8 +1061,203 @@ class PathProcessor {
   
     log.debug(`Successfully processed ${processedPaths.length} paths`);
     
+    // Infer sketch constraints from the processed geometry
+    let constraints = [];
+    if (this.options.applyConstraints) {
+      processedPaths.forEach(path => {
+        path.constraints = this._inferPathConstraints(path);
+      });
+      constraints = this._inferCrossPathConstraints(processedPaths);
+      
+      const pathConstraintCount = processedPaths.reduce((sum, path) => sum + path.constraints.length, 0);
+      log.debug(`Inferred ${pathConstraintCount} path constraints and ${constraints.length} cross-path constraints`);
+    }
+    
     return {
-      paths: processedPaths
+      paths: processedPaths,
+      constraints
+    };
+  }
+
+  /**
+   * Infer constraints between the segments of a single path.
+   * Constraint references are { path, segment, vertex } objects.
+   * @param {Object} path - Processed path
+   * @returns {Array} - Inferred constraints
+   * @private
+   */
+  _inferPathConstraints(path) {
+    const constraints = [];
+    const segments = path.segments || [];
+    const tolerance = this.options.constraintTolerance;
+    
+    // A circle element becomes a single circle entity; nothing to connect
+    if (path.circle || segments.length === 0) {
+      return constraints;
+    }
+    
+    const ref = (segment, vertex) => ({ path: path.id, segment, vertex });
+    
+    segments.forEach((segment, index) => {
+      // Horizontal and vertical lines
+      if (segment.type === 'line') {
+        const dx = Math.abs(segment.x2 - segment.x1);
+        const dy = Math.abs(segment.y2 - segment.y1);
+        
+        if (dx > tolerance && dy <= tolerance) {
+          constraints.push({ type: 'horizontal', first: ref(index) });
+        } else if (dy > tolerance && dx <= tolerance) {
+          constraints.push({ type: 'vertical', first: ref(index) });
+        }
+      }
+      
+      // Connect to the following segment, wrapping around on closed paths
+      const isLast = index === segments.length - 1;
+      if (isLast && (!path.closed || segments.length < 2)) {
+        return;
+      }
+      const nextIndex = isLast ? 0 : index + 1;
+      const next = segments[nextIndex];
+      
+      const gap = Math.hypot(next.x1 - segment.x2, next.y1 - segment.y2);
+      if (gap > tolerance) {
+        return;
+      }
+      
+      constraints.push({
+        type: 'coincident',
+        first: ref(index, 'end'),
+        second: ref(nextIndex, 'start')
+      });
+      
+      if (this._isTangentJoint(segment, next, segment.x2, segment.y2)) {
+        constraints.push({
+          type: 'tangent',
+          first: ref(index),
+          second: ref(nextIndex)
+        });
+      }
+    });
+    
+    return constraints;
+  }
+
+  /**
+   * Infer constraints between circles of different paths: concentric
+   * circles and circles of equal radius. Each group is tied to its first
+   * member to avoid redundant constraints.
+   * @param {Array} paths - Processed paths
+   * @returns {Array} - Inferred constraints
+   * @private
+   */
+  _inferCrossPathConstraints(paths) {
+    const constraints = [];
+    const tolerance = this.options.constraintTolerance;
+    const circles = paths.filter(path => path.circle && !path.isConstruction);
+    
+    const radiusGroups = [];
+    const centerGroups = [];
+    
+    circles.forEach(path => {
+      const { cx, cy, r } = path.circle;
+      
+      const radiusGroup = radiusGroups.find(group => Math.abs(group.r - r) <= tolerance);
+      if (radiusGroup) {
+        constraints.push({
+          type: 'equal',
+          first: { path: radiusGroup.path.id, segment: 0 },
+          second: { path: path.id, segment: 0 }
+        });
+      } else {
+        radiusGroups.push({ r, path });
+      }
+      
+      const centerGroup = centerGroups.find(group => 
+        Math.hypot(group.cx - cx, group.cy - cy) <= tolerance
+      );
+      if (centerGroup) {
+        constraints.push({
+          type: 'concentric',
+          first: { path: centerGroup.path.id, segment: 0 },
+          second: { path: path.id, segment: 0 }
+        });
+      } else {
+        centerGroups.push({ cx, cy, path });
+      }
+    });
+    
+    return constraints;
+  }
+
+  /**
+   * Check whether a line and a circular arc meet tangentially at a point
+   * @param {Object} first - Segment ending at the joint
+   * @param {Object} second - Segment starting at the joint
+   * @param {number} x - Joint X coordinate
+   * @param {number} y - Joint Y coordinate
+   * @returns {boolean} - True if the joint is tangent
+   * @private
+   */
+  _isTangentJoint(first, second, x, y) {
+    let line;
+    let arc;
+    
+    if (first.type === 'line' && second.type === 'arc') {
+      [line, arc] = [first, second];
+    } else if (first.type === 'arc' && second.type === 'line') {
+      [arc, line] = [first, second];
+    } else {
+      return false;
+    }
+    
+    const center = this._getCircularArcCenter(arc);
+    if (!center) {
+      return false;
+    }
+    
+    const lineLength = Math.hypot(line.x2 - line.x1, line.y2 - line.y1);
+    const radius = Math.hypot(x - center.x, y - center.y);
+    if (lineLength === 0 || radius === 0) {
+      return false;
+    }
+    
+    // The line is tangent when it is perpendicular to the radius at the joint,
+    // so the cosine between them is within the sine of the angle tolerance of zero
+    const cosine = ((line.x2 - line.x1) * (x - center.x) + (line.y2 - line.y1) * (y - center.y)) /
+                   (lineLength * radius);
+    
+    return Math.abs(cosine) <= Math.sin(this.options.angleTolerance * Math.PI / 180);
+  }
+
+  /**
+   * Get the center of an arc segment if it is circular (rx equals ry
+   * within tolerance)
+   * @param {Object} segment - Arc segment
+   * @returns {Object|null} - Center { x, y } or null for elliptical arcs
+   * @private
+   */
+  _getCircularArcCenter(segment) {
+    if (Math.abs(segment.rx - segment.ry) > this.options.constraintTolerance) {
+      return null;
+    }
+    
+    // Endpoint to center conversion with rx = ry; rotation has no effect on a circle
+    // See: https://www.w3.org/TR/SVG/implnote.html#ArcConversionEndpointToCenter
+    const dx = (segment.x1 - segment.x2) / 2;
+    const dy = (segment.y1 - segment.y2) / 2;
+    const halfChordSquared = dx * dx + dy * dy;
+    
+    if (halfChordSquared === 0) {
+      return null;
+    }
+    
+    const r = Math.max(segment.rx, Math.sqrt(halfChordSquared));
+    const sign = segment.largeArcFlag !== segment.sweepFlag ? 1 : -1;
+    const coef = sign * Math.sqrt(Math.max(0, (r * r - halfChordSquared) / halfChordSquared));
+    
+    return {
+      x: (segment.x1 + segment.x2) / 2 + coef * dy,
+      y: (segment.y1 + segment.y2) / 2 - coef * dx
     };
   }
 
@@ -1281,7 +1494,8 @@ class PathProcessor {
               currentX = params[i + 5];
               currentY = params[i + 6];
               
-              if (this.options.approximateCurves) {
+              // Sketches have no elliptical arcs, so those are always approximated
+              if (this.options.approximateCurves || Math.abs(rx - ry) > this.options.constraintTolerance) {
                 // Approximate the arc with line segments
                 const points = this._approximateArc(
                   [commands[commands.length - 1].x, commands[commands.length - 1].y],
@@ -1325,7 +1539,8 @@ class PathProcessor {
               const endX = currentX + params[i + 5];
               const endY = currentY + params[i + 6];
               
-              if (this.options.approximateCurves) {
+              // Sketches have no elliptical arcs, so those are always approximated
+              if (this.options.approximateCurves || Math.abs(rx - ry) > this.options.constraintTolerance) {
                 // Approximate the arc with line segments
                 const points = this._approximateArc(
                   [commands[commands.length - 1].x, commands[commands.length - 1].y],
@@ -1821,7 +2036,7 @@ class PathProcessor {
       } else if (cmd.type === 'A') {
         // Arc segment
         if (lastPoint) {
-          segments.push({
+          const arc = {
             type: 'arc',
             x1: lastPoint.x,
             y1: lastPoint.y,
@@ -1832,7 +2047,11 @@ class PathProcessor {
             sweepFlag: cmd.sweepFlag,
             x2: cmd.x,
             y2: cmd.y
-          });
+          };
+          
+          // The center lets the arc be sketched as a center point arc
+          arc.center = this._getCircularArcCenter(arc);
+          segments.push(arc);
           
           lastPoint = { x: cmd.x, y: cmd.y };
         }
@@ -2055,8 +2274,16 @@ class PathProcessor {
               y: parseInt(match[2], 10)
             };
           }
-        } else if (tag === 'mirror') {
-          nameInfo.specialProcessing.mirror = true;
+        } else if (tag === 'mirror' || tag.startsWith('mirror=')) {
+          // Parse mirror plane (e.g., mirror=x mirrors about the Right plane)
+          const planeStr = tag.substring(7) || 'front';
+          const plane = MIRROR_PLANES[planeStr];
+          
+          if (plane) {
+            nameInfo.specialProcessing.mirror = {
+              plane
+            };
+          }
         } else if (tag.startsWith('dim=')) {
           // Parse dimension value
           const dimStr = tag.substring(4);
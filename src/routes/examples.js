@@ -4,6 +4,17 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const { OnshapeClient } = require('../api/client');
 const { createClientFromRequest } = require('../middleware/authMiddleware');
+const PartStudio = require('../features/partStudio');
+const FeaturesApi = require('../api/endpoints/features');
+const ModelBuilder = require('../features/modelBuilder');
+const { NotFoundError } = require('../utils/errors');
+
+// Model specs of the examples, built with the part studio build route
+const EXAMPLE_SPECS = {
+  cylinder: require('../examples/cylinder.json'),
+  cup: require('../examples/cup.json'),
+  lamp: require('../examples/lamp.json')
+};
 
 // Create a scoped logger
 const log = logger.scope('Examples');
@@ -138,25 +149,17 @@ async function getTestDocument(client) {
   }
 }
 
-// Helper function to get existing features
-async function getExistingFeatures(client, documentId, workspaceId, partStudioId) {
-  try {
-    console.log('Getting existing features...');
-    const featuresResponse = await client.get(
-      `/api/v10/partstudios/d/${documentId}/w/${workspaceId}/e/${partStudioId}/features?rollbackBarIndex=-1`
-    );
-    console.log('Features response:', JSON.stringify(featuresResponse, null, 2));
-    
-    if (!featuresResponse.features) {
-      console.error('Invalid features response:', featuresResponse);
-      throw new Error('Invalid features response');
-    }
-    
-    return featuresResponse.features;
-  } catch (error) {
-    console.error('Error in getExistingFeatures:', error);
-    throw error;
-  }
+// Helper function to build an example spec in a part studio
+async function buildExample(client, document, partStudioId, name) {
+  const partStudio = new PartStudio({
+    id: partStudioId,
+    document: { id: document.id, defaultWorkspace: { id: document.defaultWorkspace.id } },
+    _api: { endpoints: new FeaturesApi(client) },
+    _client: client
+  });
+
+  // Keyed by name, so running an example again updates its features in place
+  return await new ModelBuilder({ partStudio }).build(EXAMPLE_SPECS[name], { ensure: true });
 }
 
 // Helper function to get part studio ID
@@ -209,282 +212,45 @@ module.exports = function(app, auth) {
     }
   });
 
+  /**
+   * @route GET /api/examples/specs/:name
+   * @description Get the model spec of an example, for the part studio build route
+   * @access Private
+   */
+  router.get('/specs/:name', isAuthenticated, (req, res, next) => {
+    const spec = EXAMPLE_SPECS[req.params.name];
+
+    if (!spec) {
+      return next(new NotFoundError('Example spec', req.params.name));
+    }
+
+    res.json(spec);
+  });
+
   /**
    * @route POST /api/examples/cylinder
    * @description Create a cylinder example
    * @access Private
    */
-  router.post('/cylinder', isAuthenticated, async (req, res) => {
+  router.post('/cylinder', isAuthenticated, async (req, res, next) => {
     try {
       const client = req.onshapeClient;
-      console.log('Getting document...');
       const document = await getTestDocument(client);
-      console.log('Document:', document);
-      
+
       if (!document || !document.id) {
         throw new Error('Invalid document response');
       }
-      
-      const workspaceId = document.defaultWorkspace.id;
-      const partStudioId = document.partStudio.id;
-      console.log('Using workspace:', workspaceId);
-      console.log('Using part studio:', partStudioId);
-
-      // Get existing features
-      const existingFeatures = await getExistingFeatures(client, document.id, workspaceId, partStudioId);
-      console.log('Existing features:', existingFeatures);
-
-      // Find existing sketch and extrude features
-      const existingSketch = existingFeatures.find(f => f.featureType === 'newSketch' && f.name === 'Base Sketch');
-      const existingExtrudes = existingFeatures.filter(f => f.featureType === 'extrude' && f.name === 'Cylinder Extrude');
 
-      // Clean up all existing extrude features
-      for (const extrude of existingExtrudes) {
-        console.log('Deleting existing extrude feature:', extrude.featureId);
-        try {
-          await client.delete(
-            `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/features/featureid/${extrude.featureId}`
-          );
-        } catch (error) {
-          console.error('Failed to delete extrude feature:', error);
-        }
-      }
-
-      // If we have existing features, use them
-      let sketchId;
-      if (existingSketch) {
-        console.log('Using existing sketch:', existingSketch.featureId);
-        sketchId = existingSketch.featureId;
-      } else {
-        // Get Front plane ID using FeatureScript
-        const planeScript = {
-          script: `
-            function(context is Context, queries) {
-              return transientQueriesToStrings(evaluateQuery(context, qCreatedBy(makeId("Front"), EntityType.FACE)));
-            }
-          `,
-          queries: {}
-        };
-
-        const planeResponse = await client.post(
-          `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/featurescript?rollbackBarIndex=-1`,
-          planeScript
-        );
-
-        console.log('Plane response:', JSON.stringify(planeResponse, null, 2));
-
-        // Extract the front plane ID from the response
-        const frontPlaneId = planeResponse.result.value[0].value;
-        console.log('Front plane ID:', frontPlaneId);
-
-        // Create sketch
-        const sketchFeature = {
-          btType: "BTFeatureDefinitionCall-1406",
-          feature: {
-            btType: "BTMSketch-151",
-            entities: [],
-            constraints: [],
-            namespace: "",
-            name: "Base Sketch",
-            suppressed: false,
-            parameters: [{
-              btType: "BTMParameterQueryList-148",
-              queries: [{
-                btType: "BTMIndividualQuery-138",
-                deterministicIds: [frontPlaneId]
-              }],
-              parameterId: "sketchPlane"
-            }, {
-              btType: "BTMParameterBoolean-144",
-              value: true,
-              parameterId: "disableImprinting"
-            }],
-            featureType: "newSketch"
-          }
-        };
-
-        console.log('Creating sketch...');
-        const sketchResponse = await client.post(
-          `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/features?rollbackBarIndex=-1`,
-          sketchFeature
-        );
-
-        console.log('Sketch response:', JSON.stringify(sketchResponse, null, 2));
-
-        // Extract the sketch ID from the response
-        sketchId = sketchResponse.feature?.featureId;
-        if (!sketchId) {
-          console.error('Invalid sketch response:', sketchResponse);
-          throw new Error('Could not get sketch ID');
-        }
-        console.log('Created sketch with ID:', sketchId);
-
-        // Update sketch with circle entity
-        const updateSketchFeature = {
-          btType: "BTFeatureDefinitionCall-1406",
-          feature: {
-            ...sketchFeature.feature,
-            featureId: sketchId,
-            entities: [{
-              btType: "BTMSketchCurve-4",
-              entityId: "circle-entity",
-              geometry: {
-                btType: "BTCurveGeometryCircle-115",
-                radius: 0.025,
-                clockwise: false,
-                xCenter: 0.05,
-                yCenter: 0.05,
-                xDir: 1,
-                yDir: 0
-              },
-              centerId: "circle-entity.center"
-            }]
-          }
-        };
-
-        console.log('Updating sketch with circle...');
-        const updateResponse = await client.post(
-          `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/features/featureid/${sketchId}?rollbackBarIndex=-1`,
-          updateSketchFeature
-        );
-      }
-
-      // Get faces created by the sketch
-      const facesScript = {
-        script: `
-          function(context is Context, queries) {
-            try {
-              const sketch = getFeature(context, "${sketchId}");
-              const sketchRegion = qSketchRegion(sketch);
-              const faces = evaluateQuery(context, sketchRegion);
-              
-              if (size(faces) == 0) {
-                throw new Error("No faces found in sketch");
-              }
-              
-              return transientQueriesToStrings(faces);
-            } catch (e) {
-              throw new Error("Failed to get sketch faces: " + e.message);
-            }
-          }
-        `
-      };
-
-      console.log('Getting faces...');
-      console.log('Faces script:', JSON.stringify(facesScript, null, 2));
-      console.log('Using sketch ID:', sketchId);
-
-      const facesResponse = await client.post(
-        `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/featurescript?rollbackBarIndex=-1`,
-        facesScript
-      );
-
-      console.log('Faces response:', JSON.stringify(facesResponse, null, 2));
-      console.log('Faces response result:', JSON.stringify(facesResponse.result, null, 2));
-      console.log('Faces response value:', JSON.stringify(facesResponse.result?.value, null, 2));
-
-      if (!facesResponse.result?.value || facesResponse.result.value.length === 0) {
-        throw new Error('No faces found in sketch');
-      }
-
-      // Create extrude
-      const extrudeFeature = {
-        btType: "BTFeatureDefinitionCall-1406",
-        feature: {
-          btType: "BTMFeature-134",
-          namespace: "",
-          name: "Cylinder Extrude",
-          suppressed: false,
-          parameters: [
-            {
-              btType: "BTMParameterEnum-145",
-              parameterId: "bodyType",
-              value: "SOLID",
-              enumName: "ExtendedToolBodyType"
-            },
-            {
-              btType: "BTMParameterEnum-145",
-              value: "NEW",
-              enumName: "NewBodyOperationType",
-              parameterId: "operationType"
-            },
-            {
-              btType: "BTMParameterQueryList-148",
-              queries: [
-                {
-                  btType: "BTMIndividualQuery-138",
-                  deterministicIds: facesResponse.result.value.map(v => v.value)
-                }
-              ],
-              parameterId: "entities"
-            },
-            {
-              btType: "BTMParameterEnum-145",
-              enumName: "BoundingType",
-              value: "BLIND",
-              parameterId: "endBound"
-            },
-            {
-              btType: "BTMParameterQuantity-147",
-              isInteger: false,
-              value: 1.0,
-              units: "inch",
-              expression: "1 inch",
-              parameterId: "depth"
-            },
-            {
-              btType: "BTMParameterQueryList-148",
-              queries: [
-                {
-                  btType: "BTMIndividualQuery-138",
-                  deterministicIds: []
-                }
-              ],
-              parameterId: "booleanScope"
-            }
-          ],
-          featureType: "extrude"
-        }
-      };
-
-      // Create the extrude feature
-      console.log('Creating extrude feature...');
-      const createResponse = await client.post(
-        `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/features?rollbackBarIndex=-1`,
-        extrudeFeature
-      );
-      console.log('Create response:', JSON.stringify(createResponse, null, 2));
-
-      // Get the feature ID from the create response
-      const newFeatureId = createResponse.feature?.featureId;
-      if (!newFeatureId) {
-        throw new Error('Could not get feature ID from create response');
-      }
-      console.log('Created extrude feature with ID:', newFeatureId);
-
-      // Update the feature with the correct ID
-      extrudeFeature.feature.featureId = newFeatureId;
-      console.log('Updating extrude feature...');
-      const extrudeResponse = await client.post(
-        `/api/v10/partstudios/d/${document.id}/w/${workspaceId}/e/${partStudioId}/features/featureid/${newFeatureId}?rollbackBarIndex=-1`,
-        extrudeFeature
-      );
-
-      console.log('Extrude response:', JSON.stringify(extrudeResponse, null, 2));
+      const result = await buildExample(client, document, document.partStudio.id, 'cylinder');
 
       res.json({
         success: true,
         document,
-        sketchFeature: existingSketch || sketchResponse,
-        extrudeFeature: extrudeResponse
+        ...result
       });
     } catch (error) {
-      console.error('Error creating cylinder:', error);
-      res.status(500).json({
-        error: 'Request error',
-        message: error.message,
-        details: error
-      });
+      log.error(`Failed to create cylinder example: ${error.message}`);
+      next(error);
     }
   });
 
@@ -517,8 +283,9 @@ module.exports = function(app, auth) {
         log.info(`Created new document: ${document.name}`);
       }
       
-      // For brevity, return success without implementing the full lamp example
-      // In a real implementation, you would create the lamp model here
+      // Step 2: Build the lamp spec in the document's part studio
+      const partStudioId = await getPartStudioId(client, document.id, document.defaultWorkspace.id);
+      const result = await buildExample(client, document, partStudioId, 'lamp');
       
       log.info('Lamp example completed successfully');
       
@@ -526,6 +293,7 @@ module.exports = function(app, auth) {
         success: true,
         document,
         link: `https://cad.onshape.com/documents/${document.id}`,
+        ...result
       });
     } catch (error) {
       log.error('Failed to create lamp example:', error.message);
@@ -2,6 +2,27 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const PartStudio = require('../features/partStudio');
+const ModelBuilder = require('../features/modelBuilder');
+const FeaturesApi = require('../api/endpoints/features');
+const { decodeEvaluation } = require('../api/featurescript');
+const { Part } = require('../entities/parts');
+
+/**
+ * Create a PartStudio for the part studio addressed by a request
+ * @param {Object} req - Express request with documentId, workspaceId and elementId params
+ * @returns {PartStudio} - Part studio using the request's Onshape client
+ */
+function getPartStudio(req) {
+  const { documentId, workspaceId, elementId } = req.params;
+  
+  return new PartStudio({
+    id: elementId,
+    document: { id: documentId, defaultWorkspace: { id: workspaceId } },
+    _api: { endpoints: new FeaturesApi(req.onshapeClient) },
+    _client: req.onshapeClient
+  });
+}
 
 module.exports = function(app, auth) {
   const { isAuthenticated } = auth;
@@ -107,18 +128,192 @@ module.exports = function(app, auth) {
     }
   });
 
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/featurescript
+   * @description Evaluate FeatureScript in a part studio. With ?decode=true the response
+   *   is `{ result, warnings }` with the result decoded into plain values, see decodeEvaluation
+   * @access Private
+   */
   router.post('/d/:documentId/w/:workspaceId/e/:elementId/featurescript', isAuthenticated, async (req, res) => {
     try {
       const { documentId, workspaceId, elementId } = req.params;
       const path = `/partstudios/d/${documentId}/w/${workspaceId}/e/${elementId}/featurescript`;
       
       const response = await req.onshapeClient.post(path, req.body);
-      res.json(response);
+      res.json(req.query.decode === 'true' ? decodeEvaluation(response) : response);
     } catch (error) {
       logger.error(`Error executing FeatureScript: ${error.message}`);
       res.status(500).json({ error: error.message });
     }
   });
 
+  /**
+   * @route GET /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/tree
+   * @description Get the feature tree of a part studio, with suppression, status and rollback index
+   * @access Private
+   */
+  router.get('/d/:documentId/w/:workspaceId/e/:elementId/tree', isAuthenticated, async (req, res, next) => {
+    try {
+      res.json(await getPartStudio(req).getFeatureTree());
+    } catch (error) {
+      logger.error(`Error fetching feature tree: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route GET /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/parts
+   * @description List the parts of a part studio with their metadata
+   * @query {string} [configuration] - Encoded configuration to list the parts of
+   * @access Private
+   */
+  router.get('/d/:documentId/w/:workspaceId/e/:elementId/parts', isAuthenticated, async (req, res, next) => {
+    try {
+      const parts = await getPartStudio(req).getParts({ configuration: req.query.configuration });
+      res.json(parts.parts);
+    } catch (error) {
+      logger.error(`Error listing parts: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route GET /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/parts/:partId/metadata
+   * @description Get the name, part number, description, material and appearance of a part
+   * @access Private
+   */
+  router.get('/d/:documentId/w/:workspaceId/e/:elementId/parts/:partId/metadata', isAuthenticated, async (req, res, next) => {
+    try {
+      const part = new Part(getPartStudio(req), { partId: req.params.partId });
+      res.json(await part.getMetadata());
+    } catch (error) {
+      logger.error(`Error fetching part metadata: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/parts/:partId/metadata
+   * @description Change the metadata of a part; only the given values are changed
+   * @body {Object} values - { name, partNumber, description, material, appearance }
+   * @access Private
+   */
+  router.post('/d/:documentId/w/:workspaceId/e/:elementId/parts/:partId/metadata', isAuthenticated, async (req, res, next) => {
+    try {
+      const part = new Part(getPartStudio(req), { partId: req.params.partId });
+      res.json(await part.setMetadata(req.body));
+    } catch (error) {
+      logger.error(`Error updating part metadata: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route PATCH /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId
+   * @description Change the name, suppression or parameter values of a feature
+   * @body {Object} changes - { name, suppressed, parameters: { parameterId: value } }
+   * @access Private
+   */
+  router.patch('/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId', isAuthenticated, async (req, res, next) => {
+    try {
+      res.json(await getPartStudio(req).updateFeature(req.params.featureId, req.body || {}));
+    } catch (error) {
+      logger.error(`Error updating feature: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route DELETE /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId
+   * @description Delete a feature
+   * @access Private
+   */
+  router.delete('/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId', isAuthenticated, async (req, res, next) => {
+    try {
+      await getPartStudio(req).deleteFeature(req.params.featureId);
+      res.json({ success: true, featureId: req.params.featureId });
+    } catch (error) {
+      logger.error(`Error deleting feature: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId/suppress
+   * @description Suppress a feature
+   * @access Private
+   */
+  router.post('/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId/suppress', isAuthenticated, async (req, res, next) => {
+    try {
+      res.json(await getPartStudio(req).suppress(req.params.featureId));
+    } catch (error) {
+      logger.error(`Error suppressing feature: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId/unsuppress
+   * @description Unsuppress a feature
+   * @access Private
+   */
+  router.post('/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId/unsuppress', isAuthenticated, async (req, res, next) => {
+    try {
+      res.json(await getPartStudio(req).unsuppress(req.params.featureId));
+    } catch (error) {
+      logger.error(`Error unsuppressing feature: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId/rename
+   * @description Rename a feature
+   * @body {string} name - New feature name
+   * @access Private
+   */
+  router.post('/d/:documentId/w/:workspaceId/e/:elementId/features/:featureId/rename', isAuthenticated, async (req, res, next) => {
+    try {
+      res.json(await getPartStudio(req).rename(req.params.featureId, (req.body || {}).name));
+    } catch (error) {
+      logger.error(`Error renaming feature: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/rollback
+   * @description Move the rollback bar; new features are inserted at its position
+   * @body {number} index - Number of features to keep above the bar
+   * @access Private
+   */
+  router.post('/d/:documentId/w/:workspaceId/e/:elementId/rollback', isAuthenticated, async (req, res, next) => {
+    try {
+      const rollbackIndex = await getPartStudio(req).setRollbackIndex((req.body || {}).index);
+      res.json({ rollbackIndex });
+    } catch (error) {
+      logger.error(`Error moving rollback bar: ${error.message}`);
+      next(error);
+    }
+  });
+
+  /**
+   * @route POST /api/partstudios/d/:documentId/w/:workspaceId/e/:elementId/build
+   * @description Build the features of a model spec; with ?ensure=true the features are keyed
+   *   by name, so building the same spec again updates them instead of adding more
+   * @body {Object} spec - Model spec as { units, variables, features }
+   * @access Private
+   */
+  router.post('/d/:documentId/w/:workspaceId/e/:elementId/build', isAuthenticated, async (req, res, next) => {
+    try {
+      const builder = new ModelBuilder({ partStudio: getPartStudio(req) });
+      const result = await builder.build(req.body, { ensure: req.query.ensure === 'true' });
+      res.json(result);
+    } catch (error) {
+      logger.error(`Error building model: ${error.message}`);
+      next(error);
+    }
+  });
+
   return router;
 };
\ No newline at end of file
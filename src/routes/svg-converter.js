@@ -6,6 +6,16 @@ const logger = require('../utils/logger');
 const SVGParser = require('../process-svg/svg-parser');
 const PathProcessor = require('../process-svg/path-processor');
 const FeatureBuilder = require('../process-svg/feature-builder');
+const { getSvgUnits } = require('../process-svg/feature-builder');
+const PartStudio = require('../features/partStudio');
+const FeaturesApi = require('../api/endpoints/features');
+const Extrude = require('../features/extrude');
+const { LinearPattern } = require('../features/pattern');
+const Mirror = require('../features/mirror');
+const { DefaultPlane, DefaultPlaneOrientation } = require('../features/planes');
+const { getFaceIds } = require('../features/references');
+const { Q } = require('../entities/query');
+const { createSketch, createLine, createCircle, createCenterPointArc, createSpline, createConstraint } = require('../api/schema');
 const { ValidationError } = require('../utils/errors');
 
 // Create scoped logger
@@ -14,7 +24,7 @@ const log = logger.scope('SVGConverter');
 // Server-side storage for processed SVG data
 const svgProcessedData = new Map();
 
-// Cleanup old processed data every hour
+// Cleanup old processed data every hour, without keeping the process alive
 setInterval(() => {
   const now = Date.now();
   let count = 0;
@@ -30,7 +40,114 @@ setInterval(() => {
   if (count > 0) {
     log.debug(`Cleaned up ${count} expired SVG conversions`);
   }
-}, 3600000);
+}, 3600000).unref();
+
+/**
+ * Convert a FeatureBuilder sketch entity to its sketch model, keeping the
+ * entity ID that constraints and region selectors refer to
+ * @param {Object} entity - FeatureBuilder entity
+ * @param {number} scale - Meters per conversion unit
+ * @returns {Object|null} - Sketch entity model, or null if the entity type is not supported
+ */
+function toSketchEntity(entity, scale) {
+  const toMeters = point => [point.x * scale, point.y * scale];
+  
+  switch (entity.type) {
+    case 'line': {
+      const [x1, y1] = toMeters(entity.startPoint);
+      const [x2, y2] = toMeters(entity.endPoint);
+      return createLine({ entityId: entity.id, x1, y1, x2, y2, isConstruction: !!entity.isConstruction });
+    }
+    case 'circle': {
+      const [xCenter, yCenter] = toMeters(entity.center);
+      return createCircle({ entityId: entity.id, xCenter, yCenter, radius: entity.radius * scale });
+    }
+    case 'arc': {
+      const [xCenter, yCenter] = toMeters(entity.center);
+      const [x1, y1] = toMeters(entity.startPoint);
+      const [x2, y2] = toMeters(entity.endPoint);
+      return createCenterPointArc({ entityId: entity.id, xCenter, yCenter, x1, y1, x2, y2, clockwise: entity.clockwise });
+    }
+    case 'spline':
+      return createSpline({
+        entityId: entity.id,
+        controlPoints: entity.controlPoints.map(toMeters),
+        degree: entity.degree || 3
+      });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the BTMSketch model of a FeatureBuilder sketch. Constraints are
+ * kept when every entity they refer to could be drawn.
+ * @param {Object} sketch - FeatureBuilder sketch
+ * @param {Array<string>} planeIds - IDs of the sketch plane
+ * @param {number} scale - Meters per conversion unit
+ * @returns {Object} - Sketch feature model
+ */
+function createSketchModel(sketch, planeIds, scale) {
+  const entities = [];
+  
+  for (const entity of sketch.entities || []) {
+    try {
+      const model = toSketchEntity(entity, scale);
+      
+      if (model) {
+        entities.push(model);
+      } else {
+        log.warn(`Unsupported entity type: ${entity.type}`);
+      }
+    } catch (entityError) {
+      log.warn(`Skipping entity ${entity.id}: ${entityError.message}`);
+    }
+  }
+  
+  // Vertex references such as "path1-s0.end" belong to entity "path1-s0"
+  const entityIds = new Set(entities.map(entity => entity.entityId));
+  const isDrawn = reference => !reference || entityIds.has(reference.split('.')[0]);
+  
+  const constraints = (sketch.constraints || [])
+    .filter(constraint => isDrawn(constraint.first) && isDrawn(constraint.second))
+    .map(constraint => createConstraint(constraint));
+  
+  const sketchModel = createSketch({ name: sketch.name || 'SVG Sketch', entities, constraints });
+  
+  sketchModel.parameters.push({
+    btType: "BTMParameterQueryList-148",
+    queries: [
+      {
+        btType: "BTMIndividualQuery-138",
+        deterministicIds: planeIds
+      }
+    ],
+    parameterId: "sketchPlane"
+  });
+  
+  return sketchModel;
+}
+
+/**
+ * Get the faces to extrude from a sketch: every region, or the regions
+ * FeatureBuilder selected by the entity IDs of their paths
+ * @param {PartStudio} partStudio - Part studio of the sketch
+ * @param {string} sketchId - Feature ID of the sketch
+ * @param {Array<Object>} [regions] - Region selectors `{ path: entityIds }`
+ * @returns {Promise<Query|Array<string>>} - The faces
+ */
+async function getExtrusionFaces(partStudio, sketchId, regions) {
+  if (!regions) {
+    return Q.sketchRegion(sketchId);
+  }
+  
+  const faceIds = [];
+  for (const region of regions) {
+    faceIds.push(...await getFaceIds({ sketch: sketchId, region }, partStudio));
+  }
+  
+  return faceIds;
+}
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -81,6 +198,7 @@ module.exports = function(app, auth) {
         create3D: req.body.create3D !== 'false',
         extrudeDepth: parseFloat(req.body.extrudeDepth) || 10,
         simplifyPaths: req.body.simplifyPaths !== 'false',
+        approximateCurves: req.body.approximateCurves === 'true',
         includeConstructionGeometry: req.body.includeConstructionGeometry !== 'false',
         normalizeOrigin: req.body.normalizeOrigin !== 'false'
       };
@@ -103,6 +221,7 @@ module.exports = function(app, auth) {
       const pathProcessor = new PathProcessor({
         targetUnits: options.units,
         simplifyPaths: options.simplifyPaths,
+        approximateCurves: options.approximateCurves,
         autoClosePaths: true,
         processDashedLines: true
       });
@@ -222,156 +341,37 @@ module.exports = function(app, auth) {
       const { features, options } = svgProcessedData.get(conversionId);
       
       log.info(`Creating features in document=${documentId}, workspace=${workspaceId}, element=${elementId} from conversion ${conversionId}`);
-      log.debug(`Creating ${features.sketches?.length || 0} sketches only (no extrusions)`);
+      log.debug(`Creating ${features.sketches?.length || 0} sketches with their extrusions, patterns and mirrors`);
       
+      const partStudio = new PartStudio({
+        id: elementId,
+        document: { id: documentId, defaultWorkspace: { id: workspaceId } },
+        _api: { endpoints: new FeaturesApi(req.onshapeClient) },
+        _client: req.onshapeClient
+      });
+      const units = getSvgUnits(options.units);
       const createdFeatures = [];
       
-      // Create sketches only - no extrusion
+      // Create each sketch in a single upload, with its entities under their
+      // FeatureBuilder IDs and the constraints inferred between them
       if (features.sketches && features.sketches.length > 0) {
+        const planeIds = await new DefaultPlane(partStudio, DefaultPlaneOrientation.TOP).getTransientIds();
+        
         for (const sketch of features.sketches) {
           try {
-            // Get the sketch plane (default to TOP if not specified)
-            const plane = sketch.plane || 'TOP';
-            
-            // Create the sketch feature with proper format for Onshape API
-            const sketchFeature = {
-              type: 0,
-              typeName: "BTMFeature",
-              message: {
-                featureType: "newSketch",
-                name: sketch.name || 'SVG Sketch',
-                parameters: [
-                  {
-                    type: 0,
-                    typeName: "BTMParameterFeature",
-                    message: {
-                      parameterId: "sketchPlane",
-                      queries: [
-                        {
-                          type: 0,
-                          typeName: "BTMIndividualQuery",
-                          message: {
-                            queryType: 8,
-                            deterministic: true,
-                            featureId: "TOP"
-                          }
-                        }
-                      ]
-                    }
-                  }
-                ]
-              }
-            };
+            const sketchModel = createSketchModel(sketch, planeIds, units.scale);
             
-            log.debug(`Creating sketch with payload: ${JSON.stringify(sketchFeature)}`);
+            log.debug(`Creating sketch ${sketchModel.name} with ${sketchModel.entities.length} entities and ${sketchModel.constraints.length} constraints`);
             
-            // Create the sketch using the Onshape client
-            const sketchResponse = await req.onshapeClient.post(
-              `/partstudios/d/${documentId}/w/${workspaceId}/e/${elementId}/features`,
-              sketchFeature
+            const sketchResponse = await partStudio._api.endpoints.addFeature(
+              documentId,
+              { wvm: 'w', wvmid: workspaceId },
+              elementId,
+              sketchModel
             );
             
             log.debug(`Created sketch: ${sketchResponse.feature.name} (${sketchResponse.feature.featureId})`);
             
-            // Add sketch entities if available
-            if (sketch.entities && sketch.entities.length > 0) {
-              const sketchId = sketchResponse.feature.featureId;
-              
-              // Break entities into smaller chunks to avoid payload size issues
-              const chunkSize = 20;
-              const entityChunks = [];
-              
-              for (let i = 0; i < sketch.entities.length; i += chunkSize) {
-                entityChunks.push(sketch.entities.slice(i, i + chunkSize));
-              }
-              
-              log.debug(`Adding ${sketch.entities.length} entities in ${entityChunks.length} chunks`);
-              
-              // Process each chunk of entities
-              for (let chunkIndex = 0; chunkIndex < entityChunks.length; chunkIndex++) {
-                const chunk = entityChunks[chunkIndex];
-                
-                // Convert entities to Onshape format
-                const mappedEntities = chunk.map(entity => {
-                  switch (entity.type) {
-                    case 'line':
-                      return {
-                        type: 1, // Line
-                        parameters: {
-                          start: [entity.startPoint.x, entity.startPoint.y],
-                          end: [entity.endPoint.x, entity.endPoint.y],
-                          isConstruction: !!entity.isConstruction
-                        }
-                      };
-                    case 'circle':
-                      return {
-                        type: 3, // Circle
-                        parameters: {
-                          center: [entity.center.x, entity.center.y],
-                          radius: entity.radius,
-                          isConstruction: !!entity.isConstruction
-                        }
-                      };
-                    case 'arc':
-                      return {
-                        type: 2, // Arc
-                        parameters: {
-                          start: [entity.startPoint.x, entity.startPoint.y],
-                          mid: [entity.midPoint.x, entity.midPoint.y],
-                          end: [entity.endPoint.x, entity.endPoint.y],
-                          isConstruction: !!entity.isConstruction
-                        }
-                      };
-                    case 'spline':
-                      return {
-                        type: 4, // Spline
-                        parameters: {
-                          controlPoints: entity.controlPoints.map(pt => [pt.x, pt.y]),
-                          isConstruction: !!entity.isConstruction
-                        }
-                      };
-                    default:
-                      log.warn(`Unsupported entity type: ${entity.type}`);
-                      return null;
-                  }
-                }).filter(e => e !== null);
-                
-                if (mappedEntities.length === 0) {
-                  continue;
-                }
-                
-                // Add entities to the sketch
-                log.debug(`Adding chunk ${chunkIndex + 1}/${entityChunks.length} with ${mappedEntities.length} entities`);
-                
-                try {
-                  const entitiesPayload = { entities: mappedEntities };
-                  
-                  const entitiesResponse = await req.onshapeClient.post(
-                    `/partstudios/d/${documentId}/w/${workspaceId}/e/${elementId}/sketches/${sketchId}/entities`,
-                    entitiesPayload
-                  );
-                  
-                  log.debug(`Added ${mappedEntities.length} entities to sketch ${sketchId}`);
-                } catch (entityError) {
-                  log.error(`Error adding entities to sketch: ${entityError.message}`, entityError);
-                  // Continue with other chunks even if one fails
-                }
-              }
-              
-              // Close the sketch
-              try {
-                await req.onshapeClient.post(
-                  `/partstudios/d/${documentId}/w/${workspaceId}/e/${elementId}/sketches/${sketchId}`,
-                  { action: 'close' }
-                );
-                
-                log.debug(`Closed sketch ${sketchId}`);
-              } catch (closeError) {
-                log.error(`Error closing sketch: ${closeError.message}`, closeError);
-                // Continue with other sketches even if closing one fails
-              }
-            }
-            
             createdFeatures.push({
               type: 'sketch',
               id: sketchResponse.feature.featureId,
@@ -384,6 +384,95 @@ module.exports = function(app, auth) {
         }
       }
       
+      // Extrude the sketches of closed paths. Sketches with nested paths
+      // list the regions to extrude, so holes are left out.
+      const extrusions = (features.features3D || []).filter(feature => feature.feature === 'extrude');
+      
+      for (const extrusion of extrusions) {
+        const sketchFeature = createdFeatures.find(feature => 
+          feature.type === 'sketch' && feature.name === extrusion.sketchName
+        );
+        
+        if (!sketchFeature) {
+          log.warn(`Skipping extrude ${extrusion.name}: sketch ${extrusion.sketchName} was not created`);
+          continue;
+        }
+        
+        try {
+          const extrude = await Extrude.create({
+            partStudio,
+            name: extrusion.name,
+            faces: await getExtrusionFaces(partStudio, sketchFeature.id, extrusion.regions),
+            distance: `${extrusion.depth} ${units.abbreviation}`
+          });
+          
+          createdFeatures.push({
+            type: 'extrude',
+            id: extrude.featureId,
+            name: extrusion.name
+          });
+        } catch (extrudeError) {
+          log.error(`Error creating extrude: ${extrudeError.message}`, extrudeError);
+          // Continue with other features even if one fails
+        }
+      }
+      
+      // Create linear patterns and mirrors for #pattern= and #mirror tagged paths
+      const copies = (features.features3D || []).filter(feature => 
+        feature.feature === 'pattern' || feature.feature === 'mirror'
+      );
+      
+      for (const copy of copies) {
+        const sketchFeature = createdFeatures.find(feature => 
+          feature.type === 'sketch' && feature.name === copy.targetName
+        );
+        
+        if (!sketchFeature) {
+          log.warn(`Skipping ${copy.feature} ${copy.name}: sketch ${copy.targetName} was not created`);
+          continue;
+        }
+        
+        // Copy the extrusion of the sketch along with it, so the solids are
+        // copied too; a sketch that was not extruded is copied on its own
+        const extrusion = extrusions.find(feature => feature.sketchName === copy.targetName);
+        const extrudeFeature = extrusion && createdFeatures.find(feature => 
+          feature.type === 'extrude' && feature.name === extrusion.name
+        );
+        const copiedFeatures = extrudeFeature ? [sketchFeature.id, extrudeFeature.id] : [sketchFeature.id];
+        
+        try {
+          const copyFeature = copy.feature === 'pattern'
+            ? await LinearPattern.create({
+              partStudio,
+              name: copy.name,
+              features: copiedFeatures,
+              direction: 'X',
+              distance: copy.xSpacing,
+              count: copy.xCount,
+              secondDirection: copy.yCount > 1 ? {
+                direction: 'Y',
+                distance: copy.ySpacing,
+                count: copy.yCount
+              } : null
+            })
+            : await Mirror.create({
+              partStudio,
+              name: copy.name,
+              features: copiedFeatures,
+              plane: copy.plane
+            });
+          
+          createdFeatures.push({
+            type: copy.feature,
+            id: copyFeature.featureId,
+            name: copy.name
+          });
+        } catch (copyError) {
+          log.error(`Error creating ${copy.feature}: ${copyError.message}`, copyError);
+          // Continue with other features even if one fails
+        }
+      }
+      
       // Clean up the stored data
       svgProcessedData.delete(conversionId);
       
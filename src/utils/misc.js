@@ -3,6 +3,8 @@
  * Miscellaneous utilities for Onshape client
  */
 
+const { ValidationError } = require('./errors');
+
 /**
  * Unit system constants
  */
@@ -191,10 +193,316 @@ const UnitSystem = {
     return meters / 0.0254;
   }
   
+  /**
+   * Pattern of a valid Onshape variable name
+   */
+  const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+  
+  /**
+   * Check whether a string is a valid Onshape variable name
+   * 
+   * @param {string} name The name to check, without the leading '#'
+   * @returns {boolean} True if the name can be used for a variable
+   */
+  function isVariableName(name) {
+    return typeof name === 'string' && VARIABLE_NAME.test(name);
+  }
+  
+  /**
+   * Build the expression that references a variable, e.g. "#wall_thickness"
+   * 
+   * @param {string} name Variable name, with or without the leading '#'
+   * @returns {string} The variable reference
+   */
+  function toVariableReference(name) {
+    const bare = typeof name === 'string' && name.startsWith('#') ? name.slice(1) : name;
+  
+    if (!isVariableName(bare)) {
+      throw new ValidationError(`Invalid variable name: ${name}`);
+    }
+  
+    return `#${bare}`;
+  }
+  
+  /**
+   * Get the names of the variables an expression references
+   * 
+   * @param {string} expression Onshape expression, e.g. "#width / 2 + 1 mm"
+   * @returns {Array<string>} Variable names, without the leading '#'
+   */
+  function getVariableReferences(expression) {
+    return [...expression.matchAll(/#([A-Za-z_][A-Za-z0-9_]*)/g)].map(match => match[1]);
+  }
+  
+  /**
+   * Check that an expression string is non-empty and that every '#' in it
+   * starts a variable reference
+   * 
+   * @param {string} value The expression to check
+   * @param {string} label Name used in the error message
+   */
+  function assertExpression(value, label) {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new ValidationError(`${label} must be a non-empty expression`);
+    }
+  
+    if (/#(?![A-Za-z_])/.test(value)) {
+      throw new ValidationError(`${label} has a '#' that is not followed by a variable name: ${value}`);
+    }
+  }
+  
+  /**
+   * Pattern of a stable feature key, and of a key kept at the end of a feature name
+   */
+  const FEATURE_KEY = /^[A-Za-z0-9_.:-]+$/;
+  const KEYED_NAME = /\s*\[([A-Za-z0-9_.:-]+)\]$/;
+  
+  /**
+   * Check whether a string can be used as a stable feature key
+   * 
+   * @param {string} key The key to check
+   * @returns {boolean} True if the key is valid
+   */
+  function isFeatureKey(key) {
+    return typeof key === 'string' && FEATURE_KEY.test(key);
+  }
+  
+  /**
+   * Get the name a keyed feature is stored under
+   * 
+   * @param {string} name Feature name
+   * @param {string} key Stable key of the feature
+   * @returns {string} The name with the key appended, e.g. "Base Sketch [base]"
+   */
+  function toKeyedName(name, key) {
+    const baseName = (name || '').replace(KEYED_NAME, '');
+    return baseName ? `${baseName} [${key}]` : `[${key}]`;
+  }
+  
+  /**
+   * Get the stable key kept at the end of a feature name
+   * 
+   * @param {string} name Feature name
+   * @returns {string|null} The key, or null if the feature is not keyed
+   */
+  function getFeatureKey(name) {
+    const match = typeof name === 'string' ? name.match(KEYED_NAME) : null;
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Convert a length to an Onshape expression. Strings are used as written
+   * (e.g. "5 mm" or "#width / 2 + 1 mm"); numbers are taken in the client's
+   * unit system.
+   * 
+   * @param {number|string} value The length
+   * @param {string} unitSystem The client unit system
+   * @returns {string} The expression
+   */
+  function toLengthExpression(value, unitSystem) {
+    if (typeof value === 'string') {
+      assertExpression(value, "Length");
+      return value;
+    }
+  
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new ValidationError(`Invalid length value: ${value}`);
+    }
+  
+    return `${value} ${unitSystem === 'inch' ? 'in' : 'm'}`;
+  }
+  
+  /**
+   * Check that a length is a positive number or an expression string
+   * 
+   * @param {number|string} value The length to check
+   * @param {string} label Name used in the error message
+   * @param {boolean} [allowZero=false] Whether zero is allowed
+   */
+  function assertLength(value, label, allowZero = false) {
+    if (typeof value === 'string') {
+      assertExpression(value, label);
+      return;
+    }
+  
+    if (typeof value !== 'number' || !isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+      throw new ValidationError(`${label} must be a ${allowZero ? 'non-negative' : 'positive'} number or an expression`);
+    }
+  }
+  
+  /**
+   * Convert an angle to an Onshape expression. Strings are used as written
+   * (e.g. "#draft_angle"); numbers are taken in degrees.
+   * 
+   * @param {number|string} value The angle
+   * @returns {string} The expression
+   */
+  function toAngleExpression(value) {
+    if (typeof value === 'string') {
+      assertExpression(value, "Angle");
+      return value;
+    }
+  
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new ValidationError(`Invalid angle value: ${value}`);
+    }
+  
+    return `${value} deg`;
+  }
+  
+  /**
+   * Normalize an arc interval so that it runs counter-clockwise with
+   * endAngle in (startAngle, startAngle + 2PI]
+   * 
+   * @param {number} startAngle Start angle in radians
+   * @param {number} endAngle End angle in radians
+   * @returns {Array<number>} [startAngle, endAngle]
+   * @private
+   */
+  function normalizeArcInterval(startAngle, endAngle) {
+    let end = endAngle;
+    while (end <= startAngle) {
+      end += 2 * Math.PI;
+    }
+    while (end - startAngle > 2 * Math.PI) {
+      end -= 2 * Math.PI;
+    }
+    return [startAngle, end];
+  }
+  
+  /**
+   * Build a counter-clockwise arc description between two points on a circle.
+   * When the requested sweep is clockwise the endpoints are swapped, and
+   * `reversed` records that the arc's start vertex is the caller's end point.
+   * 
+   * @param {number} xCenter X coordinate of center
+   * @param {number} yCenter Y coordinate of center
+   * @param {number} radius Arc radius
+   * @param {Array<number>} start [x, y] of the start point
+   * @param {Array<number>} end [x, y] of the end point
+   * @param {boolean} clockwise Whether the sweep from start to end is clockwise
+   * @returns {Object} { xCenter, yCenter, radius, startAngle, endAngle, reversed }
+   * @private
+   */
+  function describeArc(xCenter, yCenter, radius, start, end, clockwise) {
+    const a1 = Math.atan2(start[1] - yCenter, start[0] - xCenter);
+    const a2 = Math.atan2(end[1] - yCenter, end[0] - xCenter);
+    const [startAngle, endAngle] = clockwise
+      ? normalizeArcInterval(a2, a1)
+      : normalizeArcInterval(a1, a2);
+  
+    return { xCenter, yCenter, radius, startAngle, endAngle, reversed: !!clockwise };
+  }
+  
+  /**
+   * Solve an arc given its center, start point and end point
+   * 
+   * @param {Object} options Arc geometry
+   * @param {number} options.xCenter X coordinate of center
+   * @param {number} options.yCenter Y coordinate of center
+   * @param {number} options.x1 X coordinate of start point
+   * @param {number} options.y1 Y coordinate of start point
+   * @param {number} options.x2 X coordinate of end point
+   * @param {number} options.y2 Y coordinate of end point
+   * @param {boolean} [options.clockwise=false] Sweep clockwise from start to end
+   * @returns {Object} { xCenter, yCenter, radius, startAngle, endAngle, reversed }
+   */
+  function solveCenterPointArc({ xCenter, yCenter, x1, y1, x2, y2, clockwise = false }) {
+    const radius = Math.hypot(x1 - xCenter, y1 - yCenter);
+    if (radius === 0) {
+      throw new ValidationError('Arc start point cannot coincide with its center');
+    }
+    if (Math.hypot(x2 - xCenter, y2 - yCenter) === 0) {
+      throw new ValidationError('Arc end point cannot coincide with its center');
+    }
+  
+    return describeArc(xCenter, yCenter, radius, [x1, y1], [x2, y2], clockwise);
+  }
+  
+  /**
+   * Solve the arc passing through three points
+   * 
+   * @param {Object} options Arc geometry
+   * @param {number} options.x1 X coordinate of start point
+   * @param {number} options.y1 Y coordinate of start point
+   * @param {number} options.xMid X coordinate of a point on the arc
+   * @param {number} options.yMid Y coordinate of a point on the arc
+   * @param {number} options.x2 X coordinate of end point
+   * @param {number} options.y2 Y coordinate of end point
+   * @returns {Object} { xCenter, yCenter, radius, startAngle, endAngle, reversed }
+   */
+  function solveThreePointArc({ x1, y1, xMid, yMid, x2, y2 }) {
+    // Twice the signed area of the triangle; zero when the points are collinear
+    const d = 2 * (x1 * (yMid - y2) + xMid * (y2 - y1) + x2 * (y1 - yMid));
+    if (Math.abs(d) < 1e-12) {
+      throw new ValidationError('Cannot create an arc through collinear points');
+    }
+  
+    const s1 = x1 * x1 + y1 * y1;
+    const sm = xMid * xMid + yMid * yMid;
+    const s2 = x2 * x2 + y2 * y2;
+    const xCenter = (s1 * (yMid - y2) + sm * (y2 - y1) + s2 * (y1 - yMid)) / d;
+    const yCenter = (s1 * (x2 - xMid) + sm * (x1 - x2) + s2 * (xMid - x1)) / d;
+    const radius = Math.hypot(x1 - xCenter, y1 - yCenter);
+  
+    // A negative signed area means start -> mid -> end turns clockwise
+    return describeArc(xCenter, yCenter, radius, [x1, y1], [x2, y2], d < 0);
+  }
+  
+  /**
+   * Solve the arc that leaves a start point along a tangent and ends at a point
+   * 
+   * @param {Object} options Arc geometry
+   * @param {number} options.x1 X coordinate of start point
+   * @param {number} options.y1 Y coordinate of start point
+   * @param {number} options.xDir X component of the tangent direction at the start
+   * @param {number} options.yDir Y component of the tangent direction at the start
+   * @param {number} options.x2 X coordinate of end point
+   * @param {number} options.y2 Y coordinate of end point
+   * @returns {Object} { xCenter, yCenter, radius, startAngle, endAngle, reversed }
+   */
+  function solveTangentArc({ x1, y1, xDir, yDir, x2, y2 }) {
+    const dirLength = Math.hypot(xDir, yDir);
+    if (dirLength === 0) {
+      throw new ValidationError('Tangent direction cannot be a zero vector');
+    }
+  
+    // Left-hand normal of the tangent; the center lies on this line
+    const nx = -yDir / dirLength;
+    const ny = xDir / dirLength;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const projection = dx * nx + dy * ny;
+  
+    if (Math.abs(projection) < 1e-12) {
+      throw new ValidationError('End point lies on the tangent line; use a line instead of a tangent arc');
+    }
+  
+    // Signed radius: positive turns left (counter-clockwise), negative turns right
+    const signedRadius = (dx * dx + dy * dy) / (2 * projection);
+    const xCenter = x1 + nx * signedRadius;
+    const yCenter = y1 + ny * signedRadius;
+  
+    return describeArc(xCenter, yCenter, Math.abs(signedRadius), [x1, y1], [x2, y2], signedRadius < 0);
+  }
+  
   module.exports = {
     UnitSystem,
     Point2D,
     findByNameOrId,
     inchesToMeters,
-    metersToInches
+    metersToInches,
+    isVariableName,
+    toVariableReference,
+    getVariableReferences,
+    assertExpression,
+    isFeatureKey,
+    toKeyedName,
+    getFeatureKey,
+    toLengthExpression,
+    toAngleExpression,
+    assertLength,
+    solveCenterPointArc,
+    solveThreePointArc,
+    solveTangentArc
   };
\ No newline at end of file
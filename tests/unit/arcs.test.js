@@ -0,0 +1,164 @@
+const { solveCenterPointArc, solveThreePointArc, solveTangentArc } = require('../../src/utils/misc');
+const { createCenterPointArc, createThreePointArc } = require('../../src/api/schema');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Get a point of a solved arc at an angle
+ */
+function pointAt(arc, angle) {
+  return [arc.xCenter + arc.radius * Math.cos(angle), arc.yCenter + arc.radius * Math.sin(angle)];
+}
+
+/**
+ * Get the start and end points of a solved arc in drawing order
+ */
+function endpointsOf(arc) {
+  const start = pointAt(arc, arc.startAngle);
+  const end = pointAt(arc, arc.endAngle);
+  return arc.reversed ? [end, start] : [start, end];
+}
+
+/**
+ * Expect two points to be the same
+ */
+function expectPoint([x, y], [xExpected, yExpected]) {
+  expect(x).toBeCloseTo(xExpected);
+  expect(y).toBeCloseTo(yExpected);
+}
+
+describe('Arc solvers', () => {
+  describe('solveCenterPointArc', () => {
+    it('should sweep counter-clockwise from start to end', () => {
+      const arc = solveCenterPointArc({ xCenter: 0, yCenter: 0, x1: 1, y1: 0, x2: 0, y2: 1 });
+
+      expect(arc.radius).toBeCloseTo(1);
+      expect(arc.startAngle).toBeCloseTo(0);
+      expect(arc.endAngle).toBeCloseTo(Math.PI / 2);
+      expect(arc.reversed).toBe(false);
+    });
+
+    it('should store a clockwise arc counter-clockwise and mark it reversed', () => {
+      const arc = solveCenterPointArc({ xCenter: 0, yCenter: 0, x1: 1, y1: 0, x2: 0, y2: 1, clockwise: true });
+
+      // Three quarters of a turn, from the end point round to the start point
+      expect(arc.endAngle - arc.startAngle).toBeCloseTo(3 * Math.PI / 2);
+      expect(arc.reversed).toBe(true);
+      const [start, end] = endpointsOf(arc);
+      expectPoint(start, [1, 0]);
+      expectPoint(end, [0, 1]);
+    });
+
+    it('should take the radius from the start point', () => {
+      const arc = solveCenterPointArc({ xCenter: 1, yCenter: 1, x1: 3, y1: 1, x2: 1, y2: 5 });
+
+      expect(arc.radius).toBeCloseTo(2);
+      expectPoint(pointAt(arc, arc.endAngle), [1, 3]);
+    });
+
+    it('should keep end angles within one turn after the start angle', () => {
+      const arc = solveCenterPointArc({ xCenter: 0, yCenter: 0, x1: 0, y1: -1, x2: 1, y2: 0 });
+
+      expect(arc.endAngle).toBeGreaterThan(arc.startAngle);
+      expect(arc.endAngle - arc.startAngle).toBeLessThanOrEqual(2 * Math.PI);
+      expect(arc.endAngle - arc.startAngle).toBeCloseTo(Math.PI / 2);
+    });
+
+    it('should reject points at the center', () => {
+      expect(() => solveCenterPointArc({ xCenter: 0, yCenter: 0, x1: 0, y1: 0, x2: 1, y2: 0 }))
+        .toThrow(ValidationError);
+      expect(() => solveCenterPointArc({ xCenter: 0, yCenter: 0, x1: 0, y1: 0, x2: 1, y2: 0 }))
+        .toThrow('start point cannot coincide');
+      expect(() => solveCenterPointArc({ xCenter: 0, yCenter: 0, x1: 1, y1: 0, x2: 0, y2: 0 }))
+        .toThrow('end point cannot coincide');
+    });
+  });
+
+  describe('solveThreePointArc', () => {
+    it('should find the circle through three points', () => {
+      const arc = solveThreePointArc({ x1: 2, y1: 1, xMid: 1, yMid: 2, x2: 0, y2: 1 });
+
+      expect(arc.xCenter).toBeCloseTo(1);
+      expect(arc.yCenter).toBeCloseTo(1);
+      expect(arc.radius).toBeCloseTo(1);
+      expect(arc.reversed).toBe(false);
+      expect(arc.endAngle - arc.startAngle).toBeCloseTo(Math.PI);
+    });
+
+    it('should pass through the middle point when it turns clockwise', () => {
+      const arc = solveThreePointArc({ x1: 0, y1: 1, xMid: 1, yMid: 2, x2: 2, y2: 1 });
+
+      expect(arc.reversed).toBe(true);
+      const [start, end] = endpointsOf(arc);
+      expectPoint(start, [0, 1]);
+      expectPoint(end, [2, 1]);
+      expectPoint(pointAt(arc, (arc.startAngle + arc.endAngle) / 2), [1, 2]);
+    });
+
+    it('should reject collinear points', () => {
+      expect(() => solveThreePointArc({ x1: 0, y1: 0, xMid: 1, yMid: 1, x2: 2, y2: 2 }))
+        .toThrow(ValidationError);
+      expect(() => solveThreePointArc({ x1: 0, y1: 0, xMid: 1, yMid: 1, x2: 2, y2: 2 }))
+        .toThrow('collinear');
+    });
+  });
+
+  describe('solveTangentArc', () => {
+    it('should turn left when the end point is left of the tangent', () => {
+      const arc = solveTangentArc({ x1: 0, y1: 0, xDir: 1, yDir: 0, x2: 1, y2: 1 });
+
+      expect(arc.xCenter).toBeCloseTo(0);
+      expect(arc.yCenter).toBeCloseTo(1);
+      expect(arc.radius).toBeCloseTo(1);
+      expect(arc.reversed).toBe(false);
+    });
+
+    it('should turn right when the end point is right of the tangent', () => {
+      const arc = solveTangentArc({ x1: 0, y1: 0, xDir: 2, yDir: 0, x2: 1, y2: -1 });
+
+      expect(arc.xCenter).toBeCloseTo(0);
+      expect(arc.yCenter).toBeCloseTo(-1);
+      expect(arc.reversed).toBe(true);
+      const [start, end] = endpointsOf(arc);
+      expectPoint(start, [0, 0]);
+      expectPoint(end, [1, -1]);
+    });
+
+    it('should leave the start point along the tangent', () => {
+      const arc = solveTangentArc({ x1: 1, y1: 1, xDir: 1, yDir: 1, x2: 1, y2: 4 });
+
+      // The radius at the start point is perpendicular to the tangent
+      const [x, y] = [1 - arc.xCenter, 1 - arc.yCenter];
+      expect(x * 1 + y * 1).toBeCloseTo(0);
+      expect(Math.hypot(1 - arc.xCenter, 4 - arc.yCenter)).toBeCloseTo(arc.radius);
+    });
+
+    it('should reject end points on the tangent line and zero tangents', () => {
+      expect(() => solveTangentArc({ x1: 0, y1: 0, xDir: 1, yDir: 0, x2: 3, y2: 0 }))
+        .toThrow(ValidationError);
+      expect(() => solveTangentArc({ x1: 0, y1: 0, xDir: 1, yDir: 0, x2: 3, y2: 0 }))
+        .toThrow('lies on the tangent line');
+      expect(() => solveTangentArc({ x1: 0, y1: 0, xDir: 0, yDir: 0, x2: 1, y2: 1 }))
+        .toThrow('zero vector');
+    });
+  });
+
+  describe('arc entities', () => {
+    it('should build a counter-clockwise arc segment from the solved geometry', () => {
+      const arc = createThreePointArc({ entityId: 'arc', x1: 0, y1: 1, xMid: 1, yMid: 2, x2: 2, y2: 1 });
+
+      expect(arc.btType).toBe('BTMSketchCurveSegment-155');
+      expect(arc.startPointId).toBe('arc.start');
+      expect(arc.centerId).toBe('arc.center');
+      expect(arc.geometry.clockwise).toBe(false);
+      expect(arc.geometry.xCenter).toBeCloseTo(1);
+      expect(arc.geometry.yCenter).toBeCloseTo(1);
+      expect(arc.endParam).toBeGreaterThan(arc.startParam);
+    });
+
+    it('should give center point arcs the start point radius', () => {
+      const arc = createCenterPointArc({ xCenter: 0, yCenter: 0, x1: 0.5, y1: 0, x2: 0, y2: 2 });
+
+      expect(arc.geometry.radius).toBeCloseTo(0.5);
+    });
+  });
+});
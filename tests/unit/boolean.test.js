@@ -0,0 +1,81 @@
+const Boolean = require('../../src/features/boolean');
+const { BooleanOperation } = require('../../src/features/boolean');
+const { Part } = require('../../src/entities/parts');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Boolean', () => {
+  let partStudio;
+  let surviving;
+
+  beforeEach(() => {
+    surviving = ['JHD'];
+    partStudio = createPartStudio({ evaluate: () => surviving });
+  });
+
+  describe('validation', () => {
+    it('should require a known operation and tools', () => {
+      expect(() => new Boolean({ partStudio, operation: 'MERGE', tools: ['JHD'] }))
+        .toThrow('Invalid boolean operation: MERGE');
+      expect(() => new Boolean({ partStudio, operation: BooleanOperation.UNION }))
+        .toThrow('Tools are required for a boolean');
+    });
+
+    it('should only take targets and kept tools when subtracting', () => {
+      expect(() => new Boolean({ partStudio, operation: BooleanOperation.SUBTRACT, tools: ['JHK'] }))
+        .toThrow('Targets are required to subtract');
+      expect(() => new Boolean({ partStudio, operation: BooleanOperation.UNION, tools: ['JHD', 'JHK'], targets: ['JHG'] }))
+        .toThrow(ValidationError);
+      expect(() => new Boolean({ partStudio, operation: BooleanOperation.INTERSECT, tools: ['JHD', 'JHK'], keepTools: true }))
+        .toThrow('Tools can only be kept when subtracting');
+    });
+  });
+
+  describe('create', () => {
+    it('should union the tools and keep the surviving parts by name', async () => {
+      const base = new Part(partStudio, { partId: 'JHD', name: 'Base' });
+      const boss = new Part(partStudio, { partId: 'JHK', name: 'Boss' });
+
+      const union = await Boolean.create({ partStudio, operation: BooleanOperation.UNION, tools: [base, boss] });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('booleanBodies');
+      expect(parameterOf(feature, 'operationType').value).toBe('UNION');
+      expect(parameterOf(feature, 'tools').queries.flatMap(query => query.deterministicIds)).toEqual(['JHD', 'JHK']);
+      expect(parameterOf(feature, 'targets')).toBeUndefined();
+
+      expect(union.getSurvivingParts().parts).toEqual([base]);
+      expect(union.getSurvivingParts().parts[0].name).toBe('Base');
+    });
+
+    it('should subtract tools from targets', async () => {
+      surviving = ['JHD', 'JHM'];
+
+      const subtraction = await Boolean.create({
+        partStudio,
+        operation: BooleanOperation.SUBTRACT,
+        tools: 'JHK',
+        targets: 'JHD',
+        keepTools: true
+      });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'operationType').value).toBe('SUBTRACTION');
+      expect(parameterOf(feature, 'targets').queries[0].deterministicIds).toEqual(['JHD']);
+      expect(parameterOf(feature, 'keepTools').value).toBe(true);
+      expect(subtraction.getSurvivingParts().getIds()).toEqual(['JHD', 'JHM']);
+    });
+
+    it('should need two tools to union or intersect', async () => {
+      await expect(Boolean.create({ partStudio, operation: BooleanOperation.INTERSECT, tools: 'JHD' }))
+        .rejects.toThrow(FeatureError);
+      expect(partStudio.uploaded).toHaveLength(0);
+    });
+
+    it('should have no surviving parts before it is uploaded', () => {
+      const union = new Boolean({ partStudio, operation: BooleanOperation.UNION, tools: ['JHD', 'JHK'] });
+
+      expect(() => union.getSurvivingParts()).toThrow('Boolean has not been uploaded yet');
+    });
+  });
+});
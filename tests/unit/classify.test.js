@@ -0,0 +1,128 @@
+const { Q, Entity, EntityType } = require('../../src/entities/query');
+const { Quantity } = require('../../src/api/featurescript');
+const Sketch = require('../../src/features/sketch');
+const Feature = require('../../src/models/feature');
+const { FeatureError } = require('../../src/utils/errors');
+const { createPartStudio } = require('./helpers');
+
+const meters = value => new Quantity(value, { METER: 1 });
+const squareMeters = value => new Quantity(value, { METER: 2 });
+
+// What the classification script returns for a sketch with a ring around a disc
+const SKETCH_ENTITIES = [
+  { id: 'JHC', type: 'FACE', geometry: 'PLANE', size: squareMeters(0.0005), centroid: meters([0, 0, 0]) },
+  { id: 'JHG', type: 'FACE', geometry: 'PLANE', size: squareMeters(0.0001), centroid: meters([0, 0, 0]) },
+  { id: 'JKB', type: 'EDGE', geometry: 'CIRCLE', size: meters(0.0628), centroid: meters([0, 0, 0]) },
+  { id: 'JKV', type: 'VERTEX', centroid: meters([0.01, 0, 0]) },
+  { id: 'JHD', type: 'BODY', geometry: 'SHEET', centroid: meters([0, 0, 0]) }
+];
+
+describe('Entity classification', () => {
+  let partStudio;
+  let classified;
+
+  beforeEach(() => {
+    classified = SKETCH_ENTITIES;
+    partStudio = createPartStudio({ evaluate: () => classified });
+  });
+
+  describe('Query.classify', () => {
+    it('should classify every entity in one evaluation', async () => {
+      const entities = await Q.createdBy('F1').classify(partStudio);
+
+      expect(partStudio.endpoints.evalFeaturescript).toHaveBeenCalledTimes(1);
+      expect(entities.map(entity => [entity.transientId, entity.type, entity.geometry])).toEqual([
+        ['JHC', 'FACE', 'PLANE'],
+        ['JHG', 'FACE', 'PLANE'],
+        ['JKB', 'EDGE', 'CIRCLE'],
+        ['JKV', 'VERTEX', null],
+        ['JHD', 'BODY', 'SHEET']
+      ]);
+    });
+
+    it('should expose area, length and centroid by entity type', async () => {
+      const [face, , edge, vertex, body] = await Q.createdBy('F1').classify(partStudio);
+
+      expect(face.area.to('mm')).toBeCloseTo(500);
+      expect(face.length).toBeNull();
+      expect(edge.length.to('mm')).toBeCloseTo(62.8);
+      expect(vertex.centroid.to('mm')).toEqual([10, 0, 0]);
+      expect(vertex.area).toBeNull();
+      expect(body.volume).toBeNull();
+    });
+
+    it('should measure each kind of entity in the script', () => {
+      const script = Q.createdBy('F1').toClassificationScript();
+
+      expect(script).toContain('evaluateQuery(context, qCreatedBy(makeId("F1")))');
+      expect(script).toContain('evVertexPoint');
+      expect(script).toContain('qGeometry(entity, value)');
+      expect(script).toContain('evArea(context');
+      expect(script).toContain('evLength(context');
+      expect(script).toContain('evVolume(context');
+      expect(Q.createdBy('F1', EntityType.FACE).toClassificationScript()).toContain('var type = "FACE";');
+    });
+
+    it('should wrap evaluation errors', async () => {
+      partStudio.endpoints.evalFeaturescript.mockRejectedValueOnce(new Error('Bad script'));
+
+      await expect(Q.createdBy('F1').classify(partStudio)).rejects.toThrow('Failed to classify query');
+    });
+  });
+
+  describe('Entity.group', () => {
+    it('should group entities by type', () => {
+      const face = new Entity('JHC', EntityType.FACE);
+      const edge = new Entity('JKB', EntityType.EDGE);
+
+      expect(Entity.group([face, edge])).toEqual({ faces: [face], edges: [edge], vertices: [], bodies: [] });
+      expect(face.toIndividualQuery()).toEqual({ btType: 'BTMIndividualQuery-138', deterministicIds: ['JHC'] });
+    });
+  });
+
+  describe('Sketch.getEntities', () => {
+    it('should return the classified regions, edges, vertices and bodies of the sketch', async () => {
+      const sketch = await Sketch.create({ partStudio, plane: { transientId: 'JDC' } });
+
+      const entities = await sketch.getEntities();
+
+      expect(entities.faceIds).toEqual(['JHC', 'JHG']);
+      expect(entities.faces.map(face => face.area.to('mm'))).toEqual([expect.closeTo(500), expect.closeTo(100)]);
+      expect(entities.edges).toHaveLength(1);
+      expect(entities.vertices).toHaveLength(1);
+      expect(entities.bodies).toHaveLength(1);
+      expect(partStudio.endpoints.evalFeaturescript.mock.calls[0][3]).toContain('qCreatedBy(makeId("F1"))');
+    });
+
+    it('should need an uploaded sketch', async () => {
+      await expect(new Sketch({ partStudio, plane: { transientId: 'JDC' } }).getEntities())
+        .rejects.toThrow('Sketch has no feature ID - did you call create()?');
+    });
+
+    it('should wrap classification errors', async () => {
+      const sketch = await Sketch.create({ partStudio, plane: { transientId: 'JDC' } });
+      partStudio.endpoints.evalFeaturescript.mockRejectedValueOnce(new Error('Bad script'));
+
+      await expect(sketch.getEntities()).rejects.toThrow(FeatureError);
+    });
+  });
+
+  describe('Feature.getEntities', () => {
+    it('should classify the entities a feature model created', async () => {
+      const client = { features: partStudio.endpoints };
+      const feature = new Feature({ featureId: 'FE1', name: 'Boss', featureType: 'extrude' }, 'D', 'W', 'E', client);
+
+      const { faces, bodies } = await feature.getEntities();
+
+      expect(faces.map(face => face.transientId)).toEqual(['JHC', 'JHG']);
+      expect(bodies[0].geometry).toBe('SHEET');
+      const [documentId, wvm, elementId, script] = partStudio.endpoints.evalFeaturescript.mock.calls[0];
+      expect([documentId, wvm, elementId]).toEqual(['D', { wvm: 'w', wvmid: 'W' }, 'E']);
+      expect(script).toContain('makeId("FE1")');
+    });
+
+    it('should need a client', async () => {
+      await expect(new Feature({ featureId: 'FE1' }, 'D', 'W', 'E').getEntities()).rejects.toThrow('Client not available');
+    });
+  });
+});
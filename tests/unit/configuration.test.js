@@ -0,0 +1,205 @@
+const Configuration = require('../../src/features/configuration');
+const { ConfigurationQuantityType, parseDesignTable } = require('../../src/features/configuration');
+const { Part } = require('../../src/entities/parts');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Configuration', () => {
+  let partStudio;
+  let stored;
+  let features;
+  let configuration;
+
+  beforeEach(() => {
+    stored = {};
+    features = [{
+      featureId: 'F9',
+      featureType: 'extrude',
+      name: 'Boss',
+      parameters: [
+        { btType: 'BTMParameterQuantity-147', parameterId: 'depth', expression: '1 in' },
+        { btType: 'BTMParameterBoolean-144', parameterId: 'oppositeDirection', value: false }
+      ]
+    }];
+
+    partStudio = createPartStudio();
+    partStudio._client = {
+      unitSystem: 'inch',
+      get: jest.fn(async () => stored),
+      post: jest.fn(async (path, body) => {
+        if (path.endsWith('/configurationencodings')) {
+          return { encodedId: body.parameters.map(({ parameterId, parameterValue }) => `${parameterId}=${parameterValue}`).join(';') };
+        }
+        stored = body;
+        return body;
+      })
+    };
+    partStudio._api.endpoints.getFeatures = jest.fn(async () => ({ features }));
+    configuration = new Configuration(partStudio);
+  });
+
+  describe('inputs', () => {
+    it('should add list, checkbox and quantity inputs', async () => {
+      await configuration.addListInput({ id: 'Size', options: ['10 mm', '12 mm'], defaultOption: '12 mm' });
+      await configuration.addBooleanInput({ id: 'Holes', defaultValue: true });
+      const length = await configuration.addQuantityInput({ id: 'length', max: 10, defaultValue: 2 });
+
+      expect(partStudio._client.post.mock.calls[0][0]).toBe('/elements/d/D/w/W/e/E/configuration');
+      expect(length).toEqual({
+        id: 'length', name: 'length', type: 'QUANTITY', quantityType: 'LENGTH', units: 'inch', min: 0, max: 10, defaultValue: 2
+      });
+
+      const [size, holes] = await configuration.getInputs();
+      expect(size.options).toEqual([{ id: '_10_mm', name: '10 mm' }, { id: '_12_mm', name: '12 mm' }]);
+      expect(size.defaultValue).toBe('_12_mm');
+      expect(holes).toEqual({ id: 'Holes', name: 'Holes', type: 'BOOLEAN', defaultValue: true });
+      expect(stored.currentConfiguration.map(value => value.parameterId)).toEqual(['Size', 'Holes', 'length']);
+    });
+
+    it('should replace and remove inputs by ID', async () => {
+      await configuration.addBooleanInput({ id: 'Holes' });
+      await configuration.addBooleanInput({ id: 'Holes', name: 'Mounting holes' });
+      expect(await configuration.getInputs()).toEqual([
+        { id: 'Holes', name: 'Mounting holes', type: 'BOOLEAN', defaultValue: false }
+      ]);
+
+      await configuration.removeInput('Holes');
+      expect(stored.configurationParameters).toEqual([]);
+      await expect(configuration.removeInput('Holes')).rejects.toThrow('Unknown configuration input: Holes');
+    });
+
+    it('should validate the input definitions', async () => {
+      await expect(configuration.addBooleanInput({ id: 'two words' })).rejects.toThrow('Invalid configuration input ID: two words');
+      await expect(configuration.addListInput({ id: 'Size', options: [] })).rejects.toThrow('A list input needs at least one option');
+      await expect(configuration.addListInput({ id: 'Size', options: ['A', 'A'] })).rejects.toThrow("List input 'Size' has duplicate options");
+      await expect(configuration.addListInput({ id: 'Size', options: ['A'], defaultOption: 'B' }))
+        .rejects.toThrow("Default option 'B' is not an option of 'Size'");
+      await expect(configuration.addQuantityInput({ id: 'n', quantityType: 'MASS', max: 1, defaultValue: 0 }))
+        .rejects.toThrow('Invalid quantity type: MASS');
+      await expect(configuration.addQuantityInput({ id: 'n', max: 1, defaultValue: 2 }))
+        .rejects.toThrow("Default value of 'n' must be between its min and max");
+      await expect(configuration.addQuantityInput({ id: 'n', quantityType: ConfigurationQuantityType.INTEGER, max: 1.5, defaultValue: 1 }))
+        .rejects.toThrow(ValidationError);
+      expect(partStudio._client.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bindParameter', () => {
+    it('should configure a parameter per list option', async () => {
+      await configuration.addListInput({ id: 'Size', options: ['Small', 'Large'] });
+      await configuration.bindParameter({ feature: { featureId: 'F9' }, parameterId: 'depth', input: 'Size', values: { Large: 2 } });
+
+      const [, , , featureId, { feature }] = partStudio.endpoints.updateFeature.mock.calls[0];
+      const depth = parameterOf(feature, 'depth');
+      expect(featureId).toBe('F9');
+      expect(depth.btType).toBe('BTMParameterConfigured-2222');
+      expect(depth.configurationParameterId).toBe('Size');
+      expect(depth.values.map(value => [value.enumValue, value.value.expression])).toEqual([['Small', '1 in'], ['Large', '2 in']]);
+    });
+
+    it('should make a parameter follow a quantity input', async () => {
+      await configuration.addQuantityInput({ id: 'length', max: 10, defaultValue: 2 });
+      await configuration.bindParameter({ feature: 'F9', parameterId: 'depth', input: 'length' });
+
+      const { feature } = partStudio.endpoints.updateFeature.mock.calls[0][4];
+      expect(parameterOf(feature, 'depth').expression).toBe('#length');
+      await expect(configuration.bindParameter({ feature: 'F9', parameterId: 'oppositeDirection', input: 'length' }))
+        .rejects.toThrow("Only quantity parameters can follow quantity input 'length'");
+    });
+
+    it('should check the feature, parameter and values', async () => {
+      await configuration.addBooleanInput({ id: 'Holes' });
+
+      await expect(configuration.bindParameter({ feature: {}, parameterId: 'depth', input: 'Holes' }))
+        .rejects.toThrow('Features must be uploaded before their parameters can be configured');
+      await expect(configuration.bindParameter({ feature: 'F8', parameterId: 'depth', input: 'Holes' }))
+        .rejects.toThrow('Feature F8 is not in the part studio');
+      await expect(configuration.bindParameter({ feature: 'F9', parameterId: 'radius', input: 'Holes' }))
+        .rejects.toThrow("Feature 'Boss' has no parameter 'radius'");
+      await expect(configuration.bindParameter({ feature: 'F9', parameterId: 'depth', input: 'Holes', values: { maybe: 1 } }))
+        .rejects.toThrow("Unknown values for 'Holes': maybe");
+      await expect(configuration.bindParameter({ feature: 'F9', parameterId: 'depth', input: 'Size' }))
+        .rejects.toThrow('Unknown configuration input: Size');
+    });
+
+    it('should wrap update errors', async () => {
+      await configuration.addBooleanInput({ id: 'Holes' });
+      partStudio.endpoints.updateFeature.mockRejectedValueOnce(new Error('Bad request'));
+
+      await expect(configuration.bindParameter({ feature: 'F9', parameterId: 'depth', input: 'Holes' }))
+        .rejects.toThrow(FeatureError);
+    });
+  });
+
+  describe('design tables', () => {
+    it('should parse CSV with quoted cells and numbers, and JSON', () => {
+      expect(parseDesignTable('name,width,label\nM6,6,"a, b"\n')).toEqual([{ name: 'M6', width: 6, label: 'a, b' }]);
+      expect(parseDesignTable('[{"name":"M6","width":6}]')).toEqual([{ name: 'M6', width: 6 }]);
+      expect(() => parseDesignTable('name\n"M6')).toThrow('Design table has an unterminated quoted cell');
+      expect(() => parseDesignTable('[oops')).toThrow(ValidationError);
+      expect(() => parseDesignTable(42)).toThrow('A design table must be CSV, JSON or an array of rows');
+    });
+
+    it('should build a list input and one configured variable per column', async () => {
+      const result = await configuration.importDesignTable('name,width,angle\nM6,6 mm,30\nM8,8 mm,45', {
+        input: 'Size',
+        types: { angle: 'ANGLE' }
+      });
+
+      expect(result).toEqual({ input: 'Size', options: ['M6', 'M8'], variables: { width: '#width', angle: '#angle' } });
+
+      const [width, angle] = partStudio.uploaded;
+      expect(parameterOf(width, 'name').value).toBe('width');
+      const widths = parameterOf(width, 'lengthValue');
+      expect(widths.configurationParameterId).toBe('Size');
+      expect(widths.values.map(value => [value.enumValue, value.value.expression])).toEqual([['M6', '6 mm'], ['M8', '8 mm']]);
+      expect(parameterOf(angle, 'angleValue').values.map(value => value.value.expression)).toEqual(['30 deg', '45 deg']);
+    });
+
+    it('should update the variables of an earlier import and read the table back', async () => {
+      const table = [{ name: 'M6', width: 6 }, { name: 'M8', width: 8 }];
+      await configuration.importDesignTable(table);
+      features.push({ ...partStudio.uploaded[0], featureId: 'FV1' });
+
+      await configuration.importDesignTable(table);
+
+      expect(partStudio.uploaded).toHaveLength(1);
+      expect(partStudio.endpoints.updateFeature.mock.calls[0][3]).toBe('FV1');
+      await expect(configuration.getTable()).resolves.toEqual([{ name: 'M6', width: '6 in' }, { name: 'M8', width: '8 in' }]);
+    });
+
+    it('should reject bad tables before uploading anything', async () => {
+      await expect(configuration.importDesignTable([])).rejects.toThrow('A design table needs at least one row');
+      await expect(configuration.importDesignTable([{ width: 6 }])).rejects.toThrow("Design table row 1 has no 'name'");
+      await expect(configuration.importDesignTable([{ name: 'M6', 'bolt width': 6 }]))
+        .rejects.toThrow("Design table column 'bolt width' is not a valid variable name");
+      await expect(configuration.importDesignTable([{ name: 'M6', width: 6 }], { types: { width: 'MASS' } }))
+        .rejects.toThrow("Invalid variable type for column 'width': MASS");
+      await expect(configuration.importDesignTable([{ name: 'M6', width: 6 }, { name: 'M8' }]))
+        .rejects.toThrow("Design table row 2 has no value for 'width'");
+      expect(partStudio._client.post).not.toHaveBeenCalled();
+      expect(partStudio.uploaded).toHaveLength(0);
+    });
+  });
+
+  describe('encode', () => {
+    it('should encode option names, checkboxes and quantities for part lookups', async () => {
+      await configuration.addListInput({ id: 'Size', options: ['10 mm', '12 mm'] });
+      await configuration.addBooleanInput({ id: 'Holes' });
+      await configuration.addQuantityInput({ id: 'length', max: 10, defaultValue: 2 });
+
+      const encoded = await configuration.encode({ Size: '12 mm', Holes: 1, length: 3 });
+
+      expect(partStudio._client.post).toHaveBeenLastCalledWith('/elements/d/D/e/E/configurationencodings', {
+        parameters: [
+          { parameterId: 'Size', parameterValue: '_12_mm' },
+          { parameterId: 'Holes', parameterValue: 'true' },
+          { parameterId: 'length', parameterValue: '3 in' }
+        ]
+      });
+      expect(new Part(partStudio, { partId: 'JHD' }).inConfiguration(encoded).configuration)
+        .toBe('Size=_12_mm;Holes=true;length=3 in');
+      await expect(configuration.encode({ Size: '14 mm' })).rejects.toThrow("'14 mm' is not an option of 'Size'");
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const PartStudio = require('../../src/features/partStudio');
+const FeaturesApi = require('../../src/api/endpoints/features');
+const Sketch = require('../../src/features/sketch');
+const Extrude = require('../../src/features/extrude');
+const ModelBuilder = require('../../src/features/modelBuilder');
+const { OffsetPlane } = require('../../src/features/planes');
+const { ValidationError } = require('../../src/utils/errors');
+const { createOnshapeClient, parameterOf } = require('./helpers');
+
+describe('Ensure mode', () => {
+  let client;
+  let partStudio;
+
+  beforeEach(() => {
+    client = createOnshapeClient({
+      features: [
+        { featureId: 'FM1', featureType: 'newSketch', name: 'Manual Sketch', parameters: [] },
+        { featureId: 'FO1', featureType: 'fillet', name: 'Old Fillet [stale]', parameters: [] }
+      ],
+      evaluate: script => script.includes('"Top"') ? ['JDC'] : ['JHC']
+    });
+    partStudio = new PartStudio({
+      id: 'E',
+      document: { id: 'D', defaultWorkspace: { id: 'W' } },
+      _api: { endpoints: new FeaturesApi(client) },
+      _client: client
+    });
+  });
+
+  const names = () => client.tree.features.map(feature => feature.name);
+
+  /**
+   * Build an offset plane, a sketch on it and an extrude of the sketch, all keyed
+   */
+  const build = ({ offset = 1, depth = 1 } = {}) => async () => {
+    const plane = await OffsetPlane.create({ partStudio, ownerPlane: 'Top', distance: offset, key: 'deck' });
+    const sketch = await Sketch.create({ partStudio, plane, name: 'Base Sketch', key: 'base' });
+    await sketch.addCircle([0, 0], 0.01);
+    await Extrude.create({ partStudio, faces: ['JHC'], distance: depth, key: 'boss' });
+    return sketch;
+  };
+
+  it('should create keyed features and remove keyed features the run did not touch', async () => {
+    const sketch = await partStudio.ensure(build());
+
+    expect(names()).toEqual(['Manual Sketch', 'Offset Plane [deck]', 'Base Sketch [base]', 'Extrusion [boss]']);
+    expect(sketch.featureId).toBe('F2');
+    expect(client.delete).toHaveBeenCalledWith('/partstudios/d/D/w/W/e/E/features/featureid/FO1');
+  });
+
+  it('should update keyed features in place when run again', async () => {
+    await partStudio.ensure(build());
+    const ids = client.tree.features.map(feature => feature.featureId);
+
+    const sketch = await partStudio.ensure(build({ offset: 2, depth: 3 }));
+
+    expect(client.tree.features.map(feature => feature.featureId)).toEqual(ids);
+    expect(names()).toEqual(['Manual Sketch', 'Offset Plane [deck]', 'Base Sketch [base]', 'Extrusion [boss]']);
+    const [, plane, sketchFeature, extrude] = client.tree.features;
+    expect(parameterOf(plane, 'offset').expression).toBe('2 in');
+    expect(sketchFeature.entities).toHaveLength(1);
+    expect(parameterOf(extrude, 'depth').expression).toBe('3 in');
+    expect(sketch.featureId).toBe('F2');
+  });
+
+  it('should replace a keyed feature whose type changed', async () => {
+    await partStudio.ensure(async () => {
+      await Extrude.create({ partStudio, faces: ['JHC'], distance: 1, key: 'stale' });
+    });
+
+    expect(names()).toEqual(['Manual Sketch', 'Extrusion [stale]']);
+    expect(client.tree.features[1].featureType).toBe('extrude');
+  });
+
+  it('should keep orphans when building fails or when asked to', async () => {
+    await expect(partStudio.ensure(async () => {
+      await Extrude.create({ partStudio, faces: ['JHC'], distance: 1, key: 'boss' });
+      throw new Error('Bad sketch');
+    })).rejects.toThrow('Bad sketch');
+    expect(names()).toContain('Old Fillet [stale]');
+
+    await partStudio.ensure(async () => {}, { removeOrphans: false });
+    expect(names()).toEqual(['Manual Sketch', 'Old Fillet [stale]', 'Extrusion [boss]']);
+  });
+
+  it('should reject bad keys, repeated keys and nested runs', async () => {
+    await expect(partStudio.ensure()).rejects.toThrow('ensure needs a function that creates the features');
+    await expect(partStudio.ensureFeature('two words', { name: 'Plane' })).rejects.toThrow('Invalid feature key: two words');
+
+    await expect(partStudio.ensure(async () => {
+      await Extrude.create({ partStudio, faces: ['JHC'], distance: 1, key: 'boss' });
+      await Extrude.create({ partStudio, faces: ['JHC'], distance: 2, key: 'boss' });
+    })).rejects.toMatchObject({
+      originalError: expect.objectContaining({ message: expect.stringContaining("Feature key 'boss' is used more than once") })
+    });
+
+    await expect(partStudio.ensure(() => partStudio.ensure(async () => {}))).rejects.toThrow(ValidationError);
+  });
+
+  it('should converge model spec builds keyed by feature name', async () => {
+    const spec = depth => ({
+      units: 'inch',
+      features: [
+        { type: 'sketch', name: 'profile', plane: 'Top', entities: [{ type: 'circle', center: [0, 0], radius: 2 }] },
+        { type: 'extrude', name: 'body', sketch: 'profile', depth }
+      ]
+    });
+
+    await new ModelBuilder({ partStudio }).build(spec(4), { ensure: true });
+    await new ModelBuilder({ partStudio }).build(spec(5), { ensure: true });
+
+    expect(client.tree.features.map(feature => getKey(feature.name))).toEqual([null, 'profile', 'body']);
+    expect(parameterOf(client.tree.features[2], 'depth').expression).toBe('5 in');
+  });
+});
+
+/**
+ * Get the key kept at the end of a feature name
+ */
+function getKey(name) {
+  const match = name.match(/\[(.+)\]$/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,119 @@
+const OnshapeClient = require('../../src/api/client');
+const Extrude = require('../../src/features/extrude');
+const { ExtrudeEndType } = require('../../src/features/extrude');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Extrude', () => {
+  let partStudio;
+
+  beforeEach(() => {
+    partStudio = createPartStudio();
+  });
+
+  describe('unit system', () => {
+    const authManager = { getMethod: () => 'api_key' };
+
+    it('should take numeric lengths in inches unless the client is metric', () => {
+      const options = { authManager, baseUrl: 'https://cad.onshape.com', apiUrl: 'https://cad.onshape.com/api/v10' };
+
+      expect(new OnshapeClient(options).unitSystem).toBe('inch');
+      expect(new OnshapeClient({ ...options, unitSystem: 'metric' }).unitSystem).toBe('metric');
+    });
+  });
+
+  describe('validation', () => {
+    const faces = ['JHC'];
+
+    it('should require faces and a distance for blind extrudes', () => {
+      expect(() => new Extrude({ partStudio, distance: 1 })).toThrow('Faces are required for an extrude');
+      expect(() => new Extrude({ partStudio, faces })).toThrow(ValidationError);
+      expect(() => new Extrude({ partStudio, faces, endType: ExtrudeEndType.THROUGH_ALL })).not.toThrow();
+    });
+
+    it('should check end types and their up-to entities', () => {
+      expect(() => new Extrude({ partStudio, faces, endType: 'UP_TO_SKY' }))
+        .toThrow('Extrude has an invalid end type: UP_TO_SKY');
+      expect(() => new Extrude({ partStudio, faces, endType: ExtrudeEndType.UP_TO_FACE }))
+        .toThrow('Extrude needs an upTo entity for end type UP_TO_FACE');
+      expect(() => new Extrude({ partStudio, faces, distance: 1, offset: 0.1 }))
+        .toThrow('Extrude offset is only supported for up to face, part or vertex');
+    });
+
+    it('should reject symmetric extrudes with a second direction or an up-to end', () => {
+      expect(() => new Extrude({ partStudio, faces, distance: 1, symmetric: true, secondDirection: { distance: 1 } }))
+        .toThrow('A symmetric extrude cannot have a second direction');
+      expect(() => new Extrude({ partStudio, faces, symmetric: true, endType: ExtrudeEndType.UP_TO_NEXT }))
+        .toThrow('Symmetric extrudes must be blind or through all');
+    });
+
+    it('should check drafts, boolean targets and thin walls', () => {
+      expect(() => new Extrude({ partStudio, faces, distance: 1, draft: 90 }))
+        .toThrow('Draft angle must be between 0 and 90 degrees');
+      expect(() => new Extrude({ partStudio, faces, distance: 1, mergeWith: 'JHD', subtractFrom: 'JHK' }))
+        .toThrow('An extrude cannot both merge with and subtract from bodies');
+      expect(() => new Extrude({ partStudio, faces, distance: 1, thin: { thickness: 0.1, secondThickness: 0.1, midplane: true } }))
+        .toThrow('Midplane thin extrudes take a single thickness');
+    });
+  });
+
+  describe('create', () => {
+    it('should upload a blind extrude with the depth in the client unit system', async () => {
+      const extrude = await Extrude.create({ partStudio, faces: ['JHC'], distance: 2 });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('extrude');
+      expect(parameterOf(feature, 'bodyType').value).toBe('SOLID');
+      expect(parameterOf(feature, 'entities').queries[0].deterministicIds).toEqual(['JHC']);
+      expect(parameterOf(feature, 'endBound').value).toBe('BLIND');
+      expect(parameterOf(feature, 'depth').expression).toBe('2 in');
+      expect(extrude.featureId).toBe('F1');
+      expect(partStudio._features).toContain(extrude);
+    });
+
+    it('should send up-to ends with offsets, drafts and a second direction', async () => {
+      await Extrude.create({
+        partStudio,
+        faces: ['JHC'],
+        endType: ExtrudeEndType.UP_TO_FACE,
+        upTo: 'JHG',
+        offset: { distance: '2 mm', flip: true },
+        draft: 5,
+        secondDirection: { distance: 0.5 },
+        subtractFrom: 'JHD'
+      });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'endBound').value).toBe('UP_TO_SURFACE');
+      expect(parameterOf(feature, 'endBoundEntityFace').queries[0].deterministicIds).toEqual(['JHG']);
+      expect(parameterOf(feature, 'offsetDistance').expression).toBe('2 mm');
+      expect(parameterOf(feature, 'offsetOppositeDirection').value).toBe(true);
+      expect(parameterOf(feature, 'draftAngle').expression).toBe('5 deg');
+      expect(parameterOf(feature, 'hasSecondDirection').value).toBe(true);
+      expect(parameterOf(feature, 'secondDirectionBound').value).toBe('BLIND');
+      expect(parameterOf(feature, 'secondDirectionDepth').expression).toBe('0.5 in');
+      expect(parameterOf(feature, 'secondDirectionOppositeDirection').value).toBe(true);
+      expect(parameterOf(feature, 'operationType').value).toBe('REMOVE');
+      expect(parameterOf(feature, 'defaultScope').value).toBe(false);
+      expect(parameterOf(feature, 'booleanScope').queries[0].deterministicIds).toEqual(['JHD']);
+    });
+
+    it('should extrude thin walls from the wall shape', async () => {
+      partStudio._client.unitSystem = 'metric';
+      await Extrude.create({ partStudio, faces: ['JHC'], distance: 0.01, symmetric: true, thin: { thickness: 0.001 } });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'bodyType').value).toBe('THIN');
+      expect(parameterOf(feature, 'wallShape').queries[0].deterministicIds).toEqual(['JHC']);
+      expect(parameterOf(feature, 'symmetric').value).toBe(true);
+      expect(parameterOf(feature, 'thickness1').expression).toBe('0.001 m');
+      expect(parameterOf(feature, 'thickness2').expression).toBe('0 m');
+    });
+
+    it('should wrap upload errors', async () => {
+      partStudio._api.endpoints.addFeature.mockRejectedValueOnce(new Error('Bad request'));
+
+      await expect(Extrude.create({ partStudio, faces: ['JHC'], distance: 1 })).rejects.toThrow(FeatureError);
+    });
+  });
+});
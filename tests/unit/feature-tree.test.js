@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+const PartStudio = require('../../src/features/partStudio');
+const FeaturesApi = require('../../src/api/endpoints/features');
+const partStudiosRouter = require('../../src/routes/partstudios');
+const errorMiddleware = require('../../src/middleware/error');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createOnshapeClient, parameterOf } = require('./helpers');
+
+const FEATURES = [
+  { featureId: 'FS1', featureType: 'newSketch', name: 'Base Sketch', suppressed: false, parameters: [] },
+  {
+    featureId: 'FE1',
+    featureType: 'extrude',
+    name: 'Boss',
+    suppressed: false,
+    parameters: [
+      { btType: 'BTMParameterQuantity-147', parameterId: 'depth', expression: '1 in', isInteger: false },
+      { btType: 'BTMParameterConfigured-2222', parameterId: 'oppositeDirection', configurationParameterId: 'Flip', values: [] }
+    ]
+  }
+];
+
+describe('Feature tree', () => {
+  let client;
+  let partStudio;
+
+  beforeEach(() => {
+    client = createOnshapeClient({ features: FEATURES });
+    partStudio = new PartStudio({
+      id: 'E',
+      document: { id: 'D', defaultWorkspace: { id: 'W' } },
+      _api: { endpoints: new FeaturesApi(client) },
+      _client: client
+    });
+  });
+
+  describe('PartStudio', () => {
+    it('should list the features in tree order with their state', async () => {
+      await expect(partStudio.getFeatureTree()).resolves.toEqual({
+        features: [
+          { index: 0, featureId: 'FS1', name: 'Base Sketch', featureType: 'newSketch', suppressed: false, status: 'OK' },
+          { index: 1, featureId: 'FE1', name: 'Boss', featureType: 'extrude', suppressed: false, status: 'OK' }
+        ],
+        rollbackIndex: 2
+      });
+    });
+
+    it('should update names, suppression and parameter values in place', async () => {
+      await partStudio.updateFeature('FE1', { name: 'Tall Boss', parameters: { depth: 2 } });
+      await partStudio.suppress({ featureId: 'FS1' });
+
+      const [path, body] = client.post.mock.calls[0];
+      expect(path).toBe('/partstudios/d/D/w/W/e/E/features/featureid/FE1');
+      expect(body.feature.name).toBe('Tall Boss');
+      expect(parameterOf(body.feature, 'depth').expression).toBe('2 in');
+      expect(client.tree.features.map(feature => feature.suppressed)).toEqual([true, false]);
+
+      await partStudio.unsuppress('FS1');
+      await partStudio.rename('FS1', 'Profile');
+      expect(client.tree.features[0]).toMatchObject({ name: 'Profile', suppressed: false });
+    });
+
+    it('should validate feature changes', async () => {
+      await expect(partStudio.updateFeature('FX1', { name: 'Gone' })).rejects.toThrow('Feature FX1 is not in the part studio');
+      await expect(partStudio.rename('FE1', ' ')).rejects.toThrow('Feature name must be a non-empty string');
+      await expect(partStudio.updateFeature('FE1', { parameters: { radius: 1 } }))
+        .rejects.toThrow("Feature 'Boss' has no parameter 'radius'");
+      await expect(partStudio.updateFeature('FE1', { parameters: { oppositeDirection: true } }))
+        .rejects.toThrow("Parameter 'oppositeDirection' is bound to configuration input 'Flip'");
+      await expect(partStudio.deleteFeature(null)).rejects.toThrow(ValidationError);
+      expect(client.post).not.toHaveBeenCalled();
+    });
+
+    it('should delete features and forget them', async () => {
+      const boss = { featureId: 'FE1' };
+      partStudio._features.push(boss);
+
+      await partStudio.deleteFeature(boss);
+
+      expect(client.delete).toHaveBeenCalledWith('/partstudios/d/D/w/W/e/E/features/featureid/FE1');
+      expect(client.tree.features.map(feature => feature.featureId)).toEqual(['FS1']);
+      expect(partStudio._features).toEqual([]);
+      await expect(partStudio.deleteFeature('FE1')).rejects.toThrow(FeatureError);
+    });
+
+    it('should insert features at an index and move the rollback bar back', async () => {
+      const result = await partStudio.insertAt(1, async () => {
+        await partStudio._api.endpoints.addFeature('D', { wvm: 'w', wvmid: 'W' }, 'E', { name: 'Fillet' });
+        return 'built';
+      });
+
+      expect(result).toBe('built');
+      expect(client.tree.features.map(feature => feature.name)).toEqual(['Base Sketch', 'Fillet', 'Boss']);
+      expect(client.post.mock.calls.filter(([path]) => path.endsWith('/rollback')).map(([, body]) => body))
+        .toEqual([{ rollbackIndex: 1 }, { rollbackIndex: 3 }]);
+      expect((await partStudio.getFeatureTree()).rollbackIndex).toBe(3);
+    });
+
+    it('should move the rollback bar back when building fails', async () => {
+      await expect(partStudio.insertAt(0, async () => { throw new Error('Bad fillet'); })).rejects.toThrow('Bad fillet');
+
+      expect((await partStudio.getFeatureTree()).rollbackIndex).toBe(2);
+      await expect(partStudio.setRollbackIndex(3)).rejects.toThrow('Rollback index must be an integer from 0 to 2');
+      await expect(partStudio.insertAt(0)).rejects.toThrow('insertAt needs a function that creates the features');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.onshapeClient = client;
+        next();
+      });
+
+      const auth = { isAuthenticated: jest.fn((req, res, next) => next()) };
+      app.use('/api/partstudios', partStudiosRouter(app, auth));
+      app.use(errorMiddleware);
+    });
+
+    const base = '/api/partstudios/d/D/w/W/e/E';
+
+    it('should return the feature tree', async () => {
+      const response = await request(app).get(`${base}/tree`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.features.map(feature => feature.featureId)).toEqual(['FS1', 'FE1']);
+    });
+
+    it('should update, suppress, rename and delete features', async () => {
+      expect((await request(app).patch(`${base}/features/FE1`).send({ parameters: { depth: '#depth' } })).status).toBe(200);
+      expect((await request(app).post(`${base}/features/FE1/suppress`)).body.suppressed).toBe(true);
+      expect((await request(app).post(`${base}/features/FE1/rename`).send({ name: 'Post' })).body.name).toBe('Post');
+      expect(parameterOf(client.tree.features[1], 'depth').expression).toBe('#depth');
+
+      const response = await request(app).delete(`${base}/features/FS1`);
+      expect(response.body).toEqual({ success: true, featureId: 'FS1' });
+      expect(client.tree.features.map(feature => feature.name)).toEqual(['Post']);
+    });
+
+    it('should move the rollback bar and report validation errors', async () => {
+      expect((await request(app).post(`${base}/rollback`).send({ index: 1 })).body).toEqual({ rollbackIndex: 1 });
+
+      const response = await request(app).post(`${base}/rollback`).send({ index: -1 });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Rollback index must be an integer from 0 to 2');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { Quantity, decodeValue, decodeWarnings, decodeEvaluation } = require('../../src/api/featurescript');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+
+/**
+ * Serialize a string, as Onshape does
+ */
+function string(value) {
+  return { btType: 'BTFSValueString-1422', value };
+}
+
+/**
+ * Serialize a length in meters
+ */
+function length(value) {
+  return { btType: 'BTFSValueWithUnits-1817', value, unitToPower: [{ key: 'METER', value: 1 }] };
+}
+
+/**
+ * Serialize a map of string keys
+ */
+function map(entries, typeTag = '') {
+  return {
+    btType: 'BTFSValueMap-2062',
+    typeTag,
+    value: Object.entries(entries).map(([key, value]) => ({ btType: 'BTFSValueMapEntry-2077', key: string(key), value }))
+  };
+}
+
+describe('FeatureScript decoding', () => {
+  describe('decodeValue', () => {
+    it('should decode arrays and maps of plain values', () => {
+      const value = {
+        btType: 'BTFSValueArray-1499',
+        value: [
+          string('Top'),
+          { btType: 'BTFSValueNumber-772', value: 2 },
+          map({ visible: { btType: 'BTFSValueBoolean-1195', value: true }, name: { btType: 'BTFSValueUndefined-2003' } })
+        ]
+      };
+
+      expect(decodeValue(value)).toEqual(['Top', 2, { visible: true, name: undefined }]);
+    });
+
+    it('should decode maps without string keys as Maps', () => {
+      const value = {
+        btType: 'BTFSValueMap-2062',
+        value: [{ key: { btType: 'BTFSValueNumber-772', value: 1 }, value: string('one') }]
+      };
+
+      expect(decodeValue(value)).toEqual(new Map([[1, 'one']]));
+    });
+
+    it('should decode transient queries as their transient ID', () => {
+      const query = map({ queryType: string('TRANSIENT'), transientId: string('JHD') }, 'Query');
+
+      expect(decodeValue(query)).toBe('JHD');
+    });
+
+    it('should decode older serializations wrapped in a message', () => {
+      const value = { typeName: 'BTFSValueString', message: { value: 'Front' } };
+
+      expect(decodeValue(value)).toBe('Front');
+    });
+
+    it('should decode values with units as quantities', () => {
+      const area = decodeValue({
+        btType: 'BTFSValueWithUnits-1817',
+        value: 0.0001,
+        unitToPower: [{ key: 'METER', value: 2 }, { key: 'RADIAN', value: 0 }]
+      });
+
+      expect(area).toBeInstanceOf(Quantity);
+      expect(area.units).toEqual({ METER: 2 });
+      expect(area.isLength).toBe(false);
+      expect(area.to('mm')).toBeCloseTo(100);
+      expect(decodeValue({ btType: 'BTFSValueWithUnits-1817', value: 3, unitToPower: [] })).toBe(3);
+    });
+
+    it('should decode vectors with units as a single quantity', () => {
+      const origin = decodeValue({
+        btType: 'BTFSValueArray-1499',
+        typeTag: 'Vector',
+        value: [length(0), length(0.0254), length(0.05)]
+      });
+
+      expect(origin).toBeInstanceOf(Quantity);
+      expect(origin.isLength).toBe(true);
+      expect(origin.to('inch')).toEqual([0, 1, expect.closeTo(1.9685)]);
+      expect(String(origin)).toBe('[0, 0.0254, 0.05] meter');
+    });
+  });
+
+  describe('Quantity', () => {
+    it('should convert angles to degrees', () => {
+      const angle = new Quantity(Math.PI / 2, { RADIAN: 1 });
+
+      expect(angle.isAngle).toBe(true);
+      expect(angle.to('deg')).toBeCloseTo(90);
+    });
+
+    it('should reject units of another kind', () => {
+      const angle = new Quantity(1, { RADIAN: 1 });
+
+      expect(() => angle.to('mm')).toThrow(ValidationError);
+      expect(() => new Quantity(1, { METER: 1, RADIAN: -1 }).to('mm')).toThrow('Cannot convert 1 meter*radian^-1 to mm');
+    });
+
+    it('should serialize its value and units', () => {
+      expect(JSON.parse(JSON.stringify(new Quantity(0.5, { METER: 1 })))).toEqual({ value: 0.5, units: { METER: 1 } });
+    });
+  });
+
+  describe('decodeWarnings', () => {
+    it('should return notices and console lines as warnings', () => {
+      const warnings = decodeWarnings({
+        notices: [
+          { message: { level: 'WARNING', type: 'DEPRECATED', message: 'Old function' } },
+          { message: 'Unwrapped' }
+        ],
+        console: 'first\n\nsecond\n'
+      });
+
+      expect(warnings).toEqual([
+        { level: 'WARNING', type: 'DEPRECATED', message: 'Old function' },
+        { level: 'INFO', type: 'NOTICE', message: 'Unwrapped' },
+        { level: 'INFO', type: 'CONSOLE', message: 'first' },
+        { level: 'INFO', type: 'CONSOLE', message: 'second' }
+      ]);
+    });
+  });
+
+  describe('decodeEvaluation', () => {
+    it('should decode the result with the warnings', () => {
+      const { result, warnings } = decodeEvaluation({ result: string('done'), console: 'ok' });
+
+      expect(result).toBe('done');
+      expect(warnings).toEqual([{ level: 'INFO', type: 'CONSOLE', message: 'ok' }]);
+    });
+
+    it('should throw when the evaluation failed with an error', () => {
+      const response = { result: null, notices: [{ message: { level: 'ERROR', message: 'Missing semicolon' } }] };
+
+      expect(() => decodeEvaluation(response)).toThrow(FeatureError);
+      expect(() => decodeEvaluation(response)).toThrow('FeatureScript evaluation failed: Missing semicolon');
+    });
+  });
+});
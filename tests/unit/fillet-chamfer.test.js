@@ -0,0 +1,98 @@
+const Fillet = require('../../src/features/fillet');
+const Chamfer = require('../../src/features/chamfer');
+const { ChamferType } = require('../../src/features/chamfer');
+const { topFaceEdges } = require('../../src/entities/edgeFilters');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Fillet and chamfer', () => {
+  let partStudio;
+  let featureEdges;
+
+  beforeEach(() => {
+    featureEdges = ['JKB', 'JKF'];
+    partStudio = createPartStudio({ evaluate: () => featureEdges });
+  });
+
+  describe('Fillet', () => {
+    it('should validate the edges, radius and variable radii', () => {
+      expect(() => new Fillet({ partStudio, radius: 1 })).toThrow('Edges are required for a fillet');
+      expect(() => new Fillet({ partStudio, edges: ['JKB'], radius: -1 })).toThrow(ValidationError);
+      expect(() => new Fillet({ partStudio, edges: ['JKB'], radius: 1, variableRadii: [{ radius: 2 }] }))
+        .toThrow('Variable radius 1 needs a vertex');
+    });
+
+    it('should send edge filters as queries and the radius in the client unit system', async () => {
+      const fillet = await Fillet.create({ partStudio, edges: topFaceEdges('JHD'), radius: 0.1, tangentPropagation: false });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('fillet');
+      expect(parameterOf(feature, 'entities').queries[0].queryString).toMatch(/^query = qAdjacent\(qFarthestAlong\(/);
+      expect(parameterOf(feature, 'radius').expression).toBe('0.1 in');
+      expect(parameterOf(feature, 'tangentPropagation').value).toBe(false);
+      expect(parameterOf(feature, 'isVariable').value).toBe(false);
+      expect(fillet.featureId).toBe('F1');
+    });
+
+    it('should fillet every edge a feature created, with variable radii at vertices', async () => {
+      await Fillet.create({
+        partStudio,
+        edges: { featureId: 'F3' },
+        radius: '2 mm',
+        variableRadii: [{ vertex: 'JKV', radius: '4 mm' }],
+        smoothTransition: true
+      });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'entities').queries.flatMap(query => query.deterministicIds)).toEqual(['JKB', 'JKF']);
+      expect(parameterOf(feature, 'isVariable').value).toBe(true);
+
+      const [vertex] = parameterOf(feature, 'vertexSettings').items;
+      expect(parameterOf(vertex, 'vertexQuery').queries[0].deterministicIds).toEqual(['JKV']);
+      expect(parameterOf(vertex, 'vertexRadius').expression).toBe('4 mm');
+      expect(parameterOf(feature, 'smoothTransition').value).toBe(true);
+    });
+
+    it('should fail when the selection matches no edges', async () => {
+      featureEdges = [];
+
+      await expect(Fillet.create({ partStudio, edges: { featureId: 'F3' }, radius: 1 })).rejects.toThrow(FeatureError);
+      expect(partStudio.uploaded).toHaveLength(0);
+    });
+  });
+
+  describe('Chamfer', () => {
+    it('should validate the chamfer type and its distances and angle', () => {
+      const edges = ['JKB'];
+
+      expect(() => new Chamfer({ partStudio, distance: 1 })).toThrow('Edges are required for a chamfer');
+      expect(() => new Chamfer({ partStudio, edges, distance: 1, chamferType: 'ROUND' }))
+        .toThrow('Invalid chamfer type: ROUND');
+      expect(() => new Chamfer({ partStudio, edges, distance: 1, chamferType: ChamferType.TWO_DISTANCES }))
+        .toThrow(ValidationError);
+      expect(() => new Chamfer({ partStudio, edges, distance: 1, chamferType: ChamferType.DISTANCE_ANGLE, angle: 95 }))
+        .toThrow('Chamfer angle must be between 0 and 90 degrees');
+    });
+
+    it('should send one width for equal distance chamfers', async () => {
+      await Chamfer.create({ partStudio, edges: ['JKB'], distance: 0.05 });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'chamferType').value).toBe('EQUAL_OFFSETS');
+      expect(parameterOf(feature, 'width').expression).toBe('0.05 in');
+      expect(parameterOf(feature, 'width1')).toBeUndefined();
+    });
+
+    it('should send two widths or a width and an angle', async () => {
+      await Chamfer.create({ partStudio, edges: ['JKB'], distance: 1, secondDistance: 2, chamferType: ChamferType.TWO_DISTANCES, flip: true });
+      await Chamfer.create({ partStudio, edges: ['JKB'], distance: 1, angle: 30, chamferType: ChamferType.DISTANCE_ANGLE });
+
+      const [twoDistances, distanceAngle] = partStudio.uploaded;
+      expect(parameterOf(twoDistances, 'width1').expression).toBe('1 in');
+      expect(parameterOf(twoDistances, 'width2').expression).toBe('2 in');
+      expect(parameterOf(twoDistances, 'oppositeDirection').value).toBe(true);
+      expect(parameterOf(distanceAngle, 'chamferType').value).toBe('OFFSET_ANGLE');
+      expect(parameterOf(distanceAngle, 'angle').expression).toBe('30 deg');
+    });
+  });
+});
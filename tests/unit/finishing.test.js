@@ -0,0 +1,96 @@
+const Shell = require('../../src/features/shell');
+const { ShellDirection } = require('../../src/features/shell');
+const Thicken = require('../../src/features/thicken');
+const Draft = require('../../src/features/draft');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Finishing features', () => {
+  let partStudio;
+  let part;
+
+  beforeEach(() => {
+    partStudio = createPartStudio({ evaluate: script => script.includes('"Top"') ? ['JDC'] : [] });
+    part = { partStudio, findClosestFace: jest.fn(async () => 'JHT') };
+  });
+
+  describe('Shell', () => {
+    it('should validate the removed faces, thickness and direction', () => {
+      expect(() => new Shell({ partStudio, thickness: 1 })).toThrow('Faces to remove are required for a shell');
+      expect(() => new Shell({ partStudio, removeFaces: ['JHT'], thickness: 0 })).toThrow(ValidationError);
+      expect(() => new Shell({ partStudio, removeFaces: ['JHT'], thickness: 1, direction: 'SIDEWAYS' }))
+        .toThrow('Invalid shell direction: SIDEWAYS');
+    });
+
+    it('should remove the part face closest to a point', async () => {
+      const shell = await Shell.create({ partStudio, part, removeFaces: { closestTo: [0, 0, 1] }, thickness: 0.05 });
+
+      const [feature] = partStudio.uploaded;
+      expect(part.findClosestFace).toHaveBeenCalledWith([0, 0, 1]);
+      expect(feature.featureType).toBe('shell');
+      expect(parameterOf(feature, 'entities').queries[0].deterministicIds).toEqual(['JHT']);
+      expect(parameterOf(feature, 'thickness').expression).toBe('0.05 in');
+      expect(parameterOf(feature, 'oppositeDirection').value).toBe(false);
+      expect(shell.featureId).toBe('F1');
+    });
+
+    it('should add the wall outside the part when shelling outward', async () => {
+      await Shell.create({ partStudio, removeFaces: 'JHT', thickness: '1 mm', direction: ShellDirection.OUTWARD });
+
+      expect(parameterOf(partStudio.uploaded[0], 'oppositeDirection').value).toBe(true);
+    });
+
+    it('should need a part to find the closest face', async () => {
+      await expect(Shell.create({ partStudio, removeFaces: { closestTo: [0, 0, 1] }, thickness: 1 }))
+        .rejects.toThrow(FeatureError);
+    });
+  });
+
+  describe('Thicken', () => {
+    it('should validate the faces, thicknesses and boolean targets', () => {
+      expect(() => new Thicken({ partStudio, thickness: 1 })).toThrow('Faces are required for a thicken');
+      expect(() => new Thicken({ partStudio, faces: ['JHC'], thickness: 1, secondThickness: -1 })).toThrow(ValidationError);
+      expect(() => new Thicken({ partStudio, faces: ['JHC'], thickness: 1, mergeWith: 'JHD', subtractFrom: 'JHK' }))
+        .toThrow('A thicken can either merge with or subtract from bodies, not both');
+    });
+
+    it('should send both thicknesses and the boolean scope', async () => {
+      await Thicken.create({ partStudio, faces: ['JHC'], thickness: 0.1, secondThickness: '2 mm', mergeWith: 'JHD' });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('thicken');
+      expect(parameterOf(feature, 'thickness1').expression).toBe('0.1 in');
+      expect(parameterOf(feature, 'thickness2').expression).toBe('2 mm');
+      expect(parameterOf(feature, 'operationType').value).toBe('ADD');
+      expect(parameterOf(feature, 'booleanScope').queries[0].deterministicIds).toEqual(['JHD']);
+    });
+  });
+
+  describe('Draft', () => {
+    it('should validate the neutral plane, faces and angle', () => {
+      expect(() => new Draft({ partStudio, faces: ['JHS'], angle: 3 })).toThrow('A neutral plane is required for a draft');
+      expect(() => new Draft({ partStudio, neutralPlane: 'Top', angle: 3 })).toThrow('Faces are required for a draft');
+      expect(() => new Draft({ partStudio, neutralPlane: 'Top', faces: ['JHS'], angle: 0 }))
+        .toThrow('Draft angle must be between 0 and 90 degrees');
+    });
+
+    it('should draft faces from a default neutral plane', async () => {
+      await Draft.create({ partStudio, neutralPlane: 'Top', faces: ['JHS', 'JHU'], angle: 3, flip: true });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('draft');
+      expect(parameterOf(feature, 'neutralPlane').queries[0].deterministicIds).toEqual(['JDC']);
+      expect(parameterOf(feature, 'draftFaces').queries.flatMap(query => query.deterministicIds)).toEqual(['JHS', 'JHU']);
+      expect(parameterOf(feature, 'angle').expression).toBe('3 deg');
+      expect(parameterOf(feature, 'pullDirection').value).toBe(true);
+    });
+
+    it('should take a part face closest to a point as the neutral plane', async () => {
+      await Draft.create({ partStudio, part, neutralPlane: { closestTo: [0, 0, 0] }, faces: ['JHS'], angle: '#draft' });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'neutralPlane').queries[0].deterministicIds).toEqual(['JHT']);
+      expect(parameterOf(feature, 'angle').expression).toBe('#draft');
+    });
+  });
+});
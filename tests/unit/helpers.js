@@ -0,0 +1,124 @@
+// tests/unit/helpers.js
+/**
+ * Fixtures shared by the unit tests
+ */
+
+/**
+ * Create a mock part studio whose endpoints record the features uploaded to
+ * it. Uploaded features get the IDs F1, F2, ... in upload order.
+ *
+ * @param {Object} [options] Part studio options
+ * @param {Function} [options.evaluate] Returns the decoded result of a FeatureScript
+ *   evaluation, given the script; no entities by default
+ * @param {string} [options.unitSystem="inch"] Unit system of the client
+ * @returns {Object} The part studio, with the uploaded feature models in `uploaded`
+ */
+function createPartStudio({ evaluate = () => [], unitSystem = 'inch' } = {}) {
+  const uploaded = [];
+
+  const upload = async feature => {
+    uploaded.push(feature);
+    return { feature: { ...feature, featureId: `F${uploaded.length}` } };
+  };
+
+  const endpoints = {
+    addFeature: jest.fn((documentId, wvm, elementId, feature) => upload(feature)),
+    updateFeature: jest.fn(async (documentId, wvm, elementId, featureId, feature) => ({ feature: { ...feature, featureId } })),
+    evalFeaturescript: jest.fn(async (documentId, wvm, elementId, script) => ({ result: await evaluate(script) }))
+  };
+
+  return {
+    id: 'E',
+    document: { id: 'D', defaultWorkspace: { id: 'W' } },
+    uploaded,
+    ensureFeature: jest.fn((key, feature) => upload(feature)),
+    endpoints,
+    _api: { endpoints },
+    _client: { unitSystem },
+    _features: []
+  };
+}
+
+/**
+ * Create a mock Onshape REST client over an in-memory feature list, for code
+ * that goes through the real endpoint classes. Added features get the IDs F1,
+ * F2, ... and are inserted at the rollback bar when it is moved.
+ *
+ * @param {Object} [options] Client options
+ * @param {Array<Object>} [options.features] Features already in the part studio
+ * @param {Function} [options.evaluate] Returns the transient IDs a FeatureScript query
+ *   evaluation finds, given the script; none by default
+ * @param {string} [options.unitSystem="inch"] Unit system of the client
+ * @returns {Object} The client, with the part studio state in `tree`
+ */
+function createOnshapeClient({ features = [], evaluate = () => [], unitSystem = 'inch' } = {}) {
+  const tree = { features: structuredClone(features), rollbackIndex: null };
+  let added = 0;
+
+  const indexOf = path => {
+    const featureId = path.match(/\/featureid\/([^/]+)$/)[1];
+    const index = tree.features.findIndex(feature => feature.featureId === featureId);
+    if (index < 0) {
+      throw Object.assign(new Error(`Feature ${featureId} not found`), { statusCode: 404 });
+    }
+    return index;
+  };
+
+  return {
+    unitSystem,
+    tree,
+    get: jest.fn(async () => ({
+      features: structuredClone(tree.features),
+      featureStates: Object.fromEntries(tree.features.map(feature => [feature.featureId, { featureStatus: 'OK' }])),
+      rollbackIndex: tree.rollbackIndex === null ? tree.features.length : tree.rollbackIndex
+    })),
+    post: jest.fn(async (path, body) => {
+      if (path.endsWith('/featurescript')) {
+        const ids = await evaluate(body.script);
+        return {
+          result: { btType: 'BTFSValueArray-1499', value: ids.map(id => ({ btType: 'BTFSValueString-1422', value: id })) }
+        };
+      }
+
+      if (path.endsWith('/features/rollback')) {
+        tree.rollbackIndex = body.rollbackIndex === tree.features.length ? null : body.rollbackIndex;
+        return { rollbackIndex: body.rollbackIndex };
+      }
+
+      if (path.includes('/featureid/')) {
+        const index = indexOf(path);
+        tree.features[index] = structuredClone(body.feature);
+        return { feature: structuredClone(body.feature) };
+      }
+
+      const feature = { ...structuredClone(body.feature), featureId: `F${++added}` };
+      if (tree.rollbackIndex === null) {
+        tree.features.push(feature);
+      } else {
+        tree.features.splice(tree.rollbackIndex++, 0, feature);
+      }
+      return { feature: structuredClone(feature) };
+    }),
+    delete: jest.fn(async path => {
+      tree.features.splice(indexOf(path), 1);
+      return {};
+    })
+  };
+}
+
+/**
+ * Get a parameter of a feature model by ID
+ *
+ * @param {Object} feature The feature model
+ * @param {string} parameterId The parameter ID
+ * @returns {Object|undefined} The parameter
+ */
+function parameterOf(feature, parameterId) {
+  return feature.parameters.find(parameter => parameter.parameterId === parameterId);
+}
+
+module.exports = {
+  createPartStudio,
+  createOnshapeClient,
+  parameterOf
+};
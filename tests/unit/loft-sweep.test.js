@@ -0,0 +1,93 @@
+const Loft = require('../../src/features/loft');
+const { LoftCondition } = require('../../src/features/loft');
+const Sweep = require('../../src/features/sweep');
+const { SweepProfileControl } = require('../../src/features/sweep');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Loft and sweep', () => {
+  let partStudio;
+
+  beforeEach(() => {
+    partStudio = createPartStudio();
+  });
+
+  describe('Loft', () => {
+    it('should validate the profiles and end conditions', () => {
+      expect(() => new Loft({ partStudio, profiles: [['JHC']] })).toThrow('A loft needs at least two profiles');
+      expect(() => new Loft({ partStudio, profiles: [['JHC'], null] })).toThrow('Loft profile 2 is missing');
+      expect(() => new Loft({ partStudio, profiles: [['JHC'], ['JHG']], endCondition: 'SMOOTH' }))
+        .toThrow('Invalid loft end condition: SMOOTH');
+      expect(() => new Loft({ partStudio, profiles: [['JHC'], ['JHG']], startMagnitude: 0 }))
+        .toThrow('Loft start magnitude must be a positive number');
+      expect(() => new Loft({ partStudio, profiles: [['JHC'], ['JHG']], mergeWith: 'JHD', subtractFrom: 'JHK' }))
+        .toThrow(ValidationError);
+    });
+
+    it('should send one array item per profile in loft order', async () => {
+      const loft = await Loft.create({ partStudio, profiles: [['JHC'], ['JHG', 'JHK']] });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('loft');
+      expect(parameterOf(feature, 'operationType').value).toBe('NEW');
+
+      const profiles = parameterOf(feature, 'sheetProfilesArray').items
+        .map(item => parameterOf(item, 'sheetProfileEntities').queries.flatMap(query => query.deterministicIds));
+      expect(profiles).toEqual([['JHC'], ['JHG', 'JHK']]);
+      expect(parameterOf(feature, 'addGuides').value).toBe(false);
+      expect(parameterOf(feature, 'startMagnitude')).toBeUndefined();
+      expect(loft.featureId).toBe('F1');
+    });
+
+    it('should send guides, end conditions and the boolean scope', async () => {
+      await Loft.create({
+        partStudio,
+        profiles: [['JHC'], ['JHG']],
+        guides: ['JKB'],
+        endCondition: LoftCondition.NORMAL_TO_PROFILE,
+        endMagnitude: 2,
+        mergeWith: 'JHD'
+      });
+
+      const [feature] = partStudio.uploaded;
+      const [guide] = parameterOf(feature, 'guidesArray').items;
+      expect(parameterOf(guide, 'guideEntities').queries[0].deterministicIds).toEqual(['JKB']);
+      expect(parameterOf(feature, 'addGuides').value).toBe(true);
+      expect(parameterOf(feature, 'endCondition').value).toBe('NORMAL_TO_PROFILE');
+      expect(parameterOf(feature, 'endMagnitude').expression).toBe('2');
+      expect(parameterOf(feature, 'operationType').value).toBe('ADD');
+      expect(parameterOf(feature, 'booleanScope').queries[0].deterministicIds).toEqual(['JHD']);
+    });
+
+    it('should fail for profiles without faces', async () => {
+      await expect(Loft.create({ partStudio, profiles: [['JHC'], []] })).rejects.toThrow(FeatureError);
+      expect(partStudio.uploaded).toHaveLength(0);
+    });
+  });
+
+  describe('Sweep', () => {
+    it('should validate the profile, path and profile control', () => {
+      expect(() => new Sweep({ partStudio, path: ['JKB'] })).toThrow('A profile is required for a sweep');
+      expect(() => new Sweep({ partStudio, profile: ['JHC'] })).toThrow('A path is required for a sweep');
+      expect(() => new Sweep({ partStudio, profile: ['JHC'], path: ['JKB'], profileControl: 'TWIST' }))
+        .toThrow('Invalid sweep profile control: TWIST');
+    });
+
+    it('should send the profile, path and profile control', async () => {
+      await Sweep.create({
+        partStudio,
+        profile: ['JHC'],
+        path: ['JKB', 'JKF'],
+        profileControl: SweepProfileControl.KEEP_ORIENTATION,
+        subtractFrom: 'JHD'
+      });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('sweep');
+      expect(parameterOf(feature, 'profiles').queries[0].deterministicIds).toEqual(['JHC']);
+      expect(parameterOf(feature, 'path').queries.flatMap(query => query.deterministicIds)).toEqual(['JKB', 'JKF']);
+      expect(parameterOf(feature, 'profileControl').value).toBe('KEEP_ORIENTATION');
+      expect(parameterOf(feature, 'operationType').value).toBe('REMOVE');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { validateModelSpec } = require('../../src/features/modelBuilder');
+const { ValidationError } = require('../../src/utils/errors');
+const cup = require('../../src/examples/cup.json');
+
+const SKETCH = { type: 'sketch', name: 'profile', plane: 'Top', entities: [{ type: 'circle', center: [0, 0], radius: 2 }] };
+const EXTRUDE = { type: 'extrude', name: 'body', sketch: 'profile', depth: 4 };
+
+/**
+ * Validate a spec of the given features
+ */
+function validate(features, options = {}) {
+  return validateModelSpec({ units: 'mm', features, ...options });
+}
+
+describe('validateModelSpec', () => {
+  describe('units', () => {
+    it('should convert sketch points to meters and lengths to expressions in the spec units', () => {
+      const { units, features } = validate([SKETCH, EXTRUDE]);
+      const [sketch, extrude] = features;
+
+      expect(units).toEqual({ name: 'millimeter', scale: 0.001, abbreviation: 'mm' });
+      expect(sketch.entities[0].radius).toBeCloseTo(0.002);
+      expect(sketch.plane).toEqual({ orientation: 'Top' });
+      expect(extrude.depth).toBe('4 mm');
+    });
+
+    it('should default to the inches of the default client and keep expressions as they are', () => {
+      const { units, variables, features } = validateModelSpec({
+        variables: { wall: 0.1, count: { value: 3, type: 'INTEGER' } },
+        features: [SKETCH, { ...EXTRUDE, depth: '#wall * 4' }]
+      });
+
+      expect(units.abbreviation).toBe('in');
+      expect(variables.wall.value).toBe('0.1 in');
+      expect(variables.count.value).toBe(3);
+      expect(features[1].depth).toBe('#wall * 4');
+    });
+
+    it('should use the default units it is given, as for metric clients', () => {
+      const { units } = validateModelSpec({ features: [SKETCH] }, { defaultUnits: 'meter' });
+
+      expect(units.abbreviation).toBe('m');
+    });
+
+    it('should reject unknown units', () => {
+      expect(() => validate([SKETCH], { units: 'furlong' })).toThrow('Unknown spec units: furlong');
+    });
+  });
+
+  describe('build order', () => {
+    it('should put the cup features in the order they depend on each other', () => {
+      const reversed = { ...cup, features: [...cup.features].reverse() };
+      const { features } = validateModelSpec(reversed);
+
+      expect(features.map(feature => feature.name)).toEqual(['base_sketch', 'body', 'hollow', 'rim']);
+      expect(features[3].dependencies).toEqual(['hollow']);
+    });
+
+    it('should keep the spec order of independent features', () => {
+      const other = { ...SKETCH, name: 'other' };
+      const { features } = validate([other, EXTRUDE, SKETCH]);
+
+      expect(features.map(feature => feature.name)).toEqual(['other', 'profile', 'body']);
+    });
+
+    it('should reject features that refer to each other in a cycle', () => {
+      const first = { type: 'plane', name: 'first', from: 'second', distance: 1 };
+      const second = { type: 'plane', name: 'second', from: 'first', distance: 1 };
+
+      expect(() => validate([first, second])).toThrow("Features refer to each other in a cycle: 'first', 'second'");
+    });
+  });
+
+  describe('shells', () => {
+    it('should remove the top face of a solid by default', () => {
+      const { features } = validate([SKETCH, EXTRUDE, { type: 'shell', name: 'hollow', faces: 'body', thickness: 1 }]);
+
+      expect(features[2]).toMatchObject({
+        faces: { of: 'body', direction: 'Z' },
+        thickness: '1 mm',
+        outward: false,
+        dependencies: ['body']
+      });
+    });
+
+    it('should only shell solids', () => {
+      expect(() => validate([SKETCH, { type: 'shell', name: 'hollow', faces: 'profile', thickness: 1 }]))
+        .toThrow("Feature 'hollow' has faces referring to sketch 'profile', expected extrude or revolve or shell");
+    });
+  });
+
+  describe('errors', () => {
+    it('should throw ValidationErrors naming the feature', () => {
+      const spec = [SKETCH, { ...EXTRUDE, depth: -1 }];
+
+      expect(() => validate(spec)).toThrow(ValidationError);
+      expect(() => validate(spec)).toThrow("Feature 'body' needs depth as a positive number or an expression");
+    });
+
+    it('should reject references to unknown features', () => {
+      expect(() => validate([{ ...EXTRUDE, sketch: 'missing' }]))
+        .toThrow("Feature 'body' refers to unknown feature 'missing' in sketch");
+    });
+
+    it('should reject missing, duplicate and reserved names', () => {
+      expect(() => validate([{ ...SKETCH, name: undefined }])).toThrow('Feature 1 needs a name');
+      expect(() => validate([SKETCH, SKETCH])).toThrow("Feature name 'profile' is used more than once");
+      expect(() => validate([{ ...SKETCH, name: 'Top Plane' }])).toThrow("Feature name 'Top Plane' is reserved");
+    });
+
+    it('should require names that work as feature keys when keyed', () => {
+      const spec = { features: [{ ...SKETCH, name: 'base sketch' }] };
+
+      expect(() => validateModelSpec(spec)).not.toThrow();
+      expect(() => validateModelSpec(spec, { keyed: true }))
+        .toThrow("Feature name 'base sketch' cannot be used as a feature key");
+    });
+
+    it('should reject specs without features', () => {
+      expect(() => validateModelSpec([])).toThrow('A model spec must be an object');
+      expect(() => validateModelSpec({ features: [] })).toThrow('A model spec needs a non-empty features array');
+    });
+
+    it('should reject splines without a positive integer degree and enough points', () => {
+      const spline = (degree, count) => ({
+        ...SKETCH,
+        entities: [{ type: 'spline', degree, points: Array.from({ length: count }, (_, i) => [i, i % 2]) }]
+      });
+
+      expect(() => validate([spline(3, 3)])).toThrow("Feature 'profile' needs at least 4 entity 1 points");
+      expect(() => validate([spline(0, 3)])).toThrow("Feature 'profile' needs a positive integer degree for entity 1");
+      expect(() => validate([spline(1.5, 3)])).toThrow(ValidationError);
+      expect(validate([spline(2, 3)]).features[0].entities[0].degree).toBe(2);
+    });
+
+    it('should reject region paths that are not entity ids of the sketch', () => {
+      expect(() => validate([SKETCH, { ...EXTRUDE, region: { path: 'rim' } }]))
+        .toThrow("Feature 'body' has a region path 'rim' that is not an entity id of sketch 'profile'");
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const express = require('express');
+const request = require('supertest');
+const PartStudio = require('../../src/features/partStudio');
+const FeaturesApi = require('../../src/api/endpoints/features');
+const Extrude = require('../../src/features/extrude');
+const partStudiosRouter = require('../../src/routes/partstudios');
+const errorMiddleware = require('../../src/middleware/error');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createOnshapeClient } = require('./helpers');
+
+const STEEL = { id: 'Steel', displayName: 'Steel', libraryName: 'Onshape Material Library' };
+
+describe('Parts', () => {
+  let client;
+  let partStudio;
+  let properties;
+
+  beforeEach(() => {
+    properties = [
+      { propertyId: 'P1', name: 'Name', value: 'Base', editable: true },
+      { propertyId: 'P2', name: 'Part number', value: 'BR-001', editable: true },
+      { propertyId: 'P3', name: 'Description', value: null, editable: true },
+      { propertyId: 'P4', name: 'Material', value: STEEL, editable: true },
+      { propertyId: 'P5', name: 'Appearance', value: null, editable: false }
+    ];
+
+    client = createOnshapeClient({ evaluate: () => ['JHK'] });
+    const getFeatures = client.get;
+    const postFeatures = client.post;
+
+    // Parts and metadata come from their own endpoints
+    client.get = jest.fn(async (path, options) => {
+      if (path.startsWith('/parts/')) {
+        return [
+          { partId: 'JHD', name: 'Base', partNumber: 'BR-001', material: STEEL },
+          { partId: 'JHK', name: 'Boss' }
+        ];
+      }
+      if (path.startsWith('/metadata/')) {
+        return { properties };
+      }
+      return await getFeatures(path, options);
+    });
+    client.post = jest.fn(async (path, body, options) => {
+      if (path.startsWith('/metadata/')) {
+        return {};
+      }
+      return await postFeatures(path, body, options);
+    });
+
+    partStudio = new PartStudio({
+      id: 'E',
+      document: { id: 'D', defaultWorkspace: { id: 'W' } },
+      _api: { endpoints: new FeaturesApi(client) },
+      _client: client
+    });
+  });
+
+  describe('getParts', () => {
+    it('should list the parts with their metadata', async () => {
+      const parts = await partStudio.getParts();
+
+      expect(client.get).toHaveBeenCalledWith('/parts/d/D/w/W/e/E', {});
+      expect(parts.length).toBe(2);
+      expect(parts.getNames()).toEqual(['Base', 'Boss']);
+      expect(parts.getByName('base').partNumber).toBe('BR-001');
+      expect(parts.getById('JHK').material).toBeNull();
+      expect(JSON.parse(JSON.stringify(parts.getByIndex(0)))).toEqual({
+        partId: 'JHD', name: 'Base', partNumber: 'BR-001', description: null, material: STEEL, appearance: null, configuration: null
+      });
+      expect(() => parts.getByName('Lid')).toThrow("No part named 'Lid'");
+    });
+
+    it('should list the parts of a configuration', async () => {
+      const parts = await partStudio.getParts({ configuration: 'Size=M8' });
+
+      expect(client.get).toHaveBeenCalledWith('/parts/d/D/w/W/e/E', { params: { configuration: 'Size=M8' } });
+      expect(parts.getByIndex(1).configuration).toBe('Size=M8');
+    });
+
+    it('should give the parts an extrude created', async () => {
+      const extrude = await Extrude.create({ partStudio, faces: ['JHC'], distance: 1 });
+
+      const parts = await extrude.getCreatedParts();
+
+      expect(parts.getIds()).toEqual(['JHK']);
+    });
+
+    it('should wrap listing errors', async () => {
+      client.get.mockRejectedValueOnce(new Error('Forbidden'));
+
+      await expect(partStudio.getParts()).rejects.toThrow('Failed to get parts');
+    });
+  });
+
+  describe('metadata', () => {
+    let part;
+
+    beforeEach(async () => {
+      part = (await partStudio.getParts()).getById('JHD');
+    });
+
+    it('should read the metadata properties', async () => {
+      properties[0].value = 'Bracket';
+
+      await expect(part.getMetadata()).resolves.toEqual({
+        name: 'Bracket', partNumber: 'BR-001', description: null, material: STEEL, appearance: null
+      });
+      expect(part.name).toBe('Bracket');
+      expect(client.get).toHaveBeenLastCalledWith('/metadata/d/D/w/W/e/E/p/JHD', {});
+    });
+
+    it('should write only the given values by property ID', async () => {
+      const metadata = await part.setMetadata({ name: 'Bracket', material: 'Aluminum - 6061', description: 'Left' });
+
+      expect(client.post).toHaveBeenCalledWith('/metadata/d/D/w/W/e/E/p/JHD', {
+        properties: [
+          { propertyId: 'P1', value: 'Bracket' },
+          { propertyId: 'P4', value: { id: 'Aluminum - 6061', displayName: 'Aluminum - 6061', libraryName: 'Onshape Material Library' } },
+          { propertyId: 'P3', value: 'Left' }
+        ]
+      }, {});
+      expect(metadata.name).toBe('Bracket');
+      expect(part.description).toBe('Left');
+    });
+
+    it('should validate metadata values', async () => {
+      await expect(part.setMetadata({})).rejects.toThrow('At least one metadata value is required');
+      await expect(part.setMetadata({ weight: 2 })).rejects.toThrow("Unknown part metadata 'weight'");
+      await expect(part.setMetadata({ name: ' ' })).rejects.toThrow('Part name must be a non-empty string');
+      await expect(part.setMetadata({ appearance: '#ff88' })).rejects.toThrow('Invalid appearance color: #ff88');
+      await expect(part.setMetadata({ material: 7 })).rejects.toThrow(ValidationError);
+      expect(client.post).not.toHaveBeenCalledWith(expect.stringMatching(/^\/metadata\//), expect.anything(), expect.anything());
+    });
+
+    it('should refuse properties that cannot be changed', async () => {
+      await expect(part.setMetadata({ appearance: '#ff8800' }))
+        .rejects.toThrow('The Appearance of part JHD cannot be changed');
+
+      properties.splice(1, 1);
+      await expect(part.setMetadata({ partNumber: 'BR-002' })).rejects.toThrow(FeatureError);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.onshapeClient = client;
+        next();
+      });
+
+      const auth = { isAuthenticated: jest.fn((req, res, next) => next()) };
+      app.use('/api/partstudios', partStudiosRouter(app, auth));
+      app.use(errorMiddleware);
+    });
+
+    const base = '/api/partstudios/d/D/w/W/e/E';
+
+    it('should list parts and read and write their metadata', async () => {
+      const parts = await request(app).get(`${base}/parts`).query({ configuration: 'Size=M8' });
+      expect(parts.body.map(part => [part.partId, part.configuration])).toEqual([['JHD', 'Size=M8'], ['JHK', 'Size=M8']]);
+
+      expect((await request(app).get(`${base}/parts/JHD/metadata`)).body.partNumber).toBe('BR-001');
+
+      const renamed = await request(app).post(`${base}/parts/JHD/metadata`).send({ name: 'Bracket' });
+      expect(renamed.body.name).toBe('Bracket');
+      expect((await request(app).post(`${base}/parts/JHD/metadata`).send({})).status).toBe(400);
+    });
+  });
+});
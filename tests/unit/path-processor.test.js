@@ -0,0 +1,100 @@
+const SVGParser = require('../../src/process-svg/svg-parser');
+const PathProcessor = require('../../src/process-svg/path-processor');
+
+/**
+ * Parse and process SVG elements, keeping arcs as arcs
+ */
+function processSvg(elements, options = {}) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${elements}</svg>`;
+  const processor = new PathProcessor({ approximateCurves: false, ...options });
+  return processor.process(new SVGParser().parse(svg));
+}
+
+/**
+ * Describe constraints compactly, e.g. "coincident 0.end 1.start"
+ */
+function summarize(constraints) {
+  const reference = ref => [ref.path !== 'slot' ? ref.path : null, ref.segment, ref.vertex]
+    .filter(part => part !== null && part !== undefined)
+    .join('.');
+
+  return constraints.map(({ type, first, second }) =>
+    [type, reference(first), second && reference(second)].filter(Boolean).join(' '));
+}
+
+describe('PathProcessor constraint inference', () => {
+  describe('within a path', () => {
+    it('should infer horizontal, vertical and coincident constraints around a closed path', () => {
+      const { paths } = processSvg('<path id="slot" d="M 0 0 L 10 0 L 10 10 L 0 10 Z"/>');
+
+      expect(summarize(paths[0].constraints)).toEqual([
+        'horizontal 0',
+        'coincident 0.end 1.start',
+        'vertical 1',
+        'coincident 1.end 2.start',
+        'horizontal 2',
+        'coincident 2.end 3.start',
+        'vertical 3',
+        'coincident 3.end 0.start'
+      ]);
+    });
+
+    it('should not connect the ends of an open path', () => {
+      const { paths } = processSvg('<path id="slot" d="M 0 0 L 10 0 L 10 10" fill="none"/>', { autoClosePaths: false });
+
+      expect(summarize(paths[0].constraints)).not.toContain('coincident 1.end 0.start');
+    });
+
+    it('should infer tangency where a line runs into an arc', () => {
+      const { paths } = processSvg('<path id="slot" d="M 0 0 L 10 0 A 5 5 0 0 1 10 10 L 0 10 Z"/>');
+      const constraints = summarize(paths[0].constraints);
+
+      expect(constraints).toContain('tangent 0 1');
+      expect(constraints).toContain('tangent 1 2');
+      expect(constraints).not.toContain('tangent 3 0');
+    });
+
+    it('should accept tangency within the angle tolerance', () => {
+      // The first line is about 0.3 degrees off tangent
+      const { paths } = processSvg('<path id="slot" d="M 0 0.05 L 10 0 A 5 5 0 0 1 10 10 L 0 10 Z"/>');
+
+      expect(summarize(paths[0].constraints)).toContain('tangent 0 1');
+    });
+
+    it('should use the angle tolerance rather than the length tolerance for tangency', () => {
+      // The first line is about 3 degrees off tangent
+      const path = '<path id="slot" d="M 0 0.5 L 10 0 A 5 5 0 0 1 10 10 L 0 10 Z"/>';
+
+      expect(summarize(processSvg(path, { constraintTolerance: 1 }).paths[0].constraints))
+        .not.toContain('tangent 0 1');
+      expect(summarize(processSvg(path, { angleTolerance: 5 }).paths[0].constraints))
+        .toContain('tangent 0 1');
+    });
+  });
+
+  describe('between paths', () => {
+    it('should tie concentric and equal circles to the first circle of each group', () => {
+      const { constraints } = processSvg(`
+        <circle id="a" cx="10" cy="10" r="5"/>
+        <circle id="b" cx="10" cy="10" r="8"/>
+        <circle id="c" cx="40" cy="10" r="5"/>
+        <circle id="d" cx="10" cy="10" r="3"/>
+      `);
+
+      expect(summarize(constraints)).toEqual([
+        'concentric a.0 b.0',
+        'equal a.0 c.0',
+        'concentric a.0 d.0'
+      ]);
+    });
+
+    it('should infer nothing when constraints are turned off', () => {
+      const { paths, constraints } = processSvg('<circle id="a" cx="10" cy="10" r="5"/><circle id="b" cx="10" cy="10" r="5"/>', {
+        applyConstraints: false
+      });
+
+      expect(constraints).toEqual([]);
+      expect(paths.every(path => !path.constraints)).toBe(true);
+    });
+  });
+});
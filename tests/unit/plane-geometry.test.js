@@ -0,0 +1,86 @@
+const { DefaultPlane, OffsetPlane } = require('../../src/features/planes');
+const Sketch = require('../../src/features/sketch');
+const { Quantity } = require('../../src/api/featurescript');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio } = require('./helpers');
+
+describe('Plane geometry', () => {
+  let partStudio;
+  let plane;
+
+  beforeEach(() => {
+    // The Front plane, moved 1 in along -Y by an offset
+    plane = {
+      origin: new Quantity([0.0254, -0.0254, 0], { METER: 1 }),
+      normal: [0, -1, 0],
+      x: [1, 0, 0]
+    };
+    partStudio = createPartStudio({
+      evaluate: script => {
+        if (script.includes('evPlane')) return plane;
+        if (script.includes('"Front"')) return ['JCC'];
+        if (script.includes('"F1"')) return ['JPF'];
+        return [];
+      }
+    });
+  });
+
+  describe('DefaultPlane', () => {
+    it('should resolve the plane face created by the default plane feature', async () => {
+      await expect(new DefaultPlane(partStudio, 'Front').getTransientIds()).resolves.toEqual(['JCC']);
+      await expect(new DefaultPlane(partStudio, 'Top').getTransientIds()).rejects.toThrow('Failed to get Top plane ID');
+      expect(() => new DefaultPlane(partStudio, 'Back')).toThrow('Invalid default plane orientation: Back');
+    });
+  });
+
+  describe('getCoordinateSystem', () => {
+    it('should return the origin in the client unit system and a right-handed y axis', async () => {
+      const coordinateSystem = await new DefaultPlane(partStudio, 'Front').getCoordinateSystem();
+
+      expect(coordinateSystem.origin).toEqual([1, -1, 0]);
+      expect(coordinateSystem.normal).toEqual([0, -1, 0]);
+      expect(coordinateSystem.xAxis).toEqual([1, 0, 0]);
+      expect(coordinateSystem.yAxis).toEqual([expect.closeTo(0), 0, 1]);
+
+      const [, [, , , script]] = partStudio.endpoints.evalFeaturescript.mock.calls;
+      expect(script).toContain('evPlane');
+      expect(script).toContain('"JCC"');
+    });
+
+    it('should evaluate construction planes from the face their feature created', async () => {
+      const offset = await OffsetPlane.create({ partStudio, ownerPlane: 'Front', distance: 1 });
+
+      const { origin } = await offset.getCoordinateSystem('metric');
+      expect(origin).toEqual([0.0254, -0.0254, 0]);
+    });
+
+    it('should fail when the evaluation does not return a plane', async () => {
+      plane = { origin: new Quantity(Math.PI, { RADIAN: 1 }) };
+
+      await expect(new DefaultPlane(partStudio, 'Front').getCoordinateSystem()).rejects.toThrow(FeatureError);
+    });
+  });
+
+  describe('world-space sketch points', () => {
+    it('should project world points onto the sketch plane', async () => {
+      const sketch = await Sketch.create({ partStudio, plane: new DefaultPlane(partStudio, 'Front') });
+
+      const circle = await sketch.addCircle([0.0254 + 0.01, 0, 0.02], 0.005);
+      expect(circle.center.x).toBeCloseTo(0.01);
+      expect(circle.center.y).toBeCloseTo(0.02);
+
+      // Sketch points pass through and the plane is evaluated once
+      const point = await sketch.toLocal([0.3, 0.4]);
+      expect([point.x, point.y]).toEqual([0.3, 0.4]);
+      await sketch.toLocal([0, 0, 0]);
+      expect(partStudio.endpoints.evalFeaturescript.mock.calls.filter(([, , , script]) => script.includes('evPlane')))
+        .toHaveLength(1);
+    });
+
+    it('should need a plane with a coordinate system for world points', async () => {
+      const sketch = await Sketch.create({ partStudio, plane: { transientId: 'JHD' } });
+
+      await expect(sketch.toLocal([0, 0, 0])).rejects.toThrow(ValidationError);
+    });
+  });
+});
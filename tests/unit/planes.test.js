@@ -0,0 +1,142 @@
+const {
+  OffsetPlane,
+  PointNormalPlane,
+  ThreePointPlane,
+  LineAnglePlane,
+  MidPlane,
+  LinePointPlane,
+  TangentPlane
+} = require('../../src/features/planes');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Construction planes', () => {
+  let partStudio;
+
+  beforeEach(() => {
+    partStudio = createPartStudio({
+      evaluate: script => {
+        if (script.includes('"Top"')) return ['JDC'];
+        if (script.includes('"Front"')) return ['JCC'];
+        if (script.includes('"F1"')) return ['JPF'];
+        return [];
+      }
+    });
+  });
+
+  const entityIdsOf = feature => parameterOf(feature, 'entities').queries.flatMap(query => query.deterministicIds);
+
+  describe('validation', () => {
+    it('should require the references of each plane type', () => {
+      expect(() => new OffsetPlane({ partStudio, distance: 1 }))
+        .toThrow('An owner plane is required for an offset plane');
+      expect(() => new PointNormalPlane({ partStudio, point: 'JKV' }))
+        .toThrow('A point and a normal curve are required for a point normal plane');
+      expect(() => new ThreePointPlane({ partStudio, points: ['JKV', 'JKW'] }))
+        .toThrow('Exactly three points are required for a three point plane');
+      expect(() => new LineAnglePlane({ partStudio, angle: 30 }))
+        .toThrow('A line is required for a line angle plane');
+      expect(() => new MidPlane({ partStudio, first: 'Top' }))
+        .toThrow('Two references are required for a mid plane');
+      expect(() => new LinePointPlane({ partStudio, line: 'JKB' }))
+        .toThrow('A line and a point are required for a line point plane');
+      expect(() => new TangentPlane({ partStudio, angle: 0 }))
+        .toThrow('A cylindrical face is required for a tangent plane');
+    });
+
+    it('should check distances and angles', () => {
+      expect(() => new OffsetPlane({ partStudio, ownerPlane: 'Top', distance: NaN }))
+        .toThrow('Offset plane distance must be a number or an expression');
+      expect(() => new OffsetPlane({ partStudio, ownerPlane: 'Top', distance: '#' })).toThrow(ValidationError);
+      expect(() => new LineAnglePlane({ partStudio, line: 'JKB', angle: ' ' }))
+        .toThrow('Line angle plane angle must be a number of degrees or an expression');
+      expect(() => new TangentPlane({ partStudio, cylinder: 'JHC' }))
+        .toThrow('A tangent plane needs a reference or an angle');
+    });
+  });
+
+  describe('OffsetPlane', () => {
+    it('should offset a default plane by a distance in the client unit system', async () => {
+      const plane = await OffsetPlane.create({ partStudio, ownerPlane: 'Top', distance: 2 });
+
+      const [feature] = partStudio.uploaded;
+      expect(feature.featureType).toBe('cPlane');
+      expect(feature.name).toBe('Offset Plane');
+      expect(parameterOf(feature, 'cplaneType').value).toBe('OFFSET');
+      expect(entityIdsOf(feature)).toEqual(['JDC']);
+      expect(parameterOf(feature, 'offset').expression).toBe('2 in');
+      expect(parameterOf(feature, 'oppositeDirection').value).toBe(false);
+      expect(plane.featureId).toBe('F1');
+      expect(partStudio._features).toContain(plane);
+    });
+
+    it('should flip negative distances and keep expressions as they are', async () => {
+      await OffsetPlane.create({ partStudio, ownerPlane: 'Top', distance: -1 });
+      await OffsetPlane.create({ partStudio, ownerPlane: 'Front', distance: '#gap + 2 mm', oppositeDirection: true });
+
+      const [negative, expression] = partStudio.uploaded;
+      expect(parameterOf(negative, 'offset').expression).toBe('1 in');
+      expect(parameterOf(negative, 'oppositeDirection').value).toBe(true);
+      expect(entityIdsOf(expression)).toEqual(['JCC']);
+      expect(parameterOf(expression, 'offset').expression).toBe('#gap + 2 mm');
+      expect(parameterOf(expression, 'oppositeDirection').value).toBe(true);
+    });
+
+    it('should offset from another construction plane', async () => {
+      const base = await OffsetPlane.create({ partStudio, ownerPlane: 'Top', distance: 1 });
+      await OffsetPlane.create({ partStudio, ownerPlane: base, distance: 1 });
+
+      expect(entityIdsOf(partStudio.uploaded[1])).toEqual(['JPF']);
+    });
+
+    it('should update the keyed plane with a key', async () => {
+      await OffsetPlane.create({ partStudio, ownerPlane: 'Top', distance: 1, key: 'deck' });
+
+      expect(partStudio.ensureFeature).toHaveBeenCalledWith('deck', partStudio.uploaded[0]);
+      expect(partStudio.endpoints.addFeature).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('other plane types', () => {
+    it('should send the plane type and its references in order', async () => {
+      await PointNormalPlane.create({ partStudio, point: 'JKV', normal: 'JKB' });
+      await ThreePointPlane.create({ partStudio, points: ['JKV', 'JKW', 'JKX'] });
+      await MidPlane.create({ partStudio, first: 'Top', second: 'JHG' });
+      await LinePointPlane.create({ partStudio, line: 'JKB', point: 'JKV' });
+
+      const [pointNormal, threePoint, mid, linePoint] = partStudio.uploaded;
+      expect(parameterOf(pointNormal, 'cplaneType').value).toBe('CURVE_POINT');
+      expect(entityIdsOf(pointNormal)).toEqual(['JKB', 'JKV']);
+      expect(parameterOf(threePoint, 'cplaneType').value).toBe('THREE_POINT');
+      expect(entityIdsOf(threePoint)).toEqual(['JKV', 'JKW', 'JKX']);
+      expect(parameterOf(mid, 'cplaneType').value).toBe('MID_PLANE');
+      expect(entityIdsOf(mid)).toEqual(['JDC', 'JHG']);
+      expect(parameterOf(linePoint, 'cplaneType').value).toBe('LINE_POINT');
+      expect(entityIdsOf(linePoint)).toEqual(['JKB', 'JKV']);
+    });
+
+    it('should send the angle of line angle and tangent planes', async () => {
+      await LineAnglePlane.create({ partStudio, line: 'JKB', angle: 30, referencePlane: 'Top', oppositeDirection: true });
+      await TangentPlane.create({ partStudio, cylinder: 'JHC', angle: 45 });
+      await TangentPlane.create({ partStudio, cylinder: 'JHC', reference: 'Front', angle: 45 });
+
+      const [lineAngle, tangentAngle, tangentReference] = partStudio.uploaded;
+      expect(parameterOf(lineAngle, 'cplaneType').value).toBe('LINE_ANGLE');
+      expect(entityIdsOf(lineAngle)).toEqual(['JKB', 'JDC']);
+      expect(parameterOf(lineAngle, 'angle').expression).toBe('30 deg');
+      expect(parameterOf(lineAngle, 'oppositeDirection').value).toBe(true);
+      expect(parameterOf(tangentAngle, 'cplaneType').value).toBe('TANGENT_PLANE');
+      expect(parameterOf(tangentAngle, 'angle').expression).toBe('45 deg');
+      expect(entityIdsOf(tangentReference)).toEqual(['JHC', 'JCC']);
+      expect(parameterOf(tangentReference, 'angle')).toBeUndefined();
+    });
+
+    it('should wrap upload errors', async () => {
+      partStudio.endpoints.addFeature.mockRejectedValueOnce(new Error('Bad request'));
+
+      const created = MidPlane.create({ partStudio, first: 'Top', second: 'JHG' });
+      await expect(created).rejects.toThrow(FeatureError);
+      await expect(created).rejects.toThrow("Failed to create plane 'Mid Plane'");
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { Q, Entity, EntityType, GeometryType } = require('../../src/entities/query');
+const { allEdges, topFaceEdges, edgesParallelTo } = require('../../src/entities/edgeFilters');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+
+describe('Query compiler', () => {
+  describe('query expressions', () => {
+    it('should compile a chain of steps into one query expression', () => {
+      const query = Q.createdBy('F3', EntityType.BODY).faces().farthestAlong('Z');
+
+      expect(query.isStatic).toBe(true);
+      expect(query.entityType).toBe(EntityType.FACE);
+      expect(query.toQueryString()).toBe(
+        'qFarthestAlong(qOwnedByBody(qCreatedBy(makeId("F3"), EntityType.BODY), EntityType.FACE), vector(0, 0, 1))'
+      );
+    });
+
+    it('should wrap the expression in an individual query', () => {
+      const query = Q.createdBy({ featureId: 'F1' }).ofType(EntityType.EDGE).geometry(GeometryType.LINE);
+
+      expect(query.toIndividualQuery()).toEqual({
+        btType: 'BTMIndividualQuery-138',
+        queryString: 'query = qGeometry(qEntityFilter(qCreatedBy(makeId("F1")), EntityType.EDGE), GeometryType.LINE);'
+      });
+    });
+
+    it('should pick the adjacency between faces, edges and vertices', () => {
+      const faces = Q.transient('JHC', EntityType.FACE);
+
+      expect(faces.edges().toQueryString())
+        .toBe('qAdjacent({ "queryType" : QueryType.TRANSIENT, "transientId" : "JHC" } as Query, AdjacencyType.EDGE, EntityType.EDGE)');
+      expect(faces.vertices().toQueryString()).toContain('AdjacencyType.VERTEX, EntityType.VERTEX');
+      expect(faces.bodies().toQueryString()).toMatch(/^qOwnerBody\(/);
+      expect(faces.faces()).toBe(faces);
+    });
+
+    it('should scale points to the unit system', () => {
+      expect(Q.everything(EntityType.FACE).closestTo([1, 2, 3], 'inch').toQueryString())
+        .toBe('qClosestTo(qEverything(EntityType.FACE), vector(1, 2, 3) * inch)');
+      expect(Q.everything().containsPoint([0, 0, 0.5]).toQueryString())
+        .toBe('qContainsPoint(qEverything(), vector(0, 0, 0.5) * meter)');
+    });
+
+    it('should combine queries', () => {
+      const a = Q.transient('A', EntityType.EDGE);
+      const b = Q.transient('B', EntityType.EDGE);
+
+      expect(a.union(b).entityType).toBe(EntityType.EDGE);
+      expect(a.union(b).toQueryString()).toMatch(/^qUnion\(\[\{.*"A" \} as Query, \{.*"B" \} as Query\]\)$/);
+      expect(a.subtract(b).toQueryString()).toMatch(/^qSubtraction\(/);
+      expect(Q.union(a, Q.transient('C', EntityType.FACE)).entityType).toBeNull();
+    });
+  });
+
+  describe('script steps', () => {
+    it('should make queries that pick entities in FeatureScript need evaluating', () => {
+      const query = Q.sketchRegion('F1').largest();
+
+      expect(query.isStatic).toBe(false);
+      expect(() => query.toQueryString()).toThrow(ValidationError);
+      expect(() => Q.union(query, 'JHC')).toThrow('cannot be combined');
+    });
+
+    it('should compile script steps into statements before the result', () => {
+      const script = Q.sketchRegion('F1').largest().toScript();
+
+      expect(script).toContain('for (var entity in evaluateQuery(context, qSketchRegion(makeId("F1"))))');
+      expect(script).toContain('var entitySize = evArea(context, { "entities" : entity });');
+      expect(script).toContain('return transientQueriesToStrings(evaluateQuery(context, q1));');
+    });
+
+    it('should only measure faces, edges and bodies', () => {
+      expect(() => Q.everything(EntityType.VERTEX).largest()).toThrow('largest() needs a query for faces, edges or bodies');
+      expect(() => Q.everything().rank(1)).toThrow('rank() needs a query for faces, edges or bodies');
+    });
+
+    it('should count negative ranks from the smallest', () => {
+      expect(Q.sketchRegion('F1').rank(-1).toScript()).toContain('var q1Index = size(q1Entities) - 1;');
+      expect(() => Q.sketchRegion('F1').rank(0.5)).toThrow('Invalid rank: 0.5');
+    });
+
+    it('should select regions by selector', () => {
+      expect(Q.region('F1', 'smallest').toScript()).toContain('entitySize < q1Size');
+      expect(Q.region('F1', { containing: [0.01, 0] }).toScript()).toContain('evOwnerSketchPlane');
+      expect(Q.region('F1', { path: ['a-s0', 'a-s1'] }).toScript())
+        .toContain('sketchEntityQuery(makeId("F1"), EntityType.EDGE, "a-s1")');
+      expect(() => Q.region('F1', {})).toThrow('Invalid region selector');
+    });
+  });
+
+  describe('literals', () => {
+    it('should quote IDs so they cannot change the script', () => {
+      expect(Q.createdBy('F1"); qEverything(').toQueryString()).toBe('qCreatedBy(makeId("F1\\"); qEverything("))');
+    });
+
+    it('should reject values that are not valid literals', () => {
+      expect(() => Q.transient('A\nB')).toThrow('Invalid transient ID');
+      expect(() => Q.everything().closestTo([0, 0, NaN])).toThrow('Invalid point: NaN');
+      expect(() => Q.everything().farthestAlong('W')).toThrow("Invalid direction: expected 'X', 'Y', 'Z' or [x, y, z]");
+      expect(() => Q.everything('PART')).toThrow('Invalid entity type: PART');
+      expect(() => Q.everything().geometry('BLOB')).toThrow('Invalid geometry type: BLOB');
+    });
+
+    it('should only query uploaded features', () => {
+      expect(() => Q.createdBy({})).toThrow('Features must be uploaded before they can be queried');
+      expect(() => Q.from(42)).toThrow('Invalid query source');
+    });
+  });
+
+  describe('edge filters', () => {
+    it('should select the edges of a feature, part or body IDs', () => {
+      expect(allEdges({ featureId: 'F2' }).toQueryString())
+        .toBe('qOwnedByBody(qCreatedBy(makeId("F2"), EntityType.BODY), EntityType.EDGE)');
+      expect(allEdges({ id: 'JHD' }).toQueryString()).toContain('"transientId" : "JHD"');
+      expect(() => allEdges(null)).toThrow('Invalid body source for edge filter');
+    });
+
+    it('should select the edges of the top face and the edges along a direction', () => {
+      expect(topFaceEdges('JHD').toQueryString()).toMatch(
+        /^qAdjacent\(qFarthestAlong\(qOwnedByBody\(.*, EntityType\.FACE\), vector\(0, 0, 1\)\), AdjacencyType\.EDGE, EntityType\.EDGE\)$/
+      );
+      expect(edgesParallelTo('JHD', 'X').toQueryString()).toMatch(/^qParallelEdges\(.*, vector\(1, 0, 0\)\)$/);
+    });
+  });
+
+  describe('evaluate', () => {
+    const partStudio = { id: 'E', document: { id: 'D', defaultWorkspace: { id: 'W' } } };
+
+    it('should evaluate the script and return entities', async () => {
+      const endpoints = { evalFeaturescript: jest.fn().mockResolvedValue({ result: ['JHC', 'JHG'] }) };
+      const entities = await Q.createdBy('F1', EntityType.FACE).evaluate(partStudio, { endpoints, configuration: 'size=2' });
+
+      expect(entities).toEqual([new Entity('JHC', EntityType.FACE), new Entity('JHG', EntityType.FACE)]);
+      expect(endpoints.evalFeaturescript).toHaveBeenCalledWith(
+        'D', { wvm: 'w', wvmid: 'W', configuration: 'size=2' }, 'E', expect.any(String), { decode: true }
+      );
+    });
+
+    it('should take entity types from the results of untyped queries', async () => {
+      const endpoints = { evalFeaturescript: jest.fn().mockResolvedValue({ result: [['JHC', 'EDGE']] }) };
+      const [entity] = await Q.everything().evaluate(partStudio, { endpoints });
+
+      expect(entity.type).toBe(EntityType.EDGE);
+    });
+
+    it('should wrap evaluation errors', async () => {
+      const endpoints = { evalFeaturescript: jest.fn().mockRejectedValue(new Error('Bad script')) };
+
+      await expect(Q.everything().evaluate(partStudio, { endpoints })).rejects.toThrow(FeatureError);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const Revolve = require('../../src/features/revolve');
+const { RevolveType, RevolveAxis } = require('../../src/features/revolve');
+const { Q } = require('../../src/entities/query');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Revolve', () => {
+  let partStudio;
+  let endpoints;
+  let axisEdges;
+
+  beforeEach(() => {
+    axisEdges = ['JGE'];
+    partStudio = createPartStudio({ evaluate: () => axisEdges });
+    endpoints = partStudio._api.endpoints;
+  });
+
+  describe('validation', () => {
+    const faces = Q.sketchRegion('F1');
+
+    it('should require faces and an axis', () => {
+      expect(() => new Revolve({ partStudio, axis: 'JGE' })).toThrow('Faces are required for a revolve');
+      expect(() => new Revolve({ partStudio, faces })).toThrow('An axis is required for a revolve');
+    });
+
+    it('should require angles in degrees unless revolving fully', () => {
+      expect(() => new Revolve({ partStudio, faces, axis: 'JGE', revolveType: RevolveType.ONE_DIRECTION }))
+        .toThrow('Revolve angle must be between 0 and 360 degrees, or an expression');
+      expect(() => new Revolve({ partStudio, faces, axis: 'JGE', revolveType: RevolveType.SYMMETRIC, angle: 400 }))
+        .toThrow(ValidationError);
+      expect(() => new Revolve({ partStudio, faces, axis: 'JGE', revolveType: RevolveType.TWO_DIRECTIONS, angle: 90 }))
+        .toThrow('Second revolve angle');
+      expect(() => new Revolve({ partStudio, faces, axis: 'JGE', revolveType: RevolveType.ONE_DIRECTION, angle: '#sweep' }))
+        .not.toThrow();
+    });
+
+    it('should reject unknown revolve types and more than one boolean target', () => {
+      expect(() => new Revolve({ partStudio, faces, axis: 'JGE', revolveType: 'HALF' }))
+        .toThrow('Invalid revolve type: HALF');
+      expect(() => new Revolve({ partStudio, faces, axis: 'JGE', mergeWith: 'JHD', subtractFrom: 'JHK' }))
+        .toThrow('A revolve can only merge with, subtract from or intersect with bodies');
+    });
+
+    it('should only take default axes for sketches and queries', () => {
+      expect(() => new Revolve({ partStudio, faces: ['JHC'], axis: RevolveAxis.SKETCH_X }))
+        .toThrow('Default axes can only be used when revolving a sketch, its regions or a query');
+      expect(() => new Revolve({ partStudio, faces, axis: RevolveAxis.SKETCH_X })).not.toThrow();
+    });
+  });
+
+  describe('create', () => {
+    it('should find a default axis among the lines of the revolved profile', async () => {
+      const revolve = await Revolve.create({ partStudio, faces: Q.sketchRegion('F1'), axis: RevolveAxis.SKETCH_Y });
+
+      const [, , , script] = endpoints.evalFeaturescript.mock.calls[0];
+      expect(script).toContain('qAdjacent(qSketchRegion(makeId("F1")), AdjacencyType.EDGE, EntityType.EDGE)');
+      expect(script).toContain('var q2Direction = yAxis(q2Plane);');
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'axis').queries).toEqual([{ btType: 'BTMIndividualQuery-138', deterministicIds: ['JGE'] }]);
+      expect(parameterOf(feature, 'entities').queries[0].queryString).toBe('query = qSketchRegion(makeId("F1"));');
+      expect(revolve.featureId).toBe('F1');
+      expect(partStudio._features).toContain(revolve);
+    });
+
+    it('should fail when no line lies on the default axis', async () => {
+      axisEdges = [];
+
+      await expect(Revolve.create({ partStudio, faces: Q.sketchRegion('F1'), axis: RevolveAxis.SKETCH_X }))
+        .rejects.toThrow(FeatureError);
+      expect(endpoints.addFeature).not.toHaveBeenCalled();
+    });
+
+    it('should send angles and the boolean scope of partial revolves', async () => {
+      await Revolve.create({
+        partStudio,
+        faces: ['JHC'],
+        axis: 'JGE',
+        revolveType: RevolveType.TWO_DIRECTIONS,
+        angle: 90,
+        secondAngle: '#back',
+        subtractFrom: 'JHD'
+      });
+
+      const [feature] = partStudio.uploaded;
+      expect(parameterOf(feature, 'operationType').value).toBe('REMOVE');
+      expect(parameterOf(feature, 'defaultScope').value).toBe(false);
+      expect(parameterOf(feature, 'booleanScope').queries[0].deterministicIds).toEqual(['JHD']);
+      expect(parameterOf(feature, 'angle').expression).toBe('90 deg');
+      expect(parameterOf(feature, 'angleBack').expression).toBe('#back');
+    });
+  });
+});
@@ -0,0 +1,17 @@
+// tests/unit/setup.js
+/**
+ * Runs before each unit test file: log calls are mocked so tests stay quiet
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  scope: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
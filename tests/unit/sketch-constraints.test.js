@@ -0,0 +1,99 @@
+const Sketch = require('../../src/features/sketch');
+const { ValidationError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Sketch constraints', () => {
+  let partStudio;
+  let sketch;
+
+  beforeEach(async () => {
+    partStudio = createPartStudio();
+    sketch = await Sketch.create({ partStudio, plane: { transientId: 'JHD' } });
+  });
+
+  /**
+   * Get the constraint models of the latest sketch upload
+   */
+  function uploadedConstraints() {
+    const calls = partStudio._api.endpoints.updateFeature.mock.calls;
+    return calls[calls.length - 1][4].constraints;
+  }
+
+  describe('constrain', () => {
+    it('should send geometric constraints between items and vertices', async () => {
+      await sketch.edit(async s => {
+        const bottom = await s.addLine([0, 0], [1, 0]);
+        const side = await s.addLine([1, 0], [1, 1]);
+        await s.constrain.horizontal(bottom);
+        await s.constrain.coincident(s.endOf(bottom), s.startOf(side));
+        await s.constrain.perpendicular(bottom, side);
+      });
+
+      const [horizontal, coincident, perpendicular] = uploadedConstraints();
+      const [bottom, side] = sketch.items;
+
+      expect(horizontal.constraintType).toBe('HORIZONTAL');
+      expect(horizontal.parameters).toEqual([
+        { btType: 'BTMParameterString-149', value: bottom.entityId, parameterId: 'localFirst' }
+      ]);
+      expect(parameterOf(coincident, 'localFirst').value).toBe(`${bottom.entityId}.end`);
+      expect(parameterOf(coincident, 'localSecond').value).toBe(`${side.entityId}.start`);
+      expect(perpendicular.constraintType).toBe('PERPENDICULAR');
+    });
+
+    it('should reject constraints on items of the wrong type', async () => {
+      const circle = await sketch.addCircle([0, 0], 0.1);
+      const line = await sketch.addLine([0, 0], [1, 0]);
+
+      await expect(sketch.constrain.horizontal(circle)).rejects.toThrow('Horizontal cannot be applied to a circle');
+      await expect(sketch.constrain.concentric(circle, line)).rejects.toThrow(ValidationError);
+      await expect(sketch.constrain.tangent({}, line))
+        .rejects.toThrow('Constraint reference must be a sketch item or an entity ID');
+      expect(() => sketch.startOf(circle)).toThrow('Cannot reference the start of a circle');
+    });
+
+    it('should swap the vertices of clockwise arcs', async () => {
+      const arc = await sketch.addArcCenterPoint([0, 0], [1, 0], [0, -1], true);
+
+      expect(sketch.startOf(arc)).toBe(`${arc.entityId}.end`);
+      expect(sketch.endOf(arc)).toBe(`${arc.entityId}.start`);
+      expect(sketch.centerOf(arc)).toBe(`${arc.entityId}.center`);
+    });
+  });
+
+  describe('dimension', () => {
+    it('should send driving dimensions with value expressions', async () => {
+      const line = await sketch.addLine([0, 0], [1, 0]);
+      const circle = await sketch.addCircle([0, 0], 0.1);
+      const other = await sketch.addLine([0, 0], [0, 1]);
+
+      await sketch.dimension.length(line, 2);
+      await sketch.dimension.diameter(circle, '#hole');
+      await sketch.dimension.angle(line, other, 30);
+
+      const [length, diameter, angle] = uploadedConstraints();
+      expect(length.constraintType).toBe('DISTANCE');
+      expect(parameterOf(length, 'length').expression).toBe('2 in');
+      expect(parameterOf(diameter, 'length').expression).toBe('#hole');
+      expect(angle.constraintType).toBe('ANGLE');
+      expect(parameterOf(angle, 'angle').expression).toBe('30 deg');
+    });
+
+    it('should take numeric lengths in the client unit system', async () => {
+      partStudio._client.unitSystem = 'metric';
+      const circle = await sketch.addCircle([0, 0], 0.1);
+
+      await sketch.dimension.radius(circle, 0.005);
+
+      expect(parameterOf(uploadedConstraints()[0], 'length').expression).toBe('0.005 m');
+    });
+
+    it('should only dimension the length of lines', async () => {
+      const circle = await sketch.addCircle([0, 0], 0.1);
+
+      await expect(sketch.dimension.length(circle, 1)).rejects.toThrow('Length dimension cannot be applied to a circle');
+      await expect(sketch.dimension.radius(await sketch.addLine([0, 0], [1, 0]), 1))
+        .rejects.toThrow('Radius dimension cannot be applied to a line');
+    });
+  });
+});
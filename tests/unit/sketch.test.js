@@ -0,0 +1,114 @@
+const Sketch = require('../../src/features/sketch');
+const { FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Sketch', () => {
+  let partStudio;
+  let endpoints;
+  let sketch;
+
+  beforeEach(async () => {
+    partStudio = createPartStudio();
+    endpoints = partStudio._api.endpoints;
+    sketch = await Sketch.create({ partStudio, plane: { transientId: 'JHD' }, name: 'Profile' });
+  });
+
+  /**
+   * Get the sketch model sent by the latest update
+   */
+  function lastUpdate() {
+    const calls = endpoints.updateFeature.mock.calls;
+    return calls[calls.length - 1][4];
+  }
+
+  describe('create', () => {
+    it('should upload an empty sketch on its plane', () => {
+      const [feature] = partStudio.uploaded;
+
+      expect(feature.btType).toBe('BTMSketch-151');
+      expect(feature.name).toBe('Profile');
+      expect(feature.entities).toEqual([]);
+      expect(parameterOf(feature, 'sketchPlane').queries[0].deterministicIds).toEqual(['JHD']);
+      expect(sketch.featureId).toBe('F1');
+      expect(partStudio._features).toContain(sketch);
+    });
+
+    it('should update the sketch in place after each entity outside a batch', async () => {
+      await sketch.addLine([0, 0], [1, 0]);
+      await sketch.addCircle([0, 0], 0.5);
+
+      expect(endpoints.updateFeature).toHaveBeenCalledTimes(2);
+      expect(endpoints.updateFeature.mock.calls[1][3]).toBe('F1');
+      expect(lastUpdate().entities).toHaveLength(2);
+    });
+  });
+
+  describe('batches', () => {
+    it('should upload the edits of a batch once', async () => {
+      const result = await sketch.edit(async s => {
+        await s.addLine([0, 0], [1, 0]);
+        await s.addLine([1, 0], [1, 1]);
+        await s.addCircle([0.5, 0.5], 0.1);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(endpoints.updateFeature).toHaveBeenCalledTimes(1);
+      expect(lastUpdate().entities).toHaveLength(3);
+      expect(sketch.isBatching).toBe(false);
+    });
+
+    it('should only upload when the outermost batch commits', async () => {
+      sketch.begin();
+      await sketch.addLine([0, 0], [1, 0]);
+      sketch.begin();
+      await sketch.addLine([1, 0], [1, 1]);
+
+      expect(await sketch.commit()).toBeNull();
+      expect(endpoints.updateFeature).not.toHaveBeenCalled();
+
+      await sketch.commit();
+      expect(endpoints.updateFeature).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not upload batches without changes', async () => {
+      sketch.begin();
+
+      expect(await sketch.commit()).toBeNull();
+      expect(endpoints.updateFeature).not.toHaveBeenCalled();
+    });
+
+    it('should restore the sketch when a batch rolls back', async () => {
+      await sketch.addLine([0, 0], [1, 0]);
+
+      sketch.begin();
+      await sketch.addLine([1, 0], [1, 1]);
+      sketch.begin();
+      await sketch.addCircle([0, 0], 0.1);
+      sketch.rollback();
+
+      expect(sketch.items.size).toBe(2);
+
+      await sketch.commit();
+      expect(endpoints.updateFeature).toHaveBeenCalledTimes(2);
+      expect(lastUpdate().entities).toHaveLength(2);
+    });
+
+    it('should roll back and rethrow when an edit fails', async () => {
+      const failure = sketch.edit(async s => {
+        await s.addLine([0, 0], [1, 0]);
+        throw new Error('Bad profile');
+      });
+
+      await expect(failure).rejects.toThrow('Bad profile');
+      expect(sketch.items.size).toBe(0);
+      expect(sketch.isBatching).toBe(false);
+      expect(endpoints.updateFeature).not.toHaveBeenCalled();
+    });
+
+    it('should reject commits and rollbacks without a batch', async () => {
+      await expect(sketch.commit()).rejects.toThrow(FeatureError);
+      expect(() => sketch.rollback()).toThrow('rollback() called without a matching begin()');
+    });
+  });
+});
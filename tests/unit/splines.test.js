@@ -0,0 +1,79 @@
+const { createSpline } = require('../../src/api/schema');
+const FeatureBuilder = require('../../src/process-svg/feature-builder');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('Splines', () => {
+  describe('createSpline', () => {
+    it('should build a single Bezier span from degree + 1 control points', () => {
+      const spline = createSpline({ entityId: 'curve', controlPoints: [[0, 0], [1, 2], [3, 2], [4, 0]] });
+
+      expect(spline.btType).toBe('BTMSketchCurveSegment-155');
+      expect(spline.startPointId).toBe('curve.start');
+      expect(spline.endPointId).toBe('curve.end');
+      expect(spline.geometry).toMatchObject({
+        btType: 'BTCurveGeometryControlPointSpline-2197',
+        degree: 3,
+        isBezier: true,
+        isPeriodic: false,
+        isRational: false,
+        controlPointCount: 4,
+        controlPoints: [0, 0, 1, 2, 3, 2, 4, 0],
+        knots: [0, 0, 0, 0, 1, 1, 1, 1]
+      });
+    });
+
+    it('should clamp the knots and space interior knots evenly', () => {
+      const spline = createSpline({ controlPoints: [[0, 0], [1, 1], [2, 0], [3, 1], [4, 0]], degree: 2 });
+
+      expect(spline.geometry.isBezier).toBe(false);
+      expect(spline.geometry.knots).toEqual([0, 0, 0, 1 / 3, 2 / 3, 1, 1, 1]);
+      // A clamped spline has control point count + degree + 1 knots
+      expect(spline.geometry.knots).toHaveLength(5 + 2 + 1);
+    });
+
+    it('should reject too few control points and invalid degrees', () => {
+      expect(() => createSpline({ controlPoints: [[0, 0], [1, 1], [2, 0]] })).toThrow(ValidationError);
+      expect(() => createSpline({ controlPoints: [[0, 0], [1, 1], [2, 0]] }))
+        .toThrow('A degree 3 spline needs at least 4 control points');
+      expect(() => createSpline({ controlPoints: [[0, 0], [1, 1]], degree: 0 }))
+        .toThrow('Invalid spline degree');
+      expect(() => createSpline({ controlPoints: [[0, 0], [1, 1]], degree: 1.5 }))
+        .toThrow('Invalid spline degree');
+    });
+  });
+
+  describe('FeatureBuilder curves', () => {
+    /**
+     * Build the sketch entities of a single closed path
+     */
+    function entitiesOf(segments) {
+      const builder = new FeatureBuilder({ create3D: false, applyConstraints: false });
+      const { sketches } = builder.build({ paths: [{ id: 'curve', closed: true, segments }] });
+      return sketches[0].entities;
+    }
+
+    it('should draw a cubic Bezier as a degree 3 spline through its control points', () => {
+      const [spline] = entitiesOf([
+        { type: 'cubic', x1: 0, y1: 0, cx1: 1, cy1: 2, cx2: 3, cy2: 2, x2: 4, y2: 0 }
+      ]);
+
+      expect(spline).toMatchObject({
+        type: 'spline',
+        id: 'curve-s0',
+        degree: 3,
+        controlPoints: [{ x: 0, y: 0 }, { x: 1, y: 2 }, { x: 3, y: 2 }, { x: 4, y: 0 }],
+        startPoint: { x: 0, y: 0 },
+        endPoint: { x: 4, y: 0 }
+      });
+    });
+
+    it('should draw a quadratic Bezier as a degree 2 spline', () => {
+      const [spline] = entitiesOf([
+        { type: 'quadratic', x1: 0, y1: 0, cx: 2, cy: 3, x2: 4, y2: 0 }
+      ]);
+
+      expect(spline.degree).toBe(2);
+      expect(spline.controlPoints).toEqual([{ x: 0, y: 0 }, { x: 2, y: 3 }, { x: 4, y: 0 }]);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const express = require('express');
+const request = require('supertest');
+const svgConverterRouter = require('../../src/routes/svg-converter');
+
+// An outer rectangle with a hole, a separate plate and two concentric circles
+const SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+  <rect id="outer" x="0" y="0" width="40" height="30"/>
+  <rect id="hole" x="10" y="10" width="20" height="10"/>
+  <rect id="plate" x="50" y="0" width="30" height="20"/>
+  <circle id="inner" cx="70" cy="60" r="5"/>
+  <circle id="ring" cx="70" cy="60" r="8"/>
+</svg>`;
+
+/**
+ * Serialize transient IDs as a FeatureScript evaluation result
+ */
+function evaluationOf(ids) {
+  return {
+    result: {
+      btType: 'BTFSValueArray-1499',
+      value: ids.map(id => ({ btType: 'BTFSValueString-1422', value: id }))
+    }
+  };
+}
+
+describe('SVG Converter Routes', () => {
+  let app;
+  let mockOnshapeClient;
+  let features;
+  let scripts;
+
+  beforeEach(() => {
+    features = [];
+    scripts = [];
+
+    app = express();
+    app.use(express.json());
+
+    // Mock Onshape client: features get sequential IDs, the Top plane is
+    // "JHD" and each other query finds one region
+    mockOnshapeClient = {
+      post: jest.fn(async (path, body) => {
+        if (path.endsWith('/featurescript')) {
+          scripts.push(body.script);
+          return evaluationOf(body.script.includes('"Top"') ? ['JHD'] : [`R${scripts.length}`]);
+        }
+
+        const feature = { ...body.feature, featureId: `F${features.length + 1}` };
+        features.push(feature);
+        return { feature };
+      })
+    };
+
+    app.use((req, res, next) => {
+      req.onshapeClient = mockOnshapeClient;
+      next();
+    });
+
+    const auth = { isAuthenticated: jest.fn((req, res, next) => next()) };
+    app.use('/api', svgConverterRouter(app, auth));
+  });
+
+  /**
+   * Convert the SVG and create its features in a part studio
+   */
+  async function createFeatures(options = {}, svgContent = SVG) {
+    const converted = await request(app)
+      .post('/api/svg/convert')
+      .send({ svgContent, ...options });
+
+    expect(converted.statusCode).toBe(200);
+
+    return await request(app)
+      .post('/api/svg/createFeatures')
+      .send({ documentId: 'D', workspaceId: 'W', elementId: 'E', conversionId: converted.body.conversionId });
+  }
+
+  describe('POST /svg/createFeatures', () => {
+    it('should return 404 for an unknown conversion', async () => {
+      const res = await request(app)
+        .post('/api/svg/createFeatures')
+        .send({ documentId: 'D', workspaceId: 'W', elementId: 'E', conversionId: 'svg-missing' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should upload each sketch once with entity IDs in meters', async () => {
+      const res = await createFeatures();
+
+      expect(res.statusCode).toBe(200);
+
+      const [sketch] = features;
+      expect(sketch.btType).toBe('BTMSketch-151');
+      expect(sketch.name).toBe('ClosedPaths');
+
+      const plane = sketch.parameters.find(parameter => parameter.parameterId === 'sketchPlane');
+      expect(plane.queries[0].deterministicIds).toEqual(['JHD']);
+
+      const line = sketch.entities.find(entity => entity.entityId === 'outer-s0');
+      expect(line.startPointId).toBe('outer-s0.start');
+      expect(line.geometry.pntX).toBeCloseTo(0);
+      expect(line.geometry.pntY).toBeCloseTo(0);
+
+      const ring = sketch.entities.find(entity => entity.entityId === 'ring-s0');
+      expect(ring.geometry.radius).toBeCloseTo(0.008);
+    });
+
+    it('should send the inferred constraints with the sketch', async () => {
+      await createFeatures();
+
+      const constraints = features[0].constraints.map(constraint => ({
+        type: constraint.constraintType,
+        references: constraint.parameters.map(parameter => parameter.value)
+      }));
+
+      expect(constraints).toContainEqual({ type: 'HORIZONTAL', references: ['outer-s0'] });
+      expect(constraints).toContainEqual({ type: 'COINCIDENT', references: ['outer-s0.end', 'outer-s1.start'] });
+      expect(constraints).toContainEqual({ type: 'CONCENTRIC', references: ['inner-s0', 'ring-s0'] });
+
+      // Every reference is an entity of the sketch or one of its vertices
+      const entityIds = features[0].entities.map(entity => entity.entityId);
+      for (const { references } of constraints) {
+        for (const reference of references) {
+          expect(entityIds).toContain(reference.split('.')[0]);
+        }
+      }
+    });
+
+    it('should extrude only the filled regions of nested paths', async () => {
+      const res = await createFeatures();
+
+      const extrude = features.find(feature => feature.featureType === 'extrude');
+      expect(extrude.name).toBe('Extrude_ClosedPaths');
+
+      // One region query for each filled path: the ring, the outer rectangle and the plate
+      const regionScripts = scripts.filter(script => script.includes('qSketchRegion(makeId("F1"))'));
+      expect(regionScripts).toHaveLength(3);
+      expect(regionScripts.some(script => script.includes('"hole-s0"'))).toBe(false);
+      expect(regionScripts[1]).toContain('"outer-s0"');
+
+      const entities = extrude.parameters.find(parameter => parameter.parameterId === 'entities');
+      expect(entities.queries.map(query => query.deterministicIds[0])).toEqual(['R2', 'R3', 'R4']);
+
+      const depth = extrude.parameters.find(parameter => parameter.parameterId === 'depth');
+      expect(depth.expression).toBe('10 mm');
+
+      expect(res.body.features.map(feature => feature.type)).toEqual(['sketch', 'extrude']);
+    });
+
+    it('should upload Bezier curves as native splines', async () => {
+      await createFeatures({}, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+        <path id="wave" d="M 0 0 C 10 20 30 20 40 0 L 40 -10 L 0 -10 Z"/>
+      </svg>`);
+
+      const [sketch] = features;
+      const spline = sketch.entities.find(entity => entity.entityId === 'wave-s0');
+      expect(spline.geometry.btType).toBe('BTCurveGeometryControlPointSpline-2197');
+      expect(spline.geometry.degree).toBe(3);
+      expect(spline.geometry.controlPoints[2]).toBeCloseTo(0.01);
+      expect(sketch.entities.filter(entity => entity.geometry.btType === 'BTCurveGeometryLine-117')).toHaveLength(3);
+    });
+
+    it('should upload circular arcs as center point arcs with their constraints', async () => {
+      await createFeatures({}, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+        <path id="slot" d="M 0 0 L 10 0 A 5 5 0 0 1 10 10 L 0 10 Z"/>
+      </svg>`);
+
+      const [sketch] = features;
+      const arc = sketch.entities.find(entity => entity.entityId === 'slot-s1');
+      expect(arc.geometry.btType).toBe('BTCurveGeometryCircle-115');
+      expect(arc.geometry.xCenter).toBeCloseTo(0.01);
+      expect(arc.geometry.yCenter).toBeCloseTo(0.005);
+      expect(arc.geometry.radius).toBeCloseTo(0.005);
+
+      const tangent = sketch.constraints.find(constraint => constraint.constraintType === 'TANGENT');
+      const refs = tangent.parameters.map(parameter => parameter.value);
+      expect(refs).toEqual(['slot-s0', 'slot-s1']);
+    });
+
+    it('should approximate curves with lines when asked to', async () => {
+      await createFeatures({ approximateCurves: 'true' }, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+        <path id="wave" d="M 0 0 C 10 20 30 20 40 0 L 40 -10 L 0 -10 Z"/>
+      </svg>`);
+
+      const types = new Set(features[0].entities.map(entity => entity.geometry.btType));
+      expect([...types]).toEqual(['BTCurveGeometryLine-117']);
+    });
+
+    it('should pattern tagged sketches together with their extrusions', async () => {
+      const res = await createFeatures({ units: 'cm' }, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+        <rect id="tile#pattern=3x2" x="0" y="0" width="4" height="2"/>
+      </svg>`);
+
+      const pattern = features.find(feature => feature.featureType === 'linearPattern');
+      const instanceFunction = pattern.parameters.find(parameter => parameter.parameterId === 'instanceFunction');
+      expect(instanceFunction.featureIds).toEqual(['F1', 'F2']);
+
+      const distance = pattern.parameters.find(parameter => parameter.parameterId === 'distance');
+      const instanceCount = pattern.parameters.find(parameter => parameter.parameterId === 'instanceCount');
+      expect(distance.expression).toBe('20 cm');
+      expect(instanceCount.expression).toBe('3');
+
+      expect(res.body.features.map(feature => feature.type)).toEqual(['sketch', 'extrude', 'pattern']);
+    });
+
+    it('should mirror tagged sketches together with their extrusions', async () => {
+      const res = await createFeatures({}, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+        <rect id="bracket#mirror=x" x="5" y="0" width="10" height="4"/>
+      </svg>`);
+
+      const mirror = features.find(feature => feature.featureType === 'mirror');
+      const instanceFunction = mirror.parameters.find(parameter => parameter.parameterId === 'instanceFunction');
+      expect(instanceFunction.featureIds).toEqual(['F1', 'F2']);
+
+      const plane = mirror.parameters.find(parameter => parameter.parameterId === 'mirrorPlane');
+      const planeScript = scripts.findIndex(script => script.includes('"Right"'));
+      expect(plane.queries[0].deterministicIds).toEqual([`R${planeScript + 1}`]);
+
+      expect(res.body.features.map(feature => feature.type)).toEqual(['sketch', 'extrude', 'mirror']);
+    });
+
+    it('should create no extrusions when 3D features are turned off', async () => {
+      const res = await createFeatures({ create3D: 'false' });
+
+      expect(features.map(feature => feature.featureType)).toEqual(['newSketch']);
+      expect(res.body.features.map(feature => feature.type)).toEqual(['sketch']);
+    });
+  });
+});
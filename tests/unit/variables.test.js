@@ -0,0 +1,129 @@
+const Variables = require('../../src/features/variables');
+const { VariableType } = require('../../src/features/variables');
+const Extrude = require('../../src/features/extrude');
+const { ValidationError, FeatureError } = require('../../src/utils/errors');
+const { createPartStudio, parameterOf } = require('./helpers');
+
+describe('Variables', () => {
+  let partStudio;
+  let variables;
+
+  beforeEach(() => {
+    partStudio = createPartStudio();
+    partStudio._api.endpoints.getFeatures = jest.fn(async () => ({
+      features: [
+        { featureId: 'FV1', featureType: 'assignVariable', parameters: [{ parameterId: 'name', value: 'width' }] },
+        { featureId: 'FS1', featureType: 'newSketch', parameters: [] }
+      ]
+    }));
+    variables = new Variables({ partStudio });
+  });
+
+  describe('validation', () => {
+    it('should belong to a part studio or a Variable Studio', () => {
+      expect(() => new Variables({})).toThrow('Variables need a part studio, or a document and Variable Studio ID');
+      expect(() => new Variables({ partStudio, studioId: 'V' }))
+        .toThrow('Variables belong to either a part studio or a Variable Studio, not both');
+    });
+
+    it('should check names, types and values', async () => {
+      await expect(variables.set('2wide', 1)).rejects.toThrow('Invalid variable name: 2wide');
+      await expect(variables.set('width', 1, { type: 'MASS' })).rejects.toThrow('Invalid variable type: MASS');
+      await expect(variables.set('count', NaN, { type: VariableType.NUMBER })).rejects.toThrow(ValidationError);
+      await expect(variables.set('width', '# + 1 mm')).rejects.toThrow(ValidationError);
+      expect(partStudio.uploaded).toHaveLength(0);
+    });
+  });
+
+  describe('variable features', () => {
+    it('should add a variable feature and return its reference', async () => {
+      const reference = await variables.set('wall_thickness', 0.1, { description: 'Wall' });
+
+      const [feature] = partStudio.uploaded;
+      expect(reference).toBe('#wall_thickness');
+      expect(feature.featureType).toBe('assignVariable');
+      expect(feature.name).toBe('#wall_thickness');
+      expect(parameterOf(feature, 'variableType').value).toBe('LENGTH');
+      expect(parameterOf(feature, 'name').value).toBe('wall_thickness');
+      expect(parameterOf(feature, 'lengthValue').expression).toBe('0.1 in');
+      expect(parameterOf(feature, 'description').value).toBe('Wall');
+    });
+
+    it('should update the variable feature that already exists', async () => {
+      await variables.set('width', '#depth / 2 + 1 mm');
+
+      const [, , , featureId, feature] = partStudio.endpoints.updateFeature.mock.calls[0];
+      expect(featureId).toBe('FV1');
+      expect(parameterOf(feature, 'lengthValue').expression).toBe('#depth / 2 + 1 mm');
+      expect(partStudio.uploaded).toHaveLength(0);
+    });
+
+    it('should set several variables of each type in order', async () => {
+      const references = await variables.setAll({
+        angle: { value: 30, type: VariableType.ANGLE },
+        count: { value: 4, type: VariableType.NUMBER },
+        depth: 2
+      });
+
+      expect(references).toEqual({ angle: '#angle', count: '#count', depth: '#depth' });
+      const [angle, count, depth] = partStudio.uploaded;
+      expect(parameterOf(angle, 'angleValue').expression).toBe('30 deg');
+      expect(parameterOf(count, 'numberValue').expression).toBe('4');
+      expect(parameterOf(depth, 'lengthValue').expression).toBe('2 in');
+      expect(partStudio._api.endpoints.getFeatures).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wrap upload errors', async () => {
+      partStudio.endpoints.addFeature.mockRejectedValueOnce(new Error('Bad request'));
+
+      await expect(variables.set('depth', 1)).rejects.toThrow(FeatureError);
+    });
+  });
+
+  describe('Variable Studio', () => {
+    let client;
+    let document;
+
+    beforeEach(() => {
+      client = {
+        unitSystem: 'metric',
+        get: jest.fn(async () => [{ variables: [{ name: 'width', type: 'LENGTH', expression: '1 m', value: 1, description: '' }] }]),
+        post: jest.fn(async () => ({ id: 'V' }))
+      };
+      document = { id: 'D', defaultWorkspace: { id: 'W' }, _client: client, _api: {} };
+    });
+
+    it('should create a Variable Studio in a document', async () => {
+      const studio = await Variables.createStudio({ document, name: 'Sizes' });
+
+      expect(client.post).toHaveBeenCalledWith('/variables/d/D/w/W/variablestudio', { name: 'Sizes' });
+      expect(studio.studioId).toBe('V');
+    });
+
+    it('should replace or append variables in the whole table', async () => {
+      const studio = new Variables({ document, studioId: 'V' });
+
+      await studio.set('width', 2);
+      await studio.set('height', '#width * 2');
+
+      expect(client.post).toHaveBeenNthCalledWith(1, '/variables/d/D/w/W/e/V/variables', [
+        { name: 'width', type: 'LENGTH', expression: '2 m', description: '' }
+      ]);
+      expect(client.post.mock.calls[1][1]).toEqual([
+        { name: 'width', type: 'LENGTH', expression: '1 m', description: '' },
+        { name: 'height', type: 'LENGTH', expression: '#width * 2', description: '' }
+      ]);
+      await expect(studio.get('width')).resolves.toMatchObject({ value: 1 });
+      await expect(studio.get('depth')).resolves.toBeNull();
+    });
+  });
+
+  describe('feature parameters', () => {
+    it('should pass variable expressions through to quantities', async () => {
+      await Extrude.create({ partStudio, faces: ['JHC'], distance: variables.ref('depth') });
+
+      expect(parameterOf(partStudio.uploaded[0], 'depth').expression).toBe('#depth');
+      expect(() => new Extrude({ partStudio, faces: ['JHC'], distance: '#2' })).toThrow(ValidationError);
+    });
+  });
+});